@@ -0,0 +1,115 @@
+#!/usr/bin/env node
+// Imports a WXR file into a throwaway WordPress Playground site, without a
+// browser, and prints what was imported and what failed.
+//
+//     npx wxr-import site.xml --parser xmlprocessor --map-authors admin --output ./site
+//
+// Exits with 1 when any item failed to import, and 2 on bad arguments.
+const { parseArgs } = require('util');
+const path = require('path');
+const { startPlayground } = require('../e2e/helpers/playground');
+const { importWxrHeadless, formatSummary, saveSite } = require('../e2e/helpers/headless-import');
+
+const PARSERS = ['auto', 'simplexml', 'xml', 'regex', 'xmlprocessor'];
+
+const USAGE = `Usage: wxr-import <file> [options]
+
+Options:
+  --parser <name>        Parser to use: ${PARSERS.join(', ')}. auto tries
+                         one after the other until one reads the file.
+                         Defaults to the importer's choice.
+  --map-authors <login>  Assign every author's posts to this user. Defaults to the
+                         user with the same login or email, or else a new user.
+  --no-rewrite-urls      Keep the URLs that link to the exported site.
+  --fetch-attachments    Download and import file attachments.
+  --output <dir>         Write the site's database and uploads to this directory.
+  --wp <version>         WordPress version. Defaults to the latest.
+  --php <version>        PHP version. Defaults to 8.3.
+  -h, --help             Show this help.`;
+
+function fail(message) {
+	console.error(`${message}\n\n${USAGE}`);
+	process.exit(2);
+}
+
+function parseOptions(argv) {
+	let parsed;
+	try {
+		parsed = parseArgs({
+			args: argv,
+			allowPositionals: true,
+			options: {
+				parser: { type: 'string' },
+				'map-authors': { type: 'string' },
+				'rewrite-urls': { type: 'boolean', default: true },
+				'no-rewrite-urls': { type: 'boolean', default: false },
+				'fetch-attachments': { type: 'boolean', default: false },
+				output: { type: 'string' },
+				wp: { type: 'string' },
+				php: { type: 'string' },
+				help: { type: 'boolean', short: 'h', default: false },
+			},
+		});
+	} catch (e) {
+		fail(e.message);
+	}
+
+	const { values, positionals } = parsed;
+	if (values.help) {
+		console.log(USAGE);
+		process.exit(0);
+	}
+	if (positionals.length !== 1) {
+		fail('Pass exactly one WXR file.');
+	}
+	if (values.parser && !PARSERS.includes(values.parser)) {
+		fail(`Unknown parser ${values.parser}.`);
+	}
+	return { file: path.resolve(positionals[0]), ...values };
+}
+
+async function main(argv) {
+	const options = parseOptions(argv);
+
+	const blueprint = require('../e2e/playground.blueprint.json');
+	blueprint.preferredVersions = {
+		...blueprint.preferredVersions,
+		...(options.wp ? { wp: options.wp } : {}),
+		...(options.php ? { php: options.php } : {}),
+	};
+
+	console.error('Starting WordPress Playground…');
+	const server = await startPlayground({ blueprint, networking: options['fetch-attachments'] });
+	try {
+		console.error(`Importing ${path.basename(options.file)} into ${server.url}…`);
+		const { import: result, records } = await importWxrHeadless(server.client, options.file, {
+			parser: options.parser,
+			mapAuthors: options['map-authors'],
+			rewriteUrls: options['rewrite-urls'] && !options['no-rewrite-urls'],
+			fetchAttachments: options['fetch-attachments'],
+		});
+
+		console.log(formatSummary(records));
+
+		if (options.output) {
+			const count = await saveSite(server.client, path.resolve(options.output));
+			console.error(`Wrote ${count} files to ${options.output}.`);
+		}
+
+		return result.status === 'done' && !result.log.error ? 0 : 1;
+	} finally {
+		await server.stop();
+	}
+}
+
+if (require.main === module) {
+	main(process.argv.slice(2)).then(
+		(code) => process.exit(code),
+		(error) => {
+			console.error(error.message);
+			process.exit(1);
+		}
+	);
+}
+
+module.exports = { main };
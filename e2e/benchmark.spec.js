@@ -0,0 +1,134 @@
+// E2E benchmark: time each import phase per parser and compare against a baseline.
+//
+// Opt-in, and meant to run on its own so that other tests don't skew the timings:
+//
+//     BENCHMARK=1 npx playwright test e2e/benchmark.spec.js
+//
+// Options, all through environment variables:
+//  - BENCHMARK_FIXTURES: Comma-separated fixture names (under e2e/fixtures) or
+//    absolute paths. Defaults to the largest files in phpunit/data.
+//  - BENCHMARK_RUNS:     Imports per parser, each into a fresh site. The median
+//    of each phase is reported. Defaults to 1.
+//  - BENCHMARK_BASELINE: Baseline file. Defaults to e2e/benchmark.baseline.json,
+//    which is machine-specific and not checked in.
+//
+// The report for each fixture is attached as benchmark.json. A missing baseline
+// is recorded from the current run; --update-snapshots re-records it. Budgets
+// live in benchmark.budgets.json.
+const { test } = require('playwright/test');
+const { expect } = require('./helpers/fixtures');
+const { withPlayground } = require('./helpers/playground');
+const { uploadWxr, waitForImport, mapAllAuthorsToAdmin } = require('./helpers/importer');
+const {
+	PROFILER_CONSTANTS,
+	readImportProfile,
+	summarizeRuns,
+	findRegressions,
+	formatRegression,
+} = require('./helpers/benchmark');
+const BUDGETS = require('./benchmark.budgets.json');
+const path = require('path');
+const fs = require('fs');
+
+const PARSERS = process.env.PARSER
+	? [process.env.PARSER]
+	: ['simplexml', 'xml', 'regex', 'xmlprocessor'];
+
+const FIXTURES = process.env.BENCHMARK_FIXTURES
+	? process.env.BENCHMARK_FIXTURES.split(',').map((f) => f.trim())
+	: ['theme-unit-test-data.xml', 'a11y-unit-test-data.xml', '10MB.xml']
+			.map((file) => path.resolve(__dirname, '../phpunit/data', file))
+			.filter((file) => fs.existsSync(file));
+
+const RUNS = Number(process.env.BENCHMARK_RUNS || 1);
+
+const BASELINE_PATH = path.resolve(
+	process.env.BENCHMARK_BASELINE || path.join(__dirname, 'benchmark.baseline.json')
+);
+
+function readBaseline() {
+	return fs.existsSync(BASELINE_PATH) ? JSON.parse(fs.readFileSync(BASELINE_PATH, 'utf8')) : {};
+}
+
+// Helper: Import a fixture into a fresh, profiled Playground and return its timings
+async function profileImport(browser, parser, fixture) {
+	return withPlayground({ parser, constants: PROFILER_CONSTANTS }, async (playground) => {
+		const context = await browser.newContext({ baseURL: playground.url });
+		try {
+			const page = await context.newPage();
+
+			let start = Date.now();
+			await uploadWxr(page, fixture, { timeout: 300000 });
+			const uploadRequest = Date.now() - start;
+
+			await mapAllAuthorsToAdmin(page);
+			start = Date.now();
+			await page.getByRole('button', { name: /^Submit$/i }).click();
+			await page.waitForURL('**/admin.php?import=wordpress&step=2**', {
+				waitUntil: 'domcontentloaded',
+				timeout: 600000,
+			});
+			expect(await waitForImport(page, { timeout: 600000 })).toBe('done');
+			const importRequests = Date.now() - start;
+			await expect(page.locator('text=All done.')).toBeVisible();
+
+			const profile = await readImportProfile(playground);
+			profile.phases.uploadRequest = uploadRequest;
+			profile.phases.importRequests = importRequests;
+			return profile;
+		} finally {
+			await context.close();
+		}
+	});
+}
+
+test.describe('Import benchmark', () => {
+	test.skip(!process.env.BENCHMARK, 'Set BENCHMARK=1 to run the import benchmark');
+	// One import at a time, in one worker, so that imports don't compete for the CPU.
+	test.describe.configure({ mode: 'default' });
+
+	for (const fixture of FIXTURES) {
+		const name = path.basename(fixture);
+
+		test(`benchmark ${name}`, async ({ browser }, testInfo) => {
+			test.setTimeout(PARSERS.length * RUNS * 900000);
+
+			const results = {};
+			for (const parser of PARSERS) {
+				const runs = [];
+				for (let i = 0; i < RUNS; i++) {
+					runs.push(await profileImport(browser, parser, fixture));
+				}
+				results[parser] = summarizeRuns(runs);
+			}
+
+			const report = JSON.stringify({ [name]: results }, null, '\t') + '\n';
+			fs.writeFileSync(testInfo.outputPath('benchmark.json'), report);
+			await testInfo.attach('benchmark.json', {
+				body: report,
+				contentType: 'application/json',
+			});
+
+			const baseline = readBaseline();
+			const mode = testInfo.config.updateSnapshots;
+			if (mode === 'all' || mode === 'changed' || (!baseline[name] && mode !== 'none')) {
+				baseline[name] = results;
+				fs.writeFileSync(BASELINE_PATH, JSON.stringify(baseline, null, '\t') + '\n');
+				testInfo.annotations.push({
+					type: 'baseline',
+					description: `Recorded ${name} in ${BASELINE_PATH}`,
+				});
+				return;
+			}
+			if (!baseline[name]) {
+				throw new Error(`${BASELINE_PATH} has no baseline for ${name}`);
+			}
+
+			const regressions = findRegressions(results, baseline[name], BUDGETS);
+			expect(
+				regressions,
+				`${name} is over budget:\n${regressions.map(formatRegression).join('\n')}`
+			).toEqual([]);
+		});
+	}
+});
@@ -0,0 +1,146 @@
+// Tests for the block markup comparator used by the import specs.
+//
+// Uses the plain Playwright `test` so no Playground instance is booted;
+// `expect` comes from the fixtures for the toMatchBlockMarkup matcher.
+const { test } = require('playwright/test');
+const { expect } = require('./helpers/fixtures');
+const { parseBlockMarkup, diffBlockMarkup } = require('./helpers/block-markup');
+
+test.describe('Block markup comparison', () => {
+	test('parses block delimiters, elements, text and comments', () => {
+		const tree = parseBlockMarkup(`<!-- wp:paragraph {"align":"center"} -->
+<p class="has-text-align-center">Hello <!-- note --> <a href="/x">world</a></p>
+<!-- /wp:paragraph -->
+<!-- wp:my-plugin/widget /-->`);
+
+		expect(tree.children).toEqual([
+			{
+				type: 'block',
+				name: 'core/paragraph',
+				attrs: { align: 'center' },
+				selfClosing: false,
+				children: [
+					{
+						type: 'element',
+						tag: 'p',
+						attributes: { class: 'has-text-align-center' },
+						children: [
+							{ type: 'text', text: 'Hello ' },
+							{ type: 'comment', text: 'note' },
+							{ type: 'text', text: ' ' },
+							{
+								type: 'element',
+								tag: 'a',
+								attributes: { href: '/x' },
+								children: [{ type: 'text', text: 'world' }],
+							},
+						],
+					},
+				],
+			},
+			{
+				type: 'block',
+				name: 'my-plugin/widget',
+				attrs: {},
+				selfClosing: true,
+				children: [],
+			},
+		]);
+	});
+
+	test('ignores serializer differences', () => {
+		const actual = `<!-- wp:image {"url":"/a.png","alt":"A"} -->
+<figure class="wp-block-image size-large" style="color: red"><img alt='A' src="/a.png"/></figure>
+<!-- /wp:image -->
+
+
+<!-- wp:paragraph -->
+<p>One<br/>two &amp; &quot;three&quot;   </p>
+<!-- /wp:paragraph -->`;
+		const expected = `<!-- wp:image {"alt":"A","url":"\\/a.png"} -->
+<figure style="color:  red" class="size-large wp-block-image"><img src="/a.png" alt="A"></figure>
+<!-- /wp:image -->
+<!-- wp:paragraph -->
+<p>One<br>two & "three"</p>
+<!-- /wp:paragraph -->`;
+
+		expect(diffBlockMarkup(actual, expected)).toEqual([]);
+		expect(actual).toMatchBlockMarkup(expected);
+	});
+
+	test('reports the block and attribute that differ', () => {
+		const diffs = diffBlockMarkup(
+			`<!-- wp:paragraph --><p>Intro</p><!-- /wp:paragraph -->
+<!-- wp:image {"url":"https://old.example/a.png","id":1} -->
+<figure><img src="https://old.example/a.png"></figure>
+<!-- /wp:image -->`,
+			`<!-- wp:paragraph --><p>Intro</p><!-- /wp:paragraph -->
+<!-- wp:image {"url":"https://new.example/a.png","id":1} -->
+<figure><img src="https://new.example/a.png"></figure>
+<!-- /wp:image -->`
+		);
+
+		expect(diffs).toEqual([
+			{
+				path: 'core/image (block 2)',
+				message: 'block attribute "url" differs',
+				expected: 'https://new.example/a.png',
+				actual: 'https://old.example/a.png',
+			},
+			{
+				path: 'core/image (block 2) > <figure>[1] > <img>[1]',
+				message: 'attribute "src" differs',
+				expected: 'https://new.example/a.png',
+				actual: 'https://old.example/a.png',
+			},
+		]);
+	});
+
+	test('reports self-closing blocks that are no longer self-closing', () => {
+		const diffs = diffBlockMarkup(
+			'<!-- wp:navigation-link {"url":"/one"} --><!-- /wp:navigation-link -->',
+			'<!-- wp:navigation-link {"url":"/one"} /-->'
+		);
+
+		expect(diffs).toHaveLength(1);
+		expect(diffs[0]).toMatchObject({
+			path: 'core/navigation-link (block 1)',
+			message: 'block delimiter differs',
+		});
+	});
+
+	test('reports missing, unexpected and mismatched nodes', () => {
+		expect(diffBlockMarkup('<p>a</p>', '<p>a</p><p>b</p>')).toMatchObject([
+			{ path: '(root)', message: 'missing <p>' },
+		]);
+		expect(diffBlockMarkup('<p>a<em>b</em></p>', '<p>a</p>')).toMatchObject([
+			{ path: '<p>[1]', message: 'unexpected <em>' },
+		]);
+		expect(diffBlockMarkup('<div>a</div>', '<p>a</p>')).toMatchObject([
+			{ path: '(root)', message: 'expected <p> but found <div>' },
+		]);
+		expect(diffBlockMarkup('<p>a</p></div>', '<p>a</p>')).toMatchObject([
+			{ path: '(root)', message: 'unexpected stray "</div>"' },
+		]);
+	});
+
+	test('keeps whitespace in <pre> and between inline elements', () => {
+		expect(diffBlockMarkup('<pre>a\n  b</pre>', '<pre>a b</pre>')).toHaveLength(1);
+		expect(diffBlockMarkup('<p><b>a</b><i>b</i></p>', '<p><b>a</b> <i>b</i></p>')).toHaveLength(
+			1
+		);
+	});
+
+	test('prints a readable failure message', () => {
+		let message = '';
+		try {
+			expect('<p class="a">x</p>').toMatchBlockMarkup('<p class="b">x</p>');
+		} catch (e) {
+			message = e.message;
+		}
+		expect(message).toContain('Block markup differs in 1 place(s)');
+		expect(message).toContain('<p>[1]: attribute "class" differs');
+		expect(message).toContain('expected: "b"');
+		expect(message).toContain('actual:   "a"');
+	});
+});
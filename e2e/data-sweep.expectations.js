@@ -0,0 +1,30 @@
+// Expected outcome of importing each phpunit/data file, for data-sweep.spec.js.
+//
+// Files that aren't listed here must import cleanly. An entry can set:
+//  - outcome:  'success' (no failed or skipped items), 'partial' or 'rejected'.
+//  - error:    For 'rejected', a pattern the reason under "Sorry, there has been an error." must match.
+//  - messages: For 'partial', patterns that must each match a "Failed to …" or "… skipped" message.
+//  - notices:  Patterns for PHP notices from the importer that are known and accepted.
+//  - parsers:  Overrides of any of the above for one parser.
+const INVALID_VERSION =
+	/^This does not appear to be a WXR file, missing\/invalid WXR version number$/;
+
+module.exports = {
+	// Not well-formed XML, and the version number is "abc". Every parser rejects it,
+	// even when the XML parser falls back to the regex parser.
+	'malformed.xml': { outcome: 'rejected' },
+	'missing-version-tag.xml': { outcome: 'rejected', error: INVALID_VERSION },
+	'invalid-version-tag.xml': { outcome: 'rejected', error: INVALID_VERSION },
+	// The only <item> is never closed. SimpleXML reports the broken XML. The XML parser
+	// falls back to the regex parser, which, like the XML processor, finds no complete
+	// item to import.
+	'malformed-simple.xml': {
+		outcome: 'success',
+		parsers: {
+			simplexml: {
+				outcome: 'rejected',
+				error: /^There was an error when reading this WXR file$/,
+			},
+		},
+	},
+};
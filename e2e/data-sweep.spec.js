@@ -0,0 +1,127 @@
+// E2E test: run every phpunit/data WXR file through the importer screens with every parser.
+//
+// Opt-in, because it boots one Playground per file and parser:
+//
+//     SWEEP=1 npx playwright test e2e/data-sweep.spec.js
+//
+// Each run records the importer's messages and the PHP notices it caused as a
+// `result.json` attachment and checks them against data-sweep.expectations.js.
+const { test, expect } = require('./helpers/fixtures');
+const {
+	uploadWxr,
+	waitForImport,
+	mapAllAuthorsToAdmin,
+	getImporterMessages,
+} = require('./helpers/importer');
+const { PHP_LOG_CONSTANTS, readPhpLog } = require('./helpers/php-log');
+const EXPECTATIONS = require('./data-sweep.expectations');
+const path = require('path');
+const fs = require('fs');
+
+const DATA_DIR = path.resolve(__dirname, '../phpunit/data');
+const PLUGIN_DIR = '/wordpress/wp-content/plugins/wordpress-importer/';
+
+const PARSERS = process.env.PARSER
+	? [process.env.PARSER]
+	: ['simplexml', 'xml', 'regex', 'xmlprocessor'];
+
+const FILES = fs
+	.readdirSync(DATA_DIR)
+	.filter((file) => file.endsWith('.xml'))
+	.sort();
+
+function expectationFor(file, parser) {
+	const { parsers = {}, ...expectation } = EXPECTATIONS[file] || {};
+	return { outcome: 'success', messages: [], notices: [], ...expectation, ...parsers[parser] };
+}
+
+// Helper: Upload a file and go as far through the importer as it lets us
+async function sweepImport(page, file) {
+	await uploadWxr(page, path.join(DATA_DIR, file), { timeout: 120000 });
+
+	const submit = page.getByRole('button', { name: /^Submit$/i });
+	if (!(await submit.count())) {
+		return { step: 1, messages: await getImporterMessages(page) };
+	}
+
+	await page.uncheck('#rewrite-urls');
+	const attachmentsCheckbox = page.locator('input[name="fetch_attachments"]');
+	if (await attachmentsCheckbox.count()) {
+		await attachmentsCheckbox.uncheck();
+	}
+	// The authors in these files aren't under test, and their e-mail addresses may clash.
+	await mapAllAuthorsToAdmin(page);
+	await submit.click();
+	await page.waitForURL('**/admin.php?import=wordpress&step=2**', {
+		waitUntil: 'domcontentloaded',
+		timeout: 240000,
+	});
+	await waitForImport(page, { timeout: 240000 });
+	return { step: 2, messages: await getImporterMessages(page) };
+}
+
+function outcomeOf(step, messages) {
+	if (step === 1 || messages.some((m) => m.kind === 'rejected')) {
+		return 'rejected';
+	}
+	return messages.some((m) => m.kind === 'failed' || m.kind === 'skipped')
+		? 'partial'
+		: 'success';
+}
+
+test.describe('phpunit/data sweep', () => {
+	test.skip(!process.env.SWEEP, 'Set SWEEP=1 to import every phpunit/data file');
+	test.use({ constants: PHP_LOG_CONSTANTS });
+
+	for (const parser of PARSERS) {
+		test.describe(`with ${parser} parser`, () => {
+			test.use({ parser });
+
+			for (const file of FILES) {
+				test(file, async ({ page, playground }, testInfo) => {
+					test.setTimeout(300000);
+
+					const { step, messages } = await sweepImport(page, file);
+					const notices = await readPhpLog(playground);
+					const result = {
+						file,
+						parser,
+						outcome: outcomeOf(step, messages),
+						messages,
+						notices,
+					};
+					await testInfo.attach('result.json', {
+						body: JSON.stringify(result, null, 2),
+						contentType: 'application/json',
+					});
+
+					const expected = expectationFor(file, parser);
+					expect(result.outcome, JSON.stringify(messages, null, 2)).toBe(
+						expected.outcome
+					);
+
+					if (expected.outcome === 'rejected' && expected.error) {
+						const rejection = messages.find((m) => m.kind === 'rejected');
+						expect(rejection?.detail).toMatch(expected.error);
+					}
+					const problems = messages.filter(
+						(m) => m.kind === 'failed' || m.kind === 'skipped'
+					);
+					for (const pattern of expected.messages) {
+						expect(
+							problems.some((m) => pattern.test(m.text)),
+							`No message matches ${pattern}`
+						).toBe(true);
+					}
+
+					const importerNotices = notices.filter(
+						(notice) =>
+							notice.file.startsWith(PLUGIN_DIR) &&
+							!expected.notices.some((pattern) => pattern.test(notice.message))
+					);
+					expect(importerNotices).toEqual([]);
+				});
+			}
+		});
+	}
+});
@@ -0,0 +1,97 @@
+// E2E test: import a fixture, export it with WordPress core, re-import the export and compare.
+//
+// Opt-in, because it boots one source site plus one site per parser for every fixture:
+//
+//     ROUNDTRIP=1 npx playwright test e2e/export-roundtrip.spec.js
+//
+// The source site is dumped with dumpSite() after importing the fixture, then
+// exported with export_wp(). Each parser imports that export into a fresh site,
+// which must dump to exactly the same records. Every field that was lost,
+// added or changed on the way is listed in the failure message.
+const { test } = require('playwright/test');
+const { expect } = require('./helpers/fixtures');
+const { withPlayground } = require('./helpers/playground');
+const { importWxrWithRest } = require('./helpers/importer');
+const { exportWxr } = require('./helpers/export');
+const { dumpSite, diffDumps, formatDumpDiff } = require('./helpers/site-dump');
+const path = require('path');
+
+const PARSERS = ['simplexml', 'xml', 'regex', 'xmlprocessor'];
+
+const FIXTURES = process.env.ROUNDTRIP_FIXTURES
+	? process.env.ROUNDTRIP_FIXTURES.split(',').map((f) => f.trim())
+	: ['wxr-simple.xml', 'wxr-comprehensive.xml', 'wxr-base-url-rewriting.xml', 'wxr-css-urls.xml'];
+
+// URLs the re-import failed to rewrite still point at the source site.
+const SOURCE_SITE_URL_PLACEHOLDER = '{{SOURCE_SITE_URL}}';
+
+// Helper: Import a WXR file into a fresh Playground, then let `callback` inspect the site
+async function withImportedSite(browser, parser, wxrPath, callback) {
+	return withPlayground({ parser }, async (playground) => {
+		const context = await browser.newContext({ baseURL: playground.url });
+		try {
+			const page = await context.newPage();
+			await importWxrWithRest(page, wxrPath);
+			return await callback(playground);
+		} finally {
+			await context.close();
+		}
+	});
+}
+
+function describeDiff(diff) {
+	if (diff.b === undefined) {
+		return 'lost';
+	}
+	if (diff.a === undefined) {
+		return 'added';
+	}
+	return 'changed';
+}
+
+test.describe('Export/re-import round trip', () => {
+	test.skip(!process.env.ROUNDTRIP, 'Set ROUNDTRIP=1 to run the round-trip checks');
+
+	for (const fixture of FIXTURES) {
+		test(`${path.basename(fixture)} survives export and re-import`, async ({
+			browser,
+		}, testInfo) => {
+			test.setTimeout((PARSERS.length + 1) * 300000);
+
+			const exportPath = testInfo.outputPath('export.xml');
+			let sourceUrl;
+			const source = await withImportedSite(browser, null, fixture, async (playground) => {
+				sourceUrl = playground.url;
+				await exportWxr(playground, exportPath);
+				return dumpSite(playground);
+			});
+			await testInfo.attach('export.xml', {
+				path: exportPath,
+				contentType: 'application/xml',
+			});
+
+			const report = [];
+			for (const parser of PARSERS) {
+				const reimported = await withImportedSite(
+					browser,
+					parser,
+					exportPath,
+					(playground) =>
+						dumpSite(playground, {
+							replace: { [sourceUrl]: SOURCE_SITE_URL_PLACEHOLDER },
+						})
+				);
+				for (const diff of diffDumps(source, reimported)) {
+					report.push(
+						`[${parser}] ${describeDiff(diff)} ${formatDumpDiff(diff, ['source', 'reimported'])}`
+					);
+				}
+			}
+
+			expect(
+				report,
+				`Fields lost or changed in the round trip of ${path.basename(fixture)}:\n\n${report.join('\n\n')}`
+			).toEqual([]);
+		});
+	}
+});
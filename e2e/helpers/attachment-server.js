@@ -0,0 +1,196 @@
+// Local stand-in for the remote site that attachments are downloaded from.
+//
+// The importer fetches every attachment_url with wp_safe_remote_get(). This
+// server answers those requests with configurable bodies, headers and status
+// codes so fetch_remote_file() and process_attachment() can be exercised end
+// to end without touching the network. It also serves the WXR files that the
+// download form fetches in parts, see WP_Import_Upload::fetch_part(). The
+// attachment-server.php MU plugin lets WordPress talk to it.
+const http = require('http');
+
+// A valid 1x1 transparent PNG.
+const PNG_1X1 = Buffer.from(
+	'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNk+M9QDwADhgGAWjR9awAAAABJRU5ErkJggg==',
+	'base64'
+);
+
+/**
+ * Routes served by default. e2e/fixtures/wxr-attachments.xml points at these.
+ *
+ * Each route accepts:
+ *  - status:      HTTP status code, defaults to 200.
+ *  - body:        Buffer or string, defaults to PNG_1X1.
+ *  - size:        Pad the body with zero bytes up to this many bytes.
+ *  - contentType: Content-Type header value.
+ *  - disposition: Content-Disposition header value.
+ *  - headers:     Any other response headers.
+ *  - redirect:    Location to redirect to, with `status` defaulting to 302.
+ *  - chunks:      Split the body into this many chunks...
+ *  - chunkDelay:  ...and wait this many milliseconds before each one.
+ *  - ranges:      Answer Range requests with that part of the body (206).
+ *  - auth:        "user:password" to ask for, answering 401 without them.
+ *  - truncate:    Close the connection once the body is sent up to this byte,
+ *                 after announcing the full Content-Length.
+ */
+const DEFAULT_ROUTES = {
+	'/files/photo.png': { contentType: 'image/png' },
+	'/download/photo': {
+		contentType: 'image/png',
+		disposition: 'attachment; filename="renamed-photo.png"',
+	},
+	'/files/no-extension': { contentType: 'image/png' },
+	'/redirect/moved-photo': { redirect: '/files/moved-photo.png' },
+	'/files/moved-photo.png': { contentType: 'image/png' },
+	'/files/missing.png': { status: 404, body: 'Not Found', contentType: 'text/plain' },
+	'/files/broken.png': { status: 500, body: 'Internal Server Error', contentType: 'text/plain' },
+	'/slow/photo.png': { contentType: 'image/png', chunks: 4, chunkDelay: 500 },
+	'/files/large.png': { contentType: 'image/png', size: 2 * 1024 * 1024 },
+};
+
+function sleep(ms) {
+	return new Promise((r) => setTimeout(r, ms));
+}
+
+function routeBody(route) {
+	let body = route.body === undefined ? PNG_1X1 : Buffer.from(route.body);
+	if (route.size && route.size > body.length) {
+		body = Buffer.concat([body, Buffer.alloc(route.size - body.length)]);
+	}
+	return body;
+}
+
+// The [start, end] bytes a Range header asks for, or null to send the whole body.
+function requestedRange(req, length) {
+	const match = /^bytes=(\d+)-(\d*)$/.exec(req.headers.range || '');
+	if (!match) {
+		return null;
+	}
+	const start = Number(match[1]);
+	const end = match[2] ? Math.min(Number(match[2]), length - 1) : length - 1;
+	return [start, end];
+}
+
+async function respond(req, res, route) {
+	if (route.auth) {
+		const expected = `Basic ${Buffer.from(route.auth).toString('base64')}`;
+		if (req.headers.authorization !== expected) {
+			res.writeHead(401, {
+				'WWW-Authenticate': 'Basic realm="exports"',
+				'Content-Type': 'text/plain',
+			});
+			res.end('Unauthorized');
+			return;
+		}
+	}
+
+	if (route.redirect) {
+		res.writeHead(route.status || 302, { Location: route.redirect, ...route.headers });
+		res.end();
+		return;
+	}
+
+	let body = routeBody(route);
+	const headers = { ...route.headers };
+	let status = route.status || 200;
+	let start = 0;
+	const range = route.ranges ? requestedRange(req, body.length) : null;
+	if (range && range[0] >= body.length) {
+		res.writeHead(416, { 'Content-Range': `bytes */${body.length}` });
+		res.end();
+		return;
+	}
+	if (range) {
+		status = 206;
+		start = range[0];
+		headers['Content-Range'] = `bytes ${range[0]}-${range[1]}/${body.length}`;
+		body = body.subarray(range[0], range[1] + 1);
+	}
+	headers['Content-Length'] = body.length;
+	if (route.contentType) {
+		headers['Content-Type'] = route.contentType;
+	}
+	if (route.disposition) {
+		headers['Content-Disposition'] = route.disposition;
+	}
+	res.writeHead(status, headers);
+
+	// How much of this response goes out before the connection is closed.
+	const sent = route.truncate === undefined ? body.length : route.truncate - start;
+	if (sent < body.length) {
+		if (sent > 0) {
+			res.write(body.subarray(0, sent));
+		}
+		await sleep(100);
+		res.destroy();
+		return;
+	}
+
+	const chunks = Math.max(1, route.chunks || 1);
+	const chunkSize = Math.ceil(body.length / chunks);
+	for (let offset = 0; offset < body.length; offset += chunkSize) {
+		if (route.chunkDelay) {
+			await sleep(route.chunkDelay);
+		}
+		if (res.destroyed) {
+			return;
+		}
+		res.write(body.subarray(offset, offset + chunkSize));
+	}
+	res.end();
+}
+
+/**
+ * Starts the attachment server on a free port.
+ *
+ * @param {Object} [options]
+ * @param {Object} [options.routes] Routes to add to, or override in, DEFAULT_ROUTES.
+ *                                  Set a route to null to remove it.
+ * @return {Promise<{url: string, requests: Array, setRoute: Function, stop: Function}>}
+ */
+async function startAttachmentServer({ routes = {} } = {}) {
+	const table = { ...DEFAULT_ROUTES, ...routes };
+	const requests = [];
+
+	const server = http.createServer((req, res) => {
+		const { pathname } = new URL(req.url, 'http://localhost');
+		requests.push({ method: req.method, path: pathname, headers: req.headers });
+
+		const route = table[pathname];
+		if (!route) {
+			res.writeHead(404, { 'Content-Type': 'text/plain' });
+			res.end('Not Found');
+			return;
+		}
+		respond(req, res, route).catch((e) => {
+			console.error(e);
+			res.destroy();
+		});
+	});
+
+	await new Promise((resolve, reject) => {
+		server.on('error', reject);
+		server.listen(0, '127.0.0.1', resolve);
+	});
+	const { port } = server.address();
+
+	const stop = () =>
+		new Promise((resolve) => {
+			server.closeAllConnections();
+			server.close(() => resolve());
+		});
+
+	return {
+		url: `http://127.0.0.1:${port}`,
+		requests,
+		setRoute: (pathname, route) => {
+			table[pathname] = route;
+		},
+		stop,
+	};
+}
+
+module.exports = {
+	PNG_1X1,
+	DEFAULT_ROUTES,
+	startAttachmentServer,
+};
@@ -0,0 +1,133 @@
+// Import benchmarks: phase timings from the import-profiler.php MU plugin,
+// compared against a stored baseline within configurable budgets.
+
+// Pass to the `constants` option, or to startPlayground(), to turn the profiler on.
+const PROFILER_CONSTANTS = { E2E_IMPORT_PROFILER: true };
+
+/**
+ * Reads what the profiler recorded for the last upload (step 1) and import (step 2).
+ *
+ * @param {Object} playground The `playground` fixture, or any { runPhp(code) }.
+ * @return {Promise<{phases: Object<string, number>, peakMemory: number}>} Milliseconds
+ *         per phase, and the highest peak memory of the two requests in bytes.
+ */
+async function readImportProfile(playground) {
+	const profile = JSON.parse(
+		await playground.runPhp(
+			`echo wp_json_encode( get_option( 'e2e_import_profile', array() ) );`
+		)
+	);
+	if (!profile.step1 || !profile.step2) {
+		throw new Error(
+			`The import profiler recorded no upload or import: ${JSON.stringify(profile)}`
+		);
+	}
+
+	// Step 1 parses the file too, but only step 2's parse is reported as "parse".
+	const phases = { upload: profile.step1.phases.upload.ms };
+	for (const [phase, { ms }] of Object.entries(profile.step2.phases)) {
+		phases[phase] = ms;
+	}
+	return {
+		phases,
+		peakMemory: Math.max(profile.step1.peakMemory, profile.step2.peakMemory),
+	};
+}
+
+function median(values) {
+	const sorted = [...values].sort((a, b) => a - b);
+	const mid = Math.floor(sorted.length / 2);
+	return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/**
+ * Combines several readImportProfile() results into one, taking the median of
+ * each phase and the highest peak memory.
+ *
+ * @param {Array<{phases: Object, peakMemory: number}>} runs
+ * @return {{phases: Object<string, number>, peakMemory: number, runs: number}}
+ */
+function summarizeRuns(runs) {
+	const phases = {};
+	for (const phase of Object.keys(runs[0].phases)) {
+		phases[phase] = median(runs.map((run) => run.phases[phase] ?? 0));
+	}
+	return {
+		phases,
+		peakMemory: Math.max(...runs.map((run) => run.peakMemory)),
+		runs: runs.length,
+	};
+}
+
+/**
+ * Lists every phase that got slower, or every parser whose memory grew,
+ * beyond its budget.
+ *
+ * A phase is within budget when it takes no more than `time` times its
+ * baseline, or no more than `minMs` longer, whichever allows more. That keeps
+ * phases that only take a few milliseconds from failing on noise.
+ *
+ * @param {Object} results  Parser => summarizeRuns() result.
+ * @param {Object} baseline Parser => summarizeRuns() result recorded earlier.
+ * @param {Object} budgets
+ * @param {number} budgets.time     Allowed slowdown factor, e.g. 1.5.
+ * @param {number} budgets.memory   Allowed peak memory growth factor.
+ * @param {number} budgets.minMs    Slowdown in milliseconds that is always allowed.
+ * @param {Object} [budgets.phases] Phase => slowdown factor, overriding `time`.
+ * @return {Array<{parser: string, metric: string, baseline: number, actual: number, limit: number}>}
+ */
+function findRegressions(results, baseline, budgets) {
+	const regressions = [];
+	for (const [parser, result] of Object.entries(results)) {
+		const expected = baseline[parser];
+		if (!expected) {
+			continue;
+		}
+		for (const [phase, actual] of Object.entries(result.phases)) {
+			if (expected.phases[phase] === undefined) {
+				continue;
+			}
+			const factor = budgets.phases?.[phase] ?? budgets.time;
+			const limit = Math.max(
+				expected.phases[phase] * factor,
+				expected.phases[phase] + budgets.minMs
+			);
+			if (actual > limit) {
+				regressions.push({
+					parser,
+					metric: phase,
+					baseline: expected.phases[phase],
+					actual,
+					limit,
+				});
+			}
+		}
+		const memoryLimit = expected.peakMemory * budgets.memory;
+		if (result.peakMemory > memoryLimit) {
+			regressions.push({
+				parser,
+				metric: 'peakMemory',
+				baseline: expected.peakMemory,
+				actual: result.peakMemory,
+				limit: memoryLimit,
+			});
+		}
+	}
+	return regressions;
+}
+
+function formatRegression({ parser, metric, baseline, actual, limit }) {
+	const unit = metric === 'peakMemory' ? ' bytes' : ' ms';
+	const ratio = baseline ? ` (${(actual / baseline).toFixed(2)}x)` : '';
+	return `[${parser}] ${metric}: ${Math.round(actual)}${unit}${ratio}, baseline ${Math.round(
+		baseline
+	)}${unit}, budget ${Math.round(limit)}${unit}`;
+}
+
+module.exports = {
+	PROFILER_CONSTANTS,
+	readImportProfile,
+	summarizeRuns,
+	findRegressions,
+	formatRegression,
+};
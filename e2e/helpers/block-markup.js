@@ -0,0 +1,585 @@
+// Structural comparison of block markup.
+//
+// Both sides are parsed into a tree of block delimiters, HTML elements, text
+// and comments, normalized, and compared node by node. Differences that
+// don't change the meaning of the markup are ignored:
+//
+//  - <br>, <br/> and <br /> are the same element.
+//  - Attribute order, attribute quoting and character references
+//    (&quot; vs ") don't matter. Class names are compared as a set.
+//  - Block attributes are compared as JSON values, so key order and
+//    escaping (\/ vs /, \u0073 vs s) don't matter.
+//  - Runs of whitespace in text count as a single space, and whitespace at
+//    the edges of an element or between blocks is ignored (except in <pre>).
+//
+// Every remaining difference is reported with the path of the block, element
+// and attribute it was found in.
+
+const VOID_ELEMENTS = new Set([
+	'area',
+	'base',
+	'br',
+	'col',
+	'embed',
+	'hr',
+	'img',
+	'input',
+	'link',
+	'meta',
+	'param',
+	'source',
+	'track',
+	'wbr',
+]);
+
+const RAW_TEXT_ELEMENTS = new Set(['script', 'style', 'textarea', 'title']);
+
+const NAMED_REFERENCES = {
+	amp: '&',
+	lt: '<',
+	gt: '>',
+	quot: '"',
+	apos: "'",
+	nbsp: ' ',
+	hellip: '…',
+	ndash: '–',
+	mdash: '—',
+	lsquo: '‘',
+	rsquo: '’',
+	ldquo: '“',
+	rdquo: '”',
+};
+
+const BLOCK_DELIMITER =
+	/^\s+(\/)?wp:([a-z][a-z0-9_-]*\/)?([a-z][a-z0-9_-]*)\s+(?:(\{[\s\S]*\})\s+)?(\/)?$/;
+
+function decodeReferences(s) {
+	return s.replace(/&(#[xX][0-9a-fA-F]+|#[0-9]+|[a-zA-Z][a-zA-Z0-9]*);/g, (match, ref) => {
+		if (ref[0] === '#') {
+			const code =
+				ref[1] === 'x' || ref[1] === 'X'
+					? parseInt(ref.slice(2), 16)
+					: parseInt(ref.slice(1), 10);
+			try {
+				return String.fromCodePoint(code);
+			} catch (_) {
+				return match;
+			}
+		}
+		return NAMED_REFERENCES[ref] ?? match;
+	});
+}
+
+function parseAttributes(source) {
+	const attributes = {};
+	const re = /([^\s"'>\/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+	let match;
+	while ((match = re.exec(source))) {
+		const name = match[1].toLowerCase();
+		// Like browsers, keep the first of any duplicated attributes.
+		if (name in attributes) {
+			continue;
+		}
+		const value = match[2] ?? match[3] ?? match[4] ?? '';
+		attributes[name] = decodeReferences(value);
+	}
+	return attributes;
+}
+
+// Finds the end of a tag, skipping over quoted attribute values.
+function findTagEnd(markup, from) {
+	let quote = null;
+	for (let i = from; i < markup.length; i++) {
+		const c = markup[i];
+		if (quote) {
+			if (c === quote) {
+				quote = null;
+			}
+		} else if (c === '"' || c === "'") {
+			quote = c;
+		} else if (c === '>') {
+			return i;
+		}
+	}
+	return -1;
+}
+
+/**
+ * Splits markup into a flat list of tokens.
+ *
+ * @param {string} markup
+ * @return {Array<Object>}
+ */
+function tokenize(markup) {
+	const tokens = [];
+	let i = 0;
+	let text = '';
+
+	const flushText = () => {
+		if (text) {
+			tokens.push({ type: 'text', text: decodeReferences(text) });
+			text = '';
+		}
+	};
+
+	while (i < markup.length) {
+		if (markup[i] !== '<') {
+			const next = markup.indexOf('<', i);
+			const end = next === -1 ? markup.length : next;
+			text += markup.slice(i, end);
+			i = end;
+			continue;
+		}
+
+		if (markup.startsWith('<!--', i)) {
+			flushText();
+			const close = markup.indexOf('-->', i + 4);
+			const end = close === -1 ? markup.length : close;
+			const content = markup.slice(i + 4, end);
+			i = close === -1 ? markup.length : close + 3;
+
+			const delimiter = content.match(BLOCK_DELIMITER);
+			if (!delimiter) {
+				tokens.push({ type: 'comment', text: content });
+				continue;
+			}
+			const [, closer, namespace, name, json, selfClosing] = delimiter;
+			let attrs = {};
+			if (json) {
+				try {
+					attrs = JSON.parse(json);
+				} catch (e) {
+					attrs = { '(invalid JSON)': json };
+				}
+			}
+			tokens.push({
+				type: closer ? 'block-close' : selfClosing ? 'block-void' : 'block-open',
+				name: `${namespace || 'core/'}${name}`,
+				attrs,
+			});
+			continue;
+		}
+
+		const closeTag = markup.slice(i).match(/^<\/([a-zA-Z][^\s\/>]*)[^>]*>/);
+		if (closeTag) {
+			flushText();
+			tokens.push({ type: 'tag-close', tag: closeTag[1].toLowerCase() });
+			i += closeTag[0].length;
+			continue;
+		}
+
+		const openTag = markup.slice(i).match(/^<([a-zA-Z][^\s\/>]*)/);
+		if (openTag) {
+			const end = findTagEnd(markup, i + openTag[0].length);
+			if (end !== -1) {
+				flushText();
+				const tag = openTag[1].toLowerCase();
+				let attributeSource = markup.slice(i + openTag[0].length, end);
+				const selfClosing = /\/\s*$/.test(attributeSource);
+				if (selfClosing) {
+					attributeSource = attributeSource.replace(/\/\s*$/, '');
+				}
+				tokens.push({
+					type: 'tag-open',
+					tag,
+					attributes: parseAttributes(attributeSource),
+					selfClosing: selfClosing || VOID_ELEMENTS.has(tag),
+				});
+				i = end + 1;
+
+				if (RAW_TEXT_ELEMENTS.has(tag) && !selfClosing) {
+					const rawEnd = markup.toLowerCase().indexOf(`</${tag}`, i);
+					const stop = rawEnd === -1 ? markup.length : rawEnd;
+					if (stop > i) {
+						const raw = markup.slice(i, stop);
+						tokens.push({
+							type: 'text',
+							text:
+								tag === 'textarea' || tag === 'title' ? decodeReferences(raw) : raw,
+						});
+					}
+					i = stop;
+				}
+				continue;
+			}
+		}
+
+		// A "<" that doesn't start a tag, e.g. "a < b", or "<!DOCTYPE" and "<?".
+		if (markup.startsWith('<!', i) || markup.startsWith('<?', i)) {
+			flushText();
+			const end = markup.indexOf('>', i);
+			const stop = end === -1 ? markup.length : end + 1;
+			tokens.push({ type: 'comment', text: markup.slice(i + 2, stop - 1) });
+			i = stop;
+			continue;
+		}
+		text += '<';
+		i++;
+	}
+	flushText();
+	return tokens;
+}
+
+/**
+ * Parses block markup into a tree.
+ *
+ * Nodes are one of:
+ *  - { type: 'root', children }
+ *  - { type: 'block', name, attrs, selfClosing, children }
+ *  - { type: 'element', tag, attributes, children }
+ *  - { type: 'text', text }
+ *  - { type: 'comment', text }
+ *  - { type: 'stray', text } for closers without a matching opener.
+ *
+ * @param {string} markup
+ * @return {Object} The root node.
+ */
+function parseBlockMarkup(markup) {
+	const root = { type: 'root', children: [] };
+	const stack = [root];
+	const current = () => stack[stack.length - 1];
+
+	for (const token of tokenize(String(markup))) {
+		switch (token.type) {
+			case 'text':
+			case 'comment':
+				current().children.push({ type: token.type, text: token.text });
+				break;
+
+			case 'block-void':
+				current().children.push({
+					type: 'block',
+					name: token.name,
+					attrs: token.attrs,
+					selfClosing: true,
+					children: [],
+				});
+				break;
+
+			case 'block-open': {
+				const block = {
+					type: 'block',
+					name: token.name,
+					attrs: token.attrs,
+					selfClosing: false,
+					children: [],
+				};
+				current().children.push(block);
+				stack.push(block);
+				break;
+			}
+
+			case 'block-close': {
+				// Implicitly close any elements left open inside the block.
+				const index = stack.findLastIndex(
+					(node) => node.type === 'block' && node.name === token.name
+				);
+				if (index === -1) {
+					current().children.push({ type: 'stray', text: `<!-- /wp:${token.name} -->` });
+				} else {
+					stack.length = index;
+				}
+				break;
+			}
+
+			case 'tag-open': {
+				const element = {
+					type: 'element',
+					tag: token.tag,
+					attributes: token.attributes,
+					children: [],
+				};
+				current().children.push(element);
+				if (!token.selfClosing) {
+					stack.push(element);
+				}
+				break;
+			}
+
+			case 'tag-close': {
+				// Only look for the opener within the innermost block.
+				let index = -1;
+				for (let i = stack.length - 1; i > 0; i--) {
+					if (stack[i].type === 'block') {
+						break;
+					}
+					if (stack[i].tag === token.tag) {
+						index = i;
+						break;
+					}
+				}
+				if (index === -1) {
+					if (!VOID_ELEMENTS.has(token.tag)) {
+						current().children.push({ type: 'stray', text: `</${token.tag}>` });
+					}
+				} else {
+					stack.length = index;
+				}
+				break;
+			}
+		}
+	}
+
+	return normalize(root, false);
+}
+
+function normalize(node, preserveWhitespace) {
+	if (!node.children) {
+		return node;
+	}
+
+	const preserve = preserveWhitespace || node.tag === 'pre' || node.tag === 'textarea';
+	let children = node.children.map((child) => normalize(child, preserve));
+
+	if (!preserve) {
+		// Merge adjacent text nodes and collapse whitespace.
+		const merged = [];
+		for (const child of children) {
+			const last = merged[merged.length - 1];
+			if (child.type === 'text' && last && last.type === 'text') {
+				last.text += child.text;
+			} else {
+				merged.push(child.type === 'text' ? { ...child } : child);
+			}
+		}
+		for (const child of merged) {
+			if (child.type === 'text') {
+				child.text = child.text.replace(/[ \t\n\r\f]+/g, ' ');
+			} else if (child.type === 'comment') {
+				child.text = child.text.trim().replace(/\s+/g, ' ');
+			}
+		}
+		const first = merged[0];
+		const last = merged[merged.length - 1];
+		if (first && first.type === 'text') {
+			first.text = first.text.replace(/^ /, '');
+		}
+		if (last && last.type === 'text') {
+			last.text = last.text.replace(/ $/, '');
+		}
+		// Whitespace between blocks, or at the top level, is insignificant.
+		const betweenBlocks = node.type === 'root' || node.type === 'block';
+		children = merged.filter(
+			(child) => child.type !== 'text' || (betweenBlocks ? child.text.trim() : child.text)
+		);
+	}
+
+	const normalized = { ...node, children };
+	if (node.type === 'element') {
+		normalized.attributes = normalizeAttributes(node.attributes);
+	}
+	return normalized;
+}
+
+function normalizeAttributes(attributes) {
+	const normalized = {};
+	for (const [name, value] of Object.entries(attributes)) {
+		let v = value.trim().replace(/\s+/g, ' ');
+		if (name === 'class') {
+			v = [...new Set(v.split(' ').filter(Boolean))].sort().join(' ');
+		}
+		normalized[name] = v;
+	}
+	return normalized;
+}
+
+function nodeLabel(node, siblings) {
+	const index = (predicate) => siblings.filter(predicate).indexOf(node) + 1;
+	switch (node.type) {
+		case 'block':
+			return `${node.name} (block ${index((n) => n.type === 'block')})`;
+		case 'element':
+			return `<${node.tag}>[${index((n) => n.type === 'element' && n.tag === node.tag)}]`;
+		default:
+			return `${node.type}[${index((n) => n.type === node.type)}]`;
+	}
+}
+
+function describeNode(node) {
+	switch (node.type) {
+		case 'block':
+			return `block ${node.name}`;
+		case 'element':
+			return `<${node.tag}>`;
+		default:
+			return `${node.type} ${JSON.stringify(truncate(node.text))}`;
+	}
+}
+
+function truncate(s, max = 80) {
+	return s.length > max ? `${s.slice(0, max - 1)}…` : s;
+}
+
+function sameKind(a, b) {
+	if (a.type !== b.type) {
+		return false;
+	}
+	if (a.type === 'block') {
+		return a.name === b.name;
+	}
+	if (a.type === 'element') {
+		return a.tag === b.tag;
+	}
+	return true;
+}
+
+function diffJson(expected, actual, path, report) {
+	const isObject = (v) => v !== null && typeof v === 'object';
+	if (
+		isObject(expected) &&
+		isObject(actual) &&
+		Array.isArray(expected) === Array.isArray(actual)
+	) {
+		const keys = new Set([...Object.keys(expected), ...Object.keys(actual)]);
+		for (const key of [...keys].sort()) {
+			const keyPath = path ? `${path}.${key}` : key;
+			if (!(key in actual)) {
+				report(`block attribute "${keyPath}" is missing`, expected[key], undefined);
+			} else if (!(key in expected)) {
+				report(`unexpected block attribute "${keyPath}"`, undefined, actual[key]);
+			} else {
+				diffJson(expected[key], actual[key], keyPath, report);
+			}
+		}
+	} else if (JSON.stringify(expected) !== JSON.stringify(actual)) {
+		report(`block attribute "${path}" differs`, expected, actual);
+	}
+}
+
+function diffNodes(expected, actual, path, diffs) {
+	const report = (message, e, a) =>
+		diffs.push({ path: path.join(' > ') || '(root)', message, expected: e, actual: a });
+
+	if (expected.type === 'block') {
+		if (expected.selfClosing !== actual.selfClosing) {
+			report(
+				'block delimiter differs',
+				expected.selfClosing ? 'self-closing' : 'opener and closer',
+				actual.selfClosing ? 'self-closing' : 'opener and closer'
+			);
+		}
+		diffJson(expected.attrs, actual.attrs, '', report);
+	} else if (expected.type === 'element') {
+		const names = new Set([
+			...Object.keys(expected.attributes),
+			...Object.keys(actual.attributes),
+		]);
+		for (const name of [...names].sort()) {
+			if (!(name in actual.attributes)) {
+				report(`attribute "${name}" is missing`, expected.attributes[name], undefined);
+			} else if (!(name in expected.attributes)) {
+				report(`unexpected attribute "${name}"`, undefined, actual.attributes[name]);
+			} else if (expected.attributes[name] !== actual.attributes[name]) {
+				report(
+					`attribute "${name}" differs`,
+					expected.attributes[name],
+					actual.attributes[name]
+				);
+			}
+		}
+	} else if (expected.text !== undefined && expected.text !== actual.text) {
+		report(`${expected.type} differs`, expected.text, actual.text);
+	}
+
+	if (!expected.children) {
+		return;
+	}
+
+	const length = Math.max(expected.children.length, actual.children.length);
+	for (let i = 0; i < length; i++) {
+		const e = expected.children[i];
+		const a = actual.children[i];
+		if (!a) {
+			report(`missing ${describeNode(e)}`, e, undefined);
+			continue;
+		}
+		if (!e) {
+			report(`unexpected ${describeNode(a)}`, undefined, a);
+			continue;
+		}
+		if (!sameKind(e, a)) {
+			report(`expected ${describeNode(e)} but found ${describeNode(a)}`, e, a);
+			// The rest of this level is likely shifted, one difference is enough.
+			return;
+		}
+		diffNodes(e, a, [...path, nodeLabel(e, expected.children)], diffs);
+	}
+}
+
+/**
+ * Compares two pieces of block markup.
+ *
+ * @param {string} actual
+ * @param {string} expected
+ * @return {Array<{path: string, message: string, expected: *, actual: *}>} Empty when equivalent.
+ */
+function diffBlockMarkup(actual, expected) {
+	const diffs = [];
+	diffNodes(parseBlockMarkup(expected), parseBlockMarkup(actual), [], diffs);
+	return diffs;
+}
+
+function formatValue(value) {
+	if (value === undefined) {
+		return '(none)';
+	}
+	if (value && typeof value === 'object' && value.type) {
+		return serialize(value);
+	}
+	return truncate(JSON.stringify(value), 200);
+}
+
+function serialize(node) {
+	switch (node.type) {
+		case 'block':
+			return `<!-- wp:${node.name} ${JSON.stringify(node.attrs)} ${node.selfClosing ? '/' : ''}-->`;
+		case 'element': {
+			const attrs = Object.entries(node.attributes)
+				.map(([k, v]) => ` ${k}="${v}"`)
+				.join('');
+			return truncate(`<${node.tag}${attrs}>`, 200);
+		}
+		default:
+			return truncate(JSON.stringify(node.text), 200);
+	}
+}
+
+/**
+ * Formats the result of diffBlockMarkup() for humans.
+ *
+ * @param {Array} diffs
+ * @return {string}
+ */
+function formatBlockMarkupDiff(diffs) {
+	return diffs
+		.map(
+			(d) =>
+				`${d.path}: ${d.message}\n` +
+				`    expected: ${formatValue(d.expected)}\n` +
+				`    actual:   ${formatValue(d.actual)}`
+		)
+		.join('\n\n');
+}
+
+/**
+ * expect(actual).toMatchBlockMarkup(expected) matcher, registered in fixtures.js.
+ */
+function toMatchBlockMarkup(actual, expected) {
+	const diffs = diffBlockMarkup(actual, expected);
+	const pass = diffs.length === 0;
+	return {
+		pass,
+		name: 'toMatchBlockMarkup',
+		message: () =>
+			pass
+				? 'Expected block markup to differ, but it is equivalent.'
+				: `Block markup differs in ${diffs.length} place(s):\n\n${formatBlockMarkupDiff(diffs)}`,
+	};
+}
+
+module.exports = {
+	parseBlockMarkup,
+	diffBlockMarkup,
+	formatBlockMarkupDiff,
+	toMatchBlockMarkup,
+};
@@ -0,0 +1,28 @@
+// Produces a WXR file with WordPress core's own exporter.
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Runs export_wp() in a Playground site, like Tools → Export → All content.
+ *
+ * @param {Object} playground The `playground` fixture, or any { runPhp(code) }.
+ * @param {string} outputPath Where to write the WXR file, e.g. testInfo.outputPath('export.xml').
+ * @param {Object} [args]     export_wp() arguments. Defaults to all content.
+ * @return {Promise<string>} outputPath
+ */
+async function exportWxr(playground, outputPath, args = { content: 'all' }) {
+	const wxr = await playground.runPhp(`
+		require_once ABSPATH . 'wp-admin/includes/export.php';
+		export_wp( json_decode( '${JSON.stringify(args).replace(/'/g, "\\'")}', true ) );
+	`);
+	if (!wxr.includes('<rss')) {
+		throw new Error(`export_wp() did not produce a WXR file:\n${wxr.slice(0, 500)}`);
+	}
+	fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+	fs.writeFileSync(outputPath, wxr);
+	return outputPath;
+}
+
+module.exports = {
+	exportWxr,
+};
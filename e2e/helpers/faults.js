@@ -0,0 +1,67 @@
+// Fault injection for the importer's error paths, through the fault-injection.php MU plugin.
+//
+//     await injectFaults(playground, { failPostInsert: [2], rejectTerms: ['post_tag'] });
+//     await runWxrImport(page, 'wxr-simple.xml');
+//
+// Faults apply to every import on the site until clearFaults() is called. Counts, such as
+// failPostInsert's, start over with every request, i.e. with every batch of an import.
+
+// Option keys in the MU plugin, by the name used here.
+const FAULT_OPTIONS = {
+	failPostInsert: 'fail_post_insert',
+	rejectTerms: 'reject_terms',
+	throwOnMeta: 'throw_on_meta',
+	stopAfterPosts: 'stop_after_posts',
+	failUserCreation: 'fail_user_creation',
+	failAttachmentFetch: 'fail_attachment_fetch',
+};
+
+/**
+ * Makes the next imports on a site fail in the given ways.
+ *
+ * @param {Object}   playground The `playground` fixture, or any { runPhp(code) }.
+ * @param {Object}   faults
+ * @param {number[]} [faults.failPostInsert]     1-based numbers of the wp_insert_post() calls to
+ *                                               fail, counting attachments and menu items too.
+ * @param {string[]} [faults.rejectTerms]        Taxonomies that refuse every new term.
+ * @param {string[]} [faults.throwOnMeta]        Meta keys whose post, term or comment meta update
+ *                                               throws, ending the request with a fatal error.
+ * @param {number}   [faults.stopAfterPosts]     End the request after this many posts were
+ *                                               inserted, as if it had timed out.
+ * @param {boolean}  [faults.failUserCreation]   Refuse to create users for imported authors.
+ * @param {boolean}  [faults.failAttachmentFetch] Fail every attachment download.
+ * @return {Promise<void>}
+ */
+async function injectFaults(playground, faults) {
+	const option = {};
+	for (const [name, value] of Object.entries(faults)) {
+		if (!FAULT_OPTIONS[name]) {
+			throw new Error(
+				`Unknown fault "${name}", expected one of ${Object.keys(FAULT_OPTIONS).join(', ')}`
+			);
+		}
+		option[FAULT_OPTIONS[name]] = value;
+	}
+	await playground.runPhp(
+		`update_option( 'e2e_faults', json_decode( ${phpString(JSON.stringify(option))}, true ), false );`
+	);
+}
+
+/**
+ * Lets imports on a site succeed again.
+ *
+ * @param {Object} playground The `playground` fixture, or any { runPhp(code) }.
+ * @return {Promise<void>}
+ */
+async function clearFaults(playground) {
+	await playground.runPhp(`delete_option( 'e2e_faults' );`);
+}
+
+function phpString(text) {
+	return `'${text.replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+}
+
+module.exports = {
+	injectFaults,
+	clearFaults,
+};
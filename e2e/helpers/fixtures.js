@@ -0,0 +1,65 @@
+// Playwright fixtures for Playground-backed importer tests.
+//
+// Usage:
+//
+//     const { test, expect } = require('./helpers/fixtures');
+//
+//     test.use({ parser: 'xmlprocessor' });
+//     test('imports', async ({ page, playground }) => {
+//         await page.goto('/wp-admin/'); // Relative to playground.url
+//     });
+//
+// Every test that asks for `playground` (or for `page`/`request`, which depend
+// on `baseURL`) gets its own Playground instance on its own port, so specs
+// can run in parallel workers.
+const base = require('playwright/test');
+const { startPlayground, runPhp } = require('./playground');
+const { startAttachmentServer } = require('./attachment-server');
+const { toMatchBlockMarkup } = require('./block-markup');
+
+const test = base.test.extend({
+	// Value for the PREFERRED_WXR_PARSER constant, or null for the importer's default.
+	parser: [null, { option: true }],
+	// Blueprint object or path to a blueprint JSON file. Defaults to e2e/playground.blueprint.json.
+	blueprint: [undefined, { option: true }],
+	// Extra wp-config constants.
+	constants: [{}, { option: true }],
+	// Extra { hostPath, vfsPath } mounts, e.g. the plugin under test in another repository.
+	mounts: [[], { option: true }],
+	// Let PHP make outbound HTTP requests, e.g. to the attachment server.
+	networking: [false, { option: true }],
+	// Routes to add to, or override in, the attachment server's defaults.
+	attachmentRoutes: [{}, { option: true }],
+
+	playground: async ({ parser, blueprint, constants, mounts, networking }, use) => {
+		const server = await startPlayground({ parser, blueprint, constants, mounts, networking });
+		try {
+			await use({
+				url: server.url,
+				client: server.client,
+				abs: (u) => `${server.url}${u}`,
+				runPhp: (code) => runPhp(server.client, code),
+			});
+		} finally {
+			await server.stop();
+		}
+	},
+
+	attachmentServer: async ({ attachmentRoutes }, use) => {
+		const server = await startAttachmentServer({ routes: attachmentRoutes });
+		try {
+			await use(server);
+		} finally {
+			await server.stop();
+		}
+	},
+
+	baseURL: async ({ playground }, use) => {
+		await use(playground.url);
+	},
+});
+
+module.exports = {
+	test,
+	expect: base.expect.extend({ toMatchBlockMarkup }),
+};
@@ -0,0 +1,287 @@
+// Runs imports in a Playground site without a browser or an HTTP server in
+// between: every call of the importer's REST API is dispatched inside PHP with
+// rest_do_request(), as the site's first administrator.
+const fs = require('fs');
+const path = require('path');
+const { createImportClient } = require('../../src/js/import-client');
+
+// Where request bodies are handed to PHP.
+const BODY_PATH = '/tmp/wxr-import-request-body';
+
+// How the summary labels the records of each log severity.
+const SUMMARY_COLUMNS = {
+	info: 'imported',
+	notice: 'skipped',
+	warning: 'warnings',
+	error: 'failed',
+};
+
+/**
+ * Runs PHP with the importer loaded, as the site's first administrator.
+ *
+ * @param {Object} client The `client` of a started Playground.
+ * @param {string} code   PHP code, without the opening tag. Its output is discarded;
+ *                        set $result to what should be returned.
+ * @return {Promise<*>} $result, decoded from JSON.
+ */
+async function runAsAdmin(client, code) {
+	const response = await client.run({
+		code: `<?php
+			define( 'WP_LOAD_IMPORTERS', true );
+			require_once '/wordpress/wp-load.php';
+			require_once ABSPATH . 'wp-admin/includes/admin.php';
+			$admins = get_users( array( 'role' => 'administrator', 'orderby' => 'ID', 'number' => 1, 'fields' => 'ID' ) );
+			wp_set_current_user( (int) reset( $admins ) );
+			ob_start();
+			$result = null;
+			${code}
+			ob_end_clean();
+			echo wp_json_encode( $result );
+		`,
+	});
+	if (response.exitCode) {
+		throw new Error(`PHP exited with code ${response.exitCode}: ${response.errors}`);
+	}
+	return JSON.parse(response.text);
+}
+
+/**
+ * A fetch() for createImportClient() that dispatches requests with rest_do_request().
+ *
+ * @param {Object} client The `client` of a started Playground.
+ * @return {Function}
+ */
+function createPhpFetch(client) {
+	return async (url, { method, headers = {}, body }) => {
+		const { pathname, searchParams } = new URL(url, 'http://rest');
+		if (body !== undefined) {
+			await client.writeFile(
+				BODY_PATH,
+				typeof body === 'string' ? body : new Uint8Array(body)
+			);
+		}
+		const request = Buffer.from(
+			JSON.stringify({
+				method,
+				route: pathname,
+				query: Object.fromEntries(searchParams),
+				headers,
+				body: body !== undefined,
+			})
+		).toString('base64');
+
+		const response = await runAsAdmin(
+			client,
+			`
+			$args    = json_decode( base64_decode( '${request}' ), true );
+			$request = new WP_REST_Request( $args['method'], $args['route'] );
+			$request->set_query_params( $args['query'] );
+			$request->set_headers( $args['headers'] );
+			if ( $args['body'] ) {
+				$request->set_body( file_get_contents( '${BODY_PATH}' ) );
+			}
+			$response = rest_do_request( $request );
+			$result   = array(
+				'status' => $response->get_status(),
+				'data'   => rest_get_server()->response_to_data( $response, false ),
+			);
+			if ( $args['body'] ) {
+				unlink( '${BODY_PATH}' );
+			}
+		`
+		);
+
+		return {
+			ok: response.status >= 200 && response.status < 300,
+			status: response.status,
+			json: async () => response.data,
+		};
+	};
+}
+
+/**
+ * Reads every record of an import log.
+ *
+ * @param {Object} importClient See createImportClient().
+ * @param {number} id           Import ID.
+ * @return {Promise<Array>}
+ */
+async function getAllLogRecords(importClient, id) {
+	const perPage = 1000;
+	let records = [];
+	for (let page = 1; ; page++) {
+		const batch = await importClient.getLog(id, { page, per_page: perPage });
+		records = records.concat(batch);
+		if (batch.length < perPage) {
+			return records;
+		}
+	}
+}
+
+/**
+ * Imports a WXR file into a started Playground.
+ *
+ * Each author is assigned to mapAuthors, if given, or else to the user the
+ * importer suggests for them, or else a user is created with their login.
+ *
+ * @param {Object}  client The `client` of a started Playground.
+ * @param {string}  file   Path of the WXR file.
+ * @param {Object}  [options]
+ * @param {string}  [options.parser]           Parser to use instead of the site's preferred one.
+ * @param {string}  [options.mapAuthors]       Login of the user to assign every author's posts to.
+ * @param {boolean} [options.rewriteUrls]      Change all imported URLs. Defaults to true.
+ * @param {boolean} [options.fetchAttachments] Download and import file attachments. Defaults to false.
+ * @param {Function} [options.onProgress]      Called with the import after each step.
+ * @return {Promise<{import: Object, records: Array}>} The finished import and its log records.
+ */
+async function importWxrHeadless(
+	client,
+	file,
+	{ parser = '', mapAuthors, rewriteUrls = true, fetchAttachments = false, onProgress } = {}
+) {
+	let userId = 0;
+	if (mapAuthors) {
+		userId = await runAsAdmin(
+			client,
+			`$user   = get_user_by( 'login', base64_decode( '${Buffer.from(mapAuthors).toString('base64')}' ) );
+			$result = $user ? $user->ID : 0;`
+		);
+		if (!userId) {
+			throw new Error(`There is no user ${mapAuthors} to map the authors to.`);
+		}
+	}
+
+	const importClient = createImportClient({ root: '/', fetch: createPhpFetch(client) });
+	const report = onProgress || (() => {});
+
+	const uploaded = await importClient.upload(fs.readFileSync(file), path.basename(file));
+	report(uploaded);
+	await importClient.setOptions(uploaded.id, {
+		authors: uploaded.authors.map((author) => ({
+			login: author.login,
+			user_id: userId || (author.suggested_user ? author.suggested_user.id : 0),
+		})),
+		fetch_attachments: fetchAttachments,
+		rewrite_urls: rewriteUrls,
+		parser,
+	});
+
+	let result = await importClient.start(uploaded.id);
+	report(result);
+	while (result.status === 'running') {
+		result = await importClient.runBatch(uploaded.id);
+		report(result);
+	}
+
+	return { import: result, records: await getAllLogRecords(importClient, uploaded.id) };
+}
+
+/**
+ * Counts log records by item type and severity.
+ *
+ * @param {Array} records Log records.
+ * @return {Object} Type => { imported, skipped, warnings, failed }.
+ */
+function summarizeLog(records) {
+	const summary = {};
+	for (const record of records) {
+		const type = record.type || 'other';
+		if (!summary[type]) {
+			summary[type] = Object.fromEntries(
+				Object.values(SUMMARY_COLUMNS).map((column) => [column, 0])
+			);
+		}
+		if (SUMMARY_COLUMNS[record.severity]) {
+			summary[type][SUMMARY_COLUMNS[record.severity]]++;
+		}
+	}
+	return summary;
+}
+
+/**
+ * Formats summarizeLog() as a table, followed by every warning and failure.
+ *
+ * @param {Array} records Log records.
+ * @return {string}
+ */
+function formatSummary(records) {
+	const columns = Object.values(SUMMARY_COLUMNS);
+	const rows = Object.entries(summarizeLog(records)).map(([type, counts]) => [
+		type,
+		...columns.map((column) => String(counts[column])),
+	]);
+	const table = [['type', ...columns], ...rows];
+	const widths = table[0].map((_, i) => Math.max(...table.map((row) => row[i].length)));
+	const lines = table.map((row) =>
+		row.map((cell, i) => (i ? cell.padStart(widths[i]) : cell.padEnd(widths[i]))).join('  ')
+	);
+
+	const problems = records.filter((r) => r.severity === 'error' || r.severity === 'warning');
+	if (problems.length) {
+		lines.push('');
+		for (const record of problems) {
+			const item = record.original_id ? ` ${record.type} #${record.original_id}` : '';
+			lines.push(`${record.severity}${item}: ${decodeMessage(record.message)}`);
+		}
+	}
+	return lines.join('\n');
+}
+
+/**
+ * @param {string} message Log message, which is HTML.
+ * @return {string} Plain text.
+ */
+function decodeMessage(message) {
+	const entities = {
+		amp: '&',
+		lt: '<',
+		gt: '>',
+		quot: '"',
+		'#039': "'",
+		'#8220': '“',
+		'#8221': '”',
+	};
+	return message
+		.replace(/<[^>]*>/g, '')
+		.replace(/&(amp|lt|gt|quot|#039|#8220|#8221);/g, (match, name) => entities[name]);
+}
+
+/**
+ * Copies the site's database and uploads out of Playground.
+ *
+ * @param {Object} client    The `client` of a started Playground.
+ * @param {string} outputDir Gets `database/` and `uploads/` from wp-content.
+ * @return {Promise<number>} How many files were written.
+ */
+async function saveSite(client, outputDir) {
+	let count = 0;
+	async function copy(from, to) {
+		if (!(await client.fileExists(from))) {
+			return;
+		}
+		if (!(await client.isDir(from))) {
+			fs.mkdirSync(path.dirname(to), { recursive: true });
+			fs.writeFileSync(to, await client.readFileAsBuffer(from));
+			count++;
+			return;
+		}
+		fs.mkdirSync(to, { recursive: true });
+		for (const name of await client.listFiles(from)) {
+			await copy(`${from}/${name}`, path.join(to, name));
+		}
+	}
+
+	for (const dir of ['database', 'uploads']) {
+		await copy(`/wordpress/wp-content/${dir}`, path.join(outputDir, dir));
+	}
+	return count;
+}
+
+module.exports = {
+	runAsAdmin,
+	createPhpFetch,
+	importWxrHeadless,
+	summarizeLog,
+	formatSummary,
+	saveSite,
+};
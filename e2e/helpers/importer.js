@@ -0,0 +1,492 @@
+// Browser helpers that drive the importer screens in wp-admin.
+// URLs are relative to the page's baseURL, which the `playground` fixture
+// points at the Playground instance started for the current test.
+const { expect } = require('playwright/test');
+const path = require('path');
+const fs = require('fs');
+
+const { createImportClient } = require('../../src/js/import-client');
+
+const FIXTURES_DIR = path.resolve(__dirname, '../fixtures');
+
+function resolveFixture(filename) {
+	return path.isAbsolute(filename) ? filename : path.resolve(FIXTURES_DIR, filename);
+}
+
+/**
+ * Writes a copy of a fixture with `{{NAME}}` placeholders filled in, e.g. the
+ * URL of a server that only exists while the test runs.
+ *
+ * @param {string} filename   Fixture name under e2e/fixtures, or an absolute path.
+ * @param {Object} vars       Placeholder values keyed by NAME.
+ * @param {string} outputPath Where to write the rendered file, e.g. testInfo.outputPath(filename).
+ * @return {string} outputPath
+ */
+function renderFixture(filename, vars, outputPath) {
+	const template = fs.readFileSync(resolveFixture(filename), 'utf8');
+	const rendered = template.replace(/\{\{(\w+)\}\}/g, (match, name) => {
+		if (!(name in vars)) {
+			throw new Error(`No value for placeholder ${match} in ${filename}`);
+		}
+		return vars[name];
+	});
+	fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+	fs.writeFileSync(outputPath, rendered);
+	return outputPath;
+}
+
+async function loginIfNeeded(page) {
+	if (page.url().includes('wp-login.php')) {
+		await page.fill('#user_login', 'admin');
+		await page.fill('#user_pass', 'password');
+		await page.click('#wp-submit');
+		await page.waitForURL('**/wp-admin/**');
+	}
+}
+
+async function goToImporter(page) {
+	await page.goto('/wp-admin/');
+	await loginIfNeeded(page);
+	await page.goto('/wp-admin/admin.php?import=wordpress');
+	await loginIfNeeded(page);
+}
+
+/**
+ * Uploads a WXR file and waits for the import options screen (step=1).
+ *
+ * The upload form checks the file in the browser first and holds back files
+ * with problems until "Upload anyway" is clicked, which this does unless
+ * uploadAnyway is false. The file is then uploaded in parts.
+ *
+ * @param {import('playwright/test').Page} page
+ * @param {string}  filename               Fixture name under e2e/fixtures, or an absolute path.
+ * @param {Object}  [options]
+ * @param {number}  [options.timeout]      How long the check, the upload and step=1 may take.
+ * @param {boolean} [options.uploadAnyway] Upload files the check found problems with.
+ * @return {Promise<boolean>} false when uploadAnyway is false and the check held the file back.
+ */
+async function uploadWxr(page, filename, { timeout, uploadAnyway = true } = {}) {
+	await goToImporter(page);
+
+	const fileInput = page.locator('#upload, input[type="file"][name="import"]');
+	await fileInput.waitFor({ state: 'visible' });
+	await fileInput.setInputFiles(resolveFixture(filename));
+
+	const uploaded = page.waitForURL('**/admin.php?import=wordpress&step=1**', {
+		waitUntil: 'domcontentloaded',
+		timeout,
+	});
+	await page.getByRole('button', { name: /Upload file and import/i }).click();
+	if (!uploadAnyway) {
+		const held = page
+			.locator('#import-preflight[data-status="problems"]')
+			.waitFor({ timeout })
+			.then(() => false);
+		return Promise.race([uploaded.then(() => true), held]);
+	}
+
+	const anyway = page.locator('#import-upload-anyway');
+	// Not awaited: files without problems go straight to step=1.
+	anyway
+		.waitFor({ state: 'visible', timeout })
+		.then(() => anyway.click())
+		.catch(() => {});
+	await uploaded;
+	return true;
+}
+
+/**
+ * Waits until the import on the progress screen (step=2) has run all its
+ * batches and tried to download its attachment files, or has stopped because
+ * a batch failed.
+ *
+ * @param {import('playwright/test').Page} page
+ * @param {Object} [options]
+ * @param {number} [options.timeout] How long the batches may take, and again how long the
+ *                                   downloads may take. Defaults to two minutes.
+ * @return {Promise<'done'|'failed'|null>} null when step=2 printed an error instead of
+ *         starting the import.
+ */
+async function waitForImport(page, { timeout = 120000 } = {}) {
+	if (!(await page.locator('#import-progress').count())) {
+		return null;
+	}
+	const progress = page.locator('#import-progress:not([data-status="running"])');
+	await progress.waitFor({ timeout });
+	const status = await progress.getAttribute('data-status');
+	if (status === 'done') {
+		// Failed downloads are left for getFailedDownloads() to report.
+		await page
+			.locator('#import-downloads[data-status="done"]')
+			.waitFor({ state: 'attached', timeout });
+	}
+	return status;
+}
+
+/**
+ * Gives up on the attachment files that could not be downloaded, which deletes
+ * their attachments.
+ *
+ * @param {import('playwright/test').Page} page
+ */
+async function skipFailedDownloads(page) {
+	await page.getByRole('button', { name: 'Skip failed downloads' }).click();
+	await expect(page.locator('#import-downloads')).toHaveAttribute('data-status', 'done');
+	await expect(page.locator('#import-downloads-list tr[data-status="failed"]')).toHaveCount(0);
+}
+
+/**
+ * Reads the attachment files that could not be downloaded, from the progress
+ * screen (step=2) or the download screen (step=3).
+ *
+ * @param {import('playwright/test').Page} page
+ * @return {Promise<Array<{title: string, url: string, error: string}>>}
+ */
+async function getFailedDownloads(page) {
+	return page.locator('#import-downloads-list tr[data-status="failed"]').evaluateAll((rows) =>
+		rows.map((row) => ({
+			title: row.querySelector('.import-download-title').textContent,
+			url: row.querySelector('.import-download-url').textContent,
+			error: row.querySelector('.import-download-error').textContent,
+		}))
+	);
+}
+
+/**
+ * Runs the whole upload → step=1 → step=2 flow.
+ *
+ * Options left undefined keep whatever the import options screen defaults to.
+ *
+ * @param {import('playwright/test').Page} page
+ * @param {string} filename Fixture name under e2e/fixtures, or an absolute path.
+ * @param {Object}  [options]
+ * @param {boolean} [options.rewriteUrls]       Check or uncheck "Change all imported URLs".
+ * @param {boolean} [options.fetchAttachments]  Check or uncheck "Download and import file attachments".
+ * @param {boolean} [options.mapAuthorsToAdmin] Assign every imported author to the admin user.
+ * @param {number}  [options.timeout]           Navigation timeout for the upload and import requests,
+ *                                              and how long the import's batches may take.
+ * @param {boolean} [options.complete]          Expect "All done.". Pass false when the import is
+ *                                              meant to stop early.
+ * @return {Promise<'done'|'failed'|null>} How the import ended, see waitForImport().
+ */
+async function runWxrImport(
+	page,
+	filename,
+	{
+		rewriteUrls = true,
+		fetchAttachments,
+		mapAuthorsToAdmin = false,
+		timeout,
+		complete = true,
+	} = {}
+) {
+	await uploadWxr(page, filename, { timeout });
+
+	if (rewriteUrls === true) {
+		await page.check('#rewrite-urls');
+	} else if (rewriteUrls === false) {
+		await page.uncheck('#rewrite-urls');
+	}
+
+	const attachmentsCheckbox = page.locator('input[name="fetch_attachments"]');
+	if (fetchAttachments !== undefined && (await attachmentsCheckbox.count())) {
+		await attachmentsCheckbox.setChecked(fetchAttachments).catch(() => {});
+	}
+
+	if (mapAuthorsToAdmin) {
+		await mapAllAuthorsToAdmin(page);
+	}
+
+	// Proceed to step=2 (author mapping defaults to current user)
+	await page.getByRole('button', { name: /^Submit$/i }).click();
+	await page.waitForURL('**/admin.php?import=wordpress&step=2**', {
+		waitUntil: 'domcontentloaded',
+		timeout,
+	});
+
+	const status = await waitForImport(page, { timeout });
+	if (!complete) {
+		return status;
+	}
+
+	// Verify import success
+	expect(status).toBe('done');
+	await expect(page.locator('text=All done.')).toBeVisible();
+	await expect(page.locator('a[href$="/wp-admin/"]')).toBeVisible();
+	return status;
+}
+
+/**
+ * Reads a nonce for the REST API from the logged-in site.
+ *
+ * @param {import('playwright/test').Page} page
+ * @return {Promise<string>}
+ */
+async function getRestNonce(page) {
+	const response = await page.request.get('/wp-admin/admin-ajax.php?action=rest-nonce');
+	expect(response.ok()).toBeTruthy();
+	return response.text();
+}
+
+/**
+ * A client for the importer's REST API that sends the page's cookies, see
+ * src/js/import-client.js.
+ *
+ * @param {import('playwright/test').Page} page
+ * @return {Promise<Object>}
+ */
+async function getImportClient(page) {
+	await page.goto('/wp-admin/');
+	await loginIfNeeded(page);
+
+	return createImportClient({
+		root: '/wp-json/',
+		nonce: await getRestNonce(page),
+		fetch: async (url, { method, headers, body }) => {
+			const response = await page.request.fetch(url, { method, headers, data: body });
+			return { ok: response.ok(), status: response.status(), json: () => response.json() };
+		},
+	});
+}
+
+/**
+ * Imports a WXR file over the REST API, without the importer screens.
+ *
+ * Like the import options screen, each author is assigned to the user the
+ * importer suggests for them, or else a user is created with their login.
+ *
+ * @param {import('playwright/test').Page} page
+ * @param {string} filename Fixture name under e2e/fixtures, or an absolute path.
+ * @param {Object}  [options]
+ * @param {boolean} [options.rewriteUrls]       Change all imported URLs. Defaults to true.
+ * @param {boolean} [options.fetchAttachments]  Download and import file attachments. Defaults to false.
+ * @param {boolean} [options.mapAuthorsToAdmin] Assign every imported author to the admin user.
+ * @param {string}  [options.parser]            Parser to use instead of the site's preferred one.
+ * @return {Promise<Object>} The finished import, as the REST API returns it.
+ */
+async function importWxrWithRest(
+	page,
+	filename,
+	{ rewriteUrls = true, fetchAttachments = false, mapAuthorsToAdmin = false, parser = '' } = {}
+) {
+	const client = await getImportClient(page);
+	const uploaded = await client.upload(
+		fs.readFileSync(resolveFixture(filename)),
+		path.basename(filename)
+	);
+
+	let admin = null;
+	if (mapAuthorsToAdmin) {
+		const response = await page.request.get('/wp-json/wp/v2/users/me', {
+			headers: { 'X-WP-Nonce': await getRestNonce(page) },
+		});
+		admin = (await response.json()).id;
+	}
+
+	await client.setOptions(uploaded.id, {
+		authors: uploaded.authors.map((author) => ({
+			login: author.login,
+			user_id: admin || (author.suggested_user ? author.suggested_user.id : 0),
+		})),
+		fetch_attachments: fetchAttachments,
+		rewrite_urls: rewriteUrls,
+		parser,
+	});
+
+	let result = await client.start(uploaded.id);
+	while (result.status === 'running') {
+		result = await client.runBatch(uploaded.id);
+	}
+	expect(result.status).toBe('done');
+	return result;
+}
+
+/**
+ * Picks a user in one of the user searches of the author mapping.
+ *
+ * @param {import('playwright/test').Locator} search The search field.
+ * @param {string} text What to type, e.g. a login. The first user whose name contains it is picked.
+ */
+async function chooseUser(search, text) {
+	await search.fill(text);
+	const results = search.page().locator(`#${await search.getAttribute('aria-controls')}`);
+	await results.getByRole('option', { name: text }).first().click();
+}
+
+/**
+ * The author mapping of one imported author on the import options screen (step=1).
+ *
+ * @param {import('playwright/test').Page} page
+ * @param {string} login The author's login in the WXR file.
+ * @return {import('playwright/test').Locator}
+ */
+function authorRow(page, login) {
+	return page.locator('#authors > li', {
+		has: page.locator(`input[name^="imported_authors"][value="${login}"]`),
+	});
+}
+
+/**
+ * Maps an imported author on the import options screen (step=1).
+ *
+ * @param {import('playwright/test').Page} page
+ * @param {string} login          The author's login in the WXR file.
+ * @param {Object} choice
+ * @param {string} [choice.user]  Assign the posts to the user found by searching for this.
+ * @param {string} [choice.create] Create a new user with this login, or '' for the login in the file.
+ */
+async function mapAuthor(page, login, { user, create }) {
+	const row = authorRow(page, login);
+	if (user !== undefined) {
+		await chooseUser(row.getByRole('combobox'), user);
+	} else {
+		await row.getByLabel('Create a new user').check();
+		await row.locator('input[name^="user_new"]').fill(create);
+	}
+}
+
+// Assign the imported authors to the admin user, with "Assign all remaining authors to". Authors
+// the importer matched with another user keep that match.
+async function mapAllAuthorsToAdmin(page) {
+	const mapAll = page.locator('#import-authors-map-all-search');
+	if (await mapAll.count()) {
+		await chooseUser(mapAll, 'admin');
+		await page.locator('#import-authors-map-all button').click();
+	} else if (await page.locator('#authors > li').count()) {
+		// A single author has no "Assign all".
+		await chooseUser(page.locator('#authors').getByRole('combobox'), 'admin');
+	}
+}
+
+// Importer messages by kind. Each one is printed on its own line in .wrap.
+const IMPORTER_MESSAGE_KINDS = [
+	['rejected', /^Sorry, there has been an error\./],
+	['failed', /^Failed to (import|create)\b/],
+	['skipped', /^Menu item skipped\b/],
+	['exists', / already exists\.$/],
+	['unsupported', /may not be supported by this version of the importer/],
+];
+
+/**
+ * Reads the messages the importer printed on the current screen.
+ *
+ * @param {import('playwright/test').Page} page
+ * @return {Promise<Array<{kind: string, text: string, detail?: string}>>} `detail`
+ *         holds the reason printed below "Sorry, there has been an error."
+ */
+async function getImporterMessages(page) {
+	const lines = (await page.locator('.wrap').innerText())
+		.split('\n')
+		.map((line) => line.trim())
+		.filter(Boolean);
+	const messages = [];
+	lines.forEach((text, i) => {
+		const match = IMPORTER_MESSAGE_KINDS.find(([, pattern]) => pattern.test(text));
+		if (!match) {
+			return;
+		}
+		const message = { kind: match[0], text };
+		if (match[0] === 'rejected') {
+			message.detail = lines[i + 1];
+		}
+		messages.push(message);
+	});
+	return messages;
+}
+
+// Helper: Get posts via REST API
+async function getPosts(request, searchTerm = '', perPage = 10) {
+	const searchParam = searchTerm ? `&search=${encodeURIComponent(searchTerm)}` : '';
+	const res = await request.get(
+		`/wp-json/wp/v2/posts?_embed=1${searchParam}&per_page=${perPage}`
+	);
+	expect(res.ok()).toBeTruthy();
+	const posts = await res.json();
+	expect(Array.isArray(posts)).toBeTruthy();
+	return posts;
+}
+
+// Helper: Get posts via REST API with context=edit (raw content)
+async function getPostsEdit(page, searchTerm = '', perPage = 10) {
+	// Ensure we're on admin to access a REST nonce
+	await page.goto('/wp-admin/');
+	await loginIfNeeded(page);
+
+	// Try to read REST API nonce from the admin page
+	const nonce = await page.evaluate(() => {
+		return (
+			(window && window.wpApiSettings && window.wpApiSettings.nonce) ||
+			(document.querySelector('meta[name="_wpnonce"]') &&
+				document.querySelector('meta[name="_wpnonce"]').getAttribute('content')) ||
+			(document.querySelector('meta[name="x-wp-nonce"]') &&
+				document.querySelector('meta[name="x-wp-nonce"]').getAttribute('content')) ||
+			(document.querySelector('meta[name="wp-rest-nonce"]') &&
+				document.querySelector('meta[name="wp-rest-nonce"]').getAttribute('content')) ||
+			''
+		);
+	});
+
+	const searchParam = searchTerm ? `&search=${encodeURIComponent(searchTerm)}` : '';
+	const url = `/wp-json/wp/v2/posts?_embed=1${searchParam}&per_page=${perPage}&context=edit`;
+	const headers = nonce ? { 'X-WP-Nonce': nonce } : {};
+	const res = await page.request.get(url, { headers });
+	if (!res.ok()) {
+		const bodyText = await res.text();
+		throw new Error(`Failed to fetch posts with context=edit: ${res.status()} ${bodyText}`);
+	}
+	const posts = await res.json();
+	expect(Array.isArray(posts)).toBeTruthy();
+	return posts;
+}
+
+// Helper: Find post by title
+function findPostByTitle(posts, titleContains) {
+	const post = posts.find((p) => p?.title?.rendered?.includes(titleContains));
+	expect(post, `Post not found with title containing: ${titleContains}`).toBeTruthy();
+	return post;
+}
+
+// Helper: Verify post in admin list
+async function verifyPostInAdminList(page, titleContains) {
+	await page.goto('/wp-admin/edit.php');
+	await loginIfNeeded(page);
+
+	const row = page.locator('table.wp-list-table tbody tr', {
+		hasText: titleContains,
+	});
+	await expect(row).toHaveCount(1);
+	await expect(row.locator('.row-title')).toContainText(titleContains);
+	await expect(row).toContainText('admin');
+}
+
+// Helper: Navigate to post frontend
+async function goToPostFrontend(page, post) {
+	expect(typeof post.link).toBe('string');
+	await page.goto(post.link);
+}
+
+module.exports = {
+	FIXTURES_DIR,
+	resolveFixture,
+	renderFixture,
+	loginIfNeeded,
+	goToImporter,
+	uploadWxr,
+	waitForImport,
+	runWxrImport,
+	getRestNonce,
+	getImportClient,
+	importWxrWithRest,
+	chooseUser,
+	authorRow,
+	mapAuthor,
+	mapAllAuthorsToAdmin,
+	getImporterMessages,
+	getFailedDownloads,
+	skipFailedDownloads,
+	getPosts,
+	getPostsEdit,
+	findPostByTitle,
+	verifyPostInAdminList,
+	goToPostFrontend,
+};
@@ -0,0 +1,51 @@
+<?php
+/**
+ * E2E helper MU plugin: let the importer download attachments from the local
+ * attachment server started by e2e/helpers/attachment-server.js.
+ *
+ * wp_safe_remote_get() refuses loopback hosts and non-standard ports, so both
+ * are allowed for the server URL passed in through E2E_ATTACHMENT_SERVER_URL.
+ */
+
+if ( defined( 'E2E_ATTACHMENT_SERVER_URL' ) ) {
+	add_filter(
+		'http_request_host_is_external',
+		function ( $is_external, $host ) {
+			return $is_external || wp_parse_url( E2E_ATTACHMENT_SERVER_URL, PHP_URL_HOST ) === $host;
+		},
+		10,
+		2
+	);
+
+	add_filter(
+		'http_allowed_safe_ports',
+		function ( $ports ) {
+			$ports[] = (int) wp_parse_url( E2E_ATTACHMENT_SERVER_URL, PHP_URL_PORT );
+			return $ports;
+		}
+	);
+}
+
+/**
+ * Cap the attachment size so the "Remote file is too large" branch can be tested.
+ */
+if ( defined( 'E2E_ATTACHMENT_SIZE_LIMIT' ) ) {
+	add_filter(
+		'import_attachment_size_limit',
+		function () {
+			return (int) E2E_ATTACHMENT_SIZE_LIMIT;
+		}
+	);
+}
+
+/**
+ * Shorten the waits between download retries so failing files are reported quickly.
+ */
+if ( defined( 'E2E_DOWNLOAD_RETRY_DELAY' ) ) {
+	add_filter(
+		'wp_import_download_retry_delay',
+		function () {
+			return (float) E2E_DOWNLOAD_RETRY_DELAY;
+		}
+	);
+}
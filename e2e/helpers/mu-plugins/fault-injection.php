@@ -0,0 +1,90 @@
+<?php
+/**
+ * E2E helper MU plugin: make parts of an import fail on purpose, so that the
+ * importer's error paths can be tested.
+ *
+ * Faults are read from the e2e_faults option, which e2e/helpers/faults.js
+ * sets, and only apply between import_start and the end of that request,
+ * i.e. to one batch of a batched import:
+ *
+ *  - fail_post_insert:      1-based numbers of the wp_insert_post() calls that fail.
+ *  - reject_terms:          Taxonomies that refuse every new term.
+ *  - throw_on_meta:         Meta keys whose post, term or comment meta update throws.
+ *  - stop_after_posts:      End the request after this many posts were inserted.
+ *  - fail_user_creation:    Refuse to create users for imported authors.
+ *  - fail_attachment_fetch: Fail every attachment download.
+ */
+
+add_action(
+	'import_start',
+	function () {
+		$faults = get_option( 'e2e_faults' );
+		if ( ! $faults ) {
+			return;
+		}
+
+		if ( ! empty( $faults['fail_post_insert'] ) ) {
+			$inserts = 0;
+			add_filter(
+				'wp_insert_post_empty_content',
+				function ( $maybe_empty ) use ( &$inserts, $faults ) {
+					++$inserts;
+					return $maybe_empty || in_array( $inserts, array_map( 'intval', (array) $faults['fail_post_insert'] ), true );
+				}
+			);
+		}
+
+		if ( ! empty( $faults['reject_terms'] ) ) {
+			add_filter(
+				'pre_insert_term',
+				function ( $term, $taxonomy ) use ( $faults ) {
+					if ( in_array( $taxonomy, (array) $faults['reject_terms'], true ) ) {
+						return new WP_Error( 'e2e_fault', sprintf( 'Injected fault: %s rejects new terms.', $taxonomy ) );
+					}
+					return $term;
+				},
+				10,
+				2
+			);
+		}
+
+		if ( ! empty( $faults['throw_on_meta'] ) ) {
+			$throw = function ( $check, $object_id, $meta_key ) use ( $faults ) {
+				if ( in_array( $meta_key, (array) $faults['throw_on_meta'], true ) ) {
+					throw new RuntimeException( sprintf( 'Injected fault: could not write meta %s.', $meta_key ) );
+				}
+				return $check;
+			};
+			foreach ( array( 'post', 'term', 'comment' ) as $meta_type ) {
+				add_filter( "add_{$meta_type}_metadata", $throw, 10, 3 );
+				add_filter( "update_{$meta_type}_metadata", $throw, 10, 3 );
+			}
+		}
+
+		if ( ! empty( $faults['stop_after_posts'] ) ) {
+			$inserted = 0;
+			add_action(
+				'wp_import_insert_post',
+				function () use ( &$inserted, $faults ) {
+					if ( ++$inserted >= (int) $faults['stop_after_posts'] ) {
+						exit;
+					}
+				}
+			);
+		}
+
+		if ( ! empty( $faults['fail_user_creation'] ) ) {
+			// wp_insert_user() refuses an empty login.
+			add_filter( 'pre_user_login', '__return_empty_string' );
+		}
+
+		if ( ! empty( $faults['fail_attachment_fetch'] ) ) {
+			add_filter(
+				'pre_http_request',
+				function () {
+					return new WP_Error( 'e2e_fault', 'Injected fault: the download failed.' );
+				}
+			);
+		}
+	}
+);
@@ -0,0 +1,17 @@
+<?php
+/**
+ * E2E helper MU plugin: lower the number of users the author dropdowns list.
+ *
+ * With E2E_AUTHOR_DROPDOWN_LIMIT set below the number of users on the site,
+ * the import options screen lists only the current user and the suggested
+ * match, as it would on a site with thousands of users.
+ */
+
+if ( defined( 'E2E_AUTHOR_DROPDOWN_LIMIT' ) ) {
+	add_filter(
+		'wp_import_author_dropdown_limit',
+		function () {
+			return (int) E2E_AUTHOR_DROPDOWN_LIMIT;
+		}
+	);
+}
@@ -0,0 +1,16 @@
+<?php
+/**
+ * E2E helper MU plugin: shorten the batches of a batched import.
+ *
+ * With E2E_IMPORT_BATCH_TIME_LIMIT set to 0, every batch imports a single
+ * item, so that a test can stop and resume an import between any two items.
+ */
+
+if ( defined( 'E2E_IMPORT_BATCH_TIME_LIMIT' ) ) {
+	add_filter(
+		'wp_import_batch_time_limit',
+		function () {
+			return (float) E2E_IMPORT_BATCH_TIME_LIMIT;
+		}
+	);
+}
@@ -0,0 +1,38 @@
+<?php
+/**
+ * E2E helper MU plugin: settings of the download form, which imports a file
+ * from a URL or from a directory on the server.
+ *
+ * - E2E_FETCH_DIRECTORY: Directory under wp-content to allow importing files from.
+ * - E2E_FETCH_CHUNK_SIZE: Size of the parts files are fetched in, so that even
+ *   small fixtures take several parts.
+ * - E2E_FETCH_SIZE_LIMIT: Largest file the form fetches, in bytes.
+ */
+
+if ( defined( 'E2E_FETCH_DIRECTORY' ) ) {
+	add_filter(
+		'wp_import_fetch_directories',
+		function ( $directories ) {
+			$directories[] = WP_CONTENT_DIR . '/' . E2E_FETCH_DIRECTORY;
+			return $directories;
+		}
+	);
+}
+
+if ( defined( 'E2E_FETCH_CHUNK_SIZE' ) ) {
+	add_filter(
+		'wp_import_fetch_chunk_size',
+		function () {
+			return (int) E2E_FETCH_CHUNK_SIZE;
+		}
+	);
+}
+
+if ( defined( 'E2E_FETCH_SIZE_LIMIT' ) ) {
+	add_filter(
+		'wp_import_fetch_size_limit',
+		function () {
+			return (int) E2E_FETCH_SIZE_LIMIT;
+		}
+	);
+}
@@ -0,0 +1,66 @@
+<?php
+/**
+ * E2E helper MU plugin: time each phase of an import for e2e/benchmark.spec.js.
+ *
+ * When E2E_IMPORT_PROFILER is defined, the registered importer is swapped for
+ * a WP_Import subclass that wraps every phase in a timer. Each request's
+ * timings, memory usage and peak memory are stored in the
+ * e2e_import_profile option under the importer step that produced them,
+ * with the batches of a batched import counted as step 2.
+ */
+
+if ( ! defined( 'E2E_IMPORT_PROFILER' ) ) {
+	return;
+}
+
+add_action(
+	'admin_init',
+	function () {
+		if ( ! class_exists( 'WP_Import' ) ) {
+			return;
+		}
+
+		require_once __DIR__ . '/import-profiler/class-e2e-profiled-import.php';
+
+		global $wp_importers;
+		$GLOBALS['wp_import']         = new E2E_Profiled_Import();
+		$wp_importers['wordpress'][2] = array( $GLOBALS['wp_import'], 'dispatch' );
+	},
+	11
+);
+
+add_action(
+	'shutdown',
+	function () {
+		if ( ! isset( $GLOBALS['wp_import'] ) || ! $GLOBALS['wp_import'] instanceof E2E_Profiled_Import || ! $GLOBALS['wp_import']->e2e_phases ) {
+			return;
+		}
+
+		$step = isset( $_GET['step'] ) ? (int) $_GET['step'] : 0;
+
+		$profile = get_option( 'e2e_import_profile', array() );
+		$phases  = $GLOBALS['wp_import']->e2e_phases;
+		$peak    = memory_get_peak_usage();
+
+		// The batches of step 2 run over admin-ajax.php. Add them to what step 2 itself took.
+		if ( wp_doing_ajax() ) {
+			$step = 2;
+			if ( isset( $profile['step2'] ) ) {
+				foreach ( $profile['step2']['phases'] as $phase => $timing ) {
+					if ( isset( $phases[ $phase ] ) ) {
+						$phases[ $phase ]['ms'] += $timing['ms'];
+					} else {
+						$phases[ $phase ] = $timing;
+					}
+				}
+				$peak = max( $peak, $profile['step2']['peakMemory'] );
+			}
+		}
+
+		$profile[ "step$step" ] = array(
+			'phases'     => $phases,
+			'peakMemory' => $peak,
+		);
+		update_option( 'e2e_import_profile', $profile, false );
+	}
+);
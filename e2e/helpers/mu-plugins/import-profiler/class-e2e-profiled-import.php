@@ -0,0 +1,121 @@
+<?php
+/**
+ * Loaded by import-profiler.php once WP_Import exists.
+ */
+
+/**
+ * WP_Import with timers around each phase.
+ */
+class E2E_Profiled_Import extends WP_Import {
+	/**
+	 * Phase name => array( 'ms' => float, 'memory' => int ).
+	 *
+	 * Batches call each phase once per item, so the times add up.
+	 *
+	 * @var array
+	 */
+	public $e2e_phases = array();
+
+	private function e2e_time( $phase, $callback ) {
+		$start  = microtime( true );
+		$result = $callback();
+
+		$ms = isset( $this->e2e_phases[ $phase ] ) ? $this->e2e_phases[ $phase ]['ms'] : 0;
+
+		$this->e2e_phases[ $phase ] = array(
+			'ms'     => round( $ms + ( microtime( true ) - $start ) * 1000, 3 ),
+			'memory' => memory_get_usage(),
+		);
+		return $result;
+	}
+
+	public function handle_upload() {
+		return $this->e2e_time(
+			'upload',
+			function () {
+				return parent::handle_upload();
+			}
+		);
+	}
+
+	public function parse( $file ) {
+		return $this->e2e_time(
+			'parse',
+			function () use ( $file ) {
+				return parent::parse( $file );
+			}
+		);
+	}
+
+	public function get_author_mapping() {
+		return $this->e2e_time(
+			'get_author_mapping',
+			function () {
+				return parent::get_author_mapping();
+			}
+		);
+	}
+
+	public function process_categories() {
+		return $this->e2e_time(
+			'process_categories',
+			function () {
+				return parent::process_categories();
+			}
+		);
+	}
+
+	public function process_tags() {
+		return $this->e2e_time(
+			'process_tags',
+			function () {
+				return parent::process_tags();
+			}
+		);
+	}
+
+	public function process_terms() {
+		return $this->e2e_time(
+			'process_terms',
+			function () {
+				return parent::process_terms();
+			}
+		);
+	}
+
+	public function process_posts() {
+		return $this->e2e_time(
+			'process_posts',
+			function () {
+				return parent::process_posts();
+			}
+		);
+	}
+
+	public function backfill_parents() {
+		return $this->e2e_time(
+			'backfill_parents',
+			function () {
+				return parent::backfill_parents();
+			}
+		);
+	}
+
+	public function backfill_attachment_urls() {
+		return $this->e2e_time(
+			'backfill_attachment_urls',
+			function () {
+				return parent::backfill_attachment_urls();
+			}
+		);
+	}
+
+	public function remap_featured_images() {
+		return $this->e2e_time(
+			'remap_featured_images',
+			function () {
+				return parent::remap_featured_images();
+			}
+		);
+	}
+}
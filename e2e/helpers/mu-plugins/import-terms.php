@@ -0,0 +1,17 @@
+<?php
+/**
+ * E2E helper MU plugin: lower the number of terms the term mapping lists.
+ *
+ * With E2E_TERM_DROPDOWN_LIMIT set below the number of terms in a taxonomy,
+ * the import options screen searches for existing terms instead of listing
+ * them, as it would on a site with thousands of terms.
+ */
+
+if ( defined( 'E2E_TERM_DROPDOWN_LIMIT' ) ) {
+	add_filter(
+		'wp_import_term_dropdown_limit',
+		function () {
+			return (int) E2E_TERM_DROPDOWN_LIMIT;
+		}
+	);
+}
@@ -0,0 +1,16 @@
+<?php
+/**
+ * E2E helper MU plugin: shrink the parts the upload form uploads files in.
+ *
+ * With E2E_UPLOAD_CHUNK_SIZE set to a few kilobytes, even small fixtures are
+ * uploaded in several parts, so that a test can interrupt and resume an upload.
+ */
+
+if ( defined( 'E2E_UPLOAD_CHUNK_SIZE' ) ) {
+	add_filter(
+		'wp_import_upload_chunk_size',
+		function () {
+			return (int) E2E_UPLOAD_CHUNK_SIZE;
+		}
+	);
+}
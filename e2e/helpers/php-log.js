@@ -0,0 +1,62 @@
+// Collects PHP notices, warnings and errors from a Playground site.
+//
+// Pass PHP_LOG_CONSTANTS to the `constants` option so that WordPress writes
+// them to a log file instead of the page, then read them back with readPhpLog().
+
+const PHP_LOG_PATH = '/wordpress/wp-content/debug.log';
+
+const PHP_LOG_CONSTANTS = {
+	WP_DEBUG: true,
+	WP_DEBUG_DISPLAY: false,
+	WP_DEBUG_LOG: PHP_LOG_PATH,
+};
+
+// [19-Oct-2026 10:00:00 UTC] PHP Warning:  Undefined array key "x" in /wordpress/… on line 12
+const LOG_LINE = /^\[[^\]]+\] PHP ([A-Za-z ]+?):\s+(.*) in (\/\S+) on line (\d+)$/;
+
+/**
+ * Parses the entries of a PHP error log. Lines that don't start an entry,
+ * such as stack traces, are ignored.
+ *
+ * @param {string} log
+ * @return {Array<{level: string, message: string, file: string, line: number}>}
+ */
+function parsePhpLog(log) {
+	const entries = [];
+	for (const line of log.split('\n')) {
+		const match = LOG_LINE.exec(line.trim());
+		if (match) {
+			entries.push({
+				level: match[1],
+				message: match[2],
+				file: match[3],
+				line: Number(match[4]),
+			});
+		}
+	}
+	return entries;
+}
+
+/**
+ * Reads and clears the PHP log of a site started with PHP_LOG_CONSTANTS.
+ *
+ * @param {Object} playground The `playground` fixture, or any { runPhp(code) }.
+ * @return {Promise<Array<{level: string, message: string, file: string, line: number}>>}
+ */
+async function readPhpLog(playground) {
+	const log = await playground.runPhp(`
+		$path = '${PHP_LOG_PATH}';
+		if ( file_exists( $path ) ) {
+			echo file_get_contents( $path );
+			unlink( $path );
+		}
+	`);
+	return parsePhpLog(log);
+}
+
+module.exports = {
+	PHP_LOG_PATH,
+	PHP_LOG_CONSTANTS,
+	parsePhpLog,
+	readPhpLog,
+};
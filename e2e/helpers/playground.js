@@ -0,0 +1,180 @@
+// Boots a WordPress Playground instance with this plugin mounted.
+// Polyfill crypto for @wp-playground/cli compatibility
+if (!globalThis.crypto) {
+	const nodeCrypto = require('crypto');
+	globalThis.crypto = nodeCrypto.webcrypto || nodeCrypto;
+}
+const { runCLI } = require('@wp-playground/cli');
+const path = require('path');
+const net = require('net');
+const http = require('http');
+const fs = require('fs');
+
+const PLUGIN_SRC = path.resolve(__dirname, '../../src');
+const MU_PLUGINS_SRC = path.resolve(__dirname, './mu-plugins');
+const DEFAULT_BLUEPRINT = path.resolve(__dirname, '../playground.blueprint.json');
+
+function sleep(ms) {
+	return new Promise((r) => setTimeout(r, ms));
+}
+
+async function waitUntilAlive(url, timeoutMs = 30000) {
+	const end = Date.now() + timeoutMs;
+	while (Date.now() < end) {
+		try {
+			await new Promise((resolve, reject) => {
+				const req = http.request(url, { method: 'HEAD' }, (res) => {
+					res.destroy();
+					if (res.statusCode && res.statusCode < 500) resolve(true);
+					else reject(new Error('Bad status'));
+				});
+				req.on('error', reject);
+				req.end();
+			});
+			return true;
+		} catch (_) {}
+		await sleep(300);
+	}
+	throw new Error('Playground server did not become ready in time');
+}
+
+async function getAvailablePort() {
+	return new Promise((resolve, reject) => {
+		const srv = net.createServer();
+		srv.unref();
+		srv.on('error', reject);
+		srv.listen(0, '127.0.0.1', () => {
+			const { port } = srv.address();
+			srv.close(() => resolve(port));
+		});
+	});
+}
+
+function loadBlueprint(blueprint) {
+	if (blueprint && typeof blueprint === 'object') {
+		return structuredClone(blueprint);
+	}
+	return JSON.parse(fs.readFileSync(blueprint || DEFAULT_BLUEPRINT, 'utf8'));
+}
+
+/**
+ * Starts a Playground server on a free port.
+ *
+ * @param {Object}        [options]
+ * @param {string|null}   [options.parser]    Value for the PREFERRED_WXR_PARSER constant.
+ * @param {Object|string} [options.blueprint] Blueprint object or path to a blueprint JSON file.
+ *                                            Defaults to e2e/playground.blueprint.json.
+ * @param {Object}        [options.constants] Extra wp-config constants.
+ * @param {Array}         [options.mounts]    Extra { hostPath, vfsPath } mounts, e.g. another plugin.
+ * @param {boolean}       [options.networking] Let PHP make outbound HTTP requests.
+ * @return {Promise<{url: string, client: Object, stop: Function}>}
+ */
+async function startPlayground({
+	parser = null,
+	blueprint,
+	constants = {},
+	mounts = [],
+	networking = false,
+} = {}) {
+	const port = await getAvailablePort();
+	const siteUrl = `http://127.0.0.1:${port}`;
+
+	const blueprintConfig = {
+		command: 'server',
+		blueprint: loadBlueprint(blueprint),
+		blueprintMayReadAdjacentFiles: true,
+		mount: [
+			{
+				hostPath: PLUGIN_SRC,
+				vfsPath: '/wordpress/wp-content/plugins/wordpress-importer',
+			},
+			{
+				hostPath: MU_PLUGINS_SRC,
+				vfsPath: '/wordpress/wp-content/mu-plugins',
+			},
+			...mounts,
+		],
+		port,
+		siteUrl,
+		quiet: true,
+	};
+
+	// Add constants if parser is specified
+	const allConstants = parser ? { ...constants, PREFERRED_WXR_PARSER: parser } : constants;
+	if (Object.keys(allConstants).length) {
+		blueprintConfig.blueprint.constants = {
+			...(blueprintConfig.blueprint?.constants || {}),
+			...allConstants,
+		};
+	}
+
+	if (networking) {
+		blueprintConfig.blueprint.features = {
+			...(blueprintConfig.blueprint.features || {}),
+			networking: true,
+		};
+	}
+
+	const cli = await runCLI(blueprintConfig);
+
+	await waitUntilAlive(`${siteUrl}/wp-admin/`);
+
+	// Dispose of the whole CLI server, not just the HTTP listener, so that the
+	// PHP workers are shut down too when specs run in parallel.
+	const stop = async () => {
+		try {
+			await cli[Symbol.asyncDispose]();
+		} catch (e) {
+			console.error(e);
+		}
+	};
+
+	return { url: siteUrl, client: cli.playground, stop };
+}
+
+/**
+ * Runs PHP code inside a booted Playground with WordPress loaded.
+ *
+ * @param {Object} client The `client` returned by startPlayground().
+ * @param {string} code   PHP code, without the opening tag.
+ * @return {Promise<string>} Whatever the code printed.
+ */
+async function runPhp(client, code) {
+	const response = await client.run({
+		code: `<?php require_once '/wordpress/wp-load.php';\n${code}`,
+	});
+	if (response.exitCode) {
+		throw new Error(`PHP exited with code ${response.exitCode}: ${response.errors}`);
+	}
+	return response.text;
+}
+
+/**
+ * Starts a Playground, hands it to `callback` and stops it afterwards, for
+ * specs that need several sites in one test.
+ *
+ * @param {Object}   options  startPlayground() options.
+ * @param {Function} callback Receives { url, client, runPhp(code) }, like the `playground` fixture.
+ * @return {Promise<*>} Whatever `callback` returns.
+ */
+async function withPlayground(options, callback) {
+	const server = await startPlayground(options);
+	try {
+		return await callback({
+			url: server.url,
+			client: server.client,
+			runPhp: (code) => runPhp(server.client, code),
+		});
+	} finally {
+		await server.stop();
+	}
+}
+
+module.exports = {
+	sleep,
+	waitUntilAlive,
+	getAvailablePort,
+	startPlayground,
+	runPhp,
+	withPlayground,
+};
@@ -0,0 +1,322 @@
+// Dumps what an import left behind in a Playground site, and diffs two dumps.
+//
+// Records are keyed by natural keys (post type and slug, taxonomy and term
+// slug, user login, menu slug) rather than database IDs, and IDs inside
+// records are replaced by the natural key of the thing they point at. That way
+// two sites that imported the same WXR file compare equal even when one of
+// them skipped an item and every later ID shifted.
+
+// Placeholder for the site URL, which differs between Playground instances.
+const SITE_URL_PLACEHOLDER = '{{SITE_URL}}';
+
+// Post meta whose values are post IDs.
+const POST_ID_META_KEYS = ['_thumbnail_id', '_menu_item_object_id', '_menu_item_menu_item_parent'];
+
+const DUMP_PHP = `
+$post_id_meta_keys = json_decode( '${JSON.stringify(POST_ID_META_KEYS)}', true );
+$taxonomies        = get_taxonomies();
+
+function e2e_dump_post_key( $post ) {
+	$post = get_post( $post );
+	if ( ! $post ) {
+		return null;
+	}
+	return $post->post_type . '/' . ( '' !== $post->post_name ? $post->post_name : $post->post_title );
+}
+
+function e2e_dump_term_key( $term_id, $taxonomy ) {
+	$term = get_term( (int) $term_id, $taxonomy );
+	return $term && ! is_wp_error( $term ) ? $term->taxonomy . '/' . $term->slug : null;
+}
+
+function e2e_dump_user_login( $user_id ) {
+	$user = $user_id ? get_userdata( $user_id ) : false;
+	return $user ? $user->user_login : null;
+}
+
+function e2e_dump_meta( $meta, $skip = array() ) {
+	$out = array();
+	foreach ( $meta as $key => $values ) {
+		if ( in_array( $key, $skip, true ) ) {
+			continue;
+		}
+		$out[ $key ] = array_map( 'maybe_unserialize', $values );
+	}
+	ksort( $out );
+	return $out;
+}
+
+$dump = array(
+	'posts' => array(),
+	'terms' => array(),
+	'users' => array(),
+	'menus' => array(),
+);
+
+$posts = get_posts(
+	array(
+		'post_type'        => 'any',
+		'post_status'      => 'any',
+		'numberposts'      => -1,
+		'orderby'          => 'ID',
+		'order'            => 'ASC',
+		'suppress_filters' => true,
+	)
+);
+// 'any' leaves out post types excluded from search, such as nav_menu_item.
+$posts = array_merge(
+	$posts,
+	get_posts(
+		array(
+			'post_type'   => array_values( get_post_types( array( 'exclude_from_search' => true ) ) ),
+			'post_status' => 'any',
+			'numberposts' => -1,
+			'orderby'     => 'ID',
+			'order'       => 'ASC',
+		)
+	)
+);
+
+foreach ( $posts as $post ) {
+	$key = e2e_dump_post_key( $post );
+	if ( isset( $dump['posts'][ $key ] ) ) {
+		$key .= '#' . $post->ID;
+	}
+
+	$meta = e2e_dump_meta( get_post_meta( $post->ID ), array( '_edit_lock', '_edit_last', '_wp_import_provenance', '_wp_import_guid', '_wp_import_source' ) );
+	foreach ( $post_id_meta_keys as $meta_key ) {
+		if ( isset( $meta[ $meta_key ] ) ) {
+			$meta[ $meta_key ] = array_map( 'e2e_dump_post_key', $meta[ $meta_key ] );
+		}
+	}
+	// Menu items that link to a term store the term ID in _menu_item_object_id.
+	if ( isset( $meta['_menu_item_type'] ) && array( 'taxonomy' ) === $meta['_menu_item_type'] ) {
+		$meta['_menu_item_object_id'] = array(
+			e2e_dump_term_key( get_post_meta( $post->ID, '_menu_item_object_id', true ), get_post_meta( $post->ID, '_menu_item_object', true ) ),
+		);
+	}
+
+	$terms = array();
+	foreach ( get_object_taxonomies( $post->post_type ) as $taxonomy ) {
+		$slugs = wp_get_object_terms( $post->ID, $taxonomy, array( 'fields' => 'slugs' ) );
+		if ( ! is_wp_error( $slugs ) && $slugs ) {
+			sort( $slugs );
+			$terms[ $taxonomy ] = $slugs;
+		}
+	}
+
+	$comments     = array();
+	$comment_keys = array();
+	foreach ( get_comments( array( 'post_id' => $post->ID, 'status' => 'all', 'orderby' => 'comment_ID', 'order' => 'ASC' ) ) as $comment ) {
+		$comment_key = $comment->comment_date_gmt . ' ' . $comment->comment_author;
+		if ( isset( $comments[ $comment_key ] ) ) {
+			$comment_key .= '#' . $comment->comment_ID;
+		}
+		$comment_keys[ $comment->comment_ID ] = $comment_key;
+
+		$comments[ $comment_key ] = array(
+			'author'      => $comment->comment_author,
+			'authorEmail' => $comment->comment_author_email,
+			'authorUrl'   => $comment->comment_author_url,
+			'authorIp'    => $comment->comment_author_IP,
+			'user'        => e2e_dump_user_login( $comment->user_id ),
+			'date'        => $comment->comment_date,
+			'dateGmt'     => $comment->comment_date_gmt,
+			'content'     => $comment->comment_content,
+			'approved'    => $comment->comment_approved,
+			'type'        => $comment->comment_type,
+			'parent'      => $comment->comment_parent ? ( $comment_keys[ $comment->comment_parent ] ?? null ) : null,
+			'meta'        => e2e_dump_meta( get_comment_meta( $comment->comment_ID ) ),
+		);
+	}
+
+	$dump['posts'][ $key ] = array(
+		'title'         => $post->post_title,
+		'content'       => $post->post_content,
+		'excerpt'       => $post->post_excerpt,
+		'status'        => $post->post_status,
+		'date'          => $post->post_date,
+		'dateGmt'       => $post->post_date_gmt,
+		'author'        => e2e_dump_user_login( $post->post_author ),
+		'parent'        => $post->post_parent ? e2e_dump_post_key( $post->post_parent ) : null,
+		'menuOrder'     => $post->menu_order,
+		'commentStatus' => $post->comment_status,
+		'pingStatus'    => $post->ping_status,
+		'password'      => $post->post_password,
+		'mimeType'      => $post->post_mime_type,
+		'guid'          => $post->guid,
+		'sticky'        => is_sticky( $post->ID ),
+		'terms'         => $terms,
+		'meta'          => $meta,
+		'comments'      => $comments,
+	);
+}
+
+foreach ( get_terms( array( 'taxonomy' => array_values( $taxonomies ), 'hide_empty' => false ) ) as $term ) {
+	$parent = $term->parent ? get_term( $term->parent, $term->taxonomy ) : null;
+
+	$dump['terms'][ $term->taxonomy . '/' . $term->slug ] = array(
+		'name'        => $term->name,
+		'description' => $term->description,
+		'parent'      => $parent && ! is_wp_error( $parent ) ? $parent->slug : null,
+		'count'       => $term->count,
+		'meta'        => e2e_dump_meta( get_term_meta( $term->term_id ) ),
+	);
+}
+
+foreach ( get_users() as $user ) {
+	$dump['users'][ $user->user_login ] = array(
+		'email'       => $user->user_email,
+		'displayName' => $user->display_name,
+		'firstName'   => $user->first_name,
+		'lastName'    => $user->last_name,
+		'roles'       => array_values( $user->roles ),
+	);
+}
+
+foreach ( wp_get_nav_menus() as $menu ) {
+	$items = array();
+	foreach ( (array) wp_get_nav_menu_items( $menu->term_id, array( 'post_status' => 'any' ) ) as $item ) {
+		if ( 'post_type' === $item->type ) {
+			$target = e2e_dump_post_key( $item->object_id );
+		} elseif ( 'taxonomy' === $item->type ) {
+			$target = e2e_dump_term_key( $item->object_id, $item->object );
+		} else {
+			$target = $item->url;
+		}
+		$items[] = array(
+			'item'   => e2e_dump_post_key( $item->ID ),
+			'title'  => $item->title,
+			'type'   => $item->type,
+			'object' => $item->object,
+			'target' => $target,
+			'parent' => $item->menu_item_parent ? e2e_dump_post_key( (int) $item->menu_item_parent ) : null,
+		);
+	}
+	$dump['menus'][ $menu->slug ] = $items;
+}
+
+foreach ( $dump as &$records ) {
+	ksort( $records );
+}
+echo wp_json_encode( $dump );
+`;
+
+function replaceStrings(value, replacements) {
+	if (typeof value === 'string') {
+		return replacements.reduce((str, [from, to]) => str.split(from).join(to), value);
+	}
+	if (Array.isArray(value)) {
+		return value.map((v) => replaceStrings(v, replacements));
+	}
+	if (value && typeof value === 'object') {
+		return Object.fromEntries(
+			Object.entries(value).map(([k, v]) => [k, replaceStrings(v, replacements)])
+		);
+	}
+	return value;
+}
+
+/**
+ * Dumps the posts, terms, meta, comments, users and menus of a Playground site.
+ *
+ * @param {Object} playground        The `playground` fixture, or any { url, runPhp(code) }.
+ * @param {Object} [options]
+ * @param {Object} [options.replace] Other run-specific strings to replace, e.g.
+ *                                   { [attachmentServer.url]: '{{ATTACHMENT_SERVER_URL}}' }.
+ * @return {Promise<{posts: Object, terms: Object, users: Object, menus: Object}>}
+ *         Records keyed by natural key, with the site URL replaced by {{SITE_URL}}.
+ */
+async function dumpSite(playground, { replace = {} } = {}) {
+	const output = await playground.runPhp(DUMP_PHP);
+	const dump = replaceStrings(JSON.parse(output), [
+		[playground.url, SITE_URL_PLACEHOLDER],
+		...Object.entries(replace),
+	]);
+	// PHP encodes an empty section as [] rather than {}.
+	for (const section of Object.keys(dump)) {
+		if (Array.isArray(dump[section])) {
+			dump[section] = {};
+		}
+	}
+	return dump;
+}
+
+/**
+ * Keeps only the records an import added or changed, so that a snapshot
+ * doesn't depend on the sample content a fresh WordPress install ships with.
+ *
+ * @param {Object} before dumpSite() result taken before the import.
+ * @param {Object} after  dumpSite() result taken after the import.
+ * @return {Object} A dump with the same sections and sorted record keys.
+ */
+function importedRecords(before, after) {
+	const result = {};
+	for (const [section, records] of Object.entries(after)) {
+		const previous = before[section] || {};
+		result[section] = {};
+		for (const key of Object.keys(records).sort()) {
+			if (JSON.stringify(records[key]) !== JSON.stringify(previous[key])) {
+				result[section][key] = records[key];
+			}
+		}
+	}
+	return result;
+}
+
+function isPlainObject(value) {
+	return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function diffValues(a, b, path, diffs) {
+	if (isPlainObject(a) && isPlainObject(b)) {
+		const keys = [...new Set([...Object.keys(a), ...Object.keys(b)])].sort();
+		for (const key of keys) {
+			diffValues(a[key], b[key], [...path, key], diffs);
+		}
+		return;
+	}
+	if (JSON.stringify(a) !== JSON.stringify(b)) {
+		diffs.push({ path: path.join(' > '), a, b });
+	}
+}
+
+/**
+ * Lists every field that differs between two site dumps.
+ *
+ * A record that exists on only one side is reported once, with `undefined`
+ * on the other side, rather than once per field.
+ *
+ * @param {Object} a A dumpSite() result.
+ * @param {Object} b Another dumpSite() result.
+ * @return {Array<{path: string, a: *, b: *}>} Paths look like
+ *         `posts > post/hello-world > meta > _thumbnail_id`.
+ */
+function diffDumps(a, b) {
+	const diffs = [];
+	diffValues(a, b, [], diffs);
+	return diffs;
+}
+
+/**
+ * Formats one diffDumps() entry for a failure message.
+ *
+ * @param {{path: string, a: *, b: *}} diff
+ * @param {string[]} [labels] Names for the two sides.
+ * @return {string}
+ */
+function formatDumpDiff(diff, [labelA, labelB] = ['a', 'b']) {
+	const show = (v) =>
+		v === undefined ? '(missing)' : JSON.stringify(v, null, 2).replace(/\n/g, '\n    ');
+	return [`${diff.path}:`, `  ${labelA}: ${show(diff.a)}`, `  ${labelB}: ${show(diff.b)}`].join(
+		'\n'
+	);
+}
+
+module.exports = {
+	SITE_URL_PLACEHOLDER,
+	dumpSite,
+	importedRecords,
+	diffDumps,
+	formatDumpDiff,
+};
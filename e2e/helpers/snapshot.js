@@ -0,0 +1,75 @@
+// Golden-file snapshots of an imported site.
+//
+// Each fixture's golden file sits next to it: wxr-simple.xml is checked
+// against wxr-simple.snapshot.json. Re-record them with
+//
+//     npx playwright test --update-snapshots
+//
+// and review the JSON diff like any other change.
+const { expect } = require('playwright/test');
+const fs = require('fs');
+const { diffDumps, formatDumpDiff } = require('./site-dump');
+const { resolveFixture } = require('./importer');
+
+function goldenPathFor(fixture) {
+	return resolveFixture(fixture).replace(/\.xml$/, '') + '.snapshot.json';
+}
+
+function writeGolden(goldenPath, snapshot) {
+	fs.writeFileSync(goldenPath, JSON.stringify(snapshot, null, '\t') + '\n');
+}
+
+/**
+ * Compares a site snapshot with the fixture's golden file.
+ *
+ * Follows Playwright's --update-snapshots modes: `all` and `changed` rewrite
+ * the golden file, `missing` (the default) writes it only when it doesn't
+ * exist yet and fails the test so the new file gets reviewed, and `none`
+ * never writes.
+ *
+ * @param {Object} snapshot A dumpSite() or importedRecords() result.
+ * @param {string} fixture  Fixture name under e2e/fixtures, or an absolute path.
+ * @param {import('playwright/test').TestInfo} testInfo
+ */
+async function expectSiteSnapshot(snapshot, fixture, testInfo) {
+	const goldenPath = goldenPathFor(fixture);
+	const mode = testInfo.config.updateSnapshots;
+
+	if (!fs.existsSync(goldenPath)) {
+		if (mode === 'none') {
+			throw new Error(`Golden file ${goldenPath} does not exist`);
+		}
+		writeGolden(goldenPath, snapshot);
+		if (mode === 'missing') {
+			throw new Error(
+				`Golden file ${goldenPath} did not exist, writing the current snapshot`
+			);
+		}
+		return;
+	}
+
+	const golden = JSON.parse(fs.readFileSync(goldenPath, 'utf8'));
+	const diffs = diffDumps(golden, snapshot);
+	if (!diffs.length) {
+		return;
+	}
+	if (mode === 'all' || mode === 'changed') {
+		writeGolden(goldenPath, snapshot);
+		return;
+	}
+
+	await testInfo.attach('actual.snapshot.json', {
+		body: JSON.stringify(snapshot, null, '\t'),
+		contentType: 'application/json',
+	});
+	expect(
+		diffs,
+		`Imported site differs from ${goldenPath} in ${diffs.length} place(s):\n\n` +
+			diffs.map((diff) => formatDumpDiff(diff, ['golden', 'actual'])).join('\n\n')
+	).toEqual([]);
+}
+
+module.exports = {
+	goldenPathFor,
+	expectSiteSnapshot,
+};
@@ -0,0 +1,509 @@
+// Builds WXR documents in code, so tests can create fixtures inline.
+//
+//     const { WxrBuilder } = require('./helpers/wxr-builder');
+//
+//     const wxr = new WxrBuilder({ baseSiteUrl: 'https://example.com' })
+//         .author({ login: 'alice' })
+//         .category({ slug: 'news', name: 'News' })
+//         .term({ taxonomy: 'genre', slug: 'jazz', name: 'Jazz', meta: { legacy_id: 7 } })
+//         .post({ title: 'Hello', categories: ['news'], meta: { settings: { a: 1 } } })
+//         .posts(function* () {
+//             for (let i = 0; i < 5000; i++) yield { title: `Post ${i}` };
+//         });
+//
+//     await wxr.writeFile(testInfo.outputPath('generated.xml'));
+//
+// Items passed to posts() are only generated while writing, so very large
+// files are streamed to disk without being held in memory.
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_DATE = '2024-06-05 16:04:48';
+
+/**
+ * Serializes a value the way PHP's serialize() does, for meta values.
+ *
+ * @param {*} value null, boolean, number, string, array or plain object.
+ * @return {string}
+ */
+function phpSerialize(value) {
+	if (value === null || value === undefined) {
+		return 'N;';
+	}
+	if (typeof value === 'boolean') {
+		return `b:${value ? 1 : 0};`;
+	}
+	if (typeof value === 'number') {
+		return Number.isInteger(value) ? `i:${value};` : `d:${value};`;
+	}
+	if (typeof value === 'string') {
+		return `s:${Buffer.byteLength(value, 'utf8')}:"${value}";`;
+	}
+	const entries = Array.isArray(value) ? value.map((v, i) => [i, v]) : Object.entries(value);
+	const body = entries
+		.map(([key, v]) => {
+			const phpKey = /^(0|-?[1-9]\d*)$/.test(String(key))
+				? `i:${key};`
+				: phpSerialize(String(key));
+			return phpKey + phpSerialize(v);
+		})
+		.join('');
+	return `a:${entries.length}:{${body}}`;
+}
+
+function escapeXml(text) {
+	return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+// Wraps text in CDATA, splitting any "]]>" it contains across two sections.
+function cdata(text) {
+	return `<![CDATA[${String(text ?? '').replace(/]]>/g, ']]]]><![CDATA[>')}]]>`;
+}
+
+function slugify(text) {
+	return String(text)
+		.toLowerCase()
+		.replace(/[^a-z0-9]+/g, '-')
+		.replace(/^-|-$/g, '');
+}
+
+function toPubDate(dateGmt) {
+	return new Date(`${dateGmt.replace(' ', 'T')}Z`).toUTCString().replace('GMT', '+0000');
+}
+
+// Accepts { key: value } or [{ key, value, cdata }] and returns the latter.
+function normalizeMeta(meta = []) {
+	const entries = Array.isArray(meta)
+		? meta
+		: Object.entries(meta).map(([key, value]) => ({ key, value }));
+	return entries.map(({ key, value, cdata: useCdata = true }) => ({
+		key,
+		value:
+			value !== null && typeof value === 'object' ? phpSerialize(value) : String(value ?? ''),
+		cdata: useCdata,
+	}));
+}
+
+function metaXml(tag, meta, indent) {
+	return normalizeMeta(meta)
+		.map(
+			({ key, value, cdata: useCdata }) =>
+				`${indent}<wp:${tag}>\n` +
+				`${indent}\t<wp:meta_key>${cdata(key)}</wp:meta_key>\n` +
+				`${indent}\t<wp:meta_value>${useCdata ? cdata(value) : escapeXml(value)}</wp:meta_value>\n` +
+				`${indent}</wp:${tag}>\n`
+		)
+		.join('');
+}
+
+/**
+ * Chainable builder for a WXR document.
+ */
+class WxrBuilder {
+	/**
+	 * @param {Object}      [channel]
+	 * @param {string|null} [channel.version]     wxr_version. 1.0 has no <wp:author> elements.
+	 *                                            Any other string, such as 'abc', is written
+	 *                                            as is. null leaves the tag out.
+	 * @param {string}      [channel.title]
+	 * @param {string}      [channel.link]
+	 * @param {string}      [channel.description]
+	 * @param {string}      [channel.language]
+	 * @param {string}      [channel.baseSiteUrl]
+	 * @param {string}      [channel.baseBlogUrl] Defaults to baseSiteUrl.
+	 */
+	constructor(channel = {}) {
+		this.channel = {
+			version: '1.2',
+			title: 'Generated WXR',
+			baseSiteUrl: 'https://example.com',
+			description: '',
+			language: 'en-US',
+			...channel,
+		};
+		this.channel.link ??= this.channel.baseSiteUrl;
+		this.channel.baseBlogUrl ??= this.channel.baseSiteUrl;
+
+		this.authors = [];
+		this.categories = [];
+		this.tags = [];
+		this.terms = [];
+		// Posts, post iterables and raw markup, in document order.
+		this.items = [];
+
+		this.nextTermId = 100;
+		this.nextPostId = 1000;
+		this.nextCommentId = 5000;
+	}
+
+	/**
+	 * @param {Object} author { login, email, displayName, firstName, lastName, id }
+	 * @return {WxrBuilder}
+	 */
+	author(author) {
+		this.authors.push({ id: this.authors.length + 1, email: '', ...author });
+		return this;
+	}
+
+	/**
+	 * @param {Object} category { slug, name, parent (slug), description, id, meta }
+	 * @return {WxrBuilder}
+	 */
+	category(category) {
+		this.categories.push({ id: this.nextTermId++, parent: '', ...category });
+		return this;
+	}
+
+	/**
+	 * @param {Object} tag { slug, name, description, id, meta }
+	 * @return {WxrBuilder}
+	 */
+	tag(tag) {
+		this.tags.push({ id: this.nextTermId++, ...tag });
+		return this;
+	}
+
+	/**
+	 * @param {Object} term { taxonomy, slug, name, parent (slug), description, id, meta }
+	 * @return {WxrBuilder}
+	 */
+	term(term) {
+		this.terms.push({ id: this.nextTermId++, parent: '', ...term });
+		return this;
+	}
+
+	/**
+	 * Adds an item of any post type.
+	 *
+	 * @param {Object} post Any of: id, title, content, excerpt, type, status, name,
+	 *                      date, dateGmt, author (login), parent (id), menuOrder,
+	 *                      password, sticky, guid, link, commentStatus, pingStatus,
+	 *                      categories (slugs), tags (slugs), terms ([{ taxonomy, slug, name }]),
+	 *                      meta, comments ([{ id, author, email, url, ip, date, dateGmt,
+	 *                      content, approved, type, parent (id), userId, meta }]),
+	 *                      attachmentUrl.
+	 * @return {WxrBuilder}
+	 */
+	post(post) {
+		this.items.push({ post: { ...post, id: post.id ?? this.nextPostId++ } });
+		return this;
+	}
+
+	/**
+	 * Adds posts from an iterable, or a function returning one, that is only
+	 * consumed while the document is written.
+	 *
+	 * @param {Iterable<Object>|Function} posts
+	 * @return {WxrBuilder}
+	 */
+	posts(posts) {
+		this.items.push({ posts });
+		return this;
+	}
+
+	/**
+	 * @param {Object} attachment post() fields plus `url`, the file to download.
+	 * @return {WxrBuilder}
+	 */
+	attachment({ url, ...attachment }) {
+		return this.post({
+			type: 'attachment',
+			status: 'inherit',
+			attachmentUrl: url,
+			guid: url,
+			...attachment,
+		});
+	}
+
+	/**
+	 * Adds a nav menu item, and the nav_menu term for its menu if needed.
+	 *
+	 * @param {Object} item post() fields plus:
+	 *                      - menu:     Menu slug.
+	 *                      - itemType: 'custom' (default), 'post_type' or 'taxonomy'.
+	 *                      - object:   Post type or taxonomy the item links to.
+	 *                      - objectId: ID of the post or term the item links to.
+	 *                      - url:      For custom links.
+	 *                      - parentItem: ID of the parent menu item.
+	 * @return {WxrBuilder}
+	 */
+	menuItem({ menu, itemType = 'custom', object, objectId, url = '', parentItem = 0, ...item }) {
+		if (!this.terms.some((t) => t.taxonomy === 'nav_menu' && t.slug === menu)) {
+			this.term({ taxonomy: 'nav_menu', slug: menu, name: menu });
+		}
+		const id = item.id ?? this.nextPostId++;
+		return this.post({
+			id,
+			name: String(id),
+			type: 'nav_menu_item',
+			terms: [{ taxonomy: 'nav_menu', slug: menu, name: menu }],
+			...item,
+			meta: {
+				_menu_item_type: itemType,
+				_menu_item_menu_item_parent: String(parentItem),
+				_menu_item_object_id: String(objectId ?? id),
+				_menu_item_object: object ?? itemType,
+				_menu_item_target: '',
+				_menu_item_classes: [''],
+				_menu_item_xfn: '',
+				_menu_item_url: url,
+				...item.meta,
+			},
+		});
+	}
+
+	/**
+	 * Adds markup to the channel as is, e.g. to produce a malformed document.
+	 *
+	 * @param {string} markup
+	 * @return {WxrBuilder}
+	 */
+	raw(markup) {
+		this.items.push({ raw: markup });
+		return this;
+	}
+
+	*chunks() {
+		const { version } = this.channel;
+		// IDs for items and comments that don't set one, counted afresh for every write.
+		const ids = { post: this.nextPostId, comment: this.nextCommentId };
+		const ns = /^\d+\.\d+$/.test(version ?? '') ? version : '1.2';
+
+		yield '<?xml version="1.0" encoding="UTF-8" ?>\n';
+		yield '<rss version="2.0"\n' +
+			`\txmlns:excerpt="http://wordpress.org/export/${ns}/excerpt/"\n` +
+			'\txmlns:content="http://purl.org/rss/1.0/modules/content/"\n' +
+			'\txmlns:wfw="http://wellformedweb.org/CommentAPI/"\n' +
+			'\txmlns:dc="http://purl.org/dc/elements/1.1/"\n' +
+			`\txmlns:wp="http://wordpress.org/export/${ns}/"\n` +
+			'>\n';
+		yield '<channel>\n' +
+			`\t<title>${escapeXml(this.channel.title)}</title>\n` +
+			`\t<link>${escapeXml(this.channel.link)}</link>\n` +
+			`\t<description>${escapeXml(this.channel.description)}</description>\n` +
+			`\t<pubDate>${toPubDate(DEFAULT_DATE)}</pubDate>\n` +
+			`\t<language>${escapeXml(this.channel.language)}</language>\n` +
+			(version === null ? '' : `\t<wp:wxr_version>${escapeXml(version)}</wp:wxr_version>\n`) +
+			`\t<wp:base_site_url>${escapeXml(this.channel.baseSiteUrl)}</wp:base_site_url>\n` +
+			`\t<wp:base_blog_url>${escapeXml(this.channel.baseBlogUrl)}</wp:base_blog_url>\n`;
+
+		if (version !== '1.0') {
+			for (const author of this.authors) {
+				yield this.authorXml(author);
+			}
+		}
+		for (const category of this.categories) {
+			yield this.categoryXml(category);
+		}
+		for (const tag of this.tags) {
+			yield this.tagXml(tag);
+		}
+		for (const term of this.terms) {
+			yield this.termXml(term);
+		}
+		yield '\t<generator>https://wordpress.org/?v=6.5.4</generator>\n';
+
+		for (const item of this.items) {
+			if (item.raw !== undefined) {
+				yield item.raw;
+			} else if (item.post) {
+				yield this.postXml(item.post, ids);
+			} else {
+				const posts = typeof item.posts === 'function' ? item.posts() : item.posts;
+				for (const post of posts) {
+					yield this.postXml(post, ids);
+				}
+			}
+		}
+
+		yield '</channel>\n</rss>\n';
+	}
+
+	authorXml(author) {
+		return (
+			'\t<wp:author>\n' +
+			`\t\t<wp:author_id>${author.id}</wp:author_id>\n` +
+			`\t\t<wp:author_login>${cdata(author.login)}</wp:author_login>\n` +
+			`\t\t<wp:author_email>${cdata(author.email)}</wp:author_email>\n` +
+			`\t\t<wp:author_display_name>${cdata(author.displayName ?? author.login)}</wp:author_display_name>\n` +
+			`\t\t<wp:author_first_name>${cdata(author.firstName ?? '')}</wp:author_first_name>\n` +
+			`\t\t<wp:author_last_name>${cdata(author.lastName ?? '')}</wp:author_last_name>\n` +
+			'\t</wp:author>\n'
+		);
+	}
+
+	categoryXml(category) {
+		return (
+			'\t<wp:category>\n' +
+			`\t\t<wp:term_id>${category.id}</wp:term_id>\n` +
+			`\t\t<wp:category_nicename>${cdata(category.slug)}</wp:category_nicename>\n` +
+			`\t\t<wp:category_parent>${cdata(category.parent)}</wp:category_parent>\n` +
+			`\t\t<wp:cat_name>${cdata(category.name ?? category.slug)}</wp:cat_name>\n` +
+			(category.description === undefined
+				? ''
+				: `\t\t<wp:category_description>${cdata(category.description)}</wp:category_description>\n`) +
+			metaXml('termmeta', category.meta, '\t\t') +
+			'\t</wp:category>\n'
+		);
+	}
+
+	tagXml(tag) {
+		return (
+			'\t<wp:tag>\n' +
+			`\t\t<wp:term_id>${tag.id}</wp:term_id>\n` +
+			`\t\t<wp:tag_slug>${cdata(tag.slug)}</wp:tag_slug>\n` +
+			`\t\t<wp:tag_name>${cdata(tag.name ?? tag.slug)}</wp:tag_name>\n` +
+			(tag.description === undefined
+				? ''
+				: `\t\t<wp:tag_description>${cdata(tag.description)}</wp:tag_description>\n`) +
+			metaXml('termmeta', tag.meta, '\t\t') +
+			'\t</wp:tag>\n'
+		);
+	}
+
+	termXml(term) {
+		return (
+			'\t<wp:term>\n' +
+			`\t\t<wp:term_id>${term.id}</wp:term_id>\n` +
+			`\t\t<wp:term_taxonomy>${cdata(term.taxonomy)}</wp:term_taxonomy>\n` +
+			`\t\t<wp:term_slug>${cdata(term.slug)}</wp:term_slug>\n` +
+			`\t\t<wp:term_parent>${cdata(term.parent)}</wp:term_parent>\n` +
+			`\t\t<wp:term_name>${cdata(term.name ?? term.slug)}</wp:term_name>\n` +
+			(term.description === undefined
+				? ''
+				: `\t\t<wp:term_description>${cdata(term.description)}</wp:term_description>\n`) +
+			metaXml('termmeta', term.meta, '\t\t') +
+			'\t</wp:term>\n'
+		);
+	}
+
+	commentXml(comment, indent, ids) {
+		const date = comment.date ?? DEFAULT_DATE;
+		return (
+			`${indent}<wp:comment>\n` +
+			`${indent}\t<wp:comment_id>${comment.id ?? ids.comment++}</wp:comment_id>\n` +
+			`${indent}\t<wp:comment_author>${cdata(comment.author ?? '')}</wp:comment_author>\n` +
+			`${indent}\t<wp:comment_author_email>${cdata(comment.email ?? '')}</wp:comment_author_email>\n` +
+			`${indent}\t<wp:comment_author_url>${escapeXml(comment.url ?? '')}</wp:comment_author_url>\n` +
+			`${indent}\t<wp:comment_author_IP>${escapeXml(comment.ip ?? '')}</wp:comment_author_IP>\n` +
+			`${indent}\t<wp:comment_date>${cdata(date)}</wp:comment_date>\n` +
+			`${indent}\t<wp:comment_date_gmt>${cdata(comment.dateGmt ?? date)}</wp:comment_date_gmt>\n` +
+			`${indent}\t<wp:comment_content>${cdata(comment.content ?? '')}</wp:comment_content>\n` +
+			`${indent}\t<wp:comment_approved>${cdata(comment.approved ?? 1)}</wp:comment_approved>\n` +
+			`${indent}\t<wp:comment_type>${cdata(comment.type ?? '')}</wp:comment_type>\n` +
+			`${indent}\t<wp:comment_parent>${comment.parent ?? 0}</wp:comment_parent>\n` +
+			`${indent}\t<wp:comment_user_id>${comment.userId ?? 0}</wp:comment_user_id>\n` +
+			metaXml('commentmeta', comment.meta, `${indent}\t`) +
+			`${indent}</wp:comment>\n`
+		);
+	}
+
+	postXml(post, ids) {
+		const id = post.id ?? ids.post++;
+		const type = post.type ?? 'post';
+		const title = post.title ?? '';
+		const date = post.date ?? DEFAULT_DATE;
+		const dateGmt = post.dateGmt ?? date;
+		const author = post.author ?? this.authors[0]?.login ?? 'admin';
+		const link = post.link ?? `${this.channel.baseSiteUrl}/?p=${id}`;
+		const terms = [
+			...(post.categories ?? []).map((slug) => ({ taxonomy: 'category', slug })),
+			...(post.tags ?? []).map((slug) => ({ taxonomy: 'post_tag', slug })),
+			...(post.terms ?? []),
+		];
+
+		return (
+			'\t<item>\n' +
+			`\t\t<title>${cdata(title)}</title>\n` +
+			`\t\t<link>${escapeXml(link)}</link>\n` +
+			`\t\t<pubDate>${toPubDate(dateGmt)}</pubDate>\n` +
+			`\t\t<dc:creator>${cdata(author)}</dc:creator>\n` +
+			`\t\t<guid isPermaLink="false">${escapeXml(post.guid ?? link)}</guid>\n` +
+			'\t\t<description></description>\n' +
+			`\t\t<content:encoded>${cdata(post.content ?? '')}</content:encoded>\n` +
+			`\t\t<excerpt:encoded>${cdata(post.excerpt ?? '')}</excerpt:encoded>\n` +
+			`\t\t<wp:post_id>${id}</wp:post_id>\n` +
+			`\t\t<wp:post_date>${cdata(date)}</wp:post_date>\n` +
+			`\t\t<wp:post_date_gmt>${cdata(dateGmt)}</wp:post_date_gmt>\n` +
+			`\t\t<wp:comment_status>${cdata(post.commentStatus ?? 'open')}</wp:comment_status>\n` +
+			`\t\t<wp:ping_status>${cdata(post.pingStatus ?? 'open')}</wp:ping_status>\n` +
+			`\t\t<wp:post_name>${cdata(post.name ?? slugify(title))}</wp:post_name>\n` +
+			`\t\t<wp:status>${cdata(post.status ?? 'publish')}</wp:status>\n` +
+			`\t\t<wp:post_parent>${post.parent ?? 0}</wp:post_parent>\n` +
+			`\t\t<wp:menu_order>${post.menuOrder ?? 0}</wp:menu_order>\n` +
+			`\t\t<wp:post_type>${cdata(type)}</wp:post_type>\n` +
+			`\t\t<wp:post_password>${cdata(post.password ?? '')}</wp:post_password>\n` +
+			`\t\t<wp:is_sticky>${post.sticky ? 1 : 0}</wp:is_sticky>\n` +
+			(post.attachmentUrl === undefined
+				? ''
+				: `\t\t<wp:attachment_url>${cdata(post.attachmentUrl)}</wp:attachment_url>\n`) +
+			terms
+				.map(
+					({ taxonomy, slug, name }) =>
+						`\t\t<category domain="${escapeXml(taxonomy)}" nicename="${escapeXml(
+							slug
+						)}">${cdata(name ?? slug)}</category>\n`
+				)
+				.join('') +
+			metaXml('postmeta', post.meta, '\t\t') +
+			(post.comments ?? []).map((comment) => this.commentXml(comment, '\t\t', ids)).join('') +
+			'\t</item>\n'
+		);
+	}
+
+	/**
+	 * @param {Object} [options]
+	 * @param {number} [options.truncate] Cut the document after this many characters.
+	 * @return {string}
+	 */
+	toString({ truncate } = {}) {
+		let xml = '';
+		for (const chunk of this.chunks()) {
+			xml += chunk;
+			if (truncate !== undefined && xml.length >= truncate) {
+				return xml.slice(0, truncate);
+			}
+		}
+		return xml;
+	}
+
+	/**
+	 * Streams the document to a file.
+	 *
+	 * @param {string} filePath
+	 * @param {Object} [options]
+	 * @param {number} [options.truncate] Cut the document after this many characters.
+	 * @return {Promise<string>} filePath, e.g. to pass to runWxrImport().
+	 */
+	async writeFile(filePath, { truncate } = {}) {
+		fs.mkdirSync(path.dirname(filePath), { recursive: true });
+		const stream = fs.createWriteStream(filePath);
+		const finished = new Promise((resolve, reject) => {
+			stream.on('finish', resolve);
+			stream.on('error', reject);
+		});
+
+		let written = 0;
+		for (let chunk of this.chunks()) {
+			if (truncate !== undefined && written + chunk.length > truncate) {
+				chunk = chunk.slice(0, truncate - written);
+			}
+			written += chunk.length;
+			if (!stream.write(chunk)) {
+				await new Promise((resolve) => stream.once('drain', resolve));
+			}
+			if (truncate !== undefined && written >= truncate) {
+				break;
+			}
+		}
+		stream.end();
+		await finished;
+		return filePath;
+	}
+}
+
+module.exports = {
+	WxrBuilder,
+	phpSerialize,
+	cdata,
+};
@@ -0,0 +1,56 @@
+// WXR files that several specs import, written with the WxrBuilder next to the test's results.
+//
+//     const file = await writeThreePosts(testInfo);
+//     await runWxrImport(page, file, { mapAuthorsToAdmin: true });
+
+const { WxrBuilder } = require('./wxr-builder');
+
+/**
+ * Writes three posts, One, Two and Three, each with a `note` meta value and the tag Shared.
+ * One is in the category News too.
+ *
+ * @param {Object}  testInfo       The test's TestInfo.
+ * @param {Object}  [options]
+ * @param {boolean} [options.boom] Give Two a `boom` meta value as well, for the throwOnMeta fault.
+ * @return {Promise<string>} Path of the file.
+ */
+function writeThreePosts(testInfo, { boom = false } = {}) {
+	return new WxrBuilder()
+		.category({ slug: 'news', name: 'News' })
+		.tag({ slug: 'shared', name: 'Shared' })
+		.post({ title: 'One', categories: ['news'], tags: ['shared'], meta: { note: 'one' } })
+		.post({
+			title: 'Two',
+			tags: ['shared'],
+			meta: boom ? { note: 'two', boom: 'two' } : { note: 'two' },
+		})
+		.post({ title: 'Three', tags: ['shared'], meta: { note: 'three' } })
+		.writeFile(testInfo.outputPath('three-posts.xml'));
+}
+
+/**
+ * Writes 40 posts by alice, about 40 KB in all: a dozen parts for the tests
+ * that upload or download files in 4 KB parts.
+ *
+ * @param {Object} testInfo The test's TestInfo.
+ * @return {Promise<string>} Path of the file.
+ */
+function writeFortyPosts(testInfo) {
+	return new WxrBuilder()
+		.author({ login: 'alice' })
+		.posts(function* () {
+			for (let i = 0; i < 40; i++) {
+				yield {
+					title: `Post ${i}`,
+					author: 'alice',
+					content: `Text ${i} `.repeat(100),
+				};
+			}
+		})
+		.writeFile(testInfo.outputPath('parts.xml'));
+}
+
+module.exports = {
+	writeThreePosts,
+	writeFortyPosts,
+};
@@ -0,0 +1,179 @@
+// E2E test: download attachments from a local HTTP stand-in during import
+const { test: base, expect } = require('./helpers/fixtures');
+const {
+	runWxrImport,
+	renderFixture,
+	goToImporter,
+	getFailedDownloads,
+	skipFailedDownloads,
+} = require('./helpers/importer');
+const { dumpSite, importedRecords } = require('./helpers/site-dump');
+const { expectSiteSnapshot } = require('./helpers/snapshot');
+
+const test = base.extend({
+	// Value for the import_attachment_size_limit filter, 0 for unlimited.
+	attachmentSizeLimit: [0, { option: true }],
+
+	constants: async ({ attachmentServer, attachmentSizeLimit }, use) => {
+		const constants = {
+			// Print the reason next to each "Failed to import" message.
+			IMPORT_DEBUG: true,
+			E2E_ATTACHMENT_SERVER_URL: attachmentServer.url,
+			E2E_DOWNLOAD_RETRY_DELAY: 0.1,
+		};
+		if (attachmentSizeLimit) {
+			constants.E2E_ATTACHMENT_SIZE_LIMIT = attachmentSizeLimit;
+		}
+		await use(constants);
+	},
+});
+
+test.use({ networking: true });
+
+async function importAttachments(page, attachmentServer, testInfo) {
+	const wxrPath = renderFixture(
+		'wxr-attachments.xml',
+		{ ATTACHMENT_SERVER_URL: attachmentServer.url },
+		testInfo.outputPath('wxr-attachments.xml')
+	);
+	await runWxrImport(page, wxrPath, { fetchAttachments: true, mapAuthorsToAdmin: true });
+	const failed = await getFailedDownloads(page);
+	await skipFailedDownloads(page);
+	return failed;
+}
+
+// Helper: Read every attachment and the gallery post straight from the database
+async function getImportedMedia(playground) {
+	const output = await playground.runPhp(`
+		$media = array();
+		$attachments = get_posts(
+			array(
+				'post_type'   => 'attachment',
+				'post_status' => 'any',
+				'numberposts' => -1,
+			)
+		);
+		foreach ( $attachments as $attachment ) {
+			$file = get_attached_file( $attachment->ID );
+			$media[ $attachment->post_title ] = array(
+				'id'        => $attachment->ID,
+				'mime'      => $attachment->post_mime_type,
+				'parent'    => $attachment->post_parent,
+				'url'       => wp_get_attachment_url( $attachment->ID ),
+				'file'      => basename( $file ),
+				'fileSize'  => file_exists( $file ) ? filesize( $file ) : null,
+			);
+		}
+		$post = get_page_by_path( 'attachment-gallery', OBJECT, 'post' );
+		echo wp_json_encode(
+			array(
+				'media' => $media,
+				'post'  => array(
+					'id'          => $post->ID,
+					'content'     => $post->post_content,
+					'thumbnailId' => (int) get_post_meta( $post->ID, '_thumbnail_id', true ),
+				),
+			)
+		);
+	`);
+	return JSON.parse(output);
+}
+
+test.describe('Attachment fetching', () => {
+	test('downloads attachments and remaps their URLs', async ({
+		page,
+		playground,
+		attachmentServer,
+	}, testInfo) => {
+		// The first visit to wp-admin creates a navigation menu, which isn't the import's doing.
+		await goToImporter(page);
+		const before = await dumpSite(playground);
+		const failed = await importAttachments(page, attachmentServer, testInfo);
+		const { media, post } = await getImportedMedia(playground);
+
+		expect(Object.keys(media).sort()).toEqual([
+			'Disposition photo',
+			'Extensionless photo',
+			'Large photo',
+			'Plain photo',
+			'Redirected photo',
+			'Slow photo',
+		]);
+		for (const item of Object.values(media)) {
+			expect(item.mime).toBe('image/png');
+			expect(item.parent).toBe(post.id);
+			expect(item.fileSize).toBeGreaterThan(0);
+		}
+
+		// File names come from the URL, the Content-Disposition header or the Content-Type header
+		expect(media['Plain photo'].file).toBe('photo.png');
+		expect(media['Disposition photo'].file).toBe('renamed-photo.png');
+		expect(media['Extensionless photo'].file).toBe('no-extension.png');
+		expect(media['Redirected photo'].file).toBe('moved-photo.png');
+		expect(media['Large photo'].fileSize).toBe(2 * 1024 * 1024);
+
+		// The redirect was followed
+		const paths = attachmentServer.requests.map((r) => r.path);
+		expect(paths).toEqual(
+			expect.arrayContaining(['/redirect/moved-photo', '/files/moved-photo.png'])
+		);
+
+		// Failed downloads are reported with the server's response, and were retried
+		expect(failed).toHaveLength(2);
+		expect(failed).toEqual(
+			expect.arrayContaining([
+				{
+					title: 'Missing photo',
+					url: `${attachmentServer.url}/files/missing.png`,
+					error: 'Remote server returned the following unexpected result: Not Found (404)',
+				},
+				{
+					title: 'Broken photo',
+					url: `${attachmentServer.url}/files/broken.png`,
+					error: 'Remote server returned the following unexpected result: Internal Server Error (500)',
+				},
+			])
+		);
+		expect(paths.filter((path) => path === '/files/missing.png')).toHaveLength(3);
+
+		// Post content points at the local copies instead of the attachment server
+		for (const title of ['Plain photo', 'Slow photo', 'Large photo']) {
+			expect(post.content).toContain(`src="${media[title].url}"`);
+		}
+		for (const path of ['/files/photo.png', '/download/photo', '/files/no-extension']) {
+			expect(post.content).not.toContain(`${attachmentServer.url}${path}"`);
+		}
+		// Failed downloads keep their original URL
+		expect(post.content).toContain(`src="${attachmentServer.url}/files/missing.png"`);
+		expect(post.content).toContain(`src="${attachmentServer.url}/files/broken.png"`);
+
+		// The featured image was remapped to the imported attachment
+		expect(post.thumbnailId).toBe(media['Plain photo'].id);
+
+		const after = await dumpSite(playground, {
+			replace: { [attachmentServer.url]: '{{ATTACHMENT_SERVER_URL}}' },
+		});
+		await expectSiteSnapshot(importedRecords(before, after), 'wxr-attachments.xml', testInfo);
+	});
+
+	test.describe('with an attachment size limit', () => {
+		test.use({ attachmentSizeLimit: 1024 * 1024 });
+
+		test('rejects oversized attachments', async ({
+			page,
+			playground,
+			attachmentServer,
+		}, testInfo) => {
+			const failed = await importAttachments(page, attachmentServer, testInfo);
+			const { media } = await getImportedMedia(playground);
+
+			expect(failed).toContainEqual({
+				title: 'Large photo',
+				url: `${attachmentServer.url}/files/large.png`,
+				error: 'Remote file is too large, limit is 1 MB',
+			});
+			expect(media).not.toHaveProperty('Large photo');
+			expect(media).toHaveProperty('Plain photo');
+		});
+	});
+});
@@ -0,0 +1,154 @@
+// E2E tests for the author mapping on the import options screen (step=1).
+const { test, expect } = require('./helpers/fixtures');
+const {
+	uploadWxr,
+	authorRow,
+	chooseUser,
+	mapAuthor,
+	waitForImport,
+} = require('./helpers/importer');
+const { dumpSite } = require('./helpers/site-dump');
+const { WxrBuilder } = require('./helpers/wxr-builder');
+
+// Helper: Add users to the site
+async function createUsers(playground, users) {
+	await playground.runPhp(
+		users
+			.map(
+				({ login, email, name }) =>
+					`wp_insert_user( array( 'user_login' => '${login}', 'user_email' => '${email}', 'display_name' => '${name}', 'user_pass' => 'password' ) );`
+			)
+			.join('\n')
+	);
+}
+
+// Helper: Write a fixture with one post by each of three authors
+function writeAuthors(testInfo) {
+	return new WxrBuilder()
+		.author({ login: 'alice-old', email: 'alice@example.com', displayName: 'Alice' })
+		.author({ login: 'bob', email: 'bob@old.example', displayName: 'Bob' })
+		.author({ login: 'carol', email: 'carol@example.com', displayName: 'Carol' })
+		.post({ title: 'By Alice', author: 'alice-old' })
+		.post({ title: 'By Bob', author: 'bob' })
+		.post({ title: 'By Carol', author: 'carol' })
+		.writeFile(testInfo.outputPath('authors.xml'));
+}
+
+// Helper: Submit the import options and wait for the import to finish
+async function submitImport(page) {
+	await page.getByRole('button', { name: /^Submit$/i }).click();
+	await page.waitForURL('**/admin.php?import=wordpress&step=2**');
+	expect(await waitForImport(page)).toBe('done');
+}
+
+test.describe('Author mapping', () => {
+	test.beforeEach(async ({ playground }) => {
+		await createUsers(playground, [
+			{ login: 'alice', email: 'alice@example.com', name: 'Alice Liddell' },
+			{ login: 'bob', email: 'bob@example.com', name: 'Robert' },
+		]);
+	});
+
+	test('suggests users with the same email address or login', async ({
+		page,
+		playground,
+	}, testInfo) => {
+		await uploadWxr(page, await writeAuthors(testInfo));
+
+		const alice = authorRow(page, 'alice-old');
+		await expect(alice).toHaveAttribute('data-mode', 'assign');
+		await expect(alice.getByRole('combobox')).toHaveValue('Alice Liddell (alice)');
+		await expect(alice.locator('.import-author-suggestion')).toHaveText(
+			'Suggested: the user with the same email address.'
+		);
+
+		const bob = authorRow(page, 'bob');
+		await expect(bob.getByRole('combobox')).toHaveValue('Robert (bob)');
+		await expect(bob.locator('.import-author-suggestion')).toHaveText(
+			'Suggested: the user with the same login name.'
+		);
+
+		const carol = authorRow(page, 'carol');
+		await expect(carol).toHaveAttribute('data-mode', 'create');
+		await expect(carol.getByLabel('Create a new user')).toBeChecked();
+
+		await submitImport(page);
+		const { posts, users } = await dumpSite(playground);
+		expect(posts['post/by-alice'].author).toBe('alice');
+		expect(posts['post/by-bob'].author).toBe('bob');
+		expect(posts['post/by-carol'].author).toBe('carol');
+		expect(users['alice-old']).toBeUndefined();
+	});
+
+	test('finds users while typing and creates users under a new login', async ({
+		page,
+		playground,
+	}, testInfo) => {
+		await uploadWxr(page, await writeAuthors(testInfo));
+
+		const alice = authorRow(page, 'alice-old');
+		await alice.getByRole('combobox').fill('rob');
+		const results = alice.getByRole('listbox');
+		await expect(results.getByRole('option')).toHaveText(['Robert (bob)']);
+		await alice.getByRole('combobox').press('ArrowDown');
+		await alice.getByRole('combobox').press('Enter');
+		await expect(alice.getByRole('combobox')).toHaveValue('Robert (bob)');
+
+		await mapAuthor(page, 'bob', { create: 'bobby' });
+		await expect(authorRow(page, 'bob')).toHaveAttribute('data-mode', 'create');
+
+		await submitImport(page);
+		const { posts, users } = await dumpSite(playground);
+		expect(posts['post/by-alice'].author).toBe('bob');
+		expect(posts['post/by-bob'].author).toBe('bobby');
+		expect(users.bobby).toBeDefined();
+	});
+
+	test('assigns all remaining authors at once', async ({ page, playground }, testInfo) => {
+		await uploadWxr(page, await writeAuthors(testInfo));
+
+		await mapAuthor(page, 'bob', { create: '' });
+		await chooseUser(page.locator('#import-authors-map-all-search'), 'admin');
+		await page.locator('#import-authors-map-all button').click();
+
+		// Alice keeps her suggested match.
+		await expect(authorRow(page, 'alice-old').getByRole('combobox')).toHaveValue(
+			'Alice Liddell (alice)'
+		);
+		await expect(authorRow(page, 'bob').getByRole('combobox')).toHaveValue('admin (admin)');
+		await expect(authorRow(page, 'carol').getByRole('combobox')).toHaveValue('admin (admin)');
+
+		await submitImport(page);
+		const { posts } = await dumpSite(playground);
+		expect(posts['post/by-alice'].author).toBe('alice');
+		expect(posts['post/by-bob'].author).toBe('admin');
+		expect(posts['post/by-carol'].author).toBe('admin');
+	});
+});
+
+test.describe('Author mapping on a site with many users', () => {
+	test.use({ constants: { E2E_AUTHOR_DROPDOWN_LIMIT: 1 } });
+
+	test('lists only likely users and searches for the others', async ({
+		page,
+		playground,
+	}, testInfo) => {
+		await createUsers(playground, [
+			{ login: 'alice', email: 'alice@example.com', name: 'Alice Liddell' },
+			{ login: 'dave', email: 'dave@example.com', name: 'Dave' },
+		]);
+		await uploadWxr(page, await writeAuthors(testInfo));
+
+		// - Select -, the current user and the suggested match.
+		const options = authorRow(page, 'alice-old').locator('select option');
+		await expect(options).toHaveCount(3);
+		await expect(options.filter({ hasText: 'admin (admin)' })).toHaveCount(1);
+		await expect(options.filter({ hasText: 'Alice Liddell (alice)' })).toHaveCount(1);
+
+		await chooseUser(authorRow(page, 'carol').getByRole('combobox'), 'dave');
+		await submitImport(page);
+
+		const { posts } = await dumpSite(playground);
+		expect(posts['post/by-carol'].author).toBe('dave');
+	});
+});
@@ -0,0 +1,136 @@
+// E2E tests for batched imports: the progress screen, and resuming an import that stopped.
+const { test, expect } = require('./helpers/fixtures');
+const { runWxrImport, uploadWxr, goToImporter, waitForImport } = require('./helpers/importer');
+const { injectFaults, clearFaults } = require('./helpers/faults');
+const { dumpSite } = require('./helpers/site-dump');
+const { WxrBuilder } = require('./helpers/wxr-builder');
+const { writeThreePosts } = require('./helpers/wxr-fixtures');
+
+// One item per batch, so that every item is a point the import can stop at.
+test.use({ constants: { E2E_IMPORT_BATCH_TIME_LIMIT: 0 } });
+
+test.describe('Batched import', () => {
+	test('shows the progress of every phase', async ({ page, playground }, testInfo) => {
+		const status = await runWxrImport(page, await writeThreePosts(testInfo), {
+			mapAuthorsToAdmin: true,
+		});
+
+		expect(status).toBe('done');
+		const counts = page.locator('#import-progress tr[data-phase] .import-progress-count');
+		await expect(counts).toHaveText([
+			'1 / 1',
+			'1 / 1',
+			'0 / 0',
+			'3 / 3',
+			'1 / 1',
+			'1 / 1',
+			'1 / 1',
+		]);
+		await expect(page.locator('#import-error')).toBeHidden();
+
+		const { posts } = await dumpSite(playground);
+		expect(posts['post/three'].meta.note).toEqual(['three']);
+	});
+
+	test('resumes a stopped import without duplicating content', async ({
+		page,
+		playground,
+	}, testInfo) => {
+		await injectFaults(playground, { throwOnMeta: ['boom'] });
+		const status = await runWxrImport(page, await writeThreePosts(testInfo, { boom: true }), {
+			mapAuthorsToAdmin: true,
+			complete: false,
+		});
+		expect(status).toBe('failed');
+		await expect(page.locator('#import-error')).toBeVisible();
+
+		await clearFaults(playground);
+		await page.locator('#import-resume').click();
+		expect(await waitForImport(page)).toBe('done');
+		await expect(page.locator('text=All done.')).toBeVisible();
+
+		const { posts, terms } = await dumpSite(playground);
+		expect(
+			Object.keys(posts)
+				.filter((key) => key.startsWith('post/'))
+				.sort()
+		).toEqual(['post/one', 'post/three', 'post/two']);
+		// Two is retried from the start; its note was added before the import stopped.
+		expect(posts['post/two'].meta.note).toEqual(['two']);
+		expect(posts['post/two'].meta.boom).toEqual(['two']);
+		expect(posts['post/two'].terms.post_tag).toEqual(['shared']);
+		expect(terms['post_tag/shared'].count).toBe(3);
+	});
+
+	test('offers to resume an import that was left unfinished', async ({
+		page,
+		playground,
+	}, testInfo) => {
+		// Counts start over with every batch, and each batch imports one post.
+		await injectFaults(playground, { stopAfterPosts: 1 });
+		await runWxrImport(page, await writeThreePosts(testInfo), {
+			mapAuthorsToAdmin: true,
+			complete: false,
+		});
+		await clearFaults(playground);
+
+		await goToImporter(page);
+		const resume = page.getByRole('link', { name: 'Resume import' });
+		await expect(resume).toHaveCount(1);
+		await resume.click();
+		expect(await waitForImport(page)).toBe('done');
+
+		const { posts } = await dumpSite(playground);
+		// The request stopped right after One was inserted, so its terms and meta come from the retry.
+		expect(posts['post/one'].terms.category).toEqual(['news']);
+		expect(posts['post/one'].meta.note).toEqual(['one']);
+		expect(posts['post/three']).toBeDefined();
+
+		// A finished import is no longer offered.
+		await goToImporter(page);
+		await expect(page.getByRole('link', { name: 'Resume import' })).toHaveCount(0);
+	});
+
+	test.describe('without JavaScript', () => {
+		test.use({ javaScriptEnabled: false });
+
+		test('reloads the progress screen for each batch', async ({
+			page,
+			playground,
+		}, testInfo) => {
+			await uploadWxr(page, await writeThreePosts(testInfo));
+			await page.getByRole('button', { name: /^Submit$/i }).click();
+
+			await expect(page.locator('#import-progress')).toHaveAttribute('data-status', 'done', {
+				timeout: 120000,
+			});
+			await expect(page.locator('text=All done.')).toBeVisible();
+			await expect(
+				page.locator('#import-progress tr[data-phase] .import-progress-count')
+			).toHaveText(['1 / 1', '1 / 1', '0 / 0', '3 / 3', '1 / 1', '1 / 1', '1 / 1']);
+
+			const { posts } = await dumpSite(playground);
+			expect(posts['post/three'].meta.note).toEqual(['three']);
+		});
+
+		test('shows the messages of every batch once the import is done', async ({
+			page,
+		}, testInfo) => {
+			const file = await new WxrBuilder()
+				.post({ title: 'Widget', type: 'e2e_missing_type' })
+				.post({ title: 'One' })
+				.post({ title: 'Two' })
+				.writeFile(testInfo.outputPath('missing-type.xml'));
+			await uploadWxr(page, file);
+			await page.getByRole('button', { name: /^Submit$/i }).click();
+
+			const progress = page.locator('#import-progress');
+			await expect(progress).toHaveAttribute('data-status', 'done', { timeout: 120000 });
+			// Printed by the first of the post batches, and listed from the log after the last.
+			await expect(progress.locator('#import-log')).toContainText(
+				'Failed to import “Widget”: Invalid post type e2e_missing_type'
+			);
+			await expect(progress.locator('#import-log')).toContainText('All done.');
+		});
+	});
+});
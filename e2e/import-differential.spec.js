@@ -0,0 +1,112 @@
+// E2E test: import the same WXR file with every parser and diff the results.
+//
+// Opt-in, because it boots one Playground per parser for every fixture:
+//
+//     DIFFERENTIAL=1 npx playwright test e2e/import-differential.spec.js
+//
+// Set DIFFERENTIAL_FIXTURES to a comma-separated list of fixture names (under
+// e2e/fixtures) or absolute paths to check other files.
+//
+// Each parser's site is dumped with dumpSite() and compared field by field with
+// the first parser's. Accepted differences go in differential.allowlist.json:
+//
+//     [
+//         {
+//             "fixture": "wxr-comprehensive.xml",
+//             "parsers": ["regex"],
+//             "path": "posts > post/* > author",
+//             "reason": "Why this difference is expected"
+//         }
+//     ]
+//
+// `fixture` and `parsers` are optional and default to every fixture and parser.
+// In `path`, `*` matches any run of characters.
+const { test } = require('playwright/test');
+const { expect } = require('./helpers/fixtures');
+const { withPlayground } = require('./helpers/playground');
+const { importWxrWithRest } = require('./helpers/importer');
+const { dumpSite, diffDumps, formatDumpDiff } = require('./helpers/site-dump');
+const path = require('path');
+
+const PARSERS = ['simplexml', 'xml', 'regex', 'xmlprocessor'];
+
+const FIXTURES = process.env.DIFFERENTIAL_FIXTURES
+	? process.env.DIFFERENTIAL_FIXTURES.split(',').map((f) => f.trim())
+	: ['wxr-simple.xml', 'wxr-comprehensive.xml', 'wxr-base-url-rewriting.xml', 'wxr-css-urls.xml'];
+
+const ALLOWLIST = require('./differential.allowlist.json');
+
+function globToRegExp(glob) {
+	const escaped = glob.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+	return new RegExp(`^${escaped}$`);
+}
+
+// Helper: Find the allowlist entry that accepts a difference, if any
+function findAllowlistEntry(fixture, parser, diff) {
+	return ALLOWLIST.find(
+		(entry) =>
+			(!entry.fixture || entry.fixture === path.basename(fixture)) &&
+			(!entry.parsers || entry.parsers.includes(parser)) &&
+			globToRegExp(entry.path).test(diff.path)
+	);
+}
+
+// Helper: Import a fixture into a fresh Playground with the given parser and dump the site
+async function importAndDump(browser, parser, fixture) {
+	return withPlayground({ parser }, async (playground) => {
+		const context = await browser.newContext({ baseURL: playground.url });
+		try {
+			const page = await context.newPage();
+			// Keep the default author mapping so that imported users are compared too.
+			await importWxrWithRest(page, fixture);
+			return await dumpSite(playground);
+		} finally {
+			await context.close();
+		}
+	});
+}
+
+test.describe('Cross-parser differential import', () => {
+	test.skip(!process.env.DIFFERENTIAL, 'Set DIFFERENTIAL=1 to compare parsers');
+
+	for (const fixture of FIXTURES) {
+		test(`all parsers import ${path.basename(fixture)} the same way`, async ({
+			browser,
+		}, testInfo) => {
+			test.setTimeout(PARSERS.length * 300000);
+
+			// One Playground at a time, so the whole comparison fits in a single worker.
+			const dumps = {};
+			for (const parser of PARSERS) {
+				dumps[parser] = await importAndDump(browser, parser, fixture);
+				await testInfo.attach(`${parser}.json`, {
+					body: JSON.stringify(dumps[parser], null, 2),
+					contentType: 'application/json',
+				});
+			}
+
+			const [reference, ...others] = PARSERS;
+			const unexpected = [];
+			const allowed = [];
+			for (const parser of others) {
+				for (const diff of diffDumps(dumps[reference], dumps[parser])) {
+					const entry = findAllowlistEntry(fixture, parser, diff);
+					const line = formatDumpDiff(diff, [reference, parser]);
+					if (entry) {
+						allowed.push(`${line}\n  allowed: ${entry.reason}`);
+					} else {
+						unexpected.push(`[${parser}] ${line}`);
+					}
+				}
+			}
+
+			if (allowed.length) {
+				await testInfo.attach('allowed-differences.txt', { body: allowed.join('\n\n') });
+			}
+			expect(
+				unexpected,
+				`Parsers disagree with ${reference} on ${path.basename(fixture)}:\n\n${unexpected.join('\n\n')}`
+			).toEqual([]);
+		});
+	}
+});
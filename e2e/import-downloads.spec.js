@@ -0,0 +1,121 @@
+// E2E tests for the attachment download queue on the progress screen (step=2) and the download screen (step=3).
+const { test: base, expect } = require('./helpers/fixtures');
+const {
+	uploadWxr,
+	goToImporter,
+	mapAllAuthorsToAdmin,
+	waitForImport,
+	getFailedDownloads,
+} = require('./helpers/importer');
+const { dumpSite } = require('./helpers/site-dump');
+const { WxrBuilder } = require('./helpers/wxr-builder');
+
+const test = base.extend({
+	constants: async ({ attachmentServer }, use) => {
+		await use({
+			E2E_ATTACHMENT_SERVER_URL: attachmentServer.url,
+			// Long enough to change a route between two attempts.
+			E2E_DOWNLOAD_RETRY_DELAY: 1,
+		});
+	},
+});
+
+test.use({
+	networking: true,
+	attachmentRoutes: {
+		'/files/late.png': { status: 503, body: 'Service Unavailable', contentType: 'text/plain' },
+	},
+});
+
+// Helper: Import a post that shows, and features, an attachment from /files/late.png
+async function importLatePhoto(page, attachmentServer, testInfo) {
+	const url = `${attachmentServer.url}/files/late.png`;
+	const file = await new WxrBuilder()
+		.attachment({ id: 10, title: 'Late photo', url })
+		.post({
+			title: 'Photo post',
+			content: `<!-- wp:image -->\n<figure class="wp-block-image"><img src="${url}" alt=""/></figure>\n<!-- /wp:image -->`,
+			meta: { _thumbnail_id: '10' },
+		})
+		.writeFile(testInfo.outputPath('late-photo.xml'));
+
+	await uploadWxr(page, file);
+	await page.locator('input[name="fetch_attachments"]').check();
+	await mapAllAuthorsToAdmin(page);
+	await page.getByRole('button', { name: /^Submit$/i }).click();
+	await page.waitForURL('**/admin.php?import=wordpress&step=2**');
+}
+
+// Helper: The row of the late photo on the download screen
+function downloadRow(page) {
+	return page.locator('#import-downloads-list tr', { hasText: 'Late photo' });
+}
+
+// Helper: Check that the photo post shows and features the downloaded file
+async function expectLocalPhoto(playground, attachmentServer) {
+	const { posts } = await dumpSite(playground);
+	expect(posts['post/photo-post'].content).not.toContain(attachmentServer.url);
+	expect(posts['post/photo-post'].content).toContain('/wp-content/uploads/');
+	expect(posts['post/photo-post'].meta._thumbnail_id).toEqual(['attachment/late-photo']);
+}
+
+test.describe('Attachment download queue', () => {
+	test('retries a download after the import', async ({
+		page,
+		playground,
+		attachmentServer,
+	}, testInfo) => {
+		await importLatePhoto(page, attachmentServer, testInfo);
+
+		// The import finishes while the file waits for another attempt.
+		await expect(downloadRow(page)).toHaveAttribute('data-status', 'retrying');
+		await expect(page.locator('#import-progress')).toHaveAttribute('data-status', 'done');
+		await expect(downloadRow(page)).toContainText('Service Unavailable (503)');
+
+		attachmentServer.setRoute('/files/late.png', { contentType: 'image/png' });
+		expect(await waitForImport(page)).toBe('done');
+		await expect(downloadRow(page)).toHaveAttribute('data-status', 'done');
+		await expect(page.locator('#import-downloads-summary')).toHaveText(
+			'1 of 1 files downloaded.'
+		);
+		await expectLocalPhoto(playground, attachmentServer);
+	});
+
+	test('keeps failed downloads to retry later', async ({
+		page,
+		playground,
+		attachmentServer,
+	}, testInfo) => {
+		await importLatePhoto(page, attachmentServer, testInfo);
+		expect(await waitForImport(page)).toBe('done');
+
+		expect(await getFailedDownloads(page)).toEqual([
+			{
+				title: 'Late photo',
+				url: `${attachmentServer.url}/files/late.png`,
+				error: 'Remote server returned the following unexpected result: Service Unavailable (503)',
+			},
+		]);
+		await expect(page.locator('#import-downloads-summary')).toHaveText(
+			'0 of 1 files downloaded. 1 failed.'
+		);
+		expect(
+			attachmentServer.requests.filter((request) => request.path === '/files/late.png')
+		).toHaveLength(3);
+
+		// The importer links to the downloads left, which are tried again.
+		await goToImporter(page);
+		await page.getByRole('link', { name: 'Download files' }).click();
+		await page.waitForURL('**/admin.php?import=wordpress&step=3**');
+		await expect(page.locator('#import-downloads')).toHaveAttribute('data-status', 'done');
+		await expect(downloadRow(page)).toHaveAttribute('data-status', 'failed');
+
+		attachmentServer.setRoute('/files/late.png', { contentType: 'image/png' });
+		await page.getByRole('button', { name: 'Retry failed downloads' }).click();
+		await expect(downloadRow(page)).toHaveAttribute('data-status', 'done');
+		await expectLocalPhoto(playground, attachmentServer);
+
+		await goToImporter(page);
+		await expect(page.getByRole('link', { name: 'Download files' })).toHaveCount(0);
+	});
+});
@@ -0,0 +1,138 @@
+// E2E tests for the importer's error paths, using faults injected by fault-injection.php.
+const { test, expect } = require('./helpers/fixtures');
+const {
+	runWxrImport,
+	getImporterMessages,
+	getFailedDownloads,
+	skipFailedDownloads,
+} = require('./helpers/importer');
+const { injectFaults } = require('./helpers/faults');
+const { dumpSite } = require('./helpers/site-dump');
+const { WxrBuilder } = require('./helpers/wxr-builder');
+const { writeThreePosts } = require('./helpers/wxr-fixtures');
+
+test.describe('Import error paths', () => {
+	test('reports a failed post insert and imports the rest', async ({
+		page,
+		playground,
+	}, testInfo) => {
+		await injectFaults(playground, { failPostInsert: [2] });
+		await runWxrImport(page, await writeThreePosts(testInfo), { mapAuthorsToAdmin: true });
+
+		expect(await getImporterMessages(page)).toEqual([
+			{ kind: 'failed', text: 'Failed to import Post “Two”' },
+		]);
+		const { posts } = await dumpSite(playground);
+		expect(Object.keys(posts).filter((key) => key.startsWith('post/'))).toEqual(
+			expect.arrayContaining(['post/one', 'post/three'])
+		);
+		expect(posts['post/two']).toBeUndefined();
+	});
+
+	test('reports terms a taxonomy rejects', async ({ page, playground }, testInfo) => {
+		await injectFaults(playground, { rejectTerms: ['post_tag'] });
+		await runWxrImport(page, await writeThreePosts(testInfo), { mapAuthorsToAdmin: true });
+
+		const messages = await getImporterMessages(page);
+		expect(messages[0]).toEqual({ kind: 'failed', text: 'Failed to import post tag Shared' });
+		expect(messages.slice(1)).toEqual(
+			Array(3).fill({ kind: 'failed', text: 'Failed to import post_tag Shared' })
+		);
+
+		const { posts, terms } = await dumpSite(playground);
+		expect(terms['post_tag/shared']).toBeUndefined();
+		expect(posts['post/one'].terms.post_tag).toBeUndefined();
+		expect(posts['post/one'].meta.note).toEqual(['one']);
+	});
+
+	test('leaves a partial import behind when a meta update throws', async ({
+		page,
+		playground,
+	}, testInfo) => {
+		await injectFaults(playground, { throwOnMeta: ['boom'] });
+		const status = await runWxrImport(page, await writeThreePosts(testInfo, { boom: true }), {
+			mapAuthorsToAdmin: true,
+			complete: false,
+		});
+
+		expect(status).toBe('failed');
+		await expect(page.locator('#import-error')).toContainText('The import stopped');
+		await expect(page.locator('text=All done.')).toHaveCount(0);
+
+		const { posts, terms } = await dumpSite(playground);
+		expect(terms['post_tag/shared']).toBeDefined();
+		expect(posts['post/one'].meta.note).toEqual(['one']);
+		// Two is inserted before its meta, and the import ends while writing it.
+		expect(posts['post/two'].meta.boom).toBeUndefined();
+		expect(posts['post/three']).toBeUndefined();
+	});
+
+	test('leaves a partial import behind when the request stops', async ({
+		page,
+		playground,
+	}, testInfo) => {
+		await injectFaults(playground, { stopAfterPosts: 2 });
+		const status = await runWxrImport(page, await writeThreePosts(testInfo), {
+			mapAuthorsToAdmin: true,
+			complete: false,
+		});
+
+		expect(status).toBe('failed');
+		await expect(page.locator('text=All done.')).toHaveCount(0);
+
+		const { posts } = await dumpSite(playground);
+		expect(posts['post/one'].meta.note).toEqual(['one']);
+		// The request ends right after Two is inserted, before its terms and meta.
+		expect(posts['post/two'].terms.post_tag).toBeUndefined();
+		expect(Object.keys(posts['post/two'].meta)).toEqual([]);
+		expect(posts['post/three']).toBeUndefined();
+	});
+
+	test('attributes posts to the current user when creating an author fails', async ({
+		page,
+		playground,
+	}, testInfo) => {
+		await injectFaults(playground, { failUserCreation: true });
+		const file = await new WxrBuilder()
+			.author({ login: 'bob', displayName: 'Bob' })
+			.post({ title: 'By Bob', author: 'bob' })
+			.writeFile(testInfo.outputPath('author.xml'));
+		await runWxrImport(page, file);
+
+		expect(await getImporterMessages(page)).toEqual([
+			{
+				kind: 'failed',
+				text: 'Failed to create new user for Bob. Their posts will be attributed to the current user.',
+			},
+		]);
+		const { posts, users } = await dumpSite(playground);
+		expect(users.bob).toBeUndefined();
+		expect(posts['post/by-bob'].author).toBe('admin');
+	});
+
+	test('reports attachments that cannot be downloaded', async ({
+		page,
+		playground,
+	}, testInfo) => {
+		await injectFaults(playground, { failAttachmentFetch: true });
+		const file = await new WxrBuilder()
+			.attachment({ title: 'Photo', url: 'https://example.com/wp-content/uploads/photo.jpg' })
+			.post({ title: 'With photo' })
+			.writeFile(testInfo.outputPath('attachment.xml'));
+		await runWxrImport(page, file, { fetchAttachments: true, mapAuthorsToAdmin: true });
+
+		// The import itself doesn't wait for the download.
+		expect(await getImporterMessages(page)).toEqual([]);
+		expect(await getFailedDownloads(page)).toEqual([
+			{
+				title: 'Photo',
+				url: 'https://example.com/wp-content/uploads/photo.jpg',
+				error: 'Request failed due to an error: Injected fault: the download failed. (e2e_fault)',
+			},
+		]);
+		await skipFailedDownloads(page);
+		const { posts } = await dumpSite(playground);
+		expect(posts['attachment/photo']).toBeUndefined();
+		expect(posts['post/with-photo']).toBeDefined();
+	});
+});
@@ -0,0 +1,223 @@
+// E2E tests for the download form on the greet screen (step=0), which imports a WXR file from a URL or from a directory on the server.
+const { test: base, expect } = require('./helpers/fixtures');
+const { goToImporter } = require('./helpers/importer');
+const { writeFortyPosts } = require('./helpers/wxr-fixtures');
+const crypto = require('crypto');
+const fs = require('fs');
+
+const CHUNK_SIZE = 4096;
+const SIZE_LIMIT = 100 * 1024;
+
+const test = base.extend({
+	constants: async ({ attachmentServer }, use) => {
+		await use({
+			E2E_ATTACHMENT_SERVER_URL: attachmentServer.url,
+			E2E_FETCH_CHUNK_SIZE: CHUNK_SIZE,
+			E2E_FETCH_SIZE_LIMIT: SIZE_LIMIT,
+			E2E_FETCH_DIRECTORY: 'wxr-exports',
+		});
+	},
+});
+
+test.use({ networking: true });
+
+// Helper: Serve a file from the attachment server
+function serve(attachmentServer, pathname, file, route = {}) {
+	attachmentServer.setRoute(pathname, {
+		body: fs.readFileSync(file),
+		contentType: 'application/xml',
+		...route,
+	});
+}
+
+// Helper: The Range headers of the requests for a path of the attachment server
+function requestedRanges(attachmentServer, pathname) {
+	return attachmentServer.requests
+		.filter((request) => request.path === pathname)
+		.map((request) => request.headers.range);
+}
+
+// Helper: Enter a URL or path in the download form and send it
+async function fetchWxr(page, source) {
+	await goToImporter(page);
+	await page.locator('#import-source').fill(source);
+	await page.getByRole('button', { name: 'Download file and import' }).click();
+}
+
+// Helper: Wait for the import options screen (step=1)
+async function waitForOptions(page) {
+	await page.waitForURL('**/admin.php?import=wordpress&step=1**');
+	await expect(page.locator('#authors')).toContainText('alice');
+}
+
+// Helper: Check that the file step=1 works from is the one that was fetched
+async function expectFetchedFile(page, playground, file) {
+	const id = await page.locator('input[name="import_id"]').first().inputValue();
+	const md5 = await playground.runPhp(`echo md5_file( get_attached_file( ${Number(id)} ) );`);
+	expect(md5).toBe(crypto.createHash('md5').update(fs.readFileSync(file)).digest('hex'));
+}
+
+test.describe('Import from a URL', () => {
+	test('downloads a file in parts', async ({ page, playground, attachmentServer }, testInfo) => {
+		const file = await writeFortyPosts(testInfo);
+		serve(attachmentServer, '/exports/parts.xml', file, { ranges: true });
+
+		await fetchWxr(page, `${attachmentServer.url}/exports/parts.xml`);
+		await waitForOptions(page);
+
+		const parts = Math.ceil(fs.statSync(file).size / CHUNK_SIZE);
+		expect(parts).toBeGreaterThan(10);
+		expect(requestedRanges(attachmentServer, '/exports/parts.xml')).toEqual(
+			Array.from(
+				{ length: parts },
+				(_, i) => `bytes=${i * CHUNK_SIZE}-${(i + 1) * CHUNK_SIZE - 1}`
+			)
+		);
+		await expectFetchedFile(page, playground, file);
+	});
+
+	test('follows redirects, also to servers that send the whole file at once', async ({
+		page,
+		playground,
+		attachmentServer,
+	}, testInfo) => {
+		const file = await writeFortyPosts(testInfo);
+		serve(attachmentServer, '/exports/whole.xml', file);
+		attachmentServer.setRoute('/latest.xml', { redirect: '/exports/whole.xml' });
+
+		await fetchWxr(page, `${attachmentServer.url}/latest.xml`);
+		await waitForOptions(page);
+
+		expect(requestedRanges(attachmentServer, '/exports/whole.xml')).toHaveLength(1);
+		await expectFetchedFile(page, playground, file);
+	});
+
+	test('uses the user name and password in the URL', async ({
+		page,
+		playground,
+		attachmentServer,
+	}, testInfo) => {
+		const file = await writeFortyPosts(testInfo);
+		serve(attachmentServer, '/private/parts.xml', file, {
+			ranges: true,
+			auth: 'alice:s3cret',
+		});
+		const url = new URL('/private/parts.xml', attachmentServer.url);
+
+		await fetchWxr(page, url.href);
+		await expect(page.locator('#import-fetch-error')).toContainText(
+			'The server refused access to the file: Unauthorized (401).'
+		);
+
+		url.username = 'alice';
+		url.password = 'wrong';
+		await page.locator('#import-source').fill(url.href);
+		await page.getByRole('button', { name: 'Download file and import' }).click();
+		await expect(page.locator('#import-fetch-error')).toContainText('Unauthorized (401)');
+
+		url.password = 's3cret';
+		await page.locator('#import-source').fill(url.href);
+		await page.getByRole('button', { name: 'Download file and import' }).click();
+		await waitForOptions(page);
+		await expectFetchedFile(page, playground, file);
+	});
+
+	test('resumes a download that was cut off', async ({
+		page,
+		playground,
+		attachmentServer,
+	}, testInfo) => {
+		const file = await writeFortyPosts(testInfo);
+		serve(attachmentServer, '/exports/parts.xml', file, {
+			ranges: true,
+			truncate: 3 * CHUNK_SIZE + 100,
+		});
+
+		await fetchWxr(page, `${attachmentServer.url}/exports/parts.xml`);
+		await expect(page.locator('#import-fetch-error')).toBeVisible({ timeout: 15000 });
+		await expect(page.locator('#import-fetch-form')).toHaveAttribute('data-status', 'failed');
+		const progress = page.locator('#import-fetch-form .import-fetch-progress progress');
+		await expect(progress).toHaveAttribute('value', String(3 * CHUNK_SIZE));
+
+		serve(attachmentServer, '/exports/parts.xml', file, { ranges: true });
+		await page.locator('#import-fetch-resume').click();
+		await waitForOptions(page);
+
+		// The part that was cut off is asked for again, and the ones before it are not.
+		const ranges = requestedRanges(attachmentServer, '/exports/parts.xml');
+		const cutOff = `bytes=${3 * CHUNK_SIZE}-${4 * CHUNK_SIZE - 1}`;
+		expect(ranges.filter((range) => range === cutOff)).toHaveLength(2);
+		expect(ranges.filter((range) => range === `bytes=0-${CHUNK_SIZE - 1}`)).toHaveLength(1);
+		await expectFetchedFile(page, playground, file);
+	});
+
+	test('refuses files over the size limit', async ({ page, attachmentServer }) => {
+		attachmentServer.setRoute('/exports/huge.xml', {
+			body: '<?xml version="1.0"?>\n',
+			size: 2 * SIZE_LIMIT,
+			contentType: 'application/xml',
+			ranges: true,
+		});
+
+		await fetchWxr(page, `${attachmentServer.url}/exports/huge.xml`);
+		await expect(page.locator('#import-fetch-error .import-error-message')).toHaveText(
+			'The file is too large to import, the limit is 100 KB.'
+		);
+		expect(requestedRanges(attachmentServer, '/exports/huge.xml')).toHaveLength(1);
+	});
+});
+
+test.describe('Import from the server', () => {
+	// Helper: Put a file in the directory the download form may import from
+	async function putOnServer(playground, file) {
+		const contents = fs.readFileSync(file).toString('base64');
+		await playground.runPhp(`
+			wp_mkdir_p( WP_CONTENT_DIR . '/wxr-exports' );
+			file_put_contents( WP_CONTENT_DIR . '/wxr-exports/parts.xml', base64_decode( '${contents}' ) );
+		`);
+	}
+
+	test('copies a file from an allowed directory', async ({ page, playground }, testInfo) => {
+		const file = await writeFortyPosts(testInfo);
+		await putOnServer(playground, file);
+
+		await fetchWxr(page, '/wordpress/wp-content/wxr-exports/parts.xml');
+		await waitForOptions(page);
+		await expectFetchedFile(page, playground, file);
+	});
+
+	test('refuses files outside the allowed directories', async ({
+		page,
+		playground,
+	}, testInfo) => {
+		await putOnServer(playground, await writeFortyPosts(testInfo));
+
+		for (const path of [
+			'/wordpress/wp-load.php',
+			'/wordpress/wp-content/wxr-exports/../../wp-load.php',
+		]) {
+			await fetchWxr(page, path);
+			await expect(page.locator('#import-fetch-error .import-error-message')).toHaveText(
+				'Files can only be imported from these directories on the server: /wordpress/wp-content/wxr-exports'
+			);
+		}
+
+		await fetchWxr(page, '/wordpress/wp-content/wxr-exports/missing.xml');
+		await expect(page.locator('#import-fetch-error .import-error-message')).toHaveText(
+			'The file /wordpress/wp-content/wxr-exports/missing.xml could not be found or read.'
+		);
+	});
+
+	test.describe('without JavaScript', () => {
+		test.use({ javaScriptEnabled: false });
+
+		test('copies the whole file at once', async ({ page, playground }, testInfo) => {
+			const file = await writeFortyPosts(testInfo);
+			await putOnServer(playground, file);
+
+			await fetchWxr(page, '/wordpress/wp-content/wxr-exports/parts.xml');
+			await waitForOptions(page);
+			await expectFetchedFile(page, playground, file);
+		});
+	});
+});
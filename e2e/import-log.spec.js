@@ -0,0 +1,111 @@
+// E2E tests for the import log screen (step=4) and its export.
+const fs = require('fs');
+const { test, expect } = require('./helpers/fixtures');
+const { uploadWxr, goToImporter, waitForImport } = require('./helpers/importer');
+const { WxrBuilder } = require('./helpers/wxr-builder');
+
+// Helper: Import a file with a post that exists, and one of a type that doesn't
+async function importWithProblems(page, playground, testInfo) {
+	await playground.runPhp(`
+		wp_insert_post( array( 'post_title' => 'Release notes', 'post_date' => '2024-06-05 16:04:48', 'post_status' => 'publish' ) );
+	`);
+	const file = await new WxrBuilder()
+		.category({ slug: 'news', name: 'News' })
+		.post({ title: 'Release notes', categories: ['news'] })
+		.post({ title: 'Concert review', categories: ['news'] })
+		.post({ title: 'Moby Dick', type: 'book' })
+		.writeFile(testInfo.outputPath('log.xml'));
+
+	await uploadWxr(page, file);
+	await page.getByRole('button', { name: /^Submit$/i }).click();
+	await page.waitForURL('**/admin.php?import=wordpress&step=2**');
+	expect(await waitForImport(page)).toBe('done');
+}
+
+// Helper: Open the log screen from the end of the import and wait for its records
+async function openLog(page) {
+	await page.getByRole('link', { name: 'View the import log' }).click();
+	await page.waitForURL('**/admin.php?import=wordpress&step=4**');
+	await expect(page.locator('#import-log-report')).toHaveAttribute('data-status', 'ready');
+}
+
+// Helper: The messages of the records shown
+function shownMessages(page) {
+	return page.locator('#import-log-records .import-log-message');
+}
+
+// Helper: Download an export and return its contents
+async function exportLog(page, format) {
+	const [download] = await Promise.all([
+		page.waitForEvent('download'),
+		page.locator(`#import-log-export-${format}`).click(),
+	]);
+	return fs.readFileSync(await download.path(), 'utf8');
+}
+
+test.describe('Import log', () => {
+	test('filters the records of an import', async ({ page, playground }, testInfo) => {
+		await importWithProblems(page, playground, testInfo);
+		await openLog(page);
+
+		await expect(page.locator('#import-log-summary')).toContainText(
+			/^(\d+) of \1 records match\./
+		);
+
+		await page.locator('#import-log-severity').selectOption('error');
+		await expect(shownMessages(page)).toHaveText([
+			'Failed to import “Moby Dick”: Invalid post type book',
+		]);
+		await expect(page.locator('#import-log-records .import-log-phase')).toHaveText([
+			'Posts, pages, media and menu items',
+		]);
+
+		await page.locator('#import-log-severity').selectOption('notice');
+		await expect(shownMessages(page)).toHaveText(['Post “Release notes” already exists.']);
+
+		await page.locator('#import-log-severity').selectOption('');
+		await page.locator('#import-log-type').selectOption({ label: 'Categories' });
+		await expect(shownMessages(page)).toHaveText(['Imported Category “News”.']);
+
+		await page.locator('#import-log-type').selectOption('');
+		await page.locator('#import-log-phase').selectOption('process_posts');
+		await page.locator('#import-log-search').fill('concert');
+		await expect(shownMessages(page)).toHaveText(['Imported Post “Concert review”.']);
+		await expect(page.locator('#import-log-summary')).toHaveText(/^1 of \d+ records match\.$/);
+	});
+
+	test('exports the records as CSV and JSON', async ({ page, playground }, testInfo) => {
+		await importWithProblems(page, playground, testInfo);
+		await openLog(page);
+
+		const csv = (await exportLog(page, 'csv')).trim().split('\n');
+		expect(csv[0]).toBe('time,severity,phase,type,original_id,guid,new_id,message');
+		expect(csv).toContainEqual(
+			expect.stringMatching(
+				/^[\d-]+T[\d:]+\+00:00,error,process_posts,book,\d+,[^,]*,0,"Failed to import “Moby Dick”: Invalid post type book"$/
+			)
+		);
+
+		const records = JSON.parse(await exportLog(page, 'json'));
+		expect(records).toHaveLength(csv.length - 1);
+		expect(records).toContainEqual(
+			expect.objectContaining({
+				severity: 'notice',
+				phase: 'process_posts',
+				type: 'post',
+				message: 'Post “Release notes” already exists.',
+			})
+		);
+	});
+
+	test('lists the logs on the importer screen', async ({ page, playground }, testInfo) => {
+		await importWithProblems(page, playground, testInfo);
+
+		await goToImporter(page);
+		await expect(page.locator('#import-logs li')).toHaveCount(1);
+		await expect(page.locator('#import-logs li')).toContainText('log.xml');
+		await page.getByRole('link', { name: 'View log' }).click();
+		await page.waitForURL('**/admin.php?import=wordpress&step=4**');
+		await expect(page.locator('#import-log-report')).toHaveAttribute('data-status', 'ready');
+	});
+});
@@ -0,0 +1,84 @@
+// E2E tests for choosing the parser on the import options screen (step=1).
+const path = require('path');
+const { test, expect } = require('./helpers/fixtures');
+const { uploadWxr, waitForImport } = require('./helpers/importer');
+const { dumpSite } = require('./helpers/site-dump');
+const { WxrBuilder } = require('./helpers/wxr-builder');
+
+// The only <item> is never closed, which the parsers built on PHP extensions reject.
+const MALFORMED = path.resolve(__dirname, '../phpunit/data/malformed-simple.xml');
+
+// Helper: Write a fixture with a post and a comment
+function writeFixture(testInfo) {
+	return new WxrBuilder()
+		.category({ slug: 'news', name: 'News' })
+		.post({
+			title: 'Release notes',
+			categories: ['news'],
+			comments: [{ author: 'Ann', content: 'Nice.' }],
+		})
+		.writeFile(testInfo.outputPath('parsers.xml'));
+}
+
+// Helper: Open the parser comparison and wait for it to load
+async function openComparison(page) {
+	const comparison = page.locator('#import-parser-comparison');
+	await comparison.locator('summary').click();
+	await expect(comparison).toHaveAttribute('data-status', 'ready');
+	return comparison;
+}
+
+test.describe('Parser choice', () => {
+	test('reads the file again with the chosen parser', async ({ page, playground }, testInfo) => {
+		await uploadWxr(page, await writeFixture(testInfo));
+
+		const used = page.locator('#import-parser-used');
+		const choice = page.getByLabel('Read the file with');
+		await expect(choice).toHaveValue('auto');
+		await expect(used).toContainText('This file was read with the');
+		await expect(page.locator('.import-parser-errors')).toHaveCount(0);
+
+		await choice.selectOption('xmlprocessor');
+		await page.getByRole('button', { name: 'Read the file again' }).click();
+		await expect(used).toHaveAttribute('data-parser', 'xmlprocessor');
+		await expect(used).toHaveText('This file was read with the XML Processor parser.');
+		await expect(choice).toHaveValue('xmlprocessor');
+
+		await page.getByRole('button', { name: 'Submit' }).click();
+		expect(await waitForImport(page)).toBe('done');
+		const { posts } = await dumpSite(playground);
+		expect(posts['post/release-notes'].terms.category).toEqual(['news']);
+	});
+
+	test('compares what each parser reads from the file', async ({ page }, testInfo) => {
+		await uploadWxr(page, await writeFixture(testInfo));
+
+		const comparison = await openComparison(page);
+		const rows = comparison.locator('tbody tr');
+		await expect(rows).toHaveCount(4);
+		const processor = comparison.locator('tr[data-parser="xmlprocessor"]');
+		await expect(processor.locator('td[data-column="posts"]')).toHaveText('1');
+		await expect(processor.locator('td[data-column="terms"]')).toHaveText('1');
+		await expect(processor.locator('td[data-column="comments"]')).toHaveText('1');
+
+		const parser = await page.locator('#import-parser-used').getAttribute('data-parser');
+		await expect(comparison.locator(`tr[data-parser="${parser}"] th`)).toContainText('(used)');
+	});
+
+	test('falls back to the next parser when one cannot read the file', async ({ page }) => {
+		await uploadWxr(page, MALFORMED);
+
+		await expect(page.locator('#import-parser-used')).toHaveAttribute(
+			'data-parser',
+			'xmlprocessor'
+		);
+		await expect(page.locator('.import-parser-errors li').first()).toHaveText(
+			'The SimpleXML parser could not read it: There was an error when reading this WXR file'
+		);
+
+		const comparison = await openComparison(page);
+		await expect(
+			comparison.locator('tr[data-parser="simplexml"] .import-parser-error')
+		).toHaveText('There was an error when reading this WXR file');
+	});
+});
@@ -0,0 +1,104 @@
+// E2E tests for choosing what to import on the import options screen (step=1).
+const { test, expect } = require('./helpers/fixtures');
+const { uploadWxr, waitForImport } = require('./helpers/importer');
+const { dumpSite } = require('./helpers/site-dump');
+const { WxrBuilder } = require('./helpers/wxr-builder');
+
+// Helper: Write a fixture with posts of two types, terms and a menu
+function writeFixture(testInfo) {
+	return new WxrBuilder()
+		.category({ slug: 'news', name: 'News' })
+		.tag({ slug: 'jazz', name: 'Jazz' })
+		.tag({ slug: 'rock', name: 'Rock' })
+		.post({ title: 'Release notes', categories: ['news'] })
+		.post({ title: 'Concert review', tags: ['jazz', 'rock'] })
+		.post({ title: 'Unfinished', status: 'draft' })
+		.post({ title: 'About', type: 'page' })
+		.post({ title: 'Contact', type: 'page' })
+		.menuItem({ menu: 'main', title: 'Home', url: 'https://example.com/' })
+		.writeFile(testInfo.outputPath('preview.xml'));
+}
+
+// Helper: The preview of one type, e.g. 'post:page' or 'term:post_tag'
+function previewType(page, type) {
+	return page.locator(`#import-preview table[data-type="${type}"]`);
+}
+
+// Helper: The row of one item in the preview
+function previewItem(page, title) {
+	return page.locator('#import-preview .import-preview-item', {
+		has: page.getByText(title, { exact: true }),
+	});
+}
+
+test.describe('Import preview', () => {
+	test('lists what the file contains and what already exists', async ({
+		page,
+		playground,
+	}, testInfo) => {
+		await playground.runPhp(`
+			wp_insert_post( array( 'post_title' => 'Release notes', 'post_date' => '2024-06-05 16:04:48', 'post_status' => 'publish' ) );
+			wp_insert_term( 'Jazz', 'post_tag', array( 'slug' => 'jazz' ) );
+		`);
+		await uploadWxr(page, await writeFixture(testInfo));
+
+		const posts = previewType(page, 'post:post');
+		await expect(posts.locator('thead')).toContainText('3 items, 1 already exists');
+		await expect(posts.locator('.import-preview-status')).toHaveText(['Published', 'Draft']);
+		await expect(previewItem(page, 'Release notes')).toContainText('Already exists');
+		await expect(previewItem(page, 'Concert review')).toContainText('New');
+
+		await expect(previewType(page, 'post:page').locator('thead')).toContainText('2 items');
+		await expect(previewType(page, 'term:category')).toContainText('News');
+		await expect(previewItem(page, 'Jazz')).toContainText('Already exists');
+		await expect(previewItem(page, 'main')).toContainText('1 menu item');
+	});
+
+	test('searches and filters the items', async ({ page, playground }, testInfo) => {
+		await playground.runPhp(`
+			wp_insert_post( array( 'post_title' => 'Release notes', 'post_date' => '2024-06-05 16:04:48', 'post_status' => 'publish' ) );
+		`);
+		await uploadWxr(page, await writeFixture(testInfo));
+
+		await page.locator('#import-preview-search').fill('con');
+		await expect(page.locator('.import-preview-item:visible label')).toHaveText([
+			'Concert review',
+			'Contact',
+		]);
+		await expect(previewType(page, 'term:category')).toBeHidden();
+
+		await page.locator('#import-preview-search').fill('');
+		await page.locator('#import-preview-filter').selectOption('exists');
+		await expect(page.locator('.import-preview-item:visible label')).toHaveText([
+			'Release notes',
+		]);
+	});
+
+	test('imports only the ticked items', async ({ page, playground }, testInfo) => {
+		await uploadWxr(page, await writeFixture(testInfo));
+
+		await previewItem(page, 'Unfinished').getByRole('checkbox').uncheck();
+		await previewItem(page, 'Rock').getByRole('checkbox').uncheck();
+		await previewItem(page, 'main').getByRole('checkbox').uncheck();
+		await previewType(page, 'post:page').getByLabel('Pages').uncheck();
+		await expect(previewItem(page, 'Contact').getByRole('checkbox')).not.toBeChecked();
+
+		// Unticking some of a type leaves its checkbox in between.
+		const postsToggle = previewType(page, 'post:post').getByLabel('Posts');
+		expect(await postsToggle.evaluate((box) => box.indeterminate)).toBe(true);
+
+		await page.getByRole('button', { name: /^Submit$/i }).click();
+		await page.waitForURL('**/admin.php?import=wordpress&step=2**');
+		expect(await waitForImport(page)).toBe('done');
+
+		const { posts, terms, menus } = await dumpSite(playground);
+		expect(posts['post/release-notes']).toBeDefined();
+		expect(posts['post/concert-review'].terms.post_tag).toEqual(['jazz']);
+		expect(posts['post/unfinished']).toBeUndefined();
+		expect(posts['page/about']).toBeUndefined();
+		expect(posts['page/contact']).toBeUndefined();
+		expect(terms['category/news']).toBeDefined();
+		expect(terms['post_tag/rock']).toBeUndefined();
+		expect(menus.main).toBeUndefined();
+	});
+});
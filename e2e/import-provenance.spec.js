@@ -0,0 +1,82 @@
+// E2E tests for the import panel of the block editor.
+const { test, expect } = require('./helpers/fixtures');
+const { importWxrWithRest, getPosts, getRestNonce } = require('./helpers/importer');
+const { WxrBuilder } = require('./helpers/wxr-builder');
+
+// Helper: Write a fixture from https://old.example with a post that links to its own pages
+function writeFixture(testInfo) {
+	return new WxrBuilder({ baseSiteUrl: 'https://old.example' })
+		.author({ login: 'dave', email: 'dave@example.com', displayName: 'Dave' })
+		.post({
+			title: 'Links',
+			author: 'dave',
+			link: 'https://old.example/2020/01/links/',
+			content: [
+				'<!-- wp:paragraph -->',
+				'<p><a href="https://old.example/hello/">Hello</a> and <a href="https://example.com/">elsewhere</a></p>',
+				'<!-- /wp:paragraph -->',
+			].join('\n'),
+		})
+		.writeFile(testInfo.outputPath('provenance.xml'));
+}
+
+// Helper: Open a post in the block editor, past the welcome guide
+async function editPost(page, id) {
+	await page.goto(`/wp-admin/post.php?post=${id}&action=edit`);
+	const guide = page.getByRole('dialog', { name: /welcome/i });
+	if (await guide.isVisible({ timeout: 5000 }).catch(() => false)) {
+		await page.keyboard.press('Escape');
+	}
+	const iframe = page.locator('iframe[name="editor-canvas"]');
+	return (await iframe.count()) ? page.frameLocator('iframe[name="editor-canvas"]') : page;
+}
+
+test.describe('Import provenance', () => {
+	test('shows where an imported post came from', async ({ page }, testInfo) => {
+		await importWxrWithRest(page, await writeFixture(testInfo));
+		const [post] = await getPosts(page.request, 'Links');
+
+		const canvas = await editPost(page, post.id);
+		await page.getByRole('button', { name: 'Import', exact: true }).click();
+
+		const panel = page.locator('.wordpress-importer-provenance');
+		await expect(panel).toContainText(/Imported from provenance(-\d+)?\.xml on /);
+		await expect(
+			panel.getByRole('link', { name: 'https://old.example/2020/01/links/' })
+		).toBeVisible();
+		await expect(panel.locator('dd')).toContainText([
+			'1000',
+			'https://old.example/2020/01/links/',
+			'dave',
+		]);
+		await expect(panel.locator('.wordpress-importer-rewriting')).toHaveText(
+			'1 URL in the content was changed.'
+		);
+
+		await panel.getByRole('button', { name: 'Show rewritten URLs' }).click();
+		await expect(panel.locator('.wordpress-importer-rewritten-urls li')).toHaveText([
+			/^https:\/\/old\.example\/hello\/ → http:\/\/[^/]+\/hello\/$/,
+		]);
+
+		const outline = (link) => link.evaluate((a) => getComputedStyle(a).outlineStyle);
+		await expect
+			.poll(() => outline(canvas.getByRole('link', { name: 'Hello' })))
+			.toBe('dashed');
+		expect(await outline(canvas.getByRole('link', { name: 'elsewhere' }))).toBe('none');
+
+		await panel.getByRole('button', { name: 'Hide rewritten URLs' }).click();
+		await expect.poll(() => outline(canvas.getByRole('link', { name: 'Hello' }))).toBe('none');
+	});
+
+	test('has no panel for posts that were not imported', async ({ page }) => {
+		const created = await page.request.post('/wp-json/wp/v2/posts', {
+			headers: { 'X-WP-Nonce': await getRestNonce(page) },
+			data: { title: 'Written here', status: 'draft' },
+		});
+		expect(created.ok()).toBeTruthy();
+
+		const canvas = await editPost(page, (await created.json()).id);
+		await expect(canvas.getByText('Written here')).toBeVisible();
+		await expect(page.locator('.wordpress-importer-provenance')).toHaveCount(0);
+	});
+});
@@ -0,0 +1,101 @@
+// E2E tests for the REST API that drives imports, through src/js/import-client.js.
+const fs = require('fs');
+const { test, expect } = require('./helpers/fixtures');
+const { getImportClient, importWxrWithRest } = require('./helpers/importer');
+const { dumpSite } = require('./helpers/site-dump');
+const { WxrBuilder } = require('./helpers/wxr-builder');
+
+// Helper: Write a fixture with a category and a post by each of two authors
+function writeTwoAuthors(testInfo) {
+	return new WxrBuilder()
+		.author({ login: 'admin', email: 'admin@localhost.com' })
+		.author({ login: 'carol', email: 'carol@example.com', displayName: 'Carol' })
+		.category({ slug: 'news', name: 'News' })
+		.post({ title: 'By Admin', author: 'admin', categories: ['news'] })
+		.post({ title: 'By Carol', author: 'carol' })
+		.post({ title: 'About', type: 'page' })
+		.writeFile(testInfo.outputPath('rest.xml'));
+}
+
+test.describe('Import REST API', () => {
+	test('uploads, configures and runs an import', async ({ page, playground }, testInfo) => {
+		const file = await writeTwoAuthors(testInfo);
+		const client = await getImportClient(page);
+
+		const uploaded = await client.upload(fs.readFileSync(file), 'rest.xml');
+		expect(uploaded.status).toBe('uploaded');
+		expect(uploaded.file).toContain('rest.xml');
+		expect(uploaded.authors.map((author) => author.login)).toEqual(['admin', 'carol']);
+		expect(uploaded.authors[0].suggested_user).toMatchObject({ login: 'admin' });
+		expect(uploaded.authors[1].suggested_user).toBeNull();
+		expect(uploaded.summary).toMatchObject({ categories: 1, posts: { post: 2, page: 1 } });
+
+		const configured = await client.setOptions(uploaded.id, {
+			authors: [
+				{ login: 'admin', user_id: uploaded.authors[0].suggested_user.id },
+				{ login: 'carol', new_login: 'caroline' },
+			],
+			rewrite_urls: false,
+			parser: 'xmlprocessor',
+		});
+		expect(configured.options).toMatchObject({
+			fetch_attachments: false,
+			rewrite_urls: false,
+			parser: 'xmlprocessor',
+		});
+
+		let result = await client.start(uploaded.id);
+		expect(result.status).toBe('running');
+		while (result.status === 'running') {
+			result = await client.runBatch(uploaded.id);
+		}
+		expect(result.status).toBe('done');
+		expect(result.log.error).toBe(0);
+		expect(await client.get(uploaded.id)).toMatchObject({ id: uploaded.id, status: 'done' });
+
+		const { posts, users } = await dumpSite(playground);
+		expect(posts['post/by-carol'].author).toBe('caroline');
+		expect(posts['post/by-admin'].terms.category).toEqual(['news']);
+		expect(users.caroline).toBeDefined();
+
+		const userRecords = await client.getLog(uploaded.id, { type: 'user' });
+		expect(userRecords.map((record) => record.message)).toEqual([
+			'Assigned the posts of admin to admin.',
+			'Created user caroline.',
+		]);
+	});
+
+	test('rejects options it cannot apply', async ({ page }, testInfo) => {
+		const client = await getImportClient(page);
+		const uploaded = await client.upload(
+			fs.readFileSync(await writeTwoAuthors(testInfo)),
+			'rest.xml'
+		);
+
+		const error = await client.setOptions(uploaded.id, { parser: 'nope' }).catch((e) => e);
+		expect(error).toMatchObject({ status: 400, code: 'rest_invalid_param' });
+
+		await client.start(uploaded.id);
+		const started = await client
+			.setOptions(uploaded.id, { rewrite_urls: false })
+			.catch((e) => e);
+		expect(started).toMatchObject({ status: 409, code: 'import_started' });
+	});
+
+	test('rejects files that are not WXR', async ({ page }) => {
+		const client = await getImportClient(page);
+		const error = await client.upload('<html></html>', 'page.html').catch((e) => e);
+		expect(error.status).toBe(400);
+	});
+
+	test('maps every author to the admin user', async ({ page, playground }, testInfo) => {
+		const result = await importWxrWithRest(page, await writeTwoAuthors(testInfo), {
+			mapAuthorsToAdmin: true,
+		});
+		expect(result.log.error).toBe(0);
+
+		const { posts, users } = await dumpSite(playground);
+		expect(posts['post/by-carol'].author).toBe('admin');
+		expect(users.carol).toBeUndefined();
+	});
+});
@@ -0,0 +1,77 @@
+// E2E tests for the URL changes and their preview on the import options screen (step=1).
+const { test, expect } = require('./helpers/fixtures');
+const { uploadWxr, waitForImport } = require('./helpers/importer');
+const { dumpSite } = require('./helpers/site-dump');
+const { WxrBuilder } = require('./helpers/wxr-builder');
+
+// Helper: Write a fixture from https://old.example that links to its own pages and a CDN
+function writeFixture(testInfo) {
+	return new WxrBuilder({ baseSiteUrl: 'https://old.example' })
+		.post({
+			title: 'Links',
+			content: [
+				'<!-- wp:paragraph -->',
+				'<p><a href="https://old.example/hello/">Hello</a></p>',
+				'<!-- /wp:paragraph -->',
+				'<!-- wp:image -->',
+				'<figure class="wp-block-image"><img src="http://cdn.old.example/a.jpg" alt=""/></figure>',
+				'<!-- /wp:image -->',
+			].join('\n'),
+		})
+		.post({ title: 'No links', content: '<p>Nothing to see.</p>' })
+		.writeFile(testInfo.outputPath('links.xml'));
+}
+
+// Helper: Fill in the last row of URL changes, adding one if it's taken
+async function addUrlChange(page, from, to) {
+	const rules = page.locator('#import-url-mapping-rules tr');
+	if (await rules.last().getByLabel('Old URL').inputValue()) {
+		await page.getByRole('button', { name: 'Add URL change' }).click();
+	}
+	await rules.last().getByLabel('Old URL').fill(from);
+	await rules.last().getByLabel('New URL').fill(to);
+}
+
+test.describe('URL rewriting', () => {
+	test('previews how the URLs in imported posts change', async ({ page }, testInfo) => {
+		await uploadWxr(page, await writeFixture(testInfo));
+
+		const preview = page.locator('#import-rewrite-preview');
+		await expect(preview).toHaveAttribute('data-status', 'ready');
+		const sample = preview.locator('.import-rewrite-sample');
+		// Only posts that link to anything are previewed.
+		await expect(sample.locator('h4')).toHaveText(['Links']);
+		await expect(sample.locator('.import-rewrite-before')).toHaveText([
+			'<p><a href="https://old.example/hello/">Hello</a></p>',
+		]);
+		await expect(sample.locator('.import-rewrite-after')).not.toContainText('old.example');
+
+		await addUrlChange(page, 'http://cdn.old.example', 'https://cdn.example.org');
+		await expect(sample.locator('.import-rewrite-after')).toHaveCount(2);
+		await expect(sample.locator('.import-rewrite-after').last()).toContainText(
+			'<img src="https://cdn.example.org/a.jpg" alt=""/>'
+		);
+
+		await page.locator('#rewrite-urls').uncheck();
+		await expect(sample.locator('.import-rewrite-after')).toHaveText([
+			'<figure class="wp-block-image"><img src="https://cdn.example.org/a.jpg" alt=""/></figure>',
+		]);
+	});
+
+	test('applies the URL changes to imported posts', async ({ page, playground }, testInfo) => {
+		await uploadWxr(page, await writeFixture(testInfo));
+
+		await addUrlChange(page, 'http://cdn.old.example', 'https://cdn.example.org');
+		await addUrlChange(page, 'https://old.example/hello', 'https://example.org/greetings');
+		await page.locator('#rewrite-urls').uncheck();
+
+		await page.getByRole('button', { name: /^Submit$/i }).click();
+		await page.waitForURL('**/admin.php?import=wordpress&step=2**');
+		expect(await waitForImport(page)).toBe('done');
+
+		const { posts } = await dumpSite(playground);
+		const content = posts['post/links'].content;
+		expect(content).toContain('<a href="https://example.org/greetings/">');
+		expect(content).toContain('<img src="https://cdn.example.org/a.jpg" alt=""/>');
+	});
+});
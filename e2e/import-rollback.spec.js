@@ -0,0 +1,82 @@
+// E2E tests for the past imports screen (step=5) and rolling an import back (step=6).
+const { test, expect } = require('./helpers/fixtures');
+const { uploadWxr, mapAuthor, waitForImport } = require('./helpers/importer');
+const { dumpSite } = require('./helpers/site-dump');
+const { WxrBuilder } = require('./helpers/wxr-builder');
+
+// Helper: Add a post and a category named News to the site
+async function createContent(playground) {
+	await playground.runPhp(`
+		wp_insert_post( array( 'post_title' => 'Welcome', 'post_status' => 'publish' ) );
+		wp_insert_term( 'News', 'category', array( 'slug' => 'news' ) );
+	`);
+}
+
+// Helper: Import a post by a new user, with a comment and a category that exists and one that doesn't
+async function importTrip(page, testInfo) {
+	const file = await new WxrBuilder()
+		.author({ login: 'alice', displayName: 'Alice' })
+		.category({ slug: 'news', name: 'News' })
+		.category({ slug: 'travel', name: 'Travel' })
+		.post({
+			title: 'Trip report',
+			author: 'alice',
+			categories: ['news', 'travel'],
+			comments: [{ author: 'Bob', content: 'Nice pictures.' }],
+		})
+		.writeFile(testInfo.outputPath('trip.xml'));
+
+	await uploadWxr(page, file);
+	await mapAuthor(page, 'alice', { create: '' });
+	await page.getByRole('button', { name: /^Submit$/i }).click();
+	await page.waitForURL('**/admin.php?import=wordpress&step=2**');
+	expect(await waitForImport(page)).toBe('done');
+}
+
+test.describe('Import rollback', () => {
+	test('deletes what the import created and nothing else', async ({
+		page,
+		playground,
+	}, testInfo) => {
+		await createContent(playground);
+		await importTrip(page, testInfo);
+
+		const imported = await dumpSite(playground);
+		expect(Object.keys(imported.posts['post/trip-report'].comments)).toHaveLength(1);
+		expect(imported.terms['category/travel']).toBeDefined();
+		expect(imported.users.alice).toBeDefined();
+
+		await page.goto('/wp-admin/admin.php?import=wordpress');
+		await page.locator('#import-past-imports').click();
+		await page.waitForURL('**/admin.php?import=wordpress&step=5');
+		const row = page.locator('#past-imports tbody tr');
+		await expect(row).toHaveCount(1);
+		await expect(row).toContainText('trip.xml');
+		await expect(row).toContainText('Comments: 1');
+		await expect(row).toContainText('Users: 1');
+
+		await row.getByRole('link', { name: 'Roll back' }).click();
+		await page.waitForURL('**/admin.php?import=wordpress&step=5&import_id=*');
+		await expect(page.locator('#rollback-summary')).toContainText(
+			'Categories, tags and terms: 1'
+		);
+		await page.getByRole('button', { name: 'Roll back import' }).click();
+		await page.waitForURL('**/admin.php?import=wordpress&step=6');
+		await expect(page.locator('#rollback-progress')).toHaveAttribute('data-status', 'done');
+		await expect(page.locator('#rollback-progress tr[data-type="users"]')).toContainText(
+			'1 / 1'
+		);
+
+		const { posts, terms, users } = await dumpSite(playground);
+		expect(posts['post/trip-report']).toBeUndefined();
+		expect(terms['category/travel']).toBeUndefined();
+		expect(users.alice).toBeUndefined();
+		expect(posts['post/welcome']).toBeDefined();
+		expect(terms['category/news']).toBeDefined();
+
+		await page.getByRole('link', { name: 'Back to past imports' }).click();
+		await page.waitForURL('**/admin.php?import=wordpress&step=5');
+		await expect(row).toHaveAttribute('data-status', 'rolled_back');
+		await expect(row.getByRole('link', { name: 'Roll back' })).toHaveCount(0);
+	});
+});
@@ -0,0 +1,136 @@
+// E2E tests for the term mapping on the import options screen (step=1).
+const { test, expect } = require('./helpers/fixtures');
+const { uploadWxr, waitForImport } = require('./helpers/importer');
+const { dumpSite } = require('./helpers/site-dump');
+const { WxrBuilder } = require('./helpers/wxr-builder');
+
+// Helper: Add a category named News and a tag named Miscellaneous to the site
+async function createTerms(playground) {
+	await playground.runPhp(`
+		wp_insert_term( 'News', 'category', array( 'slug' => 'latest-news' ) );
+		wp_insert_term( 'Miscellaneous', 'post_tag', array( 'slug' => 'miscellaneous' ) );
+	`);
+}
+
+// Helper: Write a fixture with a category hierarchy and a tag
+function writeFixture(testInfo) {
+	return new WxrBuilder()
+		.category({ slug: 'news', name: 'News' })
+		.category({ slug: 'local', name: 'Local', parent: 'news' })
+		.category({ slug: 'old', name: 'Old' })
+		.tag({ slug: 'misc', name: 'Misc' })
+		.post({ title: 'City council', categories: ['news', 'local'] })
+		.post({ title: 'Archive', categories: ['old'], tags: ['misc'] })
+		.writeFile(testInfo.outputPath('terms.xml'));
+}
+
+// Helper: Row of a term from the file
+function termRow(page, taxonomy, slug) {
+	return page.locator(`.import-term[data-key="term:${taxonomy}:${slug}"]`);
+}
+
+// Helper: Submit the import options and wait for the import to finish
+async function submitImport(page) {
+	await page.getByRole('button', { name: /^Submit$/i }).click();
+	await page.waitForURL('**/admin.php?import=wordpress&step=2**');
+	expect(await waitForImport(page)).toBe('done');
+}
+
+test.describe('Term mapping', () => {
+	test.beforeEach(async ({ playground }) => {
+		await createTerms(playground);
+	});
+
+	test('maps, renames and leaves out terms', async ({ page, playground }, testInfo) => {
+		await uploadWxr(page, await writeFixture(testInfo));
+
+		// Local is listed under its parent.
+		const categories = page.locator(
+			'table.import-terms[data-taxonomy="category"] .import-term'
+		);
+		await expect(categories).toHaveCount(3);
+		expect(await categories.evaluateAll((rows) => rows.map((row) => row.dataset.key))).toEqual([
+			'term:category:news',
+			'term:category:local',
+			'term:category:old',
+		]);
+
+		// News matches an existing category by name, which is preselected for mapping.
+		const news = termRow(page, 'category', 'news');
+		await expect(news).toHaveAttribute('data-suggested-by', 'name');
+		await expect(news.locator('.import-term-suggestion')).toContainText(
+			'the term with the same name'
+		);
+		await page.getByLabel('What to do with News').selectOption('map');
+		await expect(page.getByLabel('Existing term for News')).toHaveValue(/^[1-9]\d*$/);
+
+		await page.getByLabel('What to do with Local').selectOption('rename');
+		await page.getByLabel('New name for Local').fill('Local news');
+		await page.getByLabel('What to do with Old').selectOption('drop');
+		await expect(termRow(page, 'category', 'old').locator('.import-term-map')).toBeHidden();
+
+		await page.getByLabel('What to do with Misc').selectOption('map');
+		await page.getByLabel('Existing term for Misc').selectOption({ label: 'Miscellaneous' });
+
+		await submitImport(page);
+		const { posts, terms } = await dumpSite(playground);
+		expect(posts['post/city-council'].terms.category).toEqual(['latest-news', 'local-news']);
+		expect(posts['post/archive'].terms.category).toEqual(['uncategorized']);
+		expect(posts['post/archive'].terms.post_tag).toEqual(['miscellaneous']);
+		expect(terms['category/local-news']).toMatchObject({
+			name: 'Local news',
+			parent: 'latest-news',
+		});
+		expect(terms['category/news']).toBeUndefined();
+		expect(terms['category/old']).toBeUndefined();
+		expect(terms['post_tag/misc']).toBeUndefined();
+	});
+
+	test('imports terms with the same name unless they are mapped', async ({
+		page,
+		playground,
+	}, testInfo) => {
+		await playground.runPhp(`
+			wp_insert_term( 'Events', 'post_tag', array( 'slug' => 'happenings' ) );
+		`);
+		const file = await new WxrBuilder()
+			.tag({ slug: 'events-2024', name: 'Events' })
+			.post({ title: 'Fair', tags: ['events-2024'] })
+			.writeFile(testInfo.outputPath('events.xml'));
+		await uploadWxr(page, file);
+
+		const events = termRow(page, 'post_tag', 'events-2024');
+		await expect(events).toHaveAttribute('data-suggested-by', 'name');
+		await expect(events.locator('.import-term-suggestion')).toContainText(
+			'the term with the same name'
+		);
+		await expect(page.getByLabel('What to do with Events')).toHaveValue('import');
+		await expect(page.getByLabel('Existing term for Events')).toBeHidden();
+
+		await submitImport(page);
+		const { posts, terms } = await dumpSite(playground);
+		expect(posts['post/fair'].terms.post_tag).toEqual(['events-2024']);
+		expect(terms['post_tag/events-2024']).toMatchObject({ name: 'Events' });
+		expect(terms['post_tag/happenings']).toMatchObject({ name: 'Events' });
+	});
+});
+
+test.describe('Term mapping on a site with many terms', () => {
+	test.use({ constants: { E2E_TERM_DROPDOWN_LIMIT: 1 } });
+
+	test('searches for existing terms', async ({ page, playground }, testInfo) => {
+		await createTerms(playground);
+		await uploadWxr(page, await writeFixture(testInfo));
+
+		await page.getByLabel('What to do with Old').selectOption('map');
+		const existing = page.getByLabel('Existing term for Old');
+		await expect(existing.locator('option')).toHaveCount(1);
+
+		await page.getByLabel('Search existing terms for Old').fill('news');
+		await expect(existing.locator('option:checked')).toHaveText('News (latest-news)');
+
+		await submitImport(page);
+		const { posts } = await dumpSite(playground);
+		expect(posts['post/archive'].terms.category).toEqual(['latest-news']);
+	});
+});
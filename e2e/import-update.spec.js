@@ -0,0 +1,117 @@
+// E2E tests for updating the posts of an earlier import (the update option on step=1).
+const { test, expect } = require('./helpers/fixtures');
+const { uploadWxr, waitForImport } = require('./helpers/importer');
+const { dumpSite } = require('./helpers/site-dump');
+const { WxrBuilder } = require('./helpers/wxr-builder');
+
+// Helper: Write an export of the same two posts, and optionally a new one
+function writeExport(testInfo, name, { trip, recipe, packing }) {
+	const builder = new WxrBuilder()
+		.post({ id: 10, title: 'Trip report', content: trip })
+		.post({ id: 11, title: 'Recipe', content: recipe });
+	if (packing) {
+		builder.post({ id: 12, title: 'Packing list', content: packing });
+	}
+	return builder.writeFile(testInfo.outputPath(name));
+}
+
+// Helper: Submit the import options and wait for the import to finish
+async function submitImport(page) {
+	await page.getByRole('button', { name: /^Submit$/i }).click();
+	await page.waitForURL('**/admin.php?import=wordpress&step=2**');
+	expect(await waitForImport(page)).toBe('done');
+}
+
+// Helper: Import the first export, then edit the recipe on the site
+async function importAndEdit(page, playground, testInfo) {
+	await uploadWxr(
+		page,
+		await writeExport(testInfo, 'first.xml', { trip: 'First draft', recipe: 'Old recipe' })
+	);
+	await submitImport(page);
+
+	// A second later, so the edit can be told apart from the import.
+	await playground.runPhp(`
+		sleep( 1 );
+		$recipe = get_posts( array( 'title' => 'Recipe', 'post_type' => 'post' ) );
+		wp_update_post( array( 'ID' => $recipe[0]->ID, 'post_content' => 'Edited here' ) );
+	`);
+
+	await uploadWxr(
+		page,
+		await writeExport(testInfo, 'second.xml', {
+			trip: 'Second draft',
+			recipe: 'New recipe',
+			packing: 'Socks',
+		})
+	);
+}
+
+// Helper: Number of posts the summary at the end of the import gives for a result
+function summaryCount(page, result) {
+	return page
+		.locator(`#import-update-summary li[data-result="${result}"]`)
+		.getAttribute('data-count');
+}
+
+test.describe('Updating an earlier import', () => {
+	test('updates what changed in the file and keeps edits made on the site', async ({
+		page,
+		playground,
+	}, testInfo) => {
+		await importAndEdit(page, playground, testInfo);
+
+		const conflicts = page.locator('#import-update-conflicts');
+		await expect(conflicts).toBeHidden();
+		await page.getByLabel(/^Update the posts, pages and other items/).check();
+		await expect(conflicts).toBeVisible();
+		await expect(conflicts.locator('.import-update-conflict')).toHaveAttribute(
+			'data-key',
+			'post:11'
+		);
+		await expect(page.getByLabel('Version of Recipe to keep')).toHaveValue('keep');
+
+		await submitImport(page);
+		expect(await summaryCount(page, 'created')).toBe('1');
+		expect(await summaryCount(page, 'updated')).toBe('1');
+		expect(await summaryCount(page, 'conflicts')).toBe('1');
+
+		const { posts } = await dumpSite(playground);
+		expect(posts['post/trip-report'].content).toBe('Second draft');
+		expect(posts['post/recipe'].content).toBe('Edited here');
+		expect(posts['post/packing-list'].content).toBe('Socks');
+		// No copies of the imported posts, next to the post the site came with.
+		expect(Object.keys(posts).filter((key) => key.startsWith('post/'))).toEqual([
+			'post/hello-world',
+			'post/packing-list',
+			'post/recipe',
+			'post/trip-report',
+		]);
+	});
+
+	test('replaces edits made on the site when chosen', async ({ page, playground }, testInfo) => {
+		await importAndEdit(page, playground, testInfo);
+
+		await page.getByLabel(/^Update the posts, pages and other items/).check();
+		await page.getByLabel('Version of Recipe to keep').selectOption('overwrite');
+		await submitImport(page);
+		expect(await summaryCount(page, 'updated')).toBe('2');
+		expect(await summaryCount(page, 'conflicts')).toBe('0');
+
+		const { posts } = await dumpSite(playground);
+		expect(posts['post/recipe'].content).toBe('New recipe');
+	});
+
+	test('skips posts that exist without the update option', async ({
+		page,
+		playground,
+	}, testInfo) => {
+		await importAndEdit(page, playground, testInfo);
+		await submitImport(page);
+		await expect(page.locator('#import-update-summary')).toHaveCount(0);
+
+		const { posts } = await dumpSite(playground);
+		expect(posts['post/trip-report'].content).toBe('First draft');
+		expect(posts['post/recipe'].content).toBe('Edited here');
+	});
+});
@@ -0,0 +1,243 @@
+// Tests for the upload form's check of the chosen file, and for uploading it in parts.
+//
+// The preflightWxr() tests run in Node and use the plain Playwright `test`; the
+// others boot Playground.
+const { test } = require('playwright/test');
+const { test: uploadTest, expect } = require('./helpers/fixtures');
+const { uploadWxr, goToImporter } = require('./helpers/importer');
+const { WxrBuilder } = require('./helpers/wxr-builder');
+const { writeFortyPosts } = require('./helpers/wxr-fixtures');
+const { preflightWxr } = require('../src/js/wxr-preflight');
+const crypto = require('crypto');
+const fs = require('fs');
+
+// Helper: Check a file the way the upload form does
+async function preflight(file) {
+	return preflightWxr(await fs.openAsBlob(file), { maxVersion: '1.2' });
+}
+
+function problemCodes(report) {
+	return report.problems.map((problem) => problem.code);
+}
+
+test.describe('WXR preflight', () => {
+	test('reads the channel and counts what the file contains', async ({}, testInfo) => {
+		const file = await new WxrBuilder({ baseSiteUrl: 'https://source.test' })
+			.author({ login: 'alice' })
+			.author({ login: 'bob' })
+			.category({ slug: 'news', name: 'News' })
+			.tag({ slug: 'jazz', name: 'Jazz' })
+			.term({ taxonomy: 'genre', slug: 'rock', name: 'Rock' })
+			.post({ title: 'One', comments: [{ author: 'Bob', content: 'Hi' }] })
+			.post({
+				title: 'Two',
+				comments: [{ author: 'Eve', content: 'Hey' }, { content: 'Yo' }],
+			})
+			.post({ title: 'About', type: 'page' })
+			.attachment({ title: 'Photo', url: 'https://source.test/photo.jpg' })
+			.writeFile(testInfo.outputPath('counts.xml'));
+
+		expect(await preflight(file)).toEqual({
+			version: '1.2',
+			baseSiteUrl: 'https://source.test',
+			baseBlogUrl: 'https://source.test',
+			authors: 2,
+			categories: 1,
+			tags: 1,
+			terms: 1,
+			items: 4,
+			posts: { post: 2, page: 1, attachment: 1 },
+			attachments: 1,
+			comments: 3,
+			problems: [],
+		});
+	});
+
+	test('ignores markup inside post content', async ({}, testInfo) => {
+		const file = await new WxrBuilder()
+			.post({
+				title: 'About RSS',
+				content: '<channel><item><wp:comment></wp:comment></item>',
+			})
+			.writeFile(testInfo.outputPath('markup.xml'));
+
+		const report = await preflight(file);
+		expect(report.items).toBe(1);
+		expect(report.comments).toBe(0);
+	});
+
+	test('counts items across the slices the file is read in', async ({}, testInfo) => {
+		const file = await new WxrBuilder()
+			.posts(function* () {
+				for (let i = 0; i < 3000; i++) {
+					yield {
+						title: `Post ${i}`,
+						type: i % 3 ? 'post' : 'page',
+						content: 'x'.repeat(i % 700),
+					};
+				}
+			})
+			.writeFile(testInfo.outputPath('large.xml'));
+		expect(fs.statSync(file).size).toBeGreaterThan(2 * 1024 * 1024);
+
+		const report = await preflight(file);
+		expect(report.items).toBe(3000);
+		expect(report.posts).toEqual({ page: 1000, post: 2000 });
+		expect(report.problems).toEqual([]);
+	});
+
+	test('finds files that are cut off or have no usable version', async ({}, testInfo) => {
+		const builder = new WxrBuilder().post({ title: 'One' });
+		const truncated = await builder.writeFile(testInfo.outputPath('truncated.xml'), {
+			truncate: 800,
+		});
+		expect(problemCodes(await preflight(truncated))).toEqual(['truncated']);
+
+		const noVersion = await new WxrBuilder({ version: null })
+			.post({ title: 'One' })
+			.writeFile(testInfo.outputPath('no-version.xml'));
+		expect((await preflight(noVersion)).problems).toEqual([
+			{ code: 'missing-version', severity: 'error' },
+		]);
+
+		const newer = await new WxrBuilder({ version: '1.3' })
+			.post({ title: 'One' })
+			.writeFile(testInfo.outputPath('newer.xml'));
+		expect((await preflight(newer)).problems).toEqual([
+			{ code: 'unsupported-version', severity: 'warning' },
+		]);
+
+		const empty = await new WxrBuilder().writeFile(testInfo.outputPath('empty.xml'));
+		expect(problemCodes(await preflight(empty))).toEqual(['empty']);
+	});
+
+	test('finds files that are not WXR at all', async ({}, testInfo) => {
+		const text = testInfo.outputPath('notes.txt');
+		fs.writeFileSync(text, 'Just some notes.\n');
+		expect(problemCodes(await preflight(text))).toEqual(['not-xml']);
+
+		const xml = testInfo.outputPath('feed.xml');
+		fs.writeFileSync(xml, '\uFEFF<?xml version="1.0"?>\n<feed><entry/></feed>\n');
+		expect(problemCodes(await preflight(xml))).toEqual(['not-wxr']);
+	});
+});
+
+uploadTest.describe('Upload form', () => {
+	uploadTest(
+		'holds back a file with problems until asked to upload it',
+		async ({ page }, testInfo) => {
+			const file = await new WxrBuilder({ version: '1.3' })
+				.author({ login: 'alice' })
+				.post({ title: 'One', author: 'alice' })
+				.writeFile(testInfo.outputPath('newer.xml'));
+
+			expect(await uploadWxr(page, file, { uploadAnyway: false })).toBe(false);
+			const summary = page.locator('#import-preflight .import-preflight-summary');
+			await expect(summary.locator('tr', { hasText: 'WXR version' })).toContainText('1.3');
+			await expect(summary.locator('tr', { hasText: 'Authors' })).toContainText('1');
+			await expect(summary.locator('tr', { hasText: 'Items of type post' })).toContainText(
+				'1'
+			);
+			await expect(page.locator('.import-preflight-problems li')).toHaveText([
+				'This WXR file (version 1.3) may not be supported by this version of the importer. Please consider updating.',
+			]);
+
+			await page.locator('#import-upload-anyway').click();
+			await page.waitForURL('**/admin.php?import=wordpress&step=1**');
+			await expect(page.locator('#authors')).toContainText('alice');
+		}
+	);
+});
+
+uploadTest.describe('Upload in parts', () => {
+	const CHUNK_SIZE = 4096;
+	uploadTest.use({ constants: { E2E_UPLOAD_CHUNK_SIZE: CHUNK_SIZE } });
+
+	// Helper: Check that the file step=1 works from is the one that was chosen
+	async function expectUploadedFile(page, playground, file) {
+		const id = await page.locator('input[name="import_id"]').first().inputValue();
+		const md5 = await playground.runPhp(`echo md5_file( get_attached_file( ${Number(id)} ) );`);
+		expect(md5).toBe(crypto.createHash('md5').update(fs.readFileSync(file)).digest('hex'));
+	}
+
+	// Helper: Record the upload requests, failing those from the given one on
+	async function routeUploads(page) {
+		const uploads = { requests: 0, failFrom: Infinity, offsets: [] };
+		await page.route('**/wp-admin/admin-ajax.php', async (route) => {
+			const body = route.request().postDataBuffer()?.toString('latin1') ?? '';
+			if (!body.includes('wordpress_importer_upload')) {
+				return route.continue();
+			}
+			uploads.requests++;
+			if (uploads.requests >= uploads.failFrom) {
+				return route.abort();
+			}
+			const offset = body.match(/name="offset"\r\n\r\n(\d+)/);
+			uploads.offsets.push(offset ? Number(offset[1]) : null);
+			return route.continue();
+		});
+		return uploads;
+	}
+
+	uploadTest('uploads a file in parts', async ({ page, playground }, testInfo) => {
+		const file = await writeFortyPosts(testInfo);
+		const uploads = await routeUploads(page);
+
+		await uploadWxr(page, file);
+
+		const parts = Math.ceil(fs.statSync(file).size / CHUNK_SIZE);
+		expect(parts).toBeGreaterThan(10);
+		// One request asks where to start, then one per part.
+		expect(uploads.offsets).toEqual([
+			null,
+			...Array.from({ length: parts }, (_, i) => i * CHUNK_SIZE),
+		]);
+		await expectUploadedFile(page, playground, file);
+		await expect(page.locator('#authors')).toContainText('alice');
+	});
+
+	uploadTest(
+		'resumes an upload that failed partway through',
+		async ({ page, playground }, testInfo) => {
+			const file = await writeFortyPosts(testInfo);
+			const uploads = await routeUploads(page);
+			uploads.failFrom = 5;
+
+			await goToImporter(page);
+			await page.locator('#upload').setInputFiles(file);
+			await page.getByRole('button', { name: /Upload file and import/i }).click();
+			// Each part is tried three times before the upload stops.
+			await expect(page.locator('#import-upload-error')).toBeVisible({ timeout: 15000 });
+			expect(uploads.requests).toBe(4 + 3);
+
+			uploads.failFrom = Infinity;
+			await page.locator('#import-upload-resume').click();
+			await page.waitForURL('**/admin.php?import=wordpress&step=1**');
+
+			// The resumed upload asks where to start and carries on from the part that failed.
+			expect(uploads.offsets.slice(4, 6)).toEqual([null, 3 * CHUNK_SIZE]);
+			await expectUploadedFile(page, playground, file);
+		}
+	);
+
+	uploadTest(
+		'resumes an upload when the same file is chosen again',
+		async ({ page, playground }, testInfo) => {
+			const file = await writeFortyPosts(testInfo);
+			const uploads = await routeUploads(page);
+			uploads.failFrom = 5;
+
+			await goToImporter(page);
+			await page.locator('#upload').setInputFiles(file);
+			await page.getByRole('button', { name: /Upload file and import/i }).click();
+			await expect(page.locator('#import-upload-error')).toBeVisible({ timeout: 15000 });
+
+			uploads.failFrom = Infinity;
+			uploads.offsets = [];
+			await uploadWxr(page, file);
+
+			expect(uploads.offsets.slice(0, 2)).toEqual([null, 3 * CHUNK_SIZE]);
+			await expectUploadedFile(page, playground, file);
+		}
+	);
+});
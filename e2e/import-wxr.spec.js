@@ -1,124 +1,113 @@
 // E2E test: import WXR files using a fresh Playground instance per test
-// Import from 'playwright/test' to ensure it matches the npx runner version
-// Polyfill crypto for @wp-playground/cli compatibility
-if (!globalThis.crypto) {
-	const nodeCrypto = require('crypto');
-	globalThis.crypto = nodeCrypto.webcrypto || nodeCrypto;
-}
-const { test, expect } = require('playwright/test');
-const { runCLI } = require('@wp-playground/cli');
+const { test, expect } = require('./helpers/fixtures');
+const {
+	runWxrImport,
+	getPostsEdit,
+	findPostByTitle,
+	goToPostFrontend,
+	uploadWxr,
+	waitForImport,
+} = require('./helpers/importer');
 const path = require('path');
-const net = require('net');
-const http = require('http');
-const fs = require('fs');
 
 // Define available parsers
 const PARSERS = process.env.PARSER
 	? [process.env.PARSER]
 	: ['simplexml', 'xml', 'regex', 'xmlprocessor'];
-let PLAYGROUND_URL = '';
+
 // Run tests for each parser
 PARSERS.forEach((parser) => {
 	test.describe(`WXR Import with ${parser} parser`, () => {
-		test(`imports a simple WXR file using ${parser} parser`, async ({ page, request }) => {
-			await withPlaygroundServer(
-				async () => {
-					// Run the import
-					await runWxrImport(page, 'wxr-simple.xml');
-
-					// Get posts (edit context to access raw block markup) and find the imported one
-					const posts = await getPostsEdit(page, 'Road Not Taken');
-					expect(posts.length).toBeGreaterThan(0);
-					const post = findPostByTitle(posts, 'The Road Not Taken');
-
-					// Verify post data
-					const normalized = normalizePostData(post);
-					expect(normalized).toMatchObject({
-						status: 'publish',
-						type: 'post',
-						sticky: false,
-						title: expect.stringContaining('The Road Not Taken'),
-						slug: expect.stringMatching(/^hello-world/),
-						datePrefix: '2024-06-05',
-						authorSlug: 'admin',
-						categories: expect.arrayContaining(['uncategorized']),
-						comment_status: expect.stringMatching(/^(open|closed)$/),
-						ping_status: expect.stringMatching(/^(open|closed)$/),
-					});
-
-					// Compare raw block markup with tolerant normalization (<br> vs <br />, minor whitespace)
-					const simpleExpected = `<!-- wp:paragraph -->
+		test.use({ parser });
+
+		test(`imports a simple WXR file using ${parser} parser`, async ({ page, playground }) => {
+			// Run the import
+			await runWxrImport(page, 'wxr-simple.xml');
+
+			// Get posts (edit context to access raw block markup) and find the imported one
+			const posts = await getPostsEdit(page, 'Road Not Taken');
+			expect(posts.length).toBeGreaterThan(0);
+			const post = findPostByTitle(posts, 'The Road Not Taken');
+
+			// Verify post data
+			const normalized = normalizePostData(post);
+			expect(normalized).toMatchObject({
+				status: 'publish',
+				type: 'post',
+				sticky: false,
+				title: expect.stringContaining('The Road Not Taken'),
+				slug: expect.stringMatching(/^hello-world/),
+				datePrefix: '2024-06-05',
+				authorSlug: 'admin',
+				categories: expect.arrayContaining(['uncategorized']),
+				comment_status: expect.stringMatching(/^(open|closed)$/),
+				ping_status: expect.stringMatching(/^(open|closed)$/),
+			});
+
+			// Compare raw block markup structurally (<br> vs <br />, attribute order, whitespace)
+			const simpleExpected = `<!-- wp:paragraph -->
 <p>Two roads diverged in a yellow wood,<br>And sorry I could not travel both</p>
 <!-- /wp:paragraph -->
 
 <!-- Test if self-closing blocks remain self-closing after URL rewriting. -->
-<!-- wp:navigation-link {"url":"${PLAYGROUND_URL}/one"} /-->
+<!-- wp:navigation-link {"url":"${playground.url}/one"} /-->
 
 <!-- wp:paragraph -->
 <p>
-<a href="${PLAYGROUND_URL}/one">One</a> seemed great, but <a href="https://playground.internal/path-not-taken">the other</a> seemed great too.
+<a href="${playground.url}/one">One</a> seemed great, but <a href="https://playground.internal/path-not-taken">the other</a> seemed great too.
 There was also a <a href="https://w.org">third</a> option, but it was not as great.
 
-${PLAYGROUND_URL.slice('http://'.length)}/one was the best choice.
+${playground.url.slice('http://'.length)}/one was the best choice.
 https://playground.internal/path-not-taken was the second best choice.
 </p>
 <!-- /wp:paragraph -->`;
-					expect(normalizeBlockMarkup(normalized.rawContent)).toContain(
-						normalizeBlockMarkup(simpleExpected)
-					);
-
-					// Verify frontend rendering
-					await goToPostFrontend(page, post);
-					await expect(
-						page.getByText('Two roads diverged in a yellow wood')
-					).toBeVisible();
-					await expect(page.getByRole('link', { name: 'One' })).toBeVisible();
-					await expect(page.locator('a[href="https://w.org"]')).toBeVisible();
-				},
-				{ parser }
-			);
+			expect(normalized.rawContent).toMatchBlockMarkup(simpleExpected);
+
+			// Verify frontend rendering
+			await goToPostFrontend(page, post);
+			await expect(page.getByText('Two roads diverged in a yellow wood')).toBeVisible();
+			await expect(page.getByRole('link', { name: 'One' })).toBeVisible();
+			await expect(page.locator('a[href="https://w.org"]')).toBeVisible();
 		});
 
 		test(`imports a base URL rewriting WXR file using ${parser} parser`, async ({
 			page,
-			request,
+			playground,
 		}) => {
-			await withPlaygroundServer(
-				async () => {
-					// Run the import
-					await runWxrImport(page, 'wxr-base-url-rewriting.xml');
-
-					// Get posts and find the imported one
-					const posts = await getPostsEdit(page, 'Road Not Taken');
-					expect(posts.length).toBeGreaterThan(0);
-					const post = findPostByTitle(posts, 'The Road Not Taken');
-
-					// Verify post data
-					const normalized = normalizePostData(post);
-					expect(normalized).toMatchObject({
-						status: 'publish',
-						type: 'post',
-						sticky: false,
-						title: expect.stringContaining('The Road Not Taken'),
-						slug: expect.stringMatching(/^hello-world/),
-						datePrefix: '2024-06-05',
-						authorSlug: 'admin',
-						categories: expect.arrayContaining(['uncategorized']),
-						comment_status: expect.stringMatching(/^(open|closed)$/),
-						ping_status: expect.stringMatching(/^(open|closed)$/),
-					});
-
-					// Compare raw block markup with tolerant normalization (<br> vs <br />, minor whitespace)
-					const baseUrlExpected = `<!-- wp:paragraph -->
+			// Run the import
+			await runWxrImport(page, 'wxr-base-url-rewriting.xml');
+
+			// Get posts and find the imported one
+			const posts = await getPostsEdit(page, 'Road Not Taken');
+			expect(posts.length).toBeGreaterThan(0);
+			const post = findPostByTitle(posts, 'The Road Not Taken');
+
+			// Verify post data
+			const normalized = normalizePostData(post);
+			expect(normalized).toMatchObject({
+				status: 'publish',
+				type: 'post',
+				sticky: false,
+				title: expect.stringContaining('The Road Not Taken'),
+				slug: expect.stringMatching(/^hello-world/),
+				datePrefix: '2024-06-05',
+				authorSlug: 'admin',
+				categories: expect.arrayContaining(['uncategorized']),
+				comment_status: expect.stringMatching(/^(open|closed)$/),
+				ping_status: expect.stringMatching(/^(open|closed)$/),
+			});
+
+			// Compare raw block markup structurally (<br> vs <br />, attribute order, whitespace)
+			const baseUrlExpected = `<!-- wp:paragraph -->
 <p>
     <!-- Rewrites URLs that match the base URL -->
     URLs to rewrite:
 
-    ${PLAYGROUND_URL}
-    ${PLAYGROUND_URL}
-    ${PLAYGROUND_URL}
-    ${PLAYGROUND_URL}/
-    <a href=\"${PLAYGROUND_URL}/wp-content/image.png\">Test</a>
+    ${playground.url}
+    ${playground.url}
+    ${playground.url}
+    ${playground.url}/
+    <a href=\"${playground.url}/wp-content/image.png\">Test</a>
 
     <!-- Correctly ignores URLs that are similar to the base URL but do not match it -->
     This isn't migrated: https://🚀-science.comcast/science <br>
@@ -126,86 +115,69 @@ https://playground.internal/path-not-taken was the second best choice.
 </p>
 <!-- /wp:paragraph -->
 
-<!-- wp:image {"alt":"${PLAYGROUND_URL}/wp-content/image.png","notUrl":"/science/wp-content/image.png","url":"/wp-content/image.png"} -->
-<img src="${PLAYGROUND_URL}/wp-content/image.png">
+<!-- wp:image {"alt":"${playground.url}/wp-content/image.png","notUrl":"/science/wp-content/image.png","url":"/wp-content/image.png"} -->
+<img src="${playground.url}/wp-content/image.png">
 <!-- /wp:image -->`;
-					expect(normalizeBlockMarkup(normalized.rawContent)).toContain(
-						normalizeBlockMarkup(baseUrlExpected)
-					);
-
-					// Verify frontend rendering
-					await goToPostFrontend(page, post);
-					await expect(page.getByText('URLs to rewrite')).toBeVisible();
-				},
-				{ parser }
-			);
+			expect(normalized.rawContent).toMatchBlockMarkup(baseUrlExpected);
+
+			// Verify frontend rendering
+			await goToPostFrontend(page, post);
+			await expect(page.getByText('URLs to rewrite')).toBeVisible();
 		});
 
 		test(`imports a large 10MB WXR file successfully`, async ({ page }) => {
-			await withPlaygroundServer(async () => {
-				test.setTimeout(600000);
-				await goToImporter(page);
-				const wxrPath = path.resolve(__dirname, '../phpunit/data/10MB.xml');
-				const fileInput = page.locator('#upload, input[type="file"][name="import"]');
-				await fileInput.waitFor({ state: 'visible' });
-				await fileInput.setInputFiles(wxrPath);
-				await page.getByRole('button', { name: /Upload file and import/i }).click();
-				await page.waitForURL('**/admin.php?import=wordpress&step=1**', {
-					waitUntil: 'domcontentloaded',
-					timeout: 120000,
-				});
-				await page.getByRole('button', { name: /^Submit$/i }).click();
-				await page.waitForURL('**/admin.php?import=wordpress&step=2**', {
-					waitUntil: 'domcontentloaded',
-					timeout: 300000,
-				});
-				await expect(page.locator('text=All done. Have fun!')).toBeVisible();
-				await expect(
-					page.locator(
-						'text=Remember to update the passwords and roles of imported users.'
-					)
-				).toBeVisible();
-				await expect(page.locator('a[href$="/wp-admin/"]')).toBeVisible();
+			test.setTimeout(600000);
+			await uploadWxr(page, path.resolve(__dirname, '../phpunit/data/10MB.xml'), {
+				timeout: 120000,
+			});
+			await page.getByRole('button', { name: /^Submit$/i }).click();
+			await page.waitForURL('**/admin.php?import=wordpress&step=2**', {
+				waitUntil: 'domcontentloaded',
+				timeout: 300000,
 			});
+			expect(await waitForImport(page, { timeout: 300000 })).toBe('done');
+			await expect(page.locator('text=All done. Have fun!')).toBeVisible();
+			await expect(
+				page.locator('text=Remember to update the passwords and roles of imported users.')
+			).toBeVisible();
+			await expect(page.locator('a[href$="/wp-admin/"]')).toBeVisible();
 		});
 
 		test(`imports CSS URLs in style attributes using ${parser} parser`, async ({
 			page,
-			request,
+			playground,
 		}) => {
-			await withPlaygroundServer(
-				async () => {
-					// Run the import
-					await runWxrImport(page, 'wxr-css-urls.xml');
-
-					// Get posts and find the imported one
-					const posts = await getPostsEdit(page, 'CSS URL Migration');
-					expect(posts.length).toBeGreaterThan(0);
-					const post = findPostByTitle(posts, 'CSS URL Migration Test');
-
-					// Verify post data
-					const normalized = normalizePostData(post);
-					expect(normalized).toMatchObject({
-						status: 'publish',
-						type: 'post',
-						title: expect.stringContaining('CSS URL Migration Test'),
-					});
-
-					// Test various CSS URL scenarios
-					expect(normalized.rawContent).toEqual(`<!-- wp:paragraph -->
+			// Run the import
+			await runWxrImport(page, 'wxr-css-urls.xml');
+
+			// Get posts and find the imported one
+			const posts = await getPostsEdit(page, 'CSS URL Migration');
+			expect(posts.length).toBeGreaterThan(0);
+			const post = findPostByTitle(posts, 'CSS URL Migration Test');
+
+			// Verify post data
+			const normalized = normalizePostData(post);
+			expect(normalized).toMatchObject({
+				status: 'publish',
+				type: 'post',
+				title: expect.stringContaining('CSS URL Migration Test'),
+			});
+
+			// Test various CSS URL scenarios
+			expect(normalized.rawContent).toMatchBlockMarkup(`<!-- wp:paragraph -->
 <p>Testing CSS URL migration in style attributes:</p>
 <!-- /wp:paragraph -->
 
 <!-- wp:paragraph -->
-<p style="background-image: url(&quot;${PLAYGROUND_URL}/wp-content/uploads/bg1.jpg&quot;)">Quoted URL with single quotes</p>
+<p style="background-image: url(&quot;${playground.url}/wp-content/uploads/bg1.jpg&quot;)">Quoted URL with single quotes</p>
 <!-- /wp:paragraph -->
 
 <!-- wp:paragraph -->
-<p style="background-image: url(&quot;${PLAYGROUND_URL}/wp-content/uploads/bg2.jpg&quot;)">Quoted URL with double quotes</p>
+<p style="background-image: url(&quot;${playground.url}/wp-content/uploads/bg2.jpg&quot;)">Quoted URL with double quotes</p>
 <!-- /wp:paragraph -->
 
 <!-- wp:paragraph -->
-<p style="background-image: url(&quot;${PLAYGROUND_URL}/wp-content/uploads/bg3.jpg&quot;)">Unquoted URL</p>
+<p style="background-image: url(&quot;${playground.url}/wp-content/uploads/bg3.jpg&quot;)">Unquoted URL</p>
 <!-- /wp:paragraph -->
 
 <!-- wp:paragraph -->
@@ -217,15 +189,15 @@ https://playground.internal/path-not-taken was the second best choice.
 <!-- /wp:paragraph -->
 
 <!-- wp:paragraph -->
-<p style="background-image: url(&quot;${PLAYGROUND_URL}/wp-content/uploads/bg6.jpg&quot;); /* trailing comment */ ">URL with trailing comment</p>
+<p style="background-image: url(&quot;${playground.url}/wp-content/uploads/bg6.jpg&quot;); /* trailing comment */ ">URL with trailing comment</p>
 <!-- /wp:paragraph -->
 
 <!-- wp:paragraph -->
-<p style="content: &quot;This is a url(fake) in a string&quot;; background: url(&quot;${PLAYGROUND_URL}/wp-content/uploads/bg7.jpg&quot;)">URL with string containing fake url()</p>
+<p style="content: &quot;This is a url(fake) in a string&quot;; background: url(&quot;${playground.url}/wp-content/uploads/bg7.jpg&quot;)">URL with string containing fake url()</p>
 <!-- /wp:paragraph -->
 
 <!-- wp:paragraph -->
-<p style="background-image: url(&quot;${PLAYGROUND_URL}/wp-content/uploads/bg(special).jpg&quot;)">URL with escaped parentheses</p>
+<p style="background-image: url(&quot;${playground.url}/wp-content/uploads/bg(special).jpg&quot;)">URL with escaped parentheses</p>
 <!-- /wp:paragraph -->
 
 <!-- wp:paragraph -->
@@ -233,19 +205,19 @@ https://playground.internal/path-not-taken was the second best choice.
 <!-- /wp:paragraph -->
 
 <!-- wp:paragraph -->
-<p style="background: url(&quot;${PLAYGROUND_URL}/wp-content/uploads/bg8.jpg&quot;), url(&quot;${PLAYGROUND_URL}/wp-content/uploads/bg9.jpg&quot;)">Multiple URLs</p>
+<p style="background: url(&quot;${playground.url}/wp-content/uploads/bg8.jpg&quot;), url(&quot;${playground.url}/wp-content/uploads/bg9.jpg&quot;)">Multiple URLs</p>
 <!-- /wp:paragraph -->
 
 <!-- wp:paragraph -->
-<p style="background-image: URL(&quot;${PLAYGROUND_URL}/wp-content/uploads/BG10.JPG&quot;)">Uppercase URL keyword</p>
+<p style="background-image: URL(&quot;${playground.url}/wp-content/uploads/BG10.JPG&quot;)">Uppercase URL keyword</p>
 <!-- /wp:paragraph -->
 
 <!-- wp:image -->
-<figure class="wp-block-image" style="background: url(&quot;${PLAYGROUND_URL}/wp-content/uploads/figure-bg.jpg&quot;)"><img src="${PLAYGROUND_URL}/wp-content/uploads/image.jpg" alt="Test Image" /></figure>
+<figure class="wp-block-image" style="background: url(&quot;${playground.url}/wp-content/uploads/figure-bg.jpg&quot;)"><img src="${playground.url}/wp-content/uploads/image.jpg" alt="Test Image" /></figure>
 <!-- /wp:image -->
 
 <!-- wp:html -->
-<div style="background-image: url(&quot;${PLAYGROUND_URL}/wp-content/uploads/html-bg.jpg&quot;)">
+<div style="background-image: url(&quot;${playground.url}/wp-content/uploads/html-bg.jpg&quot;)">
 	HTML block with inline style
 </div>
 <!-- /wp:html -->
@@ -256,75 +228,65 @@ https://playground.internal/path-not-taken was the second best choice.
 </div>
 <!-- /wp:html -->`);
 
-					// Verify frontend rendering
-					await goToPostFrontend(page, post);
-					await expect(page.getByText('Testing CSS URL migration')).toBeVisible();
-				},
-				{ parser }
-			);
+			// Verify frontend rendering
+			await goToPostFrontend(page, post);
+			await expect(page.getByText('Testing CSS URL migration')).toBeVisible();
 		});
 
 		test.describe('Comprehensive WXR import', () => {
 			test('imports with explicit author mapping to admin', async ({ page, request }) => {
-				await withPlaygroundServer(
-					async () => {
-						test.setTimeout(300000);
-						await performImport(page, { mapAuthorsToAdmin: true });
-						await verifyImportedData(page, request, { expectAuthorSlug: 'admin' });
-					},
-					{ parser }
-				);
+				test.setTimeout(300000);
+				await runWxrImport(page, 'wxr-comprehensive.xml', {
+					// Do not fetch attachments to avoid network dependencies
+					fetchAttachments: false,
+					mapAuthorsToAdmin: true,
+				});
+				await verifyImportedData(page, request, { expectAuthorSlug: 'admin' });
 			});
 
 			test('imports with default author mapping (current user)', async ({
 				page,
 				request,
 			}) => {
-				await withPlaygroundServer(
-					async () => {
-						if (parser === 'regex') {
-							test.skip('WP_Regex_Parser has troubles with mapping authors');
-							return;
-						}
-						test.setTimeout(300000);
-						await performImport(page, { mapAuthorsToAdmin: false });
-						await verifyImportedData(page, request, { expectAuthorSlug: 'alice' });
-					},
-					{ parser }
-				);
+				if (parser === 'regex') {
+					test.skip('WP_Regex_Parser has troubles with mapping authors');
+					return;
+				}
+				test.setTimeout(300000);
+				await runWxrImport(page, 'wxr-comprehensive.xml', { fetchAttachments: false });
+				await verifyImportedData(page, request, { expectAuthorSlug: 'alice' });
 			});
 		});
 	});
 });
 
 test.describe('General tests', () => {
-	test(`URLs are not rewritten when the checkbox is unchecked`, async ({ page, request }) => {
+	test(`URLs are not rewritten when the checkbox is unchecked`, async ({ page }) => {
 		// Run the import
-		await withPlaygroundServer(async () => {
-			await runWxrImport(page, 'wxr-simple.xml', { rewriteUrls: false });
-
-			// Get posts (edit context to access raw block markup) and find the imported one
-			const posts = await getPostsEdit(page, 'Road Not Taken');
-			expect(posts.length).toBeGreaterThan(0);
-			const post = findPostByTitle(posts, 'The Road Not Taken');
-
-			// Verify post data
-			const normalized = normalizePostData(post);
-			expect(normalized).toMatchObject({
-				status: 'publish',
-				type: 'post',
-				sticky: false,
-				title: expect.stringContaining('The Road Not Taken'),
-				slug: expect.stringMatching(/^hello-world/),
-				datePrefix: '2024-06-05',
-				authorSlug: 'admin',
-				categories: expect.arrayContaining(['uncategorized']),
-				comment_status: expect.stringMatching(/^(open|closed)$/),
-				ping_status: expect.stringMatching(/^(open|closed)$/),
-			});
+		await runWxrImport(page, 'wxr-simple.xml', { rewriteUrls: false });
+
+		// Get posts (edit context to access raw block markup) and find the imported one
+		const posts = await getPostsEdit(page, 'Road Not Taken');
+		expect(posts.length).toBeGreaterThan(0);
+		const post = findPostByTitle(posts, 'The Road Not Taken');
+
+		// Verify post data
+		const normalized = normalizePostData(post);
+		expect(normalized).toMatchObject({
+			status: 'publish',
+			type: 'post',
+			sticky: false,
+			title: expect.stringContaining('The Road Not Taken'),
+			slug: expect.stringMatching(/^hello-world/),
+			datePrefix: '2024-06-05',
+			authorSlug: 'admin',
+			categories: expect.arrayContaining(['uncategorized']),
+			comment_status: expect.stringMatching(/^(open|closed)$/),
+			ping_status: expect.stringMatching(/^(open|closed)$/),
+		});
 
-			// Compare raw block markup with tolerant normalization (<br> vs <br />, minor whitespace)
-			const simpleExpected = `<!-- wp:paragraph -->
+		// Compare raw block markup structurally (<br> vs <br />, attribute order, whitespace)
+		const simpleExpected = `<!-- wp:paragraph -->
 <p>Two roads diverged in a yellow wood,<br>And sorry I could not travel both</p>
 <!-- /wp:paragraph -->
 
@@ -340,218 +302,18 @@ playground.internal/path/one was the best choice.
 https://playground.internal/path-not-taken was the second best choice.
 </p>
 <!-- /wp:paragraph -->`;
-			expect(normalizeBlockMarkup(normalized.rawContent)).toContain(
-				normalizeBlockMarkup(simpleExpected)
-			);
+		expect(normalized.rawContent).toMatchBlockMarkup(simpleExpected);
 
-			// Verify frontend rendering
-			await goToPostFrontend(page, post);
-			await expect(page.getByText('Two roads diverged in a yellow wood')).toBeVisible();
-			await expect(page.getByRole('link', { name: 'One' })).toBeVisible();
-			await expect(page.locator('a[href="https://w.org"]')).toBeVisible();
-		});
+		// Verify frontend rendering
+		await goToPostFrontend(page, post);
+		await expect(page.getByText('Two roads diverged in a yellow wood')).toBeVisible();
+		await expect(page.getByRole('link', { name: 'One' })).toBeVisible();
+		await expect(page.locator('a[href="https://w.org"]')).toBeVisible();
 	});
 });
 
 // Helpers
 
-function sleep(ms) {
-	return new Promise((r) => setTimeout(r, ms));
-}
-
-async function waitUntilAlive(url, timeoutMs = 30000) {
-	const end = Date.now() + timeoutMs;
-	while (Date.now() < end) {
-		try {
-			await new Promise((resolve, reject) => {
-				const req = http.request(url, { method: 'HEAD' }, (res) => {
-					res.destroy();
-					if (res.statusCode && res.statusCode < 500) resolve(true);
-					else reject(new Error('Bad status'));
-				});
-				req.on('error', reject);
-				req.end();
-			});
-			return true;
-		} catch (_) {}
-		await sleep(300);
-	}
-	throw new Error('Playground server did not become ready in time');
-}
-
-async function getAvailablePort() {
-	return new Promise((resolve, reject) => {
-		const srv = net.createServer();
-		srv.unref();
-		srv.on('error', reject);
-		srv.listen(0, '127.0.0.1', () => {
-			const { port } = srv.address();
-			srv.close(() => resolve(port));
-		});
-	});
-}
-
-async function withPlaygroundServer(fn, { parser } = {}) {
-	const server = await startPlayground(parser);
-	try {
-		PLAYGROUND_URL = server.url;
-		await fn();
-	} finally {
-		await server.stop();
-	}
-}
-
-async function startPlayground(parser = null) {
-	const pluginSrc = path.resolve(__dirname, '../src');
-	const muPluginsSrc = path.resolve(__dirname, './helpers/mu-plugins');
-	const blueprint = JSON.parse(
-		fs.readFileSync(path.resolve(__dirname, './playground.blueprint.json'), 'utf8')
-	);
-	const port = await getAvailablePort();
-	const siteUrl = `http://127.0.0.1:${port}`;
-
-	// Create blueprint config with optional parser constant
-	const blueprintConfig = {
-		command: 'server',
-		blueprint,
-		blueprintMayReadAdjacentFiles: true,
-		mount: [
-			{
-				hostPath: pluginSrc,
-				vfsPath: '/wordpress/wp-content/plugins/wordpress-importer',
-			},
-			{
-				hostPath: muPluginsSrc,
-				vfsPath: '/wordpress/wp-content/mu-plugins',
-			},
-		],
-		port,
-		siteUrl,
-		quiet: true,
-	};
-
-	// Add constants if parser is specified
-	if (parser) {
-		blueprintConfig.blueprint.constants = {
-			...(blueprintConfig.blueprint?.constants || {}),
-			PREFERRED_WXR_PARSER: parser,
-		};
-	}
-
-	const { server, playground } = await runCLI(blueprintConfig);
-
-	await waitUntilAlive(`${siteUrl}/wp-admin/`);
-
-	const stop = async () => {
-		try {
-			await server[Symbol.asyncDispose]();
-		} catch (e) {
-			console.error(e);
-		}
-	};
-
-	return { url: siteUrl, stop };
-}
-
-function abs(u) {
-	return `${PLAYGROUND_URL}${u}`;
-}
-
-// Helper: Run WXR import process
-async function runWxrImport(page, filename, { rewriteUrls = true } = {}) {
-	// Extra time for CI/Playground
-	test.setTimeout(240000);
-
-	// Navigate to wp-admin and ensure login
-	await page.goto(abs('/wp-admin/'));
-	await loginIfNeeded(page);
-
-	// Go directly to the importer screen
-	await page.goto(abs('/wp-admin/admin.php?import=wordpress'));
-	await loginIfNeeded(page);
-
-	// Upload the WXR file
-	const wxrPath = path.resolve(__dirname, `./fixtures/${filename}`);
-	const fileInput = page.locator('#upload, input[type="file"][name="import"]');
-	await fileInput.waitFor({ state: 'visible' });
-	await fileInput.setInputFiles(wxrPath);
-
-	await page.getByRole('button', { name: /Upload file and import/i }).click();
-
-	// Submit the upload form (step=1: author mapping)
-	await page.waitForURL('**/admin.php?import=wordpress&step=1**', {
-		waitUntil: 'domcontentloaded',
-	});
-
-	if (rewriteUrls) {
-		await page.check('#rewrite-urls');
-	} else {
-		await page.uncheck('#rewrite-urls');
-	}
-
-	// Proceed to step=2 (author mapping defaults to current user)
-	await page.getByRole('button', { name: /^Submit$/i }).click();
-	await page.waitForURL('**/admin.php?import=wordpress&step=2**', {
-		waitUntil: 'domcontentloaded',
-	});
-
-	// Verify import success
-	await expect(page.locator('text=All done.')).toBeVisible();
-	await expect(page.locator('a[href$="/wp-admin/"]')).toBeVisible();
-}
-
-// Helper: Get posts via REST API
-async function getPosts(request, searchTerm = '', perPage = 10) {
-	const searchParam = searchTerm ? `&search=${encodeURIComponent(searchTerm)}` : '';
-	const res = await request.get(
-		abs(`/wp-json/wp/v2/posts?_embed=1${searchParam}&per_page=${perPage}`)
-	);
-	expect(res.ok()).toBeTruthy();
-	const posts = await res.json();
-	expect(Array.isArray(posts)).toBeTruthy();
-	return posts;
-}
-
-// Helper: Get posts via REST API with context=edit (raw content)
-async function getPostsEdit(page, searchTerm = '', perPage = 10) {
-	// Ensure we're on admin to access a REST nonce
-	await page.goto(abs('/wp-admin/'));
-	await loginIfNeeded(page);
-
-	// Try to read REST API nonce from the admin page
-	const nonce = await page.evaluate(() => {
-		return (
-			(window && window.wpApiSettings && window.wpApiSettings.nonce) ||
-			(document.querySelector('meta[name="_wpnonce"]') &&
-				document.querySelector('meta[name="_wpnonce"]').getAttribute('content')) ||
-			(document.querySelector('meta[name="x-wp-nonce"]') &&
-				document.querySelector('meta[name="x-wp-nonce"]').getAttribute('content')) ||
-			(document.querySelector('meta[name="wp-rest-nonce"]') &&
-				document.querySelector('meta[name="wp-rest-nonce"]').getAttribute('content')) ||
-			''
-		);
-	});
-
-	const searchParam = searchTerm ? `&search=${encodeURIComponent(searchTerm)}` : '';
-	const url = abs(`/wp-json/wp/v2/posts?_embed=1${searchParam}&per_page=${perPage}&context=edit`);
-	const headers = nonce ? { 'X-WP-Nonce': nonce } : {};
-	const res = await page.request.get(url, { headers });
-	if (!res.ok()) {
-		const bodyText = await res.text();
-		throw new Error(`Failed to fetch posts with context=edit: ${res.status()} ${bodyText}`);
-	}
-	const posts = await res.json();
-	expect(Array.isArray(posts)).toBeTruthy();
-	return posts;
-}
-
-// Helper: Find post by title
-function findPostByTitle(posts, titleContains) {
-	const post = posts.find((p) => p?.title?.rendered?.includes(titleContains));
-	expect(post, `Post not found with title containing: ${titleContains}`).toBeTruthy();
-	return post;
-}
-
 // Helper: Normalize post data for testing
 function normalizePostData(post) {
 	const author = post?._embedded?.author?.[0];
@@ -574,102 +336,10 @@ function normalizePostData(post) {
 	};
 }
 
-// Helper: Normalize block markup for robust comparisons
-// TODO: Do not use regexps. Actually parse the HTML.
-function normalizeBlockMarkup(s) {
-	return (
-		String(s)
-			// Normalize <br>, <br/> and <br /> to a single form
-			.replace(/<br\s*\/?>(?=)|<br\s*\/?>(?!)/gi, '<br>')
-			// Remove visible dot characters that may appear in debug renderings
-			.replace(/\u00B7/g, '')
-			// Trim trailing spaces on lines
-			.replace(/[\t ]+$/gm, '')
-			// Collapse multiple blank lines
-			.replace(/\n{3,}/g, '\n\n')
-	);
-}
-
-// Helper: Verify post in admin list
-async function verifyPostInAdminList(page, titleContains) {
-	await page.goto(abs('/wp-admin/edit.php'));
-	await loginIfNeeded(page);
-
-	const row = page.locator('table.wp-list-table tbody tr', {
-		hasText: titleContains,
-	});
-	await expect(row).toHaveCount(1);
-	await expect(row.locator('.row-title')).toContainText(titleContains);
-	await expect(row).toContainText('admin');
-}
-
-// Helper: Navigate to post frontend
-async function goToPostFrontend(page, post) {
-	expect(typeof post.link).toBe('string');
-	await page.goto(post.link);
-}
-
-async function loginIfNeeded(page) {
-	if (page.url().includes('wp-login.php')) {
-		await page.fill('#user_login', 'admin');
-		await page.fill('#user_pass', 'password');
-		await page.click('#wp-submit');
-		await page.waitForURL('**/wp-admin/**');
-	}
-}
-
-async function goToImporter(page) {
-	await page.goto(abs('/wp-admin/'));
-	await loginIfNeeded(page);
-	await page.goto(abs('/wp-admin/admin.php?import=wordpress'));
-	await loginIfNeeded(page);
-}
-
-async function performImport(page, { mapAuthorsToAdmin = false } = {}) {
-	await goToImporter(page);
-	const wxrPath = path.resolve(__dirname, './fixtures/wxr-comprehensive.xml');
-	const fileInput = page.locator('#upload, input[type="file"][name="import"]');
-	await fileInput.waitFor({ state: 'visible' });
-	await fileInput.setInputFiles(wxrPath);
-
-	await page.getByRole('button', { name: /Upload file and import/i }).click();
-	await page.waitForURL('**/admin.php?import=wordpress&step=1**', {
-		waitUntil: 'domcontentloaded',
-	});
-
-	// Do not fetch attachments to avoid network dependencies
-	const attachmentsCheckbox = page.locator('input[name="fetch_attachments"]');
-	if (await attachmentsCheckbox.count()) {
-		await attachmentsCheckbox.uncheck().catch(() => {});
-	}
-
-	if (mapAuthorsToAdmin) {
-		// Try to set each author mapping select to admin (ID 1)
-		const selects = page.locator('select');
-		const total = await selects.count();
-		for (let i = 0; i < total; i++) {
-			const sel = selects.nth(i);
-			try {
-				await sel.selectOption({ label: /admin/i });
-			} catch (_) {
-				try {
-					await sel.selectOption('1');
-				} catch (_) {}
-			}
-		}
-	}
-
-	await page.getByRole('button', { name: /^Submit$/i }).click();
-	await page.waitForURL('**/admin.php?import=wordpress&step=2**', {
-		waitUntil: 'domcontentloaded',
-	});
-	await expect(page.locator('text=All done.')).toBeVisible();
-}
-
 async function verifyImportedData(page, request, { expectAuthorSlug = 'admin' } = {}) {
 	// Verify post
 	const postRes = await request.get(
-		abs('/wp-json/wp/v2/posts?_embed=1&search=Comprehensive%20Post&per_page=10')
+		'/wp-json/wp/v2/posts?_embed=1&search=Comprehensive%20Post&per_page=10'
 	);
 	expect(postRes.ok()).toBeTruthy();
 	const posts = await postRes.json();
@@ -715,7 +385,7 @@ async function verifyImportedData(page, request, { expectAuthorSlug = 'admin' }
 	});
 
 	// Verify a comment exists for the post
-	const commentsRes = await request.get(abs(`/wp-json/wp/v2/comments?post=${post.id}`));
+	const commentsRes = await request.get(`/wp-json/wp/v2/comments?post=${post.id}`);
 	expect(commentsRes.ok()).toBeTruthy();
 	const comments = await commentsRes.json();
 	const targetComment =
@@ -731,7 +401,7 @@ async function verifyImportedData(page, request, { expectAuthorSlug = 'admin' }
 
 	// Verify page exists
 	const pageRes = await request.get(
-		abs('/wp-json/wp/v2/pages?search=Comprehensive%20Page&per_page=10')
+		'/wp-json/wp/v2/pages?search=Comprehensive%20Page&per_page=10'
 	);
 	expect(pageRes.ok()).toBeTruthy();
 	const pages = await pageRes.json();
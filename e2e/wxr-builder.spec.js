@@ -0,0 +1,152 @@
+// Tests for the WXR builder used to create fixtures inline.
+//
+// Only the last test boots Playground; the others use the plain Playwright `test`.
+const { test } = require('playwright/test');
+const { test: importTest, expect } = require('./helpers/fixtures');
+const { WxrBuilder, phpSerialize, cdata } = require('./helpers/wxr-builder');
+const { runWxrImport } = require('./helpers/importer');
+const { dumpSite } = require('./helpers/site-dump');
+const fs = require('fs');
+
+test.describe('WXR builder', () => {
+	test('serializes meta values like PHP', () => {
+		expect(phpSerialize('é')).toBe('s:2:"é";');
+		expect(phpSerialize([1, 'a'])).toBe('a:2:{i:0;i:1;i:1;s:1:"a";}');
+		expect(phpSerialize({ on: true, ratio: 0.5, none: null, 7: 'x' })).toBe(
+			'a:4:{i:7;s:1:"x";s:2:"on";b:1;s:5:"ratio";d:0.5;s:4:"none";N;}'
+		);
+	});
+
+	test('splits "]]>" across CDATA sections', () => {
+		expect(cdata('a]]>b')).toBe('<![CDATA[a]]]]><![CDATA[>b]]>');
+	});
+
+	test('writes channel entities, items, comments and meta', () => {
+		const xml = new WxrBuilder({ baseSiteUrl: 'https://source.test' })
+			.author({ login: 'alice', email: 'alice@example.com' })
+			.category({ slug: 'news', name: 'News & Views' })
+			.term({ taxonomy: 'genre', slug: 'jazz', meta: { legacy_id: 7 } })
+			.post({
+				title: 'Hello',
+				categories: ['news'],
+				meta: [{ key: 'plain', value: 'a < b', cdata: false }],
+				comments: [{ author: 'Bob', content: 'Hi' }],
+			})
+			.toString();
+
+		expect(xml).toContain('<wp:wxr_version>1.2</wp:wxr_version>');
+		expect(xml).toContain('<wp:author_login><![CDATA[alice]]></wp:author_login>');
+		expect(xml).toContain('<wp:cat_name><![CDATA[News & Views]]></wp:cat_name>');
+		expect(xml).toContain('<wp:meta_value><![CDATA[7]]></wp:meta_value>');
+		expect(xml).toContain('<wp:post_id>1000</wp:post_id>');
+		expect(xml).toContain('<wp:post_name><![CDATA[hello]]></wp:post_name>');
+		expect(xml).toContain(
+			'<category domain="category" nicename="news"><![CDATA[news]]></category>'
+		);
+		expect(xml).toContain('<wp:meta_value>a &lt; b</wp:meta_value>');
+		expect(xml).toContain('<wp:comment_id>5000</wp:comment_id>');
+	});
+
+	test('numbers menu items and their parents consistently', () => {
+		const xml = new WxrBuilder()
+			.menuItem({ menu: 'main', title: 'Home', url: '/' })
+			.menuItem({ menu: 'main', title: 'About', url: '/about', parentItem: 1000 })
+			.post({ title: 'After' })
+			.toString();
+
+		expect(xml.match(/<wp:term_slug><!\[CDATA\[main\]\]><\/wp:term_slug>/g)).toHaveLength(1);
+		expect([...xml.matchAll(/<wp:post_id>(\d+)<\/wp:post_id>/g)].map((m) => m[1])).toEqual([
+			'1000',
+			'1001',
+			'1002',
+		]);
+		expect(xml).toContain(
+			'<wp:meta_key><![CDATA[_menu_item_menu_item_parent]]></wp:meta_key>\n' +
+				'\t\t\t<wp:meta_value><![CDATA[1000]]></wp:meta_value>'
+		);
+	});
+
+	test('leaves out authors for WXR 1.0 and the version when it is null', () => {
+		const v10 = new WxrBuilder({ version: '1.0' }).author({ login: 'alice' }).toString();
+		expect(v10).toContain('xmlns:wp="http://wordpress.org/export/1.0/"');
+		expect(v10).not.toContain('<wp:author>');
+
+		const bogus = new WxrBuilder({ version: 'abc' }).toString();
+		expect(bogus).toContain('<wp:wxr_version>abc</wp:wxr_version>');
+
+		expect(new WxrBuilder({ version: null }).toString()).not.toContain('wxr_version');
+	});
+
+	test('produces malformed documents on request', () => {
+		const builder = new WxrBuilder().post({ title: 'One' }).raw('<item><title>Broken');
+		expect(builder.toString()).toContain('<item><title>Broken</channel>');
+		expect(builder.toString({ truncate: 100 })).toHaveLength(100);
+	});
+
+	test('gives the same output every time it is written', async ({}, testInfo) => {
+		const builder = new WxrBuilder().posts(function* () {
+			for (let i = 0; i < 3; i++) {
+				yield { title: `Post ${i}` };
+			}
+		});
+		const file = await builder.writeFile(testInfo.outputPath('generated.xml'));
+
+		expect(fs.readFileSync(file, 'utf8')).toBe(builder.toString());
+		expect(builder.toString()).toBe(builder.toString());
+	});
+
+	test('streams large documents to disk', async ({}, testInfo) => {
+		const count = 20000;
+		const file = await new WxrBuilder()
+			.posts(function* () {
+				for (let i = 0; i < count; i++) {
+					yield { title: `Post ${i}`, content: 'x'.repeat(200) };
+				}
+			})
+			.writeFile(testInfo.outputPath('large.xml'));
+
+		const xml = fs.readFileSync(file, 'utf8');
+		expect(xml.match(/<item>/g)).toHaveLength(count);
+		expect(xml.endsWith('</channel>\n</rss>\n')).toBe(true);
+
+		const truncated = await new WxrBuilder()
+			.posts(function* () {
+				for (let i = 0; i < count; i++) {
+					yield { title: `Post ${i}` };
+				}
+			})
+			.writeFile(testInfo.outputPath('truncated.xml'), { truncate: 5000 });
+		expect(fs.statSync(truncated).size).toBe(5000);
+	});
+});
+
+importTest.describe('WXR builder fixtures', () => {
+	importTest('import into WordPress', async ({ page, playground }, testInfo) => {
+		const file = await new WxrBuilder()
+			.author({ login: 'admin' })
+			.category({ slug: 'parent-cat', name: 'Parent' })
+			.category({ slug: 'child-cat', name: 'Child', parent: 'parent-cat' })
+			.post({ id: 10, title: 'Parent page', type: 'page' })
+			.post({
+				title: 'Child page',
+				type: 'page',
+				parent: 10,
+				meta: { settings: { layout: 'wide', columns: 2 } },
+			})
+			.post({
+				title: 'Tricky ]]> content',
+				content: 'Ends with ]]> here',
+				categories: ['child-cat'],
+			})
+			.writeFile(testInfo.outputPath('builder.xml'));
+
+		await runWxrImport(page, file, { fetchAttachments: false, mapAuthorsToAdmin: true });
+		const { posts, terms } = await dumpSite(playground);
+
+		expect(terms['category/child-cat'].parent).toBe('parent-cat');
+		expect(posts['page/child-page'].parent).toBe('page/parent-page');
+		expect(posts['page/child-page'].meta.settings).toEqual([{ layout: 'wide', columns: 2 }]);
+		expect(posts['post/tricky-content'].content).toBe('Ends with ]]> here');
+		expect(posts['post/tricky-content'].terms.category).toEqual(['child-cat']);
+	});
+});
@@ -0,0 +1,83 @@
+// E2E tests for the headless import behind bin/wxr-import.js.
+const fs = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { test, expect } = require('./helpers/fixtures');
+const { importWxrHeadless, formatSummary, saveSite } = require('./helpers/headless-import');
+const { dumpSite } = require('./helpers/site-dump');
+const { WxrBuilder } = require('./helpers/wxr-builder');
+
+const CLI = path.resolve(__dirname, '../bin/wxr-import.js');
+
+// Helper: Write a fixture with a post by a new author, and one of a type that doesn't exist
+function writeWithProblems(testInfo) {
+	return new WxrBuilder()
+		.author({ login: 'carol', email: 'carol@example.com', displayName: 'Carol' })
+		.category({ slug: 'news', name: 'News' })
+		.post({ title: 'Concert review', author: 'carol', categories: ['news'] })
+		.post({ title: 'Moby Dick', author: 'carol', type: 'book' })
+		.writeFile(testInfo.outputPath('cli.xml'));
+}
+
+test.describe('Headless import', () => {
+	test('imports a file and summarizes its log', async ({ playground }, testInfo) => {
+		const { import: result, records } = await importWxrHeadless(
+			playground.client,
+			await writeWithProblems(testInfo),
+			{ parser: 'xmlprocessor' }
+		);
+		expect(result.status).toBe('done');
+		expect(result.log.error).toBe(1);
+
+		const { posts } = await dumpSite(playground);
+		expect(posts['post/concert-review'].author).toBe('carol');
+		expect(posts['post/concert-review'].terms.category).toEqual(['news']);
+
+		const summary = formatSummary(records).split('\n');
+		expect(summary[0].split(/\s+/)).toEqual([
+			'type',
+			'imported',
+			'skipped',
+			'warnings',
+			'failed',
+		]);
+		expect(summary).toContainEqual(expect.stringMatching(/^user\s+1\s+0\s+0\s+0$/));
+		expect(summary).toContainEqual(expect.stringMatching(/^post\s+1\s+0\s+0\s+0$/));
+		expect(summary).toContainEqual(expect.stringMatching(/^book\s+0\s+0\s+0\s+1$/));
+		expect(summary).toContain(
+			'error book #1001: Failed to import “Moby Dick”: Invalid post type book'
+		);
+	});
+
+	test('maps every author to one user and saves the site', async ({ playground }, testInfo) => {
+		await importWxrHeadless(playground.client, await writeWithProblems(testInfo), {
+			mapAuthors: 'admin',
+		});
+		const { posts, users } = await dumpSite(playground);
+		expect(posts['post/concert-review'].author).toBe('admin');
+		expect(users.carol).toBeUndefined();
+
+		const output = testInfo.outputPath('site');
+		expect(await saveSite(playground.client, output)).toBeGreaterThan(0);
+		expect(fs.readdirSync(path.join(output, 'database'))).toContain('.ht.sqlite');
+
+		await expect(
+			importWxrHeadless(playground.client, await writeWithProblems(testInfo), {
+				mapAuthors: 'nobody',
+			})
+		).rejects.toThrow('There is no user nobody to map the authors to.');
+	});
+
+	test('rejects unknown options before starting Playground', () => {
+		let error;
+		try {
+			execFileSync(process.execPath, [CLI, '--parser', 'nope', 'site.xml'], {
+				stdio: 'pipe',
+			});
+		} catch (e) {
+			error = e;
+		}
+		expect(error.status).toBe(2);
+		expect(error.stderr.toString()).toContain('Unknown parser nope.');
+	});
+});
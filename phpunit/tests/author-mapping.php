@@ -0,0 +1,114 @@
+<?php
+
+require_once __DIR__ . '/base.php';
+
+/**
+ * @group import
+ */
+class Tests_Import_Author_Mapping extends WP_Import_UnitTestCase {
+
+	public function set_up() {
+		parent::set_up();
+
+		if ( ! defined( 'WP_IMPORTING' ) ) {
+			define( 'WP_IMPORTING', true );
+		}
+
+		if ( ! defined( 'WP_LOAD_IMPORTERS' ) ) {
+			define( 'WP_LOAD_IMPORTERS', true );
+		}
+	}
+
+	/**
+	 * @covers WP_Import::suggest_user
+	 */
+	public function test_suggest_user_prefers_email_over_login() {
+		$by_email = self::factory()->user->create(
+			array(
+				'user_login' => 'alice',
+				'user_email' => 'editor@example.org',
+			)
+		);
+		self::factory()->user->create( array( 'user_login' => 'editor' ) );
+
+		$suggestion = ( new WP_Import() )->suggest_user(
+			array(
+				'author_login' => 'editor',
+				'author_email' => 'editor@example.org',
+			)
+		);
+
+		$this->assertSame( $by_email, $suggestion['user']->ID );
+		$this->assertSame( 'email', $suggestion['reason'] );
+	}
+
+	/**
+	 * @covers WP_Import::suggest_user
+	 */
+	public function test_suggest_user_falls_back_to_login() {
+		$by_login = self::factory()->user->create( array( 'user_login' => 'editor' ) );
+
+		$suggestion = ( new WP_Import() )->suggest_user(
+			array(
+				'author_login' => 'editor',
+				'author_email' => 'someone-else@example.org',
+			)
+		);
+
+		$this->assertSame( $by_login, $suggestion['user']->ID );
+		$this->assertSame( 'login', $suggestion['reason'] );
+	}
+
+	/**
+	 * @covers WP_Import::suggest_user
+	 */
+	public function test_suggest_user_without_match() {
+		$this->assertNull( ( new WP_Import() )->suggest_user( array( 'author_login' => 'nobody-here' ) ) );
+	}
+
+	/**
+	 * @covers WP_Import::author_select
+	 */
+	public function test_author_select_preselects_suggestion() {
+		$user_id = self::factory()->user->create( array( 'user_login' => 'editor' ) );
+
+		ob_start();
+		( new WP_Import() )->author_select(
+			0,
+			array(
+				'author_login'        => 'editor',
+				'author_display_name' => 'Editor',
+			)
+		);
+		$html = ob_get_clean();
+
+		$this->assertStringContainsString( 'data-suggested-by="login"', $html );
+		$this->assertMatchesRegularExpression( "/<option value='{$user_id}' selected='selected'>/", $html );
+	}
+
+	/**
+	 * @covers WP_Import::author_select
+	 */
+	public function test_author_select_lists_only_likely_users_on_large_sites() {
+		self::factory()->user->create_many( 3 );
+		$current = self::factory()->user->create();
+		wp_set_current_user( $current );
+		add_filter( 'wp_import_author_dropdown_limit', '__return_zero' );
+
+		ob_start();
+		( new WP_Import() )->author_select(
+			0,
+			array(
+				'author_login'        => 'nobody-here',
+				'author_display_name' => 'Nobody',
+			)
+		);
+		$html = ob_get_clean();
+
+		remove_filter( 'wp_import_author_dropdown_limit', '__return_zero' );
+
+		// - Select - and the current user.
+		$this->assertSame( 2, substr_count( $html, '<option ' ) );
+		$this->assertStringContainsString( "<option value='{$current}'", $html );
+	}
+}
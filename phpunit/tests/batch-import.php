@@ -0,0 +1,257 @@
+<?php
+
+require_once __DIR__ . '/base.php';
+
+/**
+ * @group import
+ */
+class Tests_Import_Batch_Import extends WP_Import_UnitTestCase {
+
+	public function set_up() {
+		parent::set_up();
+
+		if ( ! defined( 'WP_IMPORTING' ) ) {
+			define( 'WP_IMPORTING', true );
+		}
+
+		if ( ! defined( 'WP_LOAD_IMPORTERS' ) ) {
+			define( 'WP_LOAD_IMPORTERS', true );
+		}
+
+		add_filter( 'import_allow_create_users', '__return_true' );
+
+		global $wpdb;
+		// Crude but effective: make sure there's no residual data in the main tables.
+		foreach ( array( 'posts', 'postmeta', 'comments', 'terms', 'term_taxonomy', 'term_relationships', 'users', 'usermeta' ) as $table ) {
+			$wpdb->query( "DELETE FROM {$wpdb->$table}" );
+		}
+	}
+
+	public function tear_down() {
+		remove_filter( 'import_allow_create_users', '__return_true' );
+		$_POST = array();
+
+		parent::tear_down();
+	}
+
+	/**
+	 * Starts a batched import of small-export.xml, with its authors imported as is.
+	 *
+	 * @return WP_Import_Session
+	 */
+	protected function start_small_import() {
+		// The import deletes the file when it's done, so import a copy.
+		$file = wp_tempnam( 'small-export.xml' );
+		copy( DIR_TESTDATA_WP_IMPORTER . '/small-export.xml', $file );
+		$id = self::factory()->attachment->create_object( $file, 0, array( 'post_mime_type' => 'text/xml' ) );
+
+		$_POST = array(
+			'imported_authors' => array( 'admin', 'editor', 'author' ),
+			'user_map'         => array(),
+			'user_new'         => array(),
+		);
+
+		$importer                    = new WP_Import();
+		$importer->id                = $id;
+		$importer->fetch_attachments = false;
+
+		ob_start();
+		$session = $importer->start_batched_import( $file );
+		ob_end_clean();
+
+		$_POST = array();
+
+		return $session;
+	}
+
+	/**
+	 * Runs the batches of an import, each in a new importer like each request would.
+	 *
+	 * @param WP_Import_Session $session
+	 * @return int Number of batches.
+	 */
+	protected function run_batches( $session ) {
+		$batches = 0;
+		do {
+			$this->assertLessThan( 100, $batches, 'The import does not finish.' );
+			++$batches;
+
+			ob_start();
+			$done = ( new WP_Import() )->import_batch( WP_Import_Session::get( $session->id ), 0 );
+			ob_end_clean();
+		} while ( ! $done );
+
+		return $batches;
+	}
+
+	/**
+	 * @covers WP_Import::start_batched_import
+	 * @covers WP_Import::import_batch
+	 */
+	public function test_batched_import_matches_single_request_import() {
+		$session = $this->start_small_import();
+
+		$this->assertSame( 'process_categories', $session->phase );
+		$this->assertSame( 30, $session->totals['process_categories'] );
+		$this->assertSame( 3, $session->totals['process_tags'] );
+		$this->assertSame( 11, $session->totals['process_posts'] );
+		$this->assertSame( 1, $session->totals['backfill_parents'] );
+
+		// Without a time limit, each batch takes a single step: an item, moving
+		// on from a list phase, or one of the three phases without a list.
+		$this->assertSame( ( 30 + 1 ) + ( 3 + 1 ) + ( 0 + 1 ) + ( 11 + 1 ) + 3, $this->run_batches( $session ) );
+		$this->assertNull( WP_Import_Session::get( $session->id ) );
+		$this->assertNull( get_post( $session->id ), 'The WXR file was not cleaned up.' );
+
+		$this->assertSame( 3, count_users()['total_users'] );
+		$this->assertSame( '30', wp_count_terms( array( 'taxonomy' => 'category' ) ) );
+		$this->assertSame( '3', wp_count_terms( array( 'taxonomy' => 'post_tag' ) ) );
+		$bar     = get_term_by( 'slug', 'bar', 'category' );
+		$foo_bar = get_term_by( 'slug', 'foo-bar', 'category' );
+		$this->assertSame( $bar->term_id, $foo_bar->parent );
+
+		$post_count = wp_count_posts( 'post' );
+		$this->assertSame( '5', $post_count->publish );
+		$this->assertSame( '1', $post_count->private );
+		$page_count = wp_count_posts( 'page' );
+		$this->assertSame( '4', $page_count->publish );
+		$this->assertSame( '1', $page_count->draft );
+		$this->assertSame( 1, wp_count_comments()->total_comments );
+
+		// Parents are backfilled across batches.
+		$parent = get_page_by_path( 'parent-page' );
+		$child  = get_page_by_path( 'parent-page/child-page' );
+		$this->assertNotNull( $child );
+		$this->assertSame( $parent->ID, $child->post_parent );
+	}
+
+	/**
+	 * @covers WP_Import::start_batched_import
+	 * @covers WP_Import::import_batch
+	 */
+	public function test_batches_import_the_items_filtered_and_stored_at_the_start() {
+		$calls  = array();
+		$filter = function ( $posts ) use ( &$calls ) {
+			$calls[] = count( $posts );
+			return wp_list_filter( $posts, array( 'post_title' => 'Hello world!' ), 'NOT' );
+		};
+		add_filter( 'wp_import_posts', $filter );
+
+		$session = $this->start_small_import();
+		$this->assertSame( 10, $session->totals['process_posts'] );
+
+		// Later batches don't read the file.
+		file_put_contents( get_attached_file( $session->id ), '' );
+		$this->run_batches( $session );
+		remove_filter( 'wp_import_posts', $filter );
+
+		$this->assertSame( array( 11 ), $calls );
+		$this->assertEmpty( get_posts( array( 'title' => 'Hello world!' ) ) );
+		$this->assertSame( '4', wp_count_posts( 'post' )->publish );
+		$this->assertFalse( $session->has_items( 'process_posts' ) );
+	}
+
+	/**
+	 * @covers WP_Import_Session::save_items
+	 * @covers WP_Import_Session::get_item
+	 * @covers WP_Import_Session::has_items
+	 */
+	public function test_items_are_stored_in_slices() {
+		$posts   = array_map(
+			function ( $i ) {
+				return array( 'post_id' => $i );
+			},
+			range( 1, WP_Import_Session::ITEMS_PER_OPTION + 1 )
+		);
+		$session = new WP_Import_Session( 123 );
+		$session->save_items(
+			array(
+				'process_tags'  => array(),
+				'process_posts' => $posts,
+			)
+		);
+
+		$prefix = WP_Import_Session::OPTION_PREFIX . '123_items_process_posts_';
+		$this->assertCount( WP_Import_Session::ITEMS_PER_OPTION, get_option( $prefix . '0' ) );
+		$this->assertSame( array( end( $posts ) ), get_option( $prefix . WP_Import_Session::ITEMS_PER_OPTION ) );
+
+		$this->assertSame( $posts[0], $session->get_item( 'process_posts', 0 ) );
+		$this->assertSame( end( $posts ), $session->get_item( 'process_posts', WP_Import_Session::ITEMS_PER_OPTION ) );
+		$this->assertNull( $session->get_item( 'process_posts', WP_Import_Session::ITEMS_PER_OPTION + 1 ) );
+		$this->assertNull( $session->get_item( 'process_tags', 0 ) );
+
+		$this->assertTrue( $session->has_items( 'process_tags' ) );
+		$this->assertFalse( $session->has_items( 'process_authors' ) );
+
+		$session->delete();
+		$this->assertFalse( $session->has_items( 'process_posts' ) );
+		$this->assertFalse( get_option( $prefix . WP_Import_Session::ITEMS_PER_OPTION ) );
+	}
+
+	/**
+	 * @covers WP_Import_Session::started_by_current_user
+	 * @covers WP_Import::unfinished_imports
+	 */
+	public function test_only_the_user_who_started_an_import_can_resume_it() {
+		wp_set_current_user( self::factory()->user->create( array( 'role' => 'administrator' ) ) );
+		$session = $this->start_small_import();
+		$this->assertTrue( $session->started_by_current_user() );
+
+		ob_start();
+		( new WP_Import() )->unfinished_imports();
+		$this->assertStringContainsString( 'Resume import', ob_get_clean() );
+
+		wp_set_current_user( self::factory()->user->create( array( 'role' => 'administrator' ) ) );
+		$this->assertFalse( WP_Import_Session::get( $session->id )->started_by_current_user() );
+
+		ob_start();
+		( new WP_Import() )->unfinished_imports();
+		$this->assertStringNotContainsString( 'Resume import', ob_get_clean() );
+	}
+
+	/**
+	 * @covers WP_Import::save_interrupted_batch
+	 * @covers WP_Import::import_batch
+	 */
+	public function test_resuming_an_interrupted_batch_does_not_duplicate_content() {
+		$session = $this->start_small_import();
+
+		// Let a batch die after Hello world! and its comment and first meta were added.
+		$die = function ( $post_id, $key ) {
+			if ( 'Post by' === $key ) {
+				throw new RuntimeException( 'Request died.' );
+			}
+		};
+		add_action( 'import_post_meta', $die, 10, 2 );
+
+		$importer = new WP_Import();
+		ob_start();
+		try {
+			$importer->import_batch( $session, 3600 );
+			$this->fail( 'The batch did not die.' );
+		} catch ( RuntimeException $e ) {
+			// What the shutdown function does when a request dies.
+			$importer->save_interrupted_batch();
+		}
+		ob_end_clean();
+		remove_action( 'import_post_meta', $die );
+
+		$stored = WP_Import_Session::get( $session->id );
+		$this->assertTrue( $stored->interrupted );
+		$this->assertSame( 'process_posts', $stored->phase );
+
+		$this->run_batches( $stored );
+
+		$hello = get_posts(
+			array(
+				'title'       => 'Hello world!',
+				'post_status' => 'any',
+			)
+		);
+		$this->assertCount( 1, $hello );
+		$this->assertSame( array( 'author' ), get_post_meta( $hello[0]->ID, 'Post by' ) );
+		$this->assertSame( 1, wp_count_comments()->total_comments );
+		$this->assertSame( '5', wp_count_posts( 'post' )->publish );
+		$this->assertNull( WP_Import_Session::get( $session->id ) );
+	}
+}
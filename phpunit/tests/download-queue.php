@@ -0,0 +1,180 @@
+<?php
+
+require_once __DIR__ . '/base.php';
+
+/**
+ * @group import
+ */
+class Tests_Import_Download_Queue extends WP_Import_UnitTestCase {
+
+	const IMPORT_ID  = 4242;
+	const REMOTE_URL = 'https://wpthemetestdata.files.wordpress.com/2008/06/canola2.jpg';
+	const JPEG       = '/9j/4AAQSkZJRgABAQAAAQABAAD/2wBDAP//////////////////////////////////////////////////////////////////////////////////////2wBDAf//////////////////////////////////////////////////////////////////////////////////////wAARCABkAGQDASIAAhEBAxEB/8QAFQABAQAAAAAAAAAAAAAAAAAAAAX/xAAUEAEAAAAAAAAAAAAAAAAAAAAA/9oADAMBAAIQAxAAAAF//8QAFBABAAAAAAAAAAAAAAAAAAAAAP/aAAgBAQABPwB//8QAFBABAAAAAAAAAAAAAAAAAAAAAP/aAAgBAgEBPwB//8QAFBABAAAAAAAAAAAAAAAAAAAAAP/aAAgBAwEBPwB//9k';
+
+	/**
+	 * HTTP status codes to answer the next downloads with.
+	 *
+	 * @var int[]
+	 */
+	protected $responses = array();
+
+	public function set_up() {
+		parent::set_up();
+
+		if ( ! defined( 'WP_IMPORTING' ) ) {
+			define( 'WP_IMPORTING', true );
+		}
+
+		if ( ! defined( 'WP_LOAD_IMPORTERS' ) ) {
+			define( 'WP_LOAD_IMPORTERS', true );
+		}
+
+		add_filter( 'import_allow_create_users', '__return_true' );
+		add_filter( 'pre_http_request', array( $this, 'filter_mock_attachment_request' ), 10, 3 );
+
+		global $wpdb;
+		// Crude but effective: make sure there's no residual data in the main tables.
+		foreach ( array( 'posts', 'postmeta', 'comments', 'terms', 'term_taxonomy', 'term_relationships', 'users', 'usermeta' ) as $table ) {
+			$wpdb->query( "DELETE FROM {$wpdb->$table}" );
+		}
+	}
+
+	public function tear_down() {
+		remove_filter( 'import_allow_create_users', '__return_true' );
+		remove_filter( 'pre_http_request', array( $this, 'filter_mock_attachment_request' ), 10 );
+		delete_option( WP_Import_Download_Queue::OPTION_PREFIX . self::IMPORT_ID );
+		$_POST = array();
+
+		parent::tear_down();
+	}
+
+	/**
+	 * Imports wxr-flat-attachment-same-site.xml, leaving its attachment to the queue.
+	 *
+	 * @return int ID of the queued attachment.
+	 */
+	protected function import_with_queue() {
+		$_POST = array(
+			'imported_authors' => array( 'a11yteam' ),
+			'user_map'         => array(),
+			'user_new'         => array(),
+		);
+
+		$importer                    = new WP_Import();
+		$importer->id                = self::IMPORT_ID;
+		$importer->fetch_attachments = true;
+
+		ob_start();
+		$importer->import( DIR_TESTDATA_WP_IMPORTER . '/wxr-flat-attachment-same-site.xml', array( 'queue_downloads' => true ) );
+		ob_end_clean();
+
+		$attachments = get_posts(
+			array(
+				'post_type'   => 'attachment',
+				'post_status' => 'inherit',
+				'fields'      => 'ids',
+			)
+		);
+		$this->assertCount( 1, $attachments );
+		return $attachments[0];
+	}
+
+	/**
+	 * @return WP_Post The imported post that shows the attachment.
+	 */
+	protected function get_imported_post() {
+		return get_post( post_exists( 'Post with Attachment' ) );
+	}
+
+	/**
+	 * @covers WP_Import::queue_attachment
+	 * @covers WP_Import_Downloads::download_attachment
+	 */
+	public function test_queued_attachment_is_downloaded_after_the_import() {
+		$attachment_id = $this->import_with_queue();
+
+		// Nothing was downloaded during the import.
+		$this->assertEmpty( get_attached_file( $attachment_id ) );
+		$this->assertSame( 'image/jpeg', get_post_mime_type( $attachment_id ) );
+		$this->assertStringContainsString( self::REMOTE_URL, $this->get_imported_post()->post_content );
+
+		$queue = WP_Import_Download_Queue::get( self::IMPORT_ID );
+		$this->assertNotNull( $queue );
+		$this->assertSame(
+			array(
+				array(
+					'id'       => $attachment_id,
+					'title'    => 'canola2',
+					'url'      => self::REMOTE_URL,
+					'attempts' => 0,
+					'error'    => '',
+				),
+			),
+			$queue->get_downloads()
+		);
+
+		// A failed download stays queued with the reason.
+		$this->responses = array( 503 );
+		$this->assertWPError( ( new WP_Import_Downloads( new WP_Import() ) )->download_attachment( $queue, $attachment_id ) );
+		$download = $queue->get_download( $attachment_id );
+		$this->assertSame( 1, $download['attempts'] );
+		$this->assertSame( 'Remote server returned the following unexpected result: Service Unavailable (503)', $download['error'] );
+
+		$this->responses = array( 200 );
+		$this->assertSame( $attachment_id, ( new WP_Import_Downloads( new WP_Import() ) )->download_attachment( $queue, $attachment_id ) );
+
+		$this->assertFileExists( get_attached_file( $attachment_id ) );
+		$this->assertStringContainsString( wp_get_attachment_url( $attachment_id ), $this->get_imported_post()->post_content );
+		$this->assertStringNotContainsString( self::REMOTE_URL, $this->get_imported_post()->post_content );
+
+		// The last download removes the queue.
+		$this->assertNull( WP_Import_Download_Queue::get( self::IMPORT_ID ) );
+		$this->assertNull( $queue->get_download( $attachment_id ) );
+	}
+
+	/**
+	 * @covers WP_Import_Downloads::skip_download
+	 */
+	public function test_skipped_download_deletes_the_attachment() {
+		$attachment_id = $this->import_with_queue();
+		$queue         = WP_Import_Download_Queue::get( self::IMPORT_ID );
+
+		$this->assertTrue( ( new WP_Import_Downloads( new WP_Import() ) )->skip_download( $queue, $attachment_id ) );
+
+		$this->assertNull( get_post( $attachment_id ) );
+		$this->assertNull( WP_Import_Download_Queue::get( self::IMPORT_ID ) );
+		$this->assertStringContainsString( self::REMOTE_URL, $this->get_imported_post()->post_content );
+
+		$this->assertFalse( ( new WP_Import_Downloads( new WP_Import() ) )->skip_download( $queue, $attachment_id ) );
+	}
+
+	/**
+	 * Answers the attachment downloads with the next status code in $this->responses.
+	 *
+	 * @param false|array|WP_Error $preempt     Preempted response.
+	 * @param array                $parsed_args Parsed HTTP arguments.
+	 * @param string               $url         Requested URL.
+	 * @return false|array|WP_Error HTTP response override when mocking, otherwise original value.
+	 */
+	public function filter_mock_attachment_request( $preempt, $parsed_args, $url ) {
+		if ( self::REMOTE_URL !== $url || empty( $parsed_args['filename'] ) ) {
+			return $preempt;
+		}
+
+		$code = (int) array_shift( $this->responses );
+		$body = 200 === $code ? base64_decode( self::JPEG, true ) : '';
+		file_put_contents( $parsed_args['filename'], $body );
+
+		return array(
+			'headers'  => array(
+				'content-length' => (string) strlen( $body ),
+				'content-type'   => 'image/jpeg',
+			),
+			'body'     => '',
+			'response' => array(
+				'code'    => $code,
+				'message' => get_status_header_desc( $code ),
+			),
+		);
+	}
+}
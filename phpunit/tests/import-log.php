@@ -0,0 +1,170 @@
+<?php
+
+require_once __DIR__ . '/base.php';
+
+/**
+ * @group import
+ */
+class Tests_Import_Log extends WP_Import_UnitTestCase {
+
+	public function set_up() {
+		parent::set_up();
+
+		if ( ! defined( 'WP_IMPORTING' ) ) {
+			define( 'WP_IMPORTING', true );
+		}
+
+		if ( ! defined( 'WP_LOAD_IMPORTERS' ) ) {
+			define( 'WP_LOAD_IMPORTERS', true );
+		}
+
+		add_filter( 'import_allow_create_users', '__return_true' );
+
+		global $wpdb;
+		// Crude but effective: make sure there's no residual data in the main tables.
+		foreach ( array( 'posts', 'postmeta', 'comments', 'terms', 'term_taxonomy', 'term_relationships', 'users', 'usermeta' ) as $table ) {
+			$wpdb->query( "DELETE FROM {$wpdb->$table}" );
+		}
+	}
+
+	public function tear_down() {
+		remove_filter( 'import_allow_create_users', '__return_true' );
+		foreach ( WP_Import_Log::get_all() as $log ) {
+			$log->delete();
+		}
+		$_POST = array();
+
+		parent::tear_down();
+	}
+
+	/**
+	 * Imports small-export.xml as if it had been uploaded as attachment $import_id.
+	 *
+	 * @param int $import_id
+	 */
+	protected function import_small_export( $import_id ) {
+		$_POST = array(
+			'imported_authors' => array( 'admin', 'editor', 'author' ),
+			'user_map'         => array(),
+			'user_new'         => array(),
+		);
+
+		$importer     = new WP_Import();
+		$importer->id = $import_id;
+
+		ob_start();
+		$importer->import( DIR_TESTDATA_WP_IMPORTER . '/small-export.xml' );
+		ob_end_clean();
+	}
+
+	/**
+	 * @param WP_Import_Log $log
+	 * @param string        $guid
+	 * @return array|null The record about the post with that GUID.
+	 */
+	protected function find_post_record( $log, $guid ) {
+		foreach ( $log->get_records() as $record ) {
+			if ( $guid === $record['guid'] ) {
+				return $record;
+			}
+		}
+		return null;
+	}
+
+	/**
+	 * @covers WP_Import::log
+	 * @covers WP_Import_Log::get_records
+	 */
+	public function test_import_is_logged() {
+		$this->import_small_export( 101 );
+
+		$log = WP_Import_Log::get( 101 );
+		$this->assertNotNull( $log );
+		$this->assertSame( 'small-export.xml', $log->file );
+
+		$record = $this->find_post_record( $log, 'http://localhost/?p=1' );
+		$this->assertSame( 'info', $record['severity'] );
+		$this->assertSame( 'process_posts', $record['phase'] );
+		$this->assertSame( 'post', $record['type'] );
+		$this->assertSame( '1', (string) $record['original_id'] );
+		$this->assertSame( post_exists( 'Hello world!' ), $record['new_id'] );
+		$this->assertSame( 'Imported Post “Hello world!”.', $record['message'] );
+
+		$severities = array_count_values( wp_list_pluck( $log->get_records(), 'severity' ) );
+		$this->assertSame( array( 'info' ), array_keys( $severities ) );
+		$this->assertContains( 'user', wp_list_pluck( $log->get_records(), 'type' ) );
+		$this->assertContains( 'category', wp_list_pluck( $log->get_records(), 'type' ) );
+
+		// Importing the file again finds everything already there.
+		$this->import_small_export( 102 );
+
+		$record = $this->find_post_record( WP_Import_Log::get( 102 ), 'http://localhost/?p=1' );
+		$this->assertSame( 'notice', $record['severity'] );
+		$this->assertSame( post_exists( 'Hello world!' ), $record['new_id'] );
+		$this->assertSame( 'Post “Hello world!” already exists.', $record['message'] );
+
+		$this->assertSame( array( 102, 101 ), wp_list_pluck( WP_Import_Log::get_all(), 'id' ) );
+	}
+
+	/**
+	 * @covers WP_Import::start_log
+	 */
+	public function test_oldest_logs_are_removed() {
+		$limit = static function () {
+			return 1;
+		};
+		add_filter( 'wp_import_log_limit', $limit );
+
+		$this->import_small_export( 101 );
+		$this->import_small_export( 102 );
+
+		remove_filter( 'wp_import_log_limit', $limit );
+
+		$this->assertSame( array( 102 ), wp_list_pluck( WP_Import_Log::get_all(), 'id' ) );
+		$this->assertSame( array(), ( new WP_Import_Log( 101 ) )->get_records() );
+	}
+
+	/**
+	 * @covers WP_Import_Log_Screen::export_log
+	 */
+	public function test_export_log() {
+		$log = new WP_Import_Log( 103 );
+		$log->save();
+		$log->add(
+			array(
+				'severity'    => 'error',
+				'phase'       => 'process_posts',
+				'type'        => 'post',
+				'original_id' => '7',
+				'guid'        => 'http://localhost/?p=7',
+				'message'     => '=HYPERLINK("https://example.com/", "Failed to import &#8220;A, B&#8221;")',
+			)
+		);
+		$log->flush();
+
+		$screen = new WP_Import_Log_Screen( new WP_Import() );
+		$time   = gmdate( 'c', $log->get_records()[0]['time'] );
+
+		$this->assertSame(
+			"time,severity,phase,type,original_id,guid,new_id,message\n" .
+			"$time,error,process_posts,post,7,http://localhost/?p=7,0,\"'=HYPERLINK(\"\"https://example.com/\"\", \"\"Failed to import “A, B”\"\")\"\n",
+			$screen->export_log( $log, 'csv' )
+		);
+
+		$this->assertSame(
+			array(
+				array(
+					'time'        => $time,
+					'severity'    => 'error',
+					'phase'       => 'process_posts',
+					'type'        => 'post',
+					'original_id' => '7',
+					'guid'        => 'http://localhost/?p=7',
+					'new_id'      => 0,
+					'message'     => '=HYPERLINK("https://example.com/", "Failed to import “A, B”")',
+				),
+			),
+			json_decode( $screen->export_log( $log, 'json' ), true )
+		);
+	}
+}
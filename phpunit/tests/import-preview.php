@@ -0,0 +1,128 @@
+<?php
+
+require_once __DIR__ . '/base.php';
+
+/**
+ * @group import
+ */
+class Tests_Import_Import_Preview extends WP_Import_UnitTestCase {
+
+	public function set_up() {
+		parent::set_up();
+
+		if ( ! defined( 'WP_IMPORTING' ) ) {
+			define( 'WP_IMPORTING', true );
+		}
+
+		if ( ! defined( 'WP_LOAD_IMPORTERS' ) ) {
+			define( 'WP_LOAD_IMPORTERS', true );
+		}
+
+		add_filter( 'import_allow_create_users', '__return_true' );
+
+		global $wpdb;
+		// Crude but effective: make sure there's no residual data in the main tables.
+		foreach ( array( 'posts', 'postmeta', 'comments', 'terms', 'term_taxonomy', 'term_relationships', 'users', 'usermeta' ) as $table ) {
+			$wpdb->query( "DELETE FROM {$wpdb->$table}" );
+		}
+	}
+
+	public function tear_down() {
+		remove_filter( 'import_allow_create_users', '__return_true' );
+		$_POST = array();
+
+		parent::tear_down();
+	}
+
+	/**
+	 * @return array Preview items of small-export.xml, keyed by their key.
+	 */
+	protected function preview_small_export() {
+		$importer    = new WP_Import();
+		$import_data = $importer->parse( DIR_TESTDATA_WP_IMPORTER . '/small-export.xml' );
+
+		$importer->posts      = $import_data['posts'];
+		$importer->terms      = $import_data['terms'];
+		$importer->categories = $import_data['categories'];
+		$importer->tags       = $import_data['tags'];
+
+		$items = array();
+		foreach ( $importer->get_import_preview() as $item ) {
+			$items[ $item['key'] ] = $item;
+		}
+		return $items;
+	}
+
+	/**
+	 * @covers WP_Import::get_import_preview
+	 */
+	public function test_preview_lists_items_and_finds_existing_ones() {
+		$post_id = self::factory()->post->create(
+			array(
+				'post_title' => 'Hello world!',
+				'post_date'  => '2011-01-18 07:40:14',
+			)
+		);
+		$term_id = self::factory()->category->create( array( 'slug' => 'foo' ) );
+
+		$items = $this->preview_small_export();
+
+		$this->assertCount( 11 + 30 + 3, $items );
+		$this->assertSame( $post_id, $items['post:1']['exists'] );
+		$this->assertSame( $term_id, $items['term:category:foo']['exists'] );
+		$this->assertSame(
+			array(
+				'key'    => 'post:9',
+				'kind'   => 'post',
+				'type'   => 'page',
+				'status' => 'draft',
+				'title'  => 'Draft Page',
+				'exists' => 0,
+			),
+			$items['post:9']
+		);
+		$this->assertSame( 0, $items['term:post_tag:tag1']['exists'] );
+
+		// Nothing was imported.
+		$this->assertSame( 1, (int) wp_count_posts( 'post' )->publish );
+		$this->assertSame( 0, (int) wp_count_posts( 'page' )->publish );
+	}
+
+	/**
+	 * @covers WP_Import::process_posts
+	 * @covers WP_Import::process_categories
+	 * @covers WP_Import::process_tags
+	 */
+	public function test_import_leaves_out_excluded_items() {
+		$_POST = array(
+			'imported_authors' => array( 'admin', 'editor', 'author' ),
+			'user_map'         => array(),
+			'user_new'         => array(),
+		);
+
+		$importer                    = new WP_Import();
+		$importer->fetch_attachments = false;
+
+		ob_start();
+		$importer->import(
+			DIR_TESTDATA_WP_IMPORTER . '/small-export.xml',
+			array(
+				'exclude' => array( 'post:1', 'post:6', 'term:category:unused-category', 'term:post_tag:tag1' ),
+			)
+		);
+		ob_end_clean();
+
+		$this->assertSame( 0, (int) post_exists( 'Hello world!' ) );
+		$this->assertSame( 0, (int) post_exists( 'Parent Page' ) );
+		$this->assertSame( 4, (int) wp_count_posts( 'post' )->publish );
+
+		// The child of an excluded page has no parent.
+		$child = get_post( post_exists( 'Child Page' ) );
+		$this->assertSame( 0, $child->post_parent );
+
+		// Excluded terms are neither imported nor added to the posts that have them.
+		$this->assertNull( term_exists( 'unused-category', 'category' ) );
+		$this->assertNull( term_exists( 'tag1', 'post_tag' ) );
+		$this->assertNotNull( term_exists( 'tag2', 'post_tag' ) );
+	}
+}
@@ -117,6 +117,7 @@ class Tests_Import_Parser extends WP_Import_UnitTestCase {
 		$expected_post_0_keys = array(
 			'post_title',
 			'guid',
+			'link',
 			'post_author',
 			'post_content',
 			'post_excerpt',
@@ -136,7 +137,7 @@ class Tests_Import_Parser extends WP_Import_UnitTestCase {
 			'comments',
 		);
 		$this->assertEqualSets( $expected_post_0_keys, array_keys( $result['posts'][0] ), $message );
-		$this->assertCount( 18, $result['posts'][1], $message );
+		$this->assertCount( 19, $result['posts'][1], $message );
 		$this->assertEqualSetsWithIndex(
 			array(
 				array(
@@ -193,8 +194,8 @@ class Tests_Import_Parser extends WP_Import_UnitTestCase {
 		$this->assertSame( 'chicken', $result['tags'][0]['tag_name'], $message );
 
 		$this->assertCount( 6, $result['posts'], $message );
-		$this->assertCount( 19, $result['posts'][0], $message );
-		$this->assertCount( 18, $result['posts'][1], $message );
+		$this->assertCount( 20, $result['posts'][0], $message );
+		$this->assertCount( 19, $result['posts'][1], $message );
 
 		$this->assertEquals(
 			array(
@@ -1076,4 +1077,65 @@ class Tests_Import_Parser extends WP_Import_UnitTestCase {
 			$this->assertEquals( '4', $unicode_post['post_id'], "Unicode namespace post should be parsed for $parser_class" );
 		}
 	}
+
+	/**
+	 * @covers WXR_Parser::parse
+	 */
+	public function test_automatic_parser_falls_back_to_the_next_one() {
+		$parser = new WXR_Parser();
+		$result = $parser->parse( DIR_TESTDATA_WP_IMPORTER . '/valid-wxr-1.1.xml', 'auto' );
+		$this->assertNotWPError( $result );
+		$this->assertSame( 'simplexml', $parser->parser );
+		$this->assertSame( array(), $parser->errors );
+
+		// The unclosed <item> trips up the parsers built on PHP extensions.
+		$result = $parser->parse( DIR_TESTDATA_WP_IMPORTER . '/malformed-simple.xml', 'auto' );
+		$this->assertNotWPError( $result );
+		$this->assertSame( 'xmlprocessor', $parser->parser );
+		$this->assertSame( array( 'simplexml', 'xml' ), array_keys( $parser->errors ) );
+		$this->assertSame( 'SimpleXML_parse_error', $parser->errors['simplexml']->get_error_code() );
+	}
+
+	/**
+	 * @covers WXR_Parser::parse
+	 */
+	public function test_automatic_parser_returns_the_first_error_when_every_parser_fails() {
+		$parser = new WXR_Parser();
+		$result = $parser->parse( DIR_TESTDATA_WP_IMPORTER . '/missing-version-tag.xml', 'auto' );
+
+		$this->assertWPError( $result );
+		$this->assertSame( $parser->errors['simplexml'], $result );
+		$this->assertSame( WXR_Parser::get_automatic_order(), array_keys( $parser->errors ) );
+		$this->assertSame( '', $parser->parser );
+	}
+
+	/**
+	 * A parser that's picked isn't left for another one when it can't read the file.
+	 *
+	 * @covers WXR_Parser::parse
+	 */
+	public function test_picked_parser_does_not_fall_back() {
+		$parser = new WXR_Parser();
+		$result = $parser->parse( DIR_TESTDATA_WP_IMPORTER . '/malformed-simple.xml', 'simplexml' );
+
+		$this->assertWPError( $result );
+		$this->assertSame( '', $parser->parser );
+		$this->assertSame( array( 'simplexml' ), array_keys( $parser->errors ) );
+	}
+
+	/**
+	 * @covers WP_Import::get_parser_comparison
+	 */
+	public function test_parser_comparison() {
+		$comparison = ( new WP_Import() )->get_parser_comparison( DIR_TESTDATA_WP_IMPORTER . '/malformed-simple.xml' );
+
+		$this->assertSame( array( 'simplexml', 'xml', 'regex', 'xmlprocessor' ), array_keys( $comparison ) );
+		$this->assertSame( array( 'error' => 'There was an error when reading this WXR file' ), $comparison['simplexml'] );
+		$this->assertSame( array( 'authors', 'posts', 'terms', 'comments', 'meta' ), array_keys( $comparison['xmlprocessor'] ) );
+		$this->assertSame( 0, $comparison['xmlprocessor']['posts'] );
+
+		$comparison = ( new WP_Import() )->get_parser_comparison( DIR_TESTDATA_WP_IMPORTER . '/valid-wxr-1.1.xml' );
+		$this->assertSame( $comparison['simplexml'], $comparison['xmlprocessor'] );
+		$this->assertSame( 2, $comparison['simplexml']['posts'] );
+	}
 }
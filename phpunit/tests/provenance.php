@@ -0,0 +1,193 @@
+<?php
+
+require_once __DIR__ . '/base.php';
+
+/**
+ * @group import
+ */
+class Tests_Import_Provenance extends WP_Import_UnitTestCase {
+
+	const IMPORT_ID  = 4343;
+	const REMOTE_URL = 'https://wpthemetestdata.files.wordpress.com/2008/06/canola2.jpg';
+	const JPEG       = '/9j/4AAQSkZJRgABAQAAAQABAAD/2wBDAP//////////////////////////////////////////////////////////////////////////////////////2wBDAf//////////////////////////////////////////////////////////////////////////////////////wAARCABkAGQDASIAAhEBAxEB/8QAFQABAQAAAAAAAAAAAAAAAAAAAAX/xAAUEAEAAAAAAAAAAAAAAAAAAAAA/9oADAMBAAIQAxAAAAF//8QAFBABAAAAAAAAAAAAAAAAAAAAAP/aAAgBAQABPwB//8QAFBABAAAAAAAAAAAAAAAAAAAAAP/aAAgBAgEBPwB//8QAFBABAAAAAAAAAAAAAAAAAAAAAP/aAAgBAwEBPwB//9k';
+
+	/**
+	 * HTTP status codes to answer the next downloads with.
+	 *
+	 * @var int[]
+	 */
+	protected $responses = array();
+
+	public function set_up() {
+		parent::set_up();
+
+		if ( ! defined( 'WP_IMPORTING' ) ) {
+			define( 'WP_IMPORTING', true );
+		}
+
+		if ( ! defined( 'WP_LOAD_IMPORTERS' ) ) {
+			define( 'WP_LOAD_IMPORTERS', true );
+		}
+
+		add_filter( 'import_allow_create_users', '__return_true' );
+		add_filter( 'pre_http_request', array( $this, 'filter_mock_attachment_request' ), 10, 3 );
+
+		global $wpdb;
+		// Crude but effective: make sure there's no residual data in the main tables.
+		foreach ( array( 'posts', 'postmeta', 'comments', 'terms', 'term_taxonomy', 'term_relationships', 'users', 'usermeta' ) as $table ) {
+			$wpdb->query( "DELETE FROM {$wpdb->$table}" );
+		}
+	}
+
+	public function tear_down() {
+		remove_filter( 'import_allow_create_users', '__return_true' );
+		remove_filter( 'pre_http_request', array( $this, 'filter_mock_attachment_request' ), 10 );
+		delete_option( WP_Import_Download_Queue::OPTION_PREFIX . self::IMPORT_ID );
+		$_POST = array();
+
+		parent::tear_down();
+	}
+
+	/**
+	 * @return WP_Import_Provenance|null Provenance of the post that shows the attachment.
+	 */
+	protected function get_post_provenance() {
+		return WP_Import_Provenance::get( post_exists( 'Post with Attachment' ) );
+	}
+
+	/**
+	 * @covers WP_Import::process_post
+	 */
+	public function test_imported_post_has_its_provenance() {
+		$this->_import_wp( DIR_TESTDATA_WP_IMPORTER . '/wxr-flat-attachment-same-site.xml', array(), false );
+
+		$provenance = $this->get_post_provenance();
+		$this->assertNotNull( $provenance );
+		$this->assertSame( 555, $provenance->original_id );
+		$this->assertSame( 'https://wp.org/?p=555', $provenance->guid );
+		$this->assertSame( 'https://wp.org/2011/01/10/post-with-attachment/', $provenance->link );
+		$this->assertSame( 'a11yteam', $provenance->author );
+		$this->assertSame(
+			array( self::REMOTE_URL => 'http://example.org/2008/06/canola2.jpg' ),
+			$provenance->rewritten_urls
+		);
+		$this->assertSame( array(), $provenance->failed_attachments );
+	}
+
+	/**
+	 * @covers WP_Import::process_post
+	 */
+	public function test_provenance_has_no_rewritten_urls_without_rewriting() {
+		$this->_import_wp( DIR_TESTDATA_WP_IMPORTER . '/wxr-flat-attachment-same-site.xml', array(), false, false );
+
+		$this->assertSame( array(), $this->get_post_provenance()->rewritten_urls );
+	}
+
+	/**
+	 * @covers WP_Import_Downloads::download_attachment
+	 * @covers WP_Import::set_failed_attachment
+	 */
+	public function test_failed_download_is_noted_on_the_post() {
+		$_POST = array(
+			'imported_authors' => array( 'a11yteam' ),
+			'user_map'         => array(),
+			'user_new'         => array(),
+		);
+
+		$importer                    = new WP_Import();
+		$importer->id                = self::IMPORT_ID;
+		$importer->fetch_attachments = true;
+
+		ob_start();
+		$importer->import( DIR_TESTDATA_WP_IMPORTER . '/wxr-flat-attachment-same-site.xml', array( 'queue_downloads' => true ) );
+		ob_end_clean();
+
+		$queue         = WP_Import_Download_Queue::get( self::IMPORT_ID );
+		$attachment_id = $queue->get_downloads()[0]['id'];
+
+		$this->responses = array( 503 );
+		( new WP_Import_Downloads( new WP_Import() ) )->download_attachment( $queue, $attachment_id );
+		$this->assertSame(
+			array(
+				611 => array(
+					'title' => 'canola2',
+					'url'   => self::REMOTE_URL,
+					'error' => 'Remote server returned the following unexpected result: Service Unavailable (503)',
+				),
+			),
+			$this->get_post_provenance()->failed_attachments
+		);
+
+		$this->responses = array( 200 );
+		( new WP_Import_Downloads( new WP_Import() ) )->download_attachment( $queue, $attachment_id );
+		$this->assertSame( array(), $this->get_post_provenance()->failed_attachments );
+	}
+
+	/**
+	 * @covers WP_Import_Downloads::download_attachment
+	 */
+	public function test_download_is_not_taken_for_an_edit() {
+		$_POST = array(
+			'imported_authors' => array( 'a11yteam' ),
+			'user_map'         => array(),
+			'user_new'         => array(),
+		);
+
+		$importer                    = new WP_Import();
+		$importer->id                = self::IMPORT_ID;
+		$importer->fetch_attachments = true;
+
+		ob_start();
+		$importer->import( DIR_TESTDATA_WP_IMPORTER . '/wxr-flat-attachment-same-site.xml', array( 'queue_downloads' => true ) );
+		ob_end_clean();
+
+		$queue         = WP_Import_Download_Queue::get( self::IMPORT_ID );
+		$attachment_id = $queue->get_downloads()[0]['id'];
+
+		// as if the download ran a while after the import
+		$provenance           = WP_Import_Provenance::get( $attachment_id );
+		$provenance->modified = '2000-01-01 00:00:00';
+		$provenance->save();
+
+		$this->responses = array( 200 );
+		( new WP_Import_Downloads( new WP_Import() ) )->download_attachment( $queue, $attachment_id );
+		$this->assertSame( get_post_field( 'post_modified_gmt', $attachment_id ), WP_Import_Provenance::get( $attachment_id )->modified );
+	}
+
+	/**
+	 * @covers WP_Import::is_valid_meta_key
+	 */
+	public function test_provenance_meta_is_not_imported() {
+		$this->assertFalse( ( new WP_Import() )->is_valid_meta_key( WP_Import_Provenance::META_KEY ) );
+	}
+
+	/**
+	 * Answers the attachment downloads with the next status code in $this->responses.
+	 *
+	 * @param false|array|WP_Error $preempt     Preempted response.
+	 * @param array                $parsed_args Parsed HTTP arguments.
+	 * @param string               $url         Requested URL.
+	 * @return false|array|WP_Error HTTP response override when mocking, otherwise original value.
+	 */
+	public function filter_mock_attachment_request( $preempt, $parsed_args, $url ) {
+		if ( self::REMOTE_URL !== $url || empty( $parsed_args['filename'] ) ) {
+			return $preempt;
+		}
+
+		$code = (int) array_shift( $this->responses );
+		$body = 200 === $code ? base64_decode( self::JPEG, true ) : '';
+		file_put_contents( $parsed_args['filename'], $body );
+
+		return array(
+			'headers'  => array(
+				'content-length' => (string) strlen( $body ),
+				'content-type'   => 'image/jpeg',
+			),
+			'body'     => '',
+			'response' => array(
+				'code'    => $code,
+				'message' => get_status_header_desc( $code ),
+			),
+		);
+	}
+}
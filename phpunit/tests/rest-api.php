@@ -0,0 +1,218 @@
+<?php
+
+require_once __DIR__ . '/base.php';
+
+/**
+ * @group import
+ * @group restapi
+ */
+class Tests_Import_REST_API extends WP_Import_UnitTestCase {
+
+	/**
+	 * @var int
+	 */
+	protected $admin_id;
+
+	public function set_up() {
+		parent::set_up();
+
+		if ( ! defined( 'WP_IMPORTING' ) ) {
+			define( 'WP_IMPORTING', true );
+		}
+
+		add_filter( 'import_allow_create_users', '__return_true' );
+
+		global $wpdb;
+		// Crude but effective: make sure there's no residual data in the main tables.
+		foreach ( array( 'posts', 'postmeta', 'comments', 'terms', 'term_taxonomy', 'term_relationships', 'users', 'usermeta' ) as $table ) {
+			$wpdb->query( "DELETE FROM {$wpdb->$table}" );
+		}
+
+		$this->admin_id = self::factory()->user->create( array( 'role' => 'administrator' ) );
+		wp_set_current_user( $this->admin_id );
+	}
+
+	public function tear_down() {
+		remove_filter( 'import_allow_create_users', '__return_true' );
+		foreach ( WP_Import_Log::get_all() as $log ) {
+			$log->delete();
+		}
+		$GLOBALS['wp_rest_server'] = null;
+
+		parent::tear_down();
+	}
+
+	/**
+	 * @param string $method
+	 * @param string $path   Route under the importer's namespace.
+	 * @param array  $params
+	 * @return WP_REST_Response
+	 */
+	protected function request( $method, $path, $params = array() ) {
+		$request = new WP_REST_Request( $method, '/wordpress-importer/v1' . $path );
+		foreach ( $params as $key => $value ) {
+			$request->set_param( $key, $value );
+		}
+		return rest_do_request( $request );
+	}
+
+	/**
+	 * @param string $file Path of the WXR file.
+	 * @return WP_REST_Response
+	 */
+	protected function upload( $file ) {
+		$request = new WP_REST_Request( 'POST', '/wordpress-importer/v1/imports' );
+		$request->set_header( 'Content-Type', 'application/xml' );
+		$request->set_header( 'Content-Disposition', 'attachment; filename="' . wp_basename( $file ) . '"' );
+		$request->set_body( file_get_contents( $file ) );
+		return rest_do_request( $request );
+	}
+
+	/**
+	 * @covers WP_Import_REST_Controller::create_item
+	 * @covers WP_Import_REST_Controller::update_options
+	 * @covers WP_Import_REST_Controller::start_import
+	 * @covers WP_Import_REST_Controller::run_batch
+	 * @covers WP_Import_REST_Controller::get_log
+	 */
+	public function test_import_runs_over_the_rest_api() {
+		$response = $this->upload( DIR_TESTDATA_WP_IMPORTER . '/small-export.xml' );
+		$this->assertSame( 201, $response->get_status() );
+
+		$import = $response->get_data();
+		$id     = $import['id'];
+		$this->assertSame( 'uploaded', $import['status'] );
+		$this->assertSame( '1.1', $import['version'] );
+		$this->assertSame( array( 'admin', 'editor', 'author' ), wp_list_pluck( $import['authors'], 'login' ) );
+		$this->assertSame(
+			array(
+				'post' => 6,
+				'page' => 5,
+			),
+			$import['summary']['posts']
+		);
+
+		$response = $this->request(
+			'POST',
+			"/imports/$id/options",
+			array(
+				'authors'      => array(
+					array(
+						'login'   => 'admin',
+						'user_id' => $this->admin_id,
+					),
+					array(
+						'login'     => 'editor',
+						'new_login' => 'chief',
+					),
+				),
+				'rewrite_urls' => false,
+				'parser'       => 'xmlprocessor',
+			)
+		);
+		$this->assertSame( 200, $response->get_status() );
+		$this->assertSame( 'xmlprocessor', $response->get_data()['options']['parser'] );
+		$this->assertFalse( $response->get_data()['options']['rewrite_urls'] );
+
+		$response = $this->request( 'POST', "/imports/$id/start" );
+		$this->assertSame( 'running', $response->get_data()['status'] );
+		$this->assertSame( 'waiting', $response->get_data()['progress']['process_posts']['status'] );
+
+		// The options can't change once the import has started.
+		$this->assertSame( 409, $this->request( 'POST', "/imports/$id/options", array( 'parser' => 'xml' ) )->get_status() );
+
+		for ( $i = 0; $i < 20 && 'running' === $response->get_data()['status']; $i++ ) {
+			$response = $this->request( 'POST', "/imports/$id/batch" );
+			$this->assertSame( 200, $response->get_status() );
+		}
+		$this->assertSame( 'done', $response->get_data()['status'] );
+		$this->assertSame( 0, $response->get_data()['log']['error'] );
+
+		$this->assertSame( $this->admin_id, (int) get_post( post_exists( 'Hello world!' ) )->post_author );
+		$this->assertNotFalse( get_user_by( 'login', 'chief' ) );
+		$this->assertNotFalse( get_user_by( 'login', 'author' ) );
+
+		$response = $this->request(
+			'GET',
+			"/imports/$id/log",
+			array(
+				'type'     => 'user',
+				'per_page' => 2,
+			)
+		);
+		$this->assertSame( 3, $response->get_headers()['X-WP-Total'] );
+		$this->assertSame( 2, $response->get_headers()['X-WP-TotalPages'] );
+		$this->assertSame( 'Assigned the posts of admin to ' . get_userdata( $this->admin_id )->user_login . '.', $response->get_data()[0]['message'] );
+
+		$this->assertSame( 409, $this->request( 'POST', "/imports/$id/batch" )->get_status() );
+	}
+
+	/**
+	 * @covers WP_Import_REST_Controller::update_options
+	 */
+	public function test_invalid_options_are_rejected() {
+		$id = $this->upload( DIR_TESTDATA_WP_IMPORTER . '/small-export.xml' )->get_data()['id'];
+
+		$this->assertSame( 400, $this->request( 'POST', "/imports/$id/options", array( 'parser' => 'nope' ) )->get_status() );
+
+		$response = $this->request( 'POST', "/imports/$id/options", array( 'authors' => array( array( 'login' => 'nobody' ) ) ) );
+		$this->assertSame( 400, $response->get_status() );
+		$this->assertSame( 'The file has no author nobody.', $response->as_error()->get_error_message() );
+
+		$response = $this->request( 'POST', "/imports/$id/options", array( 'authors' => array( array( 'login' => 'admin', 'user_id' => 999999 ) ) ) );
+		$this->assertSame( 400, $response->get_status() );
+
+		$this->assertSame( 404, $this->request( 'GET', '/imports/' . ( $id + 1000 ) )->get_status() );
+	}
+
+	/**
+	 * @covers WP_Import_REST_Controller::start_import
+	 * @covers WP_Import::start_batched_import
+	 */
+	public function test_files_that_cannot_be_read_are_not_started() {
+		$id = $this->upload( DIR_TESTDATA_WP_IMPORTER . '/small-export.xml' )->get_data()['id'];
+		$this->request( 'POST', "/imports/$id/options", array( 'parser' => 'simplexml' ) );
+		file_put_contents( get_attached_file( $id ), '<rss><channel><item>' );
+
+		$response = $this->request( 'POST', "/imports/$id/start" );
+		$this->assertSame( 400, $response->get_status() );
+
+		$this->assertNull( WP_Import_Session::get( $id ) );
+		$this->assertNull( WP_Import_Log::get( $id ) );
+		$this->assertNull( WP_Import_Rollback::get( $id ) );
+		$this->assertSame( 'uploaded', $this->request( 'GET', "/imports/$id" )->get_data()['status'] );
+	}
+
+	/**
+	 * @covers WP_Import_REST_Controller::run_batch
+	 * @covers WP_Import_REST_Controller::get_status
+	 */
+	public function test_only_the_user_who_started_an_import_runs_it() {
+		$id = $this->upload( DIR_TESTDATA_WP_IMPORTER . '/small-export.xml' )->get_data()['id'];
+		$this->request( 'POST', "/imports/$id/start" );
+		$session = get_option( WP_Import_Session::OPTION_PREFIX . $id );
+
+		wp_set_current_user( self::factory()->user->create( array( 'role' => 'administrator' ) ) );
+
+		$this->assertSame( 404, $this->request( 'GET', "/imports/$id" )->get_status() );
+		$this->assertSame( 404, $this->request( 'POST', "/imports/$id/batch" )->get_status() );
+		$this->assertSame( $session, get_option( WP_Import_Session::OPTION_PREFIX . $id ) );
+
+		wp_set_current_user( $this->admin_id );
+		$this->assertSame( 200, $this->request( 'POST', "/imports/$id/batch" )->get_status() );
+	}
+
+	/**
+	 * @covers WP_Import_REST_Controller::get_item_permissions_check
+	 * @covers WP_Import_REST_Controller::create_item_permissions_check
+	 */
+	public function test_only_users_who_can_import_drive_imports() {
+		$id = $this->upload( DIR_TESTDATA_WP_IMPORTER . '/small-export.xml' )->get_data()['id'];
+
+		wp_set_current_user( self::factory()->user->create( array( 'role' => 'editor' ) ) );
+
+		$this->assertSame( 403, $this->upload( DIR_TESTDATA_WP_IMPORTER . '/small-export.xml' )->get_status() );
+		$this->assertSame( 403, $this->request( 'GET', "/imports/$id" )->get_status() );
+		$this->assertSame( 403, $this->request( 'POST', "/imports/$id/start" )->get_status() );
+	}
+}
@@ -0,0 +1,157 @@
+<?php
+
+require_once __DIR__ . '/base.php';
+
+/**
+ * @group import
+ */
+class Tests_Import_Rollback extends WP_Import_UnitTestCase {
+
+	public function set_up() {
+		parent::set_up();
+
+		if ( ! defined( 'WP_IMPORTING' ) ) {
+			define( 'WP_IMPORTING', true );
+		}
+
+		if ( ! defined( 'WP_LOAD_IMPORTERS' ) ) {
+			define( 'WP_LOAD_IMPORTERS', true );
+		}
+
+		add_filter( 'import_allow_create_users', '__return_true' );
+
+		global $wpdb;
+		// Crude but effective: make sure there's no residual data in the main tables.
+		foreach ( array( 'posts', 'postmeta', 'comments', 'terms', 'term_taxonomy', 'term_relationships', 'users', 'usermeta' ) as $table ) {
+			$wpdb->query( "DELETE FROM {$wpdb->$table}" );
+		}
+
+		// Whoever rolls back is given what the deleted users wrote since.
+		wp_set_current_user( self::factory()->user->create( array( 'role' => 'administrator' ) ) );
+	}
+
+	public function tear_down() {
+		remove_filter( 'import_allow_create_users', '__return_true' );
+		foreach ( WP_Import_Rollback::get_all() as $rollback ) {
+			$rollback->delete();
+		}
+		foreach ( WP_Import_Log::get_all() as $log ) {
+			$log->delete();
+		}
+		$_POST = array();
+
+		parent::tear_down();
+	}
+
+	/**
+	 * Imports small-export.xml as if it had been uploaded as attachment $import_id.
+	 *
+	 * @param int $import_id
+	 */
+	protected function import_small_export( $import_id ) {
+		$_POST = array(
+			'imported_authors' => array( 'admin', 'editor', 'author' ),
+			'user_map'         => array(),
+			'user_new'         => array(),
+		);
+
+		$importer                    = new WP_Import();
+		$importer->id                = $import_id;
+		$importer->fetch_attachments = false;
+
+		ob_start();
+		$importer->import( DIR_TESTDATA_WP_IMPORTER . '/small-export.xml' );
+		ob_end_clean();
+	}
+
+	/**
+	 * @covers WP_Import::record_created
+	 * @covers WP_Import_Rollback::get_counts
+	 */
+	public function test_import_records_what_it_created() {
+		// Existed before the import, so it's not recorded.
+		self::factory()->category->create(
+			array(
+				'name' => 'alpha',
+				'slug' => 'alpha',
+			)
+		);
+
+		$this->import_small_export( 101 );
+
+		$rollback = WP_Import_Rollback::get( 101 );
+		$this->assertInstanceOf( 'WP_Import_Rollback', $rollback );
+		$this->assertSame( 'small-export.xml', $rollback->file );
+		$this->assertSame( '', $rollback->status );
+
+		$this->assertContains( post_exists( 'Hello world!' ), $rollback->created['posts'] );
+		$this->assertContains( post_exists( 'Child Page' ), $rollback->created['posts'] );
+		$this->assertCount( 1, $rollback->created['comments'] );
+		$this->assertContains( array( get_term_by( 'slug', 'beta', 'category' )->term_id, 'category' ), $rollback->created['terms'] );
+		$this->assertContains( array( get_term_by( 'slug', 'tag1', 'post_tag' )->term_id, 'post_tag' ), $rollback->created['terms'] );
+		$this->assertNotContains( array( get_term_by( 'slug', 'alpha', 'category' )->term_id, 'category' ), $rollback->created['terms'] );
+		$this->assertContains( username_exists( 'editor' ), $rollback->created['users'] );
+	}
+
+	/**
+	 * @covers WP_Import_Rollbacks::start_rolling_back
+	 * @covers WP_Import_Rollbacks::rollback_batch
+	 */
+	public function test_rollback_deletes_only_what_the_import_created() {
+		$post  = self::factory()->post->create( array( 'post_title' => 'Written before' ) );
+		$alpha = self::factory()->category->create(
+			array(
+				'name' => 'alpha',
+				'slug' => 'alpha',
+			)
+		);
+
+		$this->import_small_export( 102 );
+
+		$rollbacks = new WP_Import_Rollbacks( new WP_Import() );
+		$rollback  = WP_Import_Rollback::get( 102 );
+		$this->assertTrue( $rollbacks->start_rolling_back( $rollback ) );
+		$this->assertTrue( $rollbacks->rollback_batch( $rollback, 60 ) );
+
+		$this->assertSame( 0, post_exists( 'Hello world!' ) );
+		$this->assertSame( 0, post_exists( 'Child Page' ) );
+		$this->assertNull( term_exists( 'beta', 'category' ) );
+		$this->assertNull( term_exists( 'tag1', 'post_tag' ) );
+		$this->assertFalse( username_exists( 'editor' ) );
+		$this->assertSame( 0, (int) get_comments( array( 'count' => true ) ) );
+
+		$this->assertSame( $post, post_exists( 'Written before' ) );
+		$this->assertInstanceOf( 'WP_Term', get_term( $alpha, 'category' ) );
+
+		$rollback  = WP_Import_Rollback::get( 102 );
+		$this->assertSame( 'rolled_back', $rollback->status );
+		$this->assertSame( $rollback->get_counts(), $rollback->removed );
+		$this->assertWPError( $rollbacks->start_rolling_back( $rollback ) );
+	}
+
+	/**
+	 * @covers WP_Import_Rollbacks::rollback_batch
+	 * @covers WP_Import_Rollbacks::get_rollback_progress
+	 */
+	public function test_rollback_runs_in_batches() {
+		$this->import_small_export( 103 );
+
+		$rollbacks = new WP_Import_Rollbacks( new WP_Import() );
+		$rollback  = WP_Import_Rollback::get( 103 );
+		$rollbacks->start_rolling_back( $rollback );
+
+		// Deletes one item per batch, the comment first.
+		$this->assertFalse( $rollbacks->rollback_batch( $rollback, 0 ) );
+		$progress = $rollbacks->get_rollback_progress( WP_Import_Rollback::get( 103 ) );
+		$this->assertSame( 1, $progress['comments']['done'] );
+		$this->assertSame( 0, $progress['posts']['done'] );
+		$this->assertSame( 'rolling_back', WP_Import_Rollback::get( 103 )->status );
+
+		$batches = 1;
+		while ( ! $rollbacks->rollback_batch( $rollback, 0 ) ) {
+			++$batches;
+		}
+		$counts = $rollback->get_counts();
+		$this->assertSame( array_sum( $counts ), $batches );
+	}
+}
@@ -0,0 +1,226 @@
+<?php
+
+require_once __DIR__ . '/base.php';
+
+/**
+ * @group import
+ */
+class Tests_Import_Term_Mapping extends WP_Import_UnitTestCase {
+
+	public function set_up() {
+		parent::set_up();
+
+		if ( ! defined( 'WP_IMPORTING' ) ) {
+			define( 'WP_IMPORTING', true );
+		}
+
+		if ( ! defined( 'WP_LOAD_IMPORTERS' ) ) {
+			define( 'WP_LOAD_IMPORTERS', true );
+		}
+
+		add_filter( 'import_allow_create_users', '__return_true' );
+
+		global $wpdb;
+		// Crude but effective: make sure there's no residual data in the main tables.
+		foreach ( array( 'posts', 'postmeta', 'comments', 'terms', 'term_taxonomy', 'term_relationships', 'users', 'usermeta' ) as $table ) {
+			$wpdb->query( "DELETE FROM {$wpdb->$table}" );
+		}
+
+		$_POST = array(
+			'imported_authors' => array( 'admin', 'editor', 'author' ),
+			'user_map'         => array(),
+			'user_new'         => array(),
+		);
+	}
+
+	public function tear_down() {
+		remove_filter( 'import_allow_create_users', '__return_true' );
+		$_POST = array();
+
+		parent::tear_down();
+	}
+
+	/**
+	 * @param array $term_mapping See WP_Import::import().
+	 */
+	protected function import_small_export( $term_mapping ) {
+		$importer                    = new WP_Import();
+		$importer->fetch_attachments = false;
+
+		ob_start();
+		$importer->import( DIR_TESTDATA_WP_IMPORTER . '/small-export.xml', array( 'term_mapping' => $term_mapping ) );
+		ob_end_clean();
+	}
+
+	/**
+	 * @param string $title
+	 * @param string $taxonomy
+	 * @return string[] Slugs of the terms of the imported post, sorted.
+	 */
+	protected function get_post_term_slugs( $title, $taxonomy ) {
+		$slugs = wp_get_object_terms( post_exists( $title ), $taxonomy, array( 'fields' => 'slugs' ) );
+		sort( $slugs );
+		return $slugs;
+	}
+
+	/**
+	 * @covers WP_Import::get_term_mapping
+	 * @covers WP_Import::process_categories
+	 * @covers WP_Import::process_tags
+	 * @covers WP_Import::process_post_terms
+	 */
+	public function test_import_maps_renames_and_drops_terms() {
+		$news = self::factory()->category->create(
+			array(
+				'name' => 'News',
+				'slug' => 'news',
+			)
+		);
+		$keep = self::factory()->tag->create(
+			array(
+				'name' => 'Keep',
+				'slug' => 'keep',
+			)
+		);
+
+		$this->import_small_export(
+			array(
+				'term:category:bar'   => array(
+					'action'  => 'map',
+					'term_id' => $news,
+				),
+				'term:category:alpha' => array(
+					'action' => 'rename',
+					'name'   => 'First letter',
+				),
+				'term:category:beta'  => array( 'action' => 'drop' ),
+				'term:post_tag:tag1'  => array(
+					'action'  => 'map',
+					'term_id' => $keep,
+				),
+			)
+		);
+
+		$this->assertNull( term_exists( 'bar', 'category' ) );
+		$this->assertNull( term_exists( 'alpha', 'category' ) );
+		$this->assertNull( term_exists( 'beta', 'category' ) );
+		$this->assertNull( term_exists( 'tag1', 'post_tag' ) );
+		$this->assertSame( 'First letter', get_term_by( 'slug', 'first-letter', 'category' )->name );
+
+		// The child of a mapped term goes under the term it was mapped to.
+		$this->assertSame( $news, get_term_by( 'slug', 'foo-bar', 'category' )->parent );
+
+		$categories = $this->get_post_term_slugs( 'Many Categories', 'category' );
+		$this->assertContains( 'news', $categories );
+		$this->assertContains( 'first-letter', $categories );
+		$this->assertNotContains( 'beta', $categories );
+		$this->assertCount( 26, $categories );
+
+		$this->assertSame( array( 'keep', 'tag2', 'tag3' ), $this->get_post_term_slugs( 'Private Post', 'post_tag' ) );
+	}
+
+	/**
+	 * @covers WP_Import::get_term_mapping
+	 */
+	public function test_mapping_to_a_missing_term_imports_the_term() {
+		$this->import_small_export(
+			array(
+				'term:category:bar' => array(
+					'action'  => 'map',
+					'term_id' => PHP_INT_MAX,
+				),
+			)
+		);
+
+		$bar = get_term_by( 'slug', 'bar', 'category' );
+		$this->assertInstanceOf( 'WP_Term', $bar );
+		$this->assertSame( $bar->term_id, get_term_by( 'slug', 'foo-bar', 'category' )->parent );
+	}
+
+	/**
+	 * @covers WP_Import_Term_Mapping::get_terms_to_map
+	 * @covers WP_Import_Term_Mapping::suggest_term
+	 */
+	public function test_terms_to_map_are_in_hierarchy_order_with_suggestions() {
+		$kappa   = self::factory()->category->create(
+			array(
+				'name' => 'Kappa',
+				'slug' => 'kappa',
+			)
+		);
+		$old_foo = self::factory()->category->create(
+			array(
+				'name' => 'Foo',
+				'slug' => 'old-foo',
+			)
+		);
+
+		$importer    = new WP_Import();
+		$import_data = $importer->parse( DIR_TESTDATA_WP_IMPORTER . '/small-export.xml' );
+
+		$importer->posts      = $import_data['posts'];
+		$importer->terms      = $import_data['terms'];
+		$importer->categories = $import_data['categories'];
+		$importer->tags       = $import_data['tags'];
+
+		$terms = ( new WP_Import_Term_Mapping( $importer ) )->get_terms_to_map();
+
+		// Post formats aren't shown in the admin, so they can't be mapped.
+		$this->assertSame( array( 'category', 'post_tag' ), array_keys( $terms ) );
+		$this->assertSame( array( 'tag1', 'tag2', 'tag3' ), wp_list_pluck( $terms['post_tag'], 'slug' ) );
+
+		$categories = array();
+		foreach ( $terms['category'] as $i => $term ) {
+			$categories[ $term['slug'] ] = $term + array( 'position' => $i );
+		}
+		$this->assertCount( 30, $categories );
+		$this->assertSame( 'term:category:foo-bar', $categories['foo-bar']['key'] );
+		$this->assertSame( 1, $categories['foo-bar']['depth'] );
+		$this->assertSame( $categories['bar']['position'] + 1, $categories['foo-bar']['position'] );
+		$this->assertSame( 0, $categories['bar']['depth'] );
+
+		$this->assertSame( 'slug', $categories['kappa']['suggestion']['reason'] );
+		$this->assertSame( $kappa, $categories['kappa']['suggestion']['term']->term_id );
+		$this->assertSame( 'name', $categories['foo']['suggestion']['reason'] );
+		$this->assertSame( $old_foo, $categories['foo']['suggestion']['term']->term_id );
+		$this->assertNull( $categories['alpha']['suggestion'] );
+	}
+
+	/**
+	 * @covers WP_Import_Term_Mapping::term_mapping_fields
+	 * @covers WP_Import::get_term_mapping
+	 */
+	public function test_terms_with_the_same_name_are_imported_unless_mapped() {
+		$old_foo = self::factory()->category->create(
+			array(
+				'name' => 'Foo',
+				'slug' => 'old-foo',
+			)
+		);
+
+		$importer    = new WP_Import();
+		$import_data = $importer->parse( DIR_TESTDATA_WP_IMPORTER . '/small-export.xml' );
+
+		$importer->posts      = $import_data['posts'];
+		$importer->terms      = $import_data['terms'];
+		$importer->categories = $import_data['categories'];
+		$importer->tags       = $import_data['tags'];
+
+		ob_start();
+		( new WP_Import_Term_Mapping( $importer ) )->term_mapping_fields();
+		$fields = ob_get_clean();
+
+		// The child Foo, foo-bar, only has its name in common with Foo on this site.
+		$this->assertStringContainsString( '<tr class="import-term" data-key="term:category:foo-bar" data-action="import" data-suggested-by="name">', $fields );
+		$this->assertStringContainsString( '<option value="' . $old_foo . '" selected="selected">Foo</option>', $fields );
+
+		// A form sent as it was shown leaves foo-bar out of the mapping.
+		$this->import_small_export( array() );
+
+		$foo_bar = get_term_by( 'slug', 'foo-bar', 'category' );
+		$this->assertInstanceOf( 'WP_Term', $foo_bar );
+		$this->assertNotSame( $old_foo, $foo_bar->term_id );
+		$this->assertSame( get_term_by( 'slug', 'bar', 'category' )->term_id, $foo_bar->parent );
+		$this->assertSame( array( 'foo-bar' ), $this->get_post_term_slugs( 'Foo-child', 'category' ) );
+	}
+}
@@ -0,0 +1,210 @@
+<?php
+
+require_once __DIR__ . '/base.php';
+
+/**
+ * @group import
+ */
+class Tests_Import_Update_Mode extends WP_Import_UnitTestCase {
+
+	/**
+	 * Files written by write_export().
+	 *
+	 * @var string[]
+	 */
+	protected $files = array();
+
+	public function set_up() {
+		parent::set_up();
+
+		if ( ! defined( 'WP_IMPORTING' ) ) {
+			define( 'WP_IMPORTING', true );
+		}
+
+		if ( ! defined( 'WP_LOAD_IMPORTERS' ) ) {
+			define( 'WP_LOAD_IMPORTERS', true );
+		}
+
+		add_filter( 'import_allow_create_users', '__return_true' );
+
+		global $wpdb;
+		// Crude but effective: make sure there's no residual data in the main tables.
+		foreach ( array( 'posts', 'postmeta', 'comments', 'terms', 'term_taxonomy', 'term_relationships', 'users', 'usermeta' ) as $table ) {
+			$wpdb->query( "DELETE FROM {$wpdb->$table}" );
+		}
+
+		$_POST = array(
+			'imported_authors' => array( 'admin', 'editor', 'author' ),
+			'user_map'         => array(),
+			'user_new'         => array(),
+		);
+	}
+
+	public function tear_down() {
+		remove_filter( 'import_allow_create_users', '__return_true' );
+		foreach ( $this->files as $file ) {
+			unlink( $file );
+		}
+		$_POST = array();
+
+		parent::tear_down();
+	}
+
+	/**
+	 * @param string $file
+	 * @param array  $options See WP_Import::import().
+	 * @return WP_Import
+	 */
+	protected function import_file( $file, $options = array() ) {
+		$importer                    = new WP_Import();
+		$importer->fetch_attachments = false;
+
+		ob_start();
+		$importer->import( $file, $options );
+		ob_end_clean();
+
+		return $importer;
+	}
+
+	/**
+	 * Writes a copy of small-export.xml as a later export of the same site.
+	 *
+	 * @param string[] $changes Text to replace => replacement.
+	 * @return string Path to the file.
+	 */
+	protected function write_export( $changes ) {
+		$file = get_temp_dir() . 'wordpress-importer-update-' . count( $this->files ) . '.xml';
+		file_put_contents( $file, strtr( file_get_contents( DIR_TESTDATA_WP_IMPORTER . '/small-export.xml' ), $changes ) );
+		$this->files[] = $file;
+		return $file;
+	}
+
+	/**
+	 * Makes a post look edited on this site after it was imported.
+	 *
+	 * @param int   $post_id
+	 * @param array $fields See wp_update_post().
+	 */
+	protected function edit_post( $post_id, $fields ) {
+		global $wpdb;
+
+		wp_update_post( array( 'ID' => $post_id ) + $fields );
+		// Edits in the same second as the import couldn't be told apart.
+		$wpdb->update( $wpdb->posts, array( 'post_modified_gmt' => '2030-01-01 00:00:00' ), array( 'ID' => $post_id ) );
+		clean_post_cache( $post_id );
+	}
+
+	/**
+	 * @param string $title
+	 * @return int[]
+	 */
+	protected function find_posts( $title ) {
+		global $wpdb;
+		return array_map( 'intval', $wpdb->get_col( $wpdb->prepare( "SELECT ID FROM {$wpdb->posts} WHERE post_title = %s", $title ) ) );
+	}
+
+	/**
+	 * @covers WP_Import_Update_Mode::find_imported_post
+	 * @covers WP_Import_Update_Mode::update_post
+	 */
+	public function test_update_imports_the_changes_in_a_later_export() {
+		$first   = $this->import_file( DIR_TESTDATA_WP_IMPORTER . '/small-export.xml' );
+		$post_id = post_exists( 'Hello world!' );
+
+		$file = $this->write_export(
+			array(
+				'<title>Hello world!</title>'              => '<title>Hello again!</title>',
+				'Welcome to WordPress.'                    => 'Welcome back.',
+				'<![CDATA[author]]></wp:meta_value>'       => '<![CDATA[editor]]></wp:meta_value>',
+				'Hi, this is a comment.'                   => 'Hi, this is an edited comment.',
+				'<wp:post_name>hello-world</wp:post_name>' => "<wp:post_name>hello-world</wp:post_name>\n\t\t<category domain=\"category\" nicename=\"news\"><![CDATA[News]]></category>",
+			)
+		);
+		$importer = $this->import_file( $file, array( 'update' => true ) );
+
+		// Found by its GUID, although its title changed.
+		$this->assertSame( array( $post_id ), $this->find_posts( 'Hello again!' ) );
+		$this->assertSame( array(), $this->find_posts( 'Hello world!' ) );
+		$this->assertStringStartsWith( 'Welcome back.', get_post_field( 'post_content', $post_id ) );
+		$this->assertSame( array( 'editor' ), get_post_meta( $post_id, 'Post by' ) );
+		$this->assertSame( array( 'news', 'uncategorized' ), wp_get_object_terms( $post_id, 'category', array( 'fields' => 'slugs' ) ) );
+
+		$comments = get_comments( array( 'post_id' => $post_id ) );
+		$this->assertCount( 1, $comments );
+		$this->assertStringStartsWith( 'Hi, this is an edited comment.', $comments[0]->comment_content );
+
+		$this->assertSame(
+			array(
+				'created'   => 0,
+				'updated'   => 1,
+				'unchanged' => $first->update_summary['created'] - 1,
+				'conflicts' => 0,
+			),
+			$importer->update_summary
+		);
+	}
+
+	/**
+	 * @covers WP_Import_Update_Mode::get_update_status
+	 */
+	public function test_update_leaves_the_same_export_unchanged() {
+		$first    = $this->import_file( DIR_TESTDATA_WP_IMPORTER . '/small-export.xml' );
+		$importer = $this->import_file( DIR_TESTDATA_WP_IMPORTER . '/small-export.xml', array( 'update' => true ) );
+
+		$this->assertSame( $first->update_summary['created'], $importer->update_summary['unchanged'] );
+		$this->assertSame( 0, $importer->update_summary['created'] + $importer->update_summary['updated'] );
+		$this->assertCount( 1, $this->find_posts( 'Hello world!' ) );
+		$this->assertSame( 1, (int) get_comments( array( 'count' => true ) ) );
+	}
+
+	/**
+	 * @covers WP_Import_Update_Mode::get_update_status
+	 * @covers WP_Import_Update_Mode::get_update_conflicts
+	 */
+	public function test_posts_edited_on_this_site_are_left_alone_unless_chosen() {
+		$this->import_file( DIR_TESTDATA_WP_IMPORTER . '/small-export.xml' );
+		$post_id = post_exists( 'Hello world!' );
+		$this->edit_post( $post_id, array( 'post_content' => 'Edited here.' ) );
+
+		$file = $this->write_export( array( 'Welcome to WordPress.' => 'Welcome back.' ) );
+
+		$importer    = new WP_Import();
+		$import_data = $importer->parse( $file );
+		$importer->set_base_url( $import_data['base_url'] );
+		$importer->posts = $import_data['posts'];
+		$this->assertSame( array( 'post:1' ), wp_list_pluck( ( new WP_Import_Update_Mode( $importer ) )->get_update_conflicts(), 'key' ) );
+
+		$importer = $this->import_file( $file, array( 'update' => true ) );
+		$this->assertSame( 1, $importer->update_summary['conflicts'] );
+		$this->assertSame( 'Edited here.', get_post_field( 'post_content', $post_id ) );
+
+		$importer = $this->import_file(
+			$file,
+			array(
+				'update'           => true,
+				'update_conflicts' => array( 'post:1' ),
+			)
+		);
+		$this->assertSame( 1, $importer->update_summary['updated'] );
+		$this->assertStringStartsWith( 'Welcome back.', get_post_field( 'post_content', $post_id ) );
+	}
+
+	/**
+	 * @covers WP_Import::find_existing_post
+	 */
+	public function test_new_posts_in_a_later_export_are_imported() {
+		$this->import_file( DIR_TESTDATA_WP_IMPORTER . '/small-export.xml' );
+
+		// A post with another GUID and ID is another post, whatever its title.
+		$file = $this->write_export(
+			array(
+				'<guid isPermaLink="false">http://localhost/?p=1</guid>' => '<guid isPermaLink="false">http://localhost/?p=100</guid>',
+				'<wp:post_id>1</wp:post_id>'                             => '<wp:post_id>100</wp:post_id>',
+			)
+		);
+		$importer = $this->import_file( $file, array( 'update' => true ) );
+
+		$this->assertSame( 1, $importer->update_summary['created'] );
+		$this->assertCount( 2, $this->find_posts( 'Hello world!' ) );
+	}
+}
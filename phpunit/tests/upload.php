@@ -0,0 +1,105 @@
+<?php
+
+require_once __DIR__ . '/base.php';
+
+/**
+ * @group import
+ */
+class Tests_Import_Upload extends WP_Import_UnitTestCase {
+
+	public function set_up() {
+		parent::set_up();
+
+		if ( ! defined( 'WP_IMPORTING' ) ) {
+			define( 'WP_IMPORTING', true );
+		}
+
+		if ( ! defined( 'WP_LOAD_IMPORTERS' ) ) {
+			define( 'WP_LOAD_IMPORTERS', true );
+		}
+
+		wp_set_current_user( self::factory()->user->create( array( 'role' => 'administrator' ) ) );
+	}
+
+	public function tear_down() {
+		$_POST = array();
+
+		parent::tear_down();
+	}
+
+	/**
+	 * Adds a copy of small-export.xml to the media library, like a file uploaded in parts.
+	 *
+	 * @param array $args Attachment fields.
+	 * @return int Attachment ID.
+	 */
+	protected function add_uploaded_file( $args = array() ) {
+		$file = wp_tempnam( 'small-export.xml' );
+		copy( DIR_TESTDATA_WP_IMPORTER . '/small-export.xml', $file );
+
+		$args = wp_parse_args(
+			$args,
+			array(
+				'post_mime_type' => 'text/plain',
+				'post_author'    => get_current_user_id(),
+				'context'        => 'import',
+			)
+		);
+		return self::factory()->attachment->create_object( $file, 0, $args );
+	}
+
+	/**
+	 * @param int $id Attachment ID to send as import_id.
+	 * @return array The result of handle_upload() and what it printed.
+	 */
+	protected function handle_upload( $id ) {
+		$_POST    = array( 'import_id' => (string) $id );
+		$importer = new WP_Import();
+
+		ob_start();
+		$result = $importer->handle_upload();
+		$output = ob_get_clean();
+
+		return array( $result, $output, $importer );
+	}
+
+	/**
+	 * @covers WP_Import::handle_upload
+	 * @covers WP_Import_Upload::get_uploaded_file
+	 */
+	public function test_handle_upload_uses_file_uploaded_in_parts() {
+		$id = $this->add_uploaded_file();
+
+		list( $result, $output, $importer ) = $this->handle_upload( $id );
+
+		$this->assertTrue( $result, $output );
+		$this->assertSame( $id, $importer->id );
+		$this->assertCount( 3, $importer->authors );
+	}
+
+	/**
+	 * @covers WP_Import::handle_upload
+	 * @covers WP_Import_Upload::get_uploaded_file
+	 */
+	public function test_handle_upload_refuses_files_of_other_users() {
+		$id = $this->add_uploaded_file( array( 'post_author' => self::factory()->user->create() ) );
+
+		list( $result, $output ) = $this->handle_upload( $id );
+
+		$this->assertFalse( $result );
+		$this->assertStringContainsString( 'The uploaded file could not be found.', $output );
+	}
+
+	/**
+	 * @covers WP_Import::handle_upload
+	 * @covers WP_Import_Upload::get_uploaded_file
+	 */
+	public function test_handle_upload_refuses_media_that_was_not_uploaded_for_import() {
+		$id = $this->add_uploaded_file( array( 'context' => '' ) );
+
+		list( $result, $output ) = $this->handle_upload( $id );
+
+		$this->assertFalse( $result );
+		$this->assertStringContainsString( 'The uploaded file could not be found.', $output );
+	}
+}
@@ -0,0 +1,111 @@
+<?php
+
+require_once __DIR__ . '/base.php';
+
+use WordPress\DataLiberation\URL\WPURL;
+
+/**
+ * @group import
+ */
+class Tests_Import_URL_Mapping extends WP_Import_UnitTestCase {
+
+	public function set_up() {
+		parent::set_up();
+
+		if ( ! defined( 'WP_IMPORTING' ) ) {
+			define( 'WP_IMPORTING', true );
+		}
+
+		if ( ! defined( 'WP_LOAD_IMPORTERS' ) ) {
+			define( 'WP_LOAD_IMPORTERS', true );
+		}
+	}
+
+	/**
+	 * @param array $url_mapping  Value of the 'url_mapping' import option.
+	 * @param bool  $rewrite_urls Value of the 'rewrite_urls' import option.
+	 * @return WP_Import An importer of a file from https://old.example into http://example.org.
+	 */
+	protected function get_importer( $url_mapping, $rewrite_urls = true ) {
+		$importer                  = new WP_Import();
+		$importer->base_url_parsed = WPURL::parse( 'https://old.example/' );
+		$importer->site_url_parsed = WPURL::parse( 'http://example.org/' );
+		$importer->options         = array(
+			'rewrite_urls' => $rewrite_urls,
+			'url_mapping'  => $url_mapping,
+		);
+		return $importer;
+	}
+
+	/**
+	 * @covers WP_Import::get_url_mapping
+	 */
+	public function test_url_mapping_puts_longer_urls_and_the_base_url_last() {
+		$importer = $this->get_importer(
+			array(
+				'https://cdn.old.example'  => 'https://cdn.example.org',
+				'https://old.example/blog' => 'https://example.org/news',
+				'not a URL'                => 'https://example.org',
+				'ftp://files.old.example'  => 'https://example.org/files',
+			)
+		);
+
+		$this->assertSame(
+			array(
+				'https://old.example/blog/' => 'https://example.org/news/',
+				'https://cdn.old.example/'  => 'https://cdn.example.org/',
+				'https://old.example/'      => 'http://example.org/',
+			),
+			$importer->get_url_mapping()
+		);
+	}
+
+	/**
+	 * @covers WP_Import::get_url_mapping
+	 */
+	public function test_url_mapping_applies_without_the_base_url_rewrite() {
+		$importer = $this->get_importer( array( 'http://old.example' => 'https://old.example' ), false );
+
+		$this->assertSame( array( 'http://old.example/' => 'https://old.example/' ), $importer->get_url_mapping() );
+	}
+
+	/**
+	 * @covers WP_Import::get_rewrite_preview
+	 */
+	public function test_rewrite_preview_lists_the_lines_that_change() {
+		$importer = $this->get_importer(
+			array(
+				'http://cdn.old.example'   => 'https://cdn.example.org',
+				'https://old.example/blog' => 'https://example.org/news',
+			)
+		);
+		$content  = implode(
+			"\n",
+			array(
+				'<!-- wp:paragraph -->',
+				'<p><a href="https://old.example/blog/hello/">Hello</a> and <a href="https://old.example/about/">about</a></p>',
+				'<!-- /wp:paragraph -->',
+				'<!-- wp:paragraph -->',
+				'<p><img src="http://cdn.old.example/a.jpg" /> <a href="https://elsewhere.example/">Elsewhere</a></p>',
+				'<!-- /wp:paragraph -->',
+			)
+		);
+
+		$this->assertSame(
+			array(
+				array(
+					array(
+						'before' => '<p><a href="https://old.example/blog/hello/">Hello</a> and <a href="https://old.example/about/">about</a></p>',
+						'after'  => '<p><a href="https://example.org/news/hello/">Hello</a> and <a href="http://example.org/about/">about</a></p>',
+					),
+					array(
+						'before' => '<p><img src="http://cdn.old.example/a.jpg" /> <a href="https://elsewhere.example/">Elsewhere</a></p>',
+						'after'  => '<p><img src="https://cdn.example.org/a.jpg" /> <a href="https://elsewhere.example/">Elsewhere</a></p>',
+					),
+				),
+				array(),
+			),
+			$importer->get_rewrite_preview( array( $content, '<p>No links here.</p>' ) )
+		);
+	}
+}
@@ -9,7 +9,8 @@ module.exports = defineConfig({
 	testDir: 'e2e',
 	globalTimeout: 60 * minute,
 	timeout: 10 * minute,
-	fullyParallel: false,
+	// Every test boots its own Playground instance (see e2e/helpers/fixtures.js).
+	fullyParallel: true,
 	reporter: [['list']],
 	use: {
 		// Base URL is provided per-test by the Playground fixture
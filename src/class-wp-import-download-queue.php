@@ -0,0 +1,234 @@
+<?php
+/**
+ * Attachment downloads left for after a batched import
+ *
+ * @package WordPress
+ * @subpackage Importer
+ */
+
+/**
+ * The attachment files of an import that are still to be downloaded.
+ *
+ * A batched import creates its attachments without their files, see
+ * WP_Import::queue_attachment(). Each of those attachments keeps what's needed
+ * to download its file in post meta, so that several downloads can run at once
+ * without overwriting each other's status. What the importer needs to remap
+ * URLs and featured images afterwards is stored once, in an option named after
+ * the WXR attachment ID.
+ */
+class WP_Import_Download_Queue {
+	const OPTION_PREFIX = 'wordpress_importer_downloads_';
+
+	// post meta of a queued attachment: the import it belongs to, and its download
+	const QUEUE_META    = '_wp_import_download_queue';
+	const DOWNLOAD_META = '_wp_import_download';
+
+	public $id; // WXR attachment ID
+
+	public $user_id = 0;
+	public $started = 0;
+
+	// name of the WXR file, which is deleted once the import is done
+	public $file = '';
+
+	/**
+	 * WP_Import state, see WP_Import::save_download_queue().
+	 *
+	 * @var array
+	 */
+	public $state = array();
+
+	/**
+	 * @param int $id WXR attachment ID.
+	 */
+	public function __construct( $id ) {
+		$this->id      = (int) $id;
+		$this->user_id = get_current_user_id();
+		$this->started = time();
+	}
+
+	/**
+	 * Loads a stored queue.
+	 *
+	 * @param int $id WXR attachment ID.
+	 * @return WP_Import_Download_Queue|null Null if no downloads of that import are left.
+	 */
+	public static function get( $id ) {
+		$data = get_option( self::OPTION_PREFIX . (int) $id );
+		if ( ! is_array( $data ) ) {
+			return null;
+		}
+
+		$queue = new self( $id );
+		foreach ( array( 'user_id', 'started', 'file', 'state' ) as $key ) {
+			if ( isset( $data[ $key ] ) ) {
+				$queue->$key = $data[ $key ];
+			}
+		}
+		return $queue;
+	}
+
+	/**
+	 * Lists the imports that have downloads left.
+	 *
+	 * @return WP_Import_Download_Queue[]
+	 */
+	public static function get_unfinished() {
+		global $wpdb;
+
+		$names = $wpdb->get_col(
+			$wpdb->prepare(
+				"SELECT option_name FROM {$wpdb->options} WHERE option_name LIKE %s ORDER BY option_id",
+				$wpdb->esc_like( self::OPTION_PREFIX ) . '%'
+			)
+		);
+
+		$queues = array();
+		foreach ( $names as $name ) {
+			$id = substr( $name, strlen( self::OPTION_PREFIX ) );
+			if ( ctype_digit( $id ) ) {
+				$queue = self::get( $id );
+				if ( $queue ) {
+					$queues[] = $queue;
+				}
+			}
+		}
+		return $queues;
+	}
+
+	/**
+	 * Stores the queue.
+	 */
+	public function save() {
+		update_option(
+			self::OPTION_PREFIX . $this->id,
+			array(
+				'user_id' => $this->user_id,
+				'started' => $this->started,
+				'file'    => $this->file,
+				'state'   => $this->state,
+			),
+			false
+		);
+	}
+
+	/**
+	 * Removes the stored queue. The attachments still in it stay queued.
+	 */
+	public function delete() {
+		delete_option( self::OPTION_PREFIX . $this->id );
+	}
+
+	/**
+	 * Queues the file of an attachment.
+	 *
+	 * @param int   $attachment_id
+	 * @param array $download {
+	 *     @type string $url         URL to download the file from.
+	 *     @type string $upload_date Year and month of the uploads folder to put it in.
+	 * }
+	 */
+	public function add( $attachment_id, $download ) {
+		$download = array_merge(
+			$download,
+			array(
+				'attempts' => 0,
+				'error'    => '',
+			)
+		);
+
+		update_post_meta( $attachment_id, self::QUEUE_META, $this->id );
+		update_post_meta( $attachment_id, self::DOWNLOAD_META, wp_slash( $download ) );
+	}
+
+	/**
+	 * @param int $attachment_id
+	 * @return array|null The download add() queued, with the number of failed
+	 *                    'attempts' and the last 'error'. Null if the attachment
+	 *                    isn't queued in this import.
+	 */
+	public function get_download( $attachment_id ) {
+		if ( (int) get_post_meta( $attachment_id, self::QUEUE_META, true ) !== $this->id ) {
+			return null;
+		}
+
+		$download = get_post_meta( $attachment_id, self::DOWNLOAD_META, true );
+		return is_array( $download ) ? $download : null;
+	}
+
+	/**
+	 * Records a failed attempt to download the file of an attachment.
+	 *
+	 * @param int    $attachment_id
+	 * @param string $error Why it failed.
+	 * @return array The updated download, see get_download().
+	 */
+	public function record_failure( $attachment_id, $error ) {
+		$download = $this->get_download( $attachment_id );
+		++$download['attempts'];
+		$download['error'] = $error;
+		update_post_meta( $attachment_id, self::DOWNLOAD_META, wp_slash( $download ) );
+		return $download;
+	}
+
+	/**
+	 * Takes an attachment off the queue, and removes the stored queue along
+	 * with the last one.
+	 *
+	 * @param int $attachment_id
+	 */
+	public function remove( $attachment_id ) {
+		delete_post_meta( $attachment_id, self::QUEUE_META );
+		delete_post_meta( $attachment_id, self::DOWNLOAD_META );
+
+		if ( ! $this->get_attachment_ids() ) {
+			$this->delete();
+		}
+	}
+
+	/**
+	 * @return int[] IDs of the attachments whose files are still to be downloaded.
+	 */
+	public function get_attachment_ids() {
+		return array_map(
+			'intval',
+			get_posts(
+				array(
+					'post_type'              => 'attachment',
+					'post_status'            => 'any',
+					'numberposts'            => -1,
+					'fields'                 => 'ids',
+					'orderby'                => 'ID',
+					'order'                  => 'ASC',
+					'meta_key'               => self::QUEUE_META,
+					'meta_value'             => $this->id,
+					'suppress_filters'       => true,
+					'update_post_term_cache' => false,
+				)
+			)
+		);
+	}
+
+	/**
+	 * The downloads left, for the download screen.
+	 *
+	 * @return array[] List of array( 'id', 'title', 'url', 'attempts', 'error' ).
+	 */
+	public function get_downloads() {
+		$downloads = array();
+		foreach ( $this->get_attachment_ids() as $attachment_id ) {
+			$download = $this->get_download( $attachment_id );
+			if ( ! $download ) {
+				continue;
+			}
+			$downloads[] = array(
+				'id'       => $attachment_id,
+				'title'    => get_post_field( 'post_title', $attachment_id ),
+				'url'      => $download['url'],
+				'attempts' => (int) $download['attempts'],
+				'error'    => $download['error'],
+			);
+		}
+		return $downloads;
+	}
+}
@@ -0,0 +1,267 @@
+<?php
+/**
+ * Attachment downloads of an import
+ *
+ * @package WordPress
+ * @subpackage Importer
+ */
+
+/**
+ * The download screen and its admin-ajax.php requests, which download the
+ * attachment files that an import queued in a WP_Import_Download_Queue, or
+ * skip them.
+ */
+class WP_Import_Downloads {
+	/**
+	 * The importer, which fetches the files and replaces their URLs in the
+	 * imported posts.
+	 *
+	 * @var WP_Import
+	 */
+	protected $importer;
+
+	/**
+	 * @param WP_Import $importer
+	 */
+	public function __construct( $importer ) {
+		$this->importer = $importer;
+	}
+
+	/**
+	 * Shows the attachment files left to download, and downloads them from the
+	 * browser. Failed downloads are listed with the reason they failed, to be
+	 * retried or skipped.
+	 *
+	 * @param int        $import_id WXR attachment ID.
+	 * @param array|null $downloads The downloads to start on, see WP_Import_Download_Queue::get_downloads().
+	 *                              On the progress screen, the last batch sends them instead.
+	 */
+	public function download_queue_screen( $import_id, $downloads = null ) {
+		wp_enqueue_script( 'wordpress-importer-downloads', plugins_url( 'js/import-downloads.js', __FILE__ ), array( 'jquery' ), filemtime( __DIR__ . '/js/import-downloads.js' ), true );
+		wp_localize_script(
+			'wordpress-importer-downloads',
+			'wordpressImporterDownloads',
+			array_merge(
+				$this->get_download_settings(),
+				array(
+					'ajaxUrl'   => admin_url( 'admin-ajax.php' ),
+					'nonce'     => wp_create_nonce( 'import-wordpress-download' ),
+					'importId'  => (int) $import_id,
+					'downloads' => $downloads,
+					'l10n'      => array(
+						'queued'      => __( 'Waiting', 'wordpress-importer' ),
+						'downloading' => __( 'Downloading…', 'wordpress-importer' ),
+						'retrying'    => __( 'Waiting to try again', 'wordpress-importer' ),
+						'done'        => __( 'Downloaded', 'wordpress-importer' ),
+						'failed'      => __( 'Failed', 'wordpress-importer' ),
+						'skipped'     => __( 'Skipped', 'wordpress-importer' ),
+						'error'       => __( 'The server did not respond.', 'wordpress-importer' ),
+						/* translators: 1: Number of downloaded files, 2: Number of files. */
+						'summary'     => __( '%1$s of %2$s files downloaded.', 'wordpress-importer' ),
+						/* translators: %s: Number of files. */
+						'failedCount' => __( '%s failed.', 'wordpress-importer' ),
+					),
+				)
+			)
+		);
+
+		echo '<div id="import-downloads" data-status="waiting"' . ( null === $downloads ? ' hidden' : '' ) . '>';
+		echo '<h3>' . __( 'Attachment files', 'wordpress-importer' ) . '</h3>';
+		echo '<p id="import-downloads-summary" aria-live="polite"></p>';
+		echo '<table class="widefat striped">';
+		echo '<thead><tr>';
+		echo '<th scope="col">' . __( 'Attachment', 'wordpress-importer' ) . '</th>';
+		echo '<th scope="col">' . __( 'URL', 'wordpress-importer' ) . '</th>';
+		echo '<th scope="col">' . __( 'Status', 'wordpress-importer' ) . '</th>';
+		echo '</tr></thead>';
+		echo '<tbody id="import-downloads-list"></tbody>';
+		echo '</table>';
+		echo '<p id="import-downloads-actions" hidden>';
+		echo '<button type="button" class="button button-primary" id="import-downloads-retry">' . __( 'Retry failed downloads', 'wordpress-importer' ) . '</button> ';
+		echo '<button type="button" class="button" id="import-downloads-skip">' . __( 'Skip failed downloads', 'wordpress-importer' ) . '</button>';
+		echo '</p>';
+		echo '<p class="description">' . __( 'Skipped attachments are deleted, and posts keep linking to the original files.', 'wordpress-importer' ) . '</p>';
+		echo '</div>';
+	}
+
+	/**
+	 * Settings of the download screen, which runs the downloads from the browser.
+	 *
+	 * @return array {
+	 *     @type int   $concurrency How many files are downloaded at once.
+	 *     @type int   $attempts    How many times a file is tried before it's reported as failed.
+	 *     @type float $retryDelay  Seconds before the first retry. Each later retry waits twice as long.
+	 * }
+	 */
+	public function get_download_settings() {
+		return array(
+			'concurrency' => max( 1, (int) apply_filters( 'wp_import_download_concurrency', 3 ) ),
+			'attempts'    => max( 1, (int) apply_filters( 'wp_import_download_attempts', 3 ) ),
+			'retryDelay'  => max( 0, (float) apply_filters( 'wp_import_download_retry_delay', 2 ) ),
+		);
+	}
+
+	/**
+	 * Downloads the file of a queued attachment.
+	 *
+	 * Once it's there, the URLs of the file in imported posts are replaced and
+	 * the featured images are remapped again, like at the end of the import.
+	 * The provenance of the attachment is told that the download changed it,
+	 * so that updating it later doesn't take that for an edit.
+	 * A failed download stays queued, with the reason it failed.
+	 *
+	 * @param WP_Import_Download_Queue $queue
+	 * @param int                      $attachment_id
+	 * @return int|WP_Error Attachment ID on success, WP_Error otherwise
+	 */
+	public function download_attachment( $queue, $attachment_id ) {
+		$download = $queue->get_download( $attachment_id );
+		if ( ! $download ) {
+			return new WP_Error( 'import_download_error', __( 'This file has already been downloaded or skipped.', 'wordpress-importer' ) );
+		}
+
+		$importer            = $this->importer;
+		$importer->id        = $queue->id;
+		$importer->set_import_state( $queue->state );
+		$importer->set_base_url( $importer->base_url );
+		$importer->url_remap = array();
+
+		// as per wp_update_post()
+		$post                = wp_slash( get_post( $attachment_id, ARRAY_A ) );
+		$post['upload_date'] = $download['upload_date'];
+
+		$importer->add_import_filters();
+		$upload = $importer->fetch_remote_file( $download['url'], $post );
+		if ( ! is_wp_error( $upload ) ) {
+			$upload = $importer->insert_attachment( $post, $download['url'], $upload );
+		}
+
+		// downloads run in later requests, without the import's processed_posts
+		$original    = WP_Import_Provenance::get( $attachment_id );
+		$original_id = $original ? $original->original_id : $attachment_id;
+		if ( is_wp_error( $upload ) ) {
+			$queue->record_failure( $attachment_id, $upload->get_error_message() );
+			/* translators: %s: Attachment title. */
+			$this->log_download( $queue, $attachment_id, 'error', sprintf( __( 'Failed to download the file of &#8220;%s&#8221;', 'wordpress-importer' ), esc_html( $post['post_title'] ) ) . ': ' . $upload->get_error_message() );
+			$importer->set_failed_attachment(
+				$post['post_parent'],
+				$original_id,
+				array(
+					'title' => wp_unslash( $post['post_title'] ),
+					'url'   => $download['url'],
+					'error' => $upload->get_error_message(),
+				)
+			);
+			return $upload;
+		}
+
+		$queue->remove( $attachment_id );
+		if ( $original ) {
+			// inserting the file changed the attachment, which isn't an edit made on this site
+			$original->modified = get_post_field( 'post_modified_gmt', $attachment_id );
+			$original->save();
+		}
+		$importer->set_failed_attachment( $post['post_parent'], $original_id, null );
+		/* translators: %s: Attachment title. */
+		$this->log_download( $queue, $attachment_id, 'info', sprintf( __( 'Downloaded the file of &#8220;%s&#8221;.', 'wordpress-importer' ), esc_html( $post['post_title'] ) ) );
+
+		$importer->backfill_attachment_urls();
+		$importer->remap_featured_images();
+
+		return $attachment_id;
+	}
+
+	/**
+	 * Gives up on the file of a queued attachment, and deletes the attachment
+	 * as if it had failed to import.
+	 *
+	 * @param WP_Import_Download_Queue $queue
+	 * @param int                      $attachment_id
+	 * @return bool False if the attachment isn't queued.
+	 */
+	public function skip_download( $queue, $attachment_id ) {
+		if ( ! $queue->get_download( $attachment_id ) ) {
+			return false;
+		}
+
+		/* translators: %s: Attachment title. */
+		$this->log_download( $queue, $attachment_id, 'warning', sprintf( __( 'Skipped the file of &#8220;%s&#8221;. The attachment was not imported.', 'wordpress-importer' ), esc_html( get_post_field( 'post_title', $attachment_id ) ) ) );
+
+		$queue->remove( $attachment_id );
+		wp_delete_attachment( $attachment_id, true );
+		return true;
+	}
+
+	/**
+	 * Adds a record about a queued attachment to the log of its import. Unlike
+	 * WP_Import::log(), this prints nothing, as the downloads answer admin-ajax.php requests.
+	 *
+	 * @param WP_Import_Download_Queue $queue
+	 * @param int                      $attachment_id
+	 * @param string                   $severity See WP_Import::log().
+	 * @param string                   $message  HTML.
+	 */
+	protected function log_download( $queue, $attachment_id, $severity, $message ) {
+		$log = WP_Import_Log::get( $queue->id );
+		if ( ! $log ) {
+			return;
+		}
+
+		$processed_posts = isset( $queue->state['processed_posts'] ) ? $queue->state['processed_posts'] : array();
+		$log->add(
+			array(
+				'severity'    => $severity,
+				'phase'       => 'downloads',
+				'type'        => 'attachment',
+				'original_id' => (string) array_search( $attachment_id, $processed_posts, true ),
+				'guid'        => get_post_field( 'guid', $attachment_id ),
+				'new_id'      => 'warning' === $severity ? 0 : $attachment_id,
+				'message'     => $message,
+			)
+		);
+		$log->flush();
+	}
+
+	/**
+	 * Checks an admin-ajax.php request of the download screen.
+	 *
+	 * @return WP_Import_Download_Queue The queue the request is about.
+	 */
+	protected function get_ajax_download_queue() {
+		check_ajax_referer( 'import-wordpress-download' );
+
+		if ( ! current_user_can( 'import' ) ) {
+			wp_send_json_error( array( 'message' => __( 'Sorry, you are not allowed to import content into this site.', 'wordpress-importer' ) ), 403 );
+		}
+
+		$queue = WP_Import_Download_Queue::get( isset( $_POST['import_id'] ) ? (int) $_POST['import_id'] : 0 );
+		if ( ! $queue ) {
+			wp_send_json_error( array( 'message' => __( 'The files of this import have already been downloaded or skipped.', 'wordpress-importer' ) ), 404 );
+		}
+		return $queue;
+	}
+
+	/**
+	 * Downloads one queued file for the download screen, over admin-ajax.php.
+	 */
+	public function ajax_download() {
+		$queue  = $this->get_ajax_download_queue();
+		$result = $this->download_attachment( $queue, isset( $_POST['attachment_id'] ) ? (int) $_POST['attachment_id'] : 0 );
+
+		if ( is_wp_error( $result ) ) {
+			wp_send_json_error( array( 'message' => $result->get_error_message() ) );
+		}
+		wp_send_json_success( array( 'url' => wp_get_attachment_url( $result ) ) );
+	}
+
+	/**
+	 * Skips one queued file for the download screen, over admin-ajax.php.
+	 */
+	public function ajax_skip_download() {
+		$queue = $this->get_ajax_download_queue();
+		if ( ! $this->skip_download( $queue, isset( $_POST['attachment_id'] ) ? (int) $_POST['attachment_id'] : 0 ) ) {
+			wp_send_json_error( array( 'message' => __( 'This file has already been downloaded or skipped.', 'wordpress-importer' ) ), 404 );
+		}
+		wp_send_json_success();
+	}
+}
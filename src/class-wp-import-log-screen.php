@@ -0,0 +1,233 @@
+<?php
+/**
+ * Import log screen
+ *
+ * @package WordPress
+ * @subpackage Importer
+ */
+
+/**
+ * The log screen, which shows the records of a WP_Import_Log, and its
+ * admin-ajax.php requests, which page through the records and export them.
+ */
+class WP_Import_Log_Screen {
+	/**
+	 * The importer, with the severities and phases the records are about.
+	 *
+	 * @var WP_Import
+	 */
+	protected $importer;
+
+	/**
+	 * @param WP_Import $importer
+	 */
+	public function __construct( $importer ) {
+		$this->importer = $importer;
+	}
+
+	/**
+	 * Shows the records of an import log, filterable by severity, phase, item
+	 * type and text, with links to export them. See js/import-log.js.
+	 *
+	 * @param WP_Import_Log $log
+	 */
+	public function import_log_screen( $log ) {
+		$types = array( 'user' => __( 'Users', 'wordpress-importer' ) );
+		foreach ( get_post_types( array(), 'objects' ) as $post_type ) {
+			$types[ $post_type->name ] = $post_type->labels->name;
+		}
+		foreach ( get_taxonomies( array(), 'objects' ) as $taxonomy ) {
+			$types[ $taxonomy->name ] = $taxonomy->labels->name;
+		}
+
+		$export_url = wp_nonce_url( admin_url( 'admin-ajax.php?action=wordpress_importer_export_log&import_id=' . $log->id ), 'import-wordpress-log' );
+
+		wp_enqueue_script( 'wordpress-importer-log', plugins_url( 'js/import-log.js', __FILE__ ), array( 'jquery' ), filemtime( __DIR__ . '/js/import-log.js' ), true );
+		wp_localize_script(
+			'wordpress-importer-log',
+			'wordpressImporterLog',
+			array(
+				'ajaxUrl'    => admin_url( 'admin-ajax.php' ),
+				'nonce'      => wp_create_nonce( 'import-wordpress-log' ),
+				'importId'   => $log->id,
+				'limit'      => 500,
+				'severities' => $this->importer->get_log_severities(),
+				'phases'     => $this->importer->get_log_phases(),
+				'types'      => $types,
+				'l10n'       => array(
+					'loading' => __( 'Loading the log…', 'wordpress-importer' ),
+					'error'   => __( 'The server did not respond.', 'wordpress-importer' ),
+					/* translators: 1: Number of matching records, 2: Number of records. */
+					'summary' => __( '%1$s of %2$s records match.', 'wordpress-importer' ),
+					/* translators: %s: Number of records shown. */
+					'limited' => __( 'Only the first %s are shown. Narrow the filters, or export the log, to see the rest.', 'wordpress-importer' ),
+				),
+			)
+		);
+
+		echo '<div id="import-log-report" data-status="loading">';
+		echo '<h3>' . __( 'Import Log', 'wordpress-importer' ) . '</h3>';
+		echo '<p>';
+		printf(
+			/* translators: 1: WXR file name, 2: Date and time the import started. */
+			__( 'Import of %1$s started on %2$s.', 'wordpress-importer' ),
+			'<code>' . esc_html( $log->file ? $log->file : '#' . $log->id ) . '</code>',
+			esc_html( get_date_from_gmt( gmdate( 'Y-m-d H:i:s', $log->started ), get_option( 'date_format' ) . ' ' . get_option( 'time_format' ) ) )
+		);
+		echo ' ' . __( 'Export:', 'wordpress-importer' );
+		echo ' <a href="' . esc_url( add_query_arg( 'format', 'csv', $export_url ) ) . '" id="import-log-export-csv">CSV</a>,';
+		echo ' <a href="' . esc_url( add_query_arg( 'format', 'json', $export_url ) ) . '" id="import-log-export-json">JSON</a>';
+		echo '</p>';
+
+		echo '<p class="import-log-filters">';
+		echo '<label for="import-log-severity">' . __( 'Severity', 'wordpress-importer' ) . '</label> <select id="import-log-severity">';
+		echo '<option value="">' . __( 'All severities', 'wordpress-importer' ) . '</option>';
+		foreach ( $this->importer->get_log_severities() as $severity => $label ) {
+			echo '<option value="' . esc_attr( $severity ) . '">' . esc_html( $label ) . '</option>';
+		}
+		echo '</select> ';
+		echo '<label for="import-log-phase">' . __( 'Phase', 'wordpress-importer' ) . '</label> <select id="import-log-phase">';
+		echo '<option value="">' . __( 'All phases', 'wordpress-importer' ) . '</option>';
+		foreach ( $this->importer->get_log_phases() as $phase => $label ) {
+			echo '<option value="' . esc_attr( $phase ) . '">' . esc_html( $label ) . '</option>';
+		}
+		echo '</select> ';
+		// filled with the types that are in the log
+		echo '<label for="import-log-type">' . __( 'Item type', 'wordpress-importer' ) . '</label> <select id="import-log-type">';
+		echo '<option value="">' . __( 'All item types', 'wordpress-importer' ) . '</option>';
+		echo '</select> ';
+		echo '<label for="import-log-search">' . __( 'Search', 'wordpress-importer' ) . '</label> <input type="search" id="import-log-search" />';
+		echo '</p>';
+
+		echo '<p id="import-log-summary" aria-live="polite"></p>';
+		echo '<table class="widefat striped">';
+		echo '<thead><tr>';
+		echo '<th scope="col">' . __( 'Severity', 'wordpress-importer' ) . '</th>';
+		echo '<th scope="col">' . __( 'Phase', 'wordpress-importer' ) . '</th>';
+		echo '<th scope="col">' . __( 'Item', 'wordpress-importer' ) . '</th>';
+		echo '<th scope="col">' . __( 'Message', 'wordpress-importer' ) . '</th>';
+		echo '</tr></thead>';
+		echo '<tbody id="import-log-records"></tbody>';
+		echo '</table>';
+		echo '<noscript><p>' . __( 'Turn on JavaScript to see the log here, or export it.', 'wordpress-importer' ) . '</p></noscript>';
+		echo '</div>';
+	}
+
+	/**
+	 * Lists the stored import logs, with links to the log screen.
+	 */
+	public function import_logs() {
+		$logs = WP_Import_Log::get_all();
+		if ( ! $logs ) {
+			return;
+		}
+
+		echo '<h3>' . __( 'Recent Imports', 'wordpress-importer' ) . '</h3>';
+		echo '<ul id="import-logs">';
+		foreach ( $logs as $log ) {
+			echo '<li>';
+			printf(
+				/* translators: 1: WXR file name, 2: Time since the import started, e.g. "2 hours". */
+				__( '%1$s, started %2$s ago.', 'wordpress-importer' ),
+				'<code>' . esc_html( $log->file ? $log->file : '#' . $log->id ) . '</code>',
+				esc_html( human_time_diff( $log->started ) )
+			);
+			echo ' <a href="' . esc_url( $this->importer->get_log_url( $log->id ) ) . '">' . __( 'View log', 'wordpress-importer' ) . '</a>';
+			echo '</li>';
+		}
+		echo '</ul>';
+	}
+
+	/**
+	 * The records of an import log as a file to download.
+	 *
+	 * Values of the CSV that a spreadsheet would take for a formula are
+	 * prefixed with an apostrophe.
+	 *
+	 * @param WP_Import_Log $log
+	 * @param string        $format 'csv' or 'json'.
+	 * @return string
+	 */
+	public function export_log( $log, $format ) {
+		$columns = array( 'time', 'severity', 'phase', 'type', 'original_id', 'guid', 'new_id', 'message' );
+		$records = array();
+		foreach ( $log->get_records() as $record ) {
+			$row = array();
+			foreach ( $columns as $column ) {
+				$row[ $column ] = isset( $record[ $column ] ) ? $record[ $column ] : '';
+			}
+			$row['time'] = gmdate( 'c', (int) $row['time'] );
+			$records[]   = $row;
+		}
+
+		if ( 'json' === $format ) {
+			return wp_json_encode( $records, JSON_PRETTY_PRINT | JSON_UNESCAPED_SLASHES | JSON_UNESCAPED_UNICODE );
+		}
+
+		$handle = fopen( 'php://temp', 'r+' );
+		fputcsv( $handle, $columns, ',', '"', '\\' );
+		foreach ( $records as $row ) {
+			foreach ( $row as $column => $value ) {
+				if ( is_string( $value ) && '' !== $value && false !== strpos( "=+-@\t\r", $value[0] ) ) {
+					$row[ $column ] = "'" . $value;
+				}
+			}
+			fputcsv( $handle, $row, ',', '"', '\\' );
+		}
+		rewind( $handle );
+		$csv = stream_get_contents( $handle );
+		fclose( $handle );
+		return $csv;
+	}
+
+	/**
+	 * Checks an admin-ajax.php request of the log screen.
+	 *
+	 * @return WP_Import_Log The log the request is about.
+	 */
+	protected function get_ajax_log() {
+		check_ajax_referer( 'import-wordpress-log' );
+
+		if ( ! current_user_can( 'import' ) ) {
+			wp_send_json_error( array( 'message' => __( 'Sorry, you are not allowed to import content into this site.', 'wordpress-importer' ) ), 403 );
+		}
+
+		$log = WP_Import_Log::get( isset( $_REQUEST['import_id'] ) ? (int) $_REQUEST['import_id'] : 0 );
+		if ( ! $log ) {
+			wp_send_json_error( array( 'message' => __( 'The log of this import no longer exists.', 'wordpress-importer' ) ), 404 );
+		}
+		return $log;
+	}
+
+	/**
+	 * Sends a page of the records of an import log to the log screen, over
+	 * admin-ajax.php. 'next' is the offset of the next page, or null after the last.
+	 */
+	public function ajax_log() {
+		$log      = $this->get_ajax_log();
+		$records  = $log->get_records();
+		$offset   = isset( $_POST['offset'] ) ? max( 0, (int) $_POST['offset'] ) : 0;
+		$per_page = 1000;
+
+		wp_send_json_success(
+			array(
+				'records' => array_slice( $records, $offset, $per_page ),
+				'next'    => $offset + $per_page < count( $records ) ? $offset + $per_page : null,
+			)
+		);
+	}
+
+	/**
+	 * Sends an import log as a CSV or JSON file, over admin-ajax.php.
+	 */
+	public function ajax_export_log() {
+		$log    = $this->get_ajax_log();
+		$format = isset( $_GET['format'] ) && 'json' === $_GET['format'] ? 'json' : 'csv';
+
+		nocache_headers();
+		header( 'Content-Type: ' . ( 'json' === $format ? 'application/json' : 'text/csv' ) . '; charset=' . get_option( 'blog_charset' ) );
+		header( 'Content-Disposition: attachment; filename="wordpress-import-log-' . $log->id . '.' . $format . '"' );
+		echo $this->export_log( $log, $format );
+		exit;
+	}
+}
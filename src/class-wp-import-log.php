@@ -0,0 +1,194 @@
+<?php
+/**
+ * Log of an import
+ *
+ * @package WordPress
+ * @subpackage Importer
+ */
+
+/**
+ * What happened to the items of an import, as records that can be filtered
+ * and exported after the import screen is closed.
+ *
+ * The log of each import is stored in an option named after the WXR
+ * attachment ID. Its records are added in chunks, each chunk in an option of
+ * its own, so that requests that run at the same time, like the attachment
+ * downloads, don't overwrite each other's records.
+ */
+class WP_Import_Log {
+	const OPTION_PREFIX = 'wordpress_importer_log_';
+
+	public $id; // WXR attachment ID
+
+	public $user_id = 0;
+	public $started = 0;
+
+	// name of the WXR file, which is deleted once the import is done
+	public $file = '';
+
+	/**
+	 * Records that add() collected and flush() hasn't stored yet.
+	 *
+	 * @var array[]
+	 */
+	protected $pending = array();
+
+	/**
+	 * @param int $id WXR attachment ID.
+	 */
+	public function __construct( $id ) {
+		$this->id      = (int) $id;
+		$this->user_id = get_current_user_id();
+		$this->started = time();
+	}
+
+	/**
+	 * Loads a stored log.
+	 *
+	 * @param int $id WXR attachment ID.
+	 * @return WP_Import_Log|null Null if there is no log of that import.
+	 */
+	public static function get( $id ) {
+		$data = get_option( self::OPTION_PREFIX . (int) $id );
+		if ( ! is_array( $data ) ) {
+			return null;
+		}
+
+		$log = new self( $id );
+		foreach ( array( 'user_id', 'started', 'file' ) as $key ) {
+			if ( isset( $data[ $key ] ) ) {
+				$log->$key = $data[ $key ];
+			}
+		}
+		return $log;
+	}
+
+	/**
+	 * Lists the stored logs, the latest first.
+	 *
+	 * @return WP_Import_Log[]
+	 */
+	public static function get_all() {
+		global $wpdb;
+
+		$names = $wpdb->get_col(
+			$wpdb->prepare(
+				"SELECT option_name FROM {$wpdb->options} WHERE option_name LIKE %s ORDER BY option_id DESC",
+				$wpdb->esc_like( self::OPTION_PREFIX ) . '%'
+			)
+		);
+
+		$logs = array();
+		foreach ( $names as $name ) {
+			// The chunks of records are named after the log, followed by an underscore.
+			$id = substr( $name, strlen( self::OPTION_PREFIX ) );
+			if ( ctype_digit( $id ) ) {
+				$log = self::get( $id );
+				if ( $log ) {
+					$logs[] = $log;
+				}
+			}
+		}
+		return $logs;
+	}
+
+	/**
+	 * Stores the log, without the records.
+	 */
+	public function save() {
+		update_option(
+			self::OPTION_PREFIX . $this->id,
+			array(
+				'user_id' => $this->user_id,
+				'started' => $this->started,
+				'file'    => $this->file,
+			),
+			false
+		);
+	}
+
+	/**
+	 * Removes the stored log and its records.
+	 */
+	public function delete() {
+		global $wpdb;
+
+		delete_option( self::OPTION_PREFIX . $this->id );
+		$wpdb->query(
+			$wpdb->prepare(
+				"DELETE FROM {$wpdb->options} WHERE option_name LIKE %s",
+				$wpdb->esc_like( self::OPTION_PREFIX . $this->id . '_' ) . '%'
+			)
+		);
+		$this->pending = array();
+	}
+
+	/**
+	 * Adds a record. It's stored by the next flush().
+	 *
+	 * @param array $record {
+	 *     @type string     $severity    'error', 'warning', 'notice' or 'info'.
+	 *     @type string     $phase       Import phase, see WP_Import::get_log_phases().
+	 *     @type string     $type        Post type or taxonomy of the item, or 'user'.
+	 *     @type int|string $original_id ID of the item in the WXR file, if it has one.
+	 *     @type string     $guid        GUID of the item in the WXR file, for posts.
+	 *     @type int        $new_id      ID of the item on this site, once it's there.
+	 *     @type string     $message     HTML, stored as plain text.
+	 * }
+	 */
+	public function add( $record ) {
+		$record = wp_parse_args(
+			$record,
+			array(
+				'severity'    => 'info',
+				'phase'       => '',
+				'type'        => '',
+				'original_id' => '',
+				'guid'        => '',
+				'new_id'      => 0,
+				'message'     => '',
+			)
+		);
+
+		$record['time']    = time();
+		$record['new_id']  = (int) $record['new_id'];
+		$record['message'] = trim( html_entity_decode( wp_strip_all_tags( $record['message'] ), ENT_QUOTES, get_bloginfo( 'charset' ) ) );
+
+		$this->pending[] = $record;
+	}
+
+	/**
+	 * Stores the records added since the last flush, as a new chunk.
+	 */
+	public function flush() {
+		if ( ! $this->pending ) {
+			return;
+		}
+
+		add_option( self::OPTION_PREFIX . $this->id . '_' . uniqid( '', true ), $this->pending, '', false );
+		$this->pending = array();
+	}
+
+	/**
+	 * @return array[] The stored records in the order they were added, see add().
+	 */
+	public function get_records() {
+		global $wpdb;
+
+		$chunks = $wpdb->get_col(
+			$wpdb->prepare(
+				"SELECT option_value FROM {$wpdb->options} WHERE option_name LIKE %s ORDER BY option_id",
+				$wpdb->esc_like( self::OPTION_PREFIX . $this->id . '_' ) . '%'
+			)
+		);
+
+		$records = array();
+		foreach ( $chunks as $chunk ) {
+			$chunk = maybe_unserialize( $chunk );
+			if ( is_array( $chunk ) ) {
+				$records = array_merge( $records, $chunk );
+			}
+		}
+		return $records;
+	}
+}
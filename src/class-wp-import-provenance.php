@@ -0,0 +1,155 @@
+<?php
+/**
+ * Where an imported post came from
+ *
+ * @package WordPress
+ * @subpackage Importer
+ */
+
+/**
+ * What the WXR file said about an imported post, and what the import changed
+ * or couldn't do, for the import panel of the block editor.
+ *
+ * Stored in post meta on the imported post. The meta is left out of WXR
+ * exports, and out of imports of files that have it anyway.
+ */
+class WP_Import_Provenance {
+	const META_KEY = '_wp_import_provenance';
+
+	// Copies of the GUID and the source, in meta of their own so that update
+	// imports can look posts up by them. See find_post().
+	const GUID_META_KEY   = '_wp_import_guid';
+	const SOURCE_META_KEY = '_wp_import_source';
+
+	public $post_id;
+
+	public $import_id = 0; // ID of the import, see WP_Import_Log
+	public $file      = ''; // name of the WXR file
+	public $imported  = 0;
+
+	// the post as it was on the previous site
+	public $site        = ''; // base site URL of the WXR file
+	public $original_id = 0;
+	public $guid        = '';
+	public $link        = '';
+	public $author      = ''; // author login
+
+	// post_modified_gmt once the import was done with the post, to tell whether it was edited since
+	public $modified = '';
+
+	// hash of the post in the WXR file, see WP_Import_Update_Mode::get_source_hash()
+	public $source_hash = '';
+
+	/**
+	 * URLs in the content and excerpt that the import changed.
+	 *
+	 * @var string[] Old URL => new URL, as they're written in the markup.
+	 */
+	public $rewritten_urls = array();
+
+	/**
+	 * Attachments of the post whose files couldn't be imported.
+	 *
+	 * @var array[] Attachment ID in the WXR file => array( 'title', 'url', 'error' ).
+	 */
+	public $failed_attachments = array();
+
+	/**
+	 * @param int $post_id
+	 */
+	public function __construct( $post_id ) {
+		$this->post_id  = (int) $post_id;
+		$this->imported = time();
+	}
+
+	/**
+	 * @param int $post_id
+	 * @return WP_Import_Provenance|null Null if the post wasn't imported.
+	 */
+	public static function get( $post_id ) {
+		$data = get_post_meta( $post_id, self::META_KEY, true );
+		if ( ! is_array( $data ) ) {
+			return null;
+		}
+
+		$provenance = new self( $post_id );
+		foreach ( get_object_vars( $provenance ) as $key => $value ) {
+			if ( 'post_id' !== $key && isset( $data[ $key ] ) ) {
+				$provenance->$key = $data[ $key ];
+			}
+		}
+		return $provenance;
+	}
+
+	public function save() {
+		$data = get_object_vars( $this );
+		unset( $data['post_id'] );
+		update_post_meta( $this->post_id, self::META_KEY, wp_slash( $data ) );
+		update_post_meta( $this->post_id, self::GUID_META_KEY, wp_slash( $this->guid ) );
+		update_post_meta( $this->post_id, self::SOURCE_META_KEY, wp_slash( self::get_source( $this->site, $this->original_id ) ) );
+	}
+
+	/**
+	 * Meta keys the provenance is stored in, which are left out of exports and imports.
+	 *
+	 * @return string[]
+	 */
+	public static function get_meta_keys() {
+		return array( self::META_KEY, self::GUID_META_KEY, self::SOURCE_META_KEY );
+	}
+
+	/**
+	 * Identifies a post across exports of the same site, whatever its GUID.
+	 *
+	 * @param string     $site        Base site URL of the WXR file.
+	 * @param int|string $original_id Post ID in the WXR file.
+	 * @return string
+	 */
+	public static function get_source( $site, $original_id ) {
+		return untrailingslashit( $site ) . '#' . (int) $original_id;
+	}
+
+	/**
+	 * Finds the post that was imported from a post in a WXR file, by its GUID
+	 * or by its ID on the site it was exported from.
+	 *
+	 * @param string     $guid
+	 * @param string     $site        Base site URL of the WXR file.
+	 * @param int|string $original_id Post ID in the WXR file.
+	 * @return int Post ID, or 0 if no post was imported from it.
+	 */
+	public static function find_post( $guid, $site, $original_id ) {
+		global $wpdb;
+
+		$where = array();
+		// Without a site, IDs from different files can't be told apart.
+		if ( '' !== $site ) {
+			$where[] = $wpdb->prepare( '( meta_key = %s AND meta_value = %s )', self::SOURCE_META_KEY, self::get_source( $site, $original_id ) );
+		}
+		if ( '' !== $guid ) {
+			$where[] = $wpdb->prepare( '( meta_key = %s AND meta_value = %s )', self::GUID_META_KEY, $guid );
+		}
+		if ( ! $where ) {
+			return 0;
+		}
+
+		// phpcs:ignore WordPress.DB.PreparedSQL.InterpolatedNotPrepared -- the conditions are prepared above.
+		return (int) $wpdb->get_var( "SELECT post_id FROM {$wpdb->postmeta} WHERE " . implode( ' OR ', $where ) . ' ORDER BY meta_id LIMIT 1' );
+	}
+
+	/**
+	 * Notes that the file of one of the post's attachments couldn't be
+	 * imported, or that it's there now.
+	 *
+	 * @param int|string $original_id Attachment ID in the WXR file.
+	 * @param array|null $failure     array( 'title', 'url', 'error' ), or null once the file is imported.
+	 */
+	public function set_failed_attachment( $original_id, $failure ) {
+		if ( $failure ) {
+			$this->failed_attachments[ $original_id ] = $failure;
+		} else {
+			unset( $this->failed_attachments[ $original_id ] );
+		}
+		$this->save();
+	}
+}
@@ -0,0 +1,683 @@
+<?php
+/**
+ * REST API for driving imports
+ *
+ * @package WordPress
+ * @subpackage Importer
+ */
+
+/**
+ * Runs imports over the REST API, the same way the import screens do.
+ *
+ * An import is the WXR file uploaded to POST /imports, named after its
+ * attachment ID. It goes through three statuses:
+ *
+ * - 'uploaded': the parsed authors and summary can be read, and the options
+ *   set with POST /imports/<id>/options, until POST /imports/<id>/start.
+ * - 'running': each POST /imports/<id>/batch imports a batch, see
+ *   WP_Import::import_batch(), until the last one.
+ * - 'done': the file is deleted, and GET /imports/<id>/log has what happened.
+ *
+ * Attachment files are downloaded during the batches rather than queued, so
+ * clients don't have to run the downloads themselves.
+ */
+class WP_Import_REST_Controller extends WP_REST_Controller {
+	// post meta of the uploaded WXR file
+	const SUMMARY_META = '_wp_import_summary';
+	const OPTIONS_META = '_wp_import_options';
+
+	public function __construct() {
+		$this->namespace = 'wordpress-importer/v1';
+		$this->rest_base = 'imports';
+	}
+
+	/**
+	 * Registers the routes.
+	 */
+	public function register_routes() {
+		register_rest_route(
+			$this->namespace,
+			'/' . $this->rest_base,
+			array(
+				array(
+					'methods'             => WP_REST_Server::CREATABLE,
+					'callback'            => array( $this, 'create_item' ),
+					'permission_callback' => array( $this, 'create_item_permissions_check' ),
+				),
+				'schema' => array( $this, 'get_public_item_schema' ),
+			)
+		);
+
+		$id_args = array(
+			'id' => array(
+				'description' => __( 'Attachment ID of the WXR file.', 'wordpress-importer' ),
+				'type'        => 'integer',
+			),
+		);
+
+		register_rest_route(
+			$this->namespace,
+			'/' . $this->rest_base . '/(?P<id>[\d]+)',
+			array(
+				'args'   => $id_args,
+				array(
+					'methods'             => WP_REST_Server::READABLE,
+					'callback'            => array( $this, 'get_item' ),
+					'permission_callback' => array( $this, 'get_item_permissions_check' ),
+				),
+				'schema' => array( $this, 'get_public_item_schema' ),
+			)
+		);
+
+		register_rest_route(
+			$this->namespace,
+			'/' . $this->rest_base . '/(?P<id>[\d]+)/options',
+			array(
+				'args' => $id_args,
+				array(
+					'methods'             => WP_REST_Server::EDITABLE,
+					'callback'            => array( $this, 'update_options' ),
+					'permission_callback' => array( $this, 'get_item_permissions_check' ),
+					'args'                => $this->get_options_args(),
+				),
+			)
+		);
+
+		register_rest_route(
+			$this->namespace,
+			'/' . $this->rest_base . '/(?P<id>[\d]+)/start',
+			array(
+				'args' => $id_args,
+				array(
+					'methods'             => WP_REST_Server::CREATABLE,
+					'callback'            => array( $this, 'start_import' ),
+					'permission_callback' => array( $this, 'get_item_permissions_check' ),
+				),
+			)
+		);
+
+		register_rest_route(
+			$this->namespace,
+			'/' . $this->rest_base . '/(?P<id>[\d]+)/batch',
+			array(
+				'args' => $id_args,
+				array(
+					'methods'             => WP_REST_Server::CREATABLE,
+					'callback'            => array( $this, 'run_batch' ),
+					'permission_callback' => array( $this, 'get_item_permissions_check' ),
+				),
+			)
+		);
+
+		register_rest_route(
+			$this->namespace,
+			'/' . $this->rest_base . '/(?P<id>[\d]+)/log',
+			array(
+				'args' => $id_args,
+				array(
+					'methods'             => WP_REST_Server::READABLE,
+					'callback'            => array( $this, 'get_log' ),
+					'permission_callback' => array( $this, 'get_item_permissions_check' ),
+					'args'                => $this->get_log_args(),
+				),
+			)
+		);
+	}
+
+	/**
+	 * @return array Arguments of POST /imports/<id>/options.
+	 */
+	protected function get_options_args() {
+		return array(
+			'authors'           => array(
+				'description' => __( 'What to do with each author of the file. Authors left out are imported as they are, or assigned to the current user if users can\'t be created.', 'wordpress-importer' ),
+				'type'        => 'array',
+				'items'       => array(
+					'type'                 => 'object',
+					'properties'           => array(
+						'login'     => array(
+							'description' => __( 'Login of the author in the file.', 'wordpress-importer' ),
+							'type'        => 'string',
+							'required'    => true,
+						),
+						'user_id'   => array(
+							'description' => __( 'ID of the user to assign the author\'s posts to.', 'wordpress-importer' ),
+							'type'        => 'integer',
+						),
+						'new_login' => array(
+							'description' => __( 'Login of a new user to create for the author.', 'wordpress-importer' ),
+							'type'        => 'string',
+						),
+					),
+					'additionalProperties' => false,
+				),
+			),
+			'fetch_attachments' => array(
+				'description' => __( 'Whether to download and import file attachments.', 'wordpress-importer' ),
+				'type'        => 'boolean',
+			),
+			'rewrite_urls'      => array(
+				'description' => __( 'Whether to change imported URLs that link to the previous site so that they link to this site.', 'wordpress-importer' ),
+				'type'        => 'boolean',
+			),
+			'update'            => array(
+				'description' => __( 'Whether to update the posts an earlier import of the same site created, instead of skipping them. Posts edited on this site since are left as they are.', 'wordpress-importer' ),
+				'type'        => 'boolean',
+			),
+			'parser'            => array(
+				'description' => __( 'WXR parser to use. "auto" to try one after the other until one reads the file, or empty for the site\'s default.', 'wordpress-importer' ),
+				'type'        => 'string',
+				'enum'        => array_merge( array( '', 'auto' ), array_keys( WXR_Parser::get_parsers() ) ),
+			),
+		);
+	}
+
+	/**
+	 * @return array Arguments of GET /imports/<id>/log.
+	 */
+	protected function get_log_args() {
+		$importer = new WP_Import();
+		return array(
+			'severity' => array(
+				'description' => __( 'Limit the records to a severity.', 'wordpress-importer' ),
+				'type'        => 'string',
+				'enum'        => array_keys( $importer->get_log_severities() ),
+			),
+			'phase'    => array(
+				'description' => __( 'Limit the records to an import phase.', 'wordpress-importer' ),
+				'type'        => 'string',
+				'enum'        => array_keys( $importer->get_log_phases() ),
+			),
+			'type'     => array(
+				'description' => __( 'Limit the records to a post type, taxonomy or \'user\'.', 'wordpress-importer' ),
+				'type'        => 'string',
+			),
+			'page'     => array(
+				'description' => __( 'Current page of the records.', 'wordpress-importer' ),
+				'type'        => 'integer',
+				'default'     => 1,
+				'minimum'     => 1,
+			),
+			'per_page' => array(
+				'description' => __( 'Maximum number of records to return.', 'wordpress-importer' ),
+				'type'        => 'integer',
+				'default'     => 100,
+				'minimum'     => 1,
+				'maximum'     => 1000,
+			),
+		);
+	}
+
+	/**
+	 * Users who can import can drive imports.
+	 *
+	 * @param WP_REST_Request $request
+	 * @return true|WP_Error
+	 */
+	public function get_item_permissions_check( $request ) {
+		if ( ! current_user_can( 'import' ) ) {
+			return new WP_Error( 'rest_forbidden', __( 'Sorry, you are not allowed to import content into this site.', 'wordpress-importer' ), array( 'status' => rest_authorization_required_code() ) );
+		}
+		return true;
+	}
+
+	/**
+	 * Uploading a file also takes the upload_files capability, like the upload form.
+	 *
+	 * @param WP_REST_Request $request
+	 * @return true|WP_Error
+	 */
+	public function create_item_permissions_check( $request ) {
+		if ( ! current_user_can( 'import' ) || ! current_user_can( 'upload_files' ) ) {
+			return new WP_Error( 'rest_forbidden', __( 'Sorry, you are not allowed to import content into this site.', 'wordpress-importer' ), array( 'status' => rest_authorization_required_code() ) );
+		}
+		return true;
+	}
+
+	/**
+	 * Uploads a WXR file, sent as the request body or as the 'file' field of a
+	 * multipart form, and parses it.
+	 *
+	 * @param WP_REST_Request $request
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function create_item( $request ) {
+		$files = $request->get_file_params();
+		if ( ! empty( $files['file'] ) ) {
+			if ( UPLOAD_ERR_OK !== $files['file']['error'] || ! is_uploaded_file( $files['file']['tmp_name'] ) ) {
+				return new WP_Error( 'import_upload_error', __( 'The file could not be uploaded.', 'wordpress-importer' ), array( 'status' => 400 ) );
+			}
+			$contents = file_get_contents( $files['file']['tmp_name'] );
+			$name     = $files['file']['name'];
+		} else {
+			$contents = $request->get_body();
+			$name     = $this->get_body_file_name( $request );
+		}
+
+		if ( '' === (string) $contents ) {
+			return new WP_Error( 'import_upload_error', __( 'File is empty. Please upload something more substantial.', 'wordpress-importer' ), array( 'status' => 400 ) );
+		}
+
+		$importer = new WP_Import();
+		$file     = ( new WP_Import_Upload() )->save_upload( $contents, sanitize_file_name( $name ) );
+		if ( is_wp_error( $file ) ) {
+			$file->add_data( array( 'status' => 500 ) );
+			return $file;
+		}
+
+		$import_data = $importer->parse( $file['file'] );
+		if ( is_wp_error( $import_data ) ) {
+			wp_import_cleanup( $file['id'] );
+			$import_data->add_data( array( 'status' => 400 ) );
+			return $import_data;
+		}
+
+		// WXR 1.0 files print the authors they can't import, which the log covers once the import runs.
+		ob_start();
+		$importer->get_authors_from_import( $import_data );
+		ob_end_clean();
+
+		update_post_meta(
+			$file['id'],
+			self::SUMMARY_META,
+			wp_slash(
+				array(
+					'version'  => $import_data['version'],
+					'base_url' => esc_url_raw( $import_data['base_url'] ),
+					'authors'  => array_values( $importer->authors ),
+					'summary'  => $importer->get_import_summary( $import_data ),
+				)
+			)
+		);
+
+		$response = rest_ensure_response( $this->prepare_import( $file['id'] ) );
+		$response->set_status( 201 );
+		$response->header( 'Location', rest_url( sprintf( '%s/%s/%d', $this->namespace, $this->rest_base, $file['id'] ) ) );
+		return $response;
+	}
+
+	/**
+	 * @param WP_REST_Request $request
+	 * @return string File name from the Content-Disposition header, or a default.
+	 */
+	protected function get_body_file_name( $request ) {
+		$disposition = (string) $request->get_header( 'content_disposition' );
+		if ( preg_match( '/filename\s*=\s*"?([^";]+)"?/i', $disposition, $matches ) ) {
+			return wp_basename( trim( $matches[1] ) );
+		}
+		return 'import.xml';
+	}
+
+	/**
+	 * Reads an import: its status, and the parsed authors and summary of the
+	 * file until it's imported, or the progress of the batches while it runs.
+	 *
+	 * @param WP_REST_Request $request
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function get_item( $request ) {
+		$import = $this->prepare_import( (int) $request['id'] );
+		if ( is_wp_error( $import ) ) {
+			return $import;
+		}
+		return rest_ensure_response( $import );
+	}
+
+	/**
+	 * Sets the options of an uploaded import. Options that aren't sent keep
+	 * their values.
+	 *
+	 * @param WP_REST_Request $request
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function update_options( $request ) {
+		$id     = (int) $request['id'];
+		$status = $this->get_status( $id );
+		if ( is_wp_error( $status ) ) {
+			return $status;
+		}
+		if ( 'uploaded' !== $status ) {
+			return new WP_Error( 'import_started', __( 'The options can\'t be changed once the import has started.', 'wordpress-importer' ), array( 'status' => 409 ) );
+		}
+
+		$importer = new WP_Import();
+		$options  = $this->get_options( $id );
+
+		if ( isset( $request['authors'] ) ) {
+			$summary = get_post_meta( $id, self::SUMMARY_META, true );
+			$logins  = wp_list_pluck( $summary['authors'], 'author_login' );
+
+			$options['authors'] = array();
+			foreach ( $request['authors'] as $author ) {
+				if ( ! in_array( $author['login'], $logins, true ) ) {
+					/* translators: %s: Author login. */
+					return new WP_Error( 'rest_invalid_param', sprintf( __( 'The file has no author %s.', 'wordpress-importer' ), $author['login'] ), array( 'status' => 400 ) );
+				}
+				if ( ! empty( $author['user_id'] ) && ! get_userdata( $author['user_id'] ) ) {
+					/* translators: %d: User ID. */
+					return new WP_Error( 'rest_invalid_param', sprintf( __( 'There is no user with the ID %d.', 'wordpress-importer' ), $author['user_id'] ), array( 'status' => 400 ) );
+				}
+				if ( ! empty( $author['new_login'] ) && ! $importer->allow_create_users() ) {
+					return new WP_Error( 'rest_invalid_param', __( 'New users can\'t be created by imports on this site.', 'wordpress-importer' ), array( 'status' => 400 ) );
+				}
+
+				$options['authors'][] = array(
+					'login'     => $author['login'],
+					'user_id'   => empty( $author['user_id'] ) ? 0 : (int) $author['user_id'],
+					'new_login' => empty( $author['new_login'] ) ? '' : $author['new_login'],
+				);
+			}
+		}
+
+		if ( isset( $request['fetch_attachments'] ) ) {
+			if ( $request['fetch_attachments'] && ! $importer->allow_fetch_attachments() ) {
+				return new WP_Error( 'rest_invalid_param', __( 'Attachments can\'t be downloaded by imports on this site.', 'wordpress-importer' ), array( 'status' => 400 ) );
+			}
+			$options['fetch_attachments'] = $request['fetch_attachments'];
+		}
+
+		foreach ( array( 'rewrite_urls', 'update', 'parser' ) as $key ) {
+			if ( isset( $request[ $key ] ) ) {
+				$options[ $key ] = $request[ $key ];
+			}
+		}
+
+		update_post_meta( $id, self::OPTIONS_META, wp_slash( $options ) );
+
+		return rest_ensure_response( $this->prepare_import( $id ) );
+	}
+
+	/**
+	 * Starts an uploaded import with its options: maps or creates the authors
+	 * and stores the session the batches work from.
+	 *
+	 * @param WP_REST_Request $request
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function start_import( $request ) {
+		$id     = (int) $request['id'];
+		$status = $this->get_status( $id );
+		if ( is_wp_error( $status ) ) {
+			return $status;
+		}
+		if ( 'uploaded' !== $status ) {
+			return new WP_Error( 'import_started', __( 'This import has already started.', 'wordpress-importer' ), array( 'status' => 409 ) );
+		}
+
+		$options = $this->get_options( $id );
+		$summary = get_post_meta( $id, self::SUMMARY_META, true );
+
+		// Every author of the file is mapped, as on the import options screen.
+		$choices = array();
+		foreach ( $options['authors'] as $choice ) {
+			$choices[ $choice['login'] ] = $choice;
+		}
+		$authors = array();
+		foreach ( $summary['authors'] as $author ) {
+			$login     = $author['author_login'];
+			$authors[] = isset( $choices[ $login ] ) ? $choices[ $login ] : array( 'login' => $login );
+		}
+
+		$importer                    = new WP_Import();
+		$importer->id                = $id;
+		$importer->fetch_attachments = $options['fetch_attachments'] && $importer->allow_fetch_attachments();
+
+		ob_start();
+		$session = $importer->start_batched_import(
+			get_attached_file( $id ),
+			array(
+				'rewrite_urls' => $options['rewrite_urls'],
+				'update'       => $options['update'],
+				'parser'       => $options['parser'],
+			),
+			$authors
+		);
+		$output = ob_get_clean();
+		if ( is_wp_error( $session ) ) {
+			$session->add_data( array( 'status' => 400 ) );
+			return $session;
+		}
+
+		$response = $this->prepare_import( $id );
+		if ( ! is_wp_error( $response ) ) {
+			$response['output'] = $output;
+		}
+		return rest_ensure_response( $response );
+	}
+
+	/**
+	 * Imports the next batch of a running import.
+	 *
+	 * @param WP_REST_Request $request
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function run_batch( $request ) {
+		$id      = (int) $request['id'];
+		$session = WP_Import_Session::get( $id );
+		if ( ! $session || ! $session->started_by_current_user() ) {
+			$status = $this->get_status( $id );
+			return is_wp_error( $status ) ? $status : new WP_Error( 'import_not_running', __( 'This import isn\'t running.', 'wordpress-importer' ), array( 'status' => 409 ) );
+		}
+
+		$batch = ( new WP_Import() )->run_batch( $session );
+		if ( is_wp_error( $batch ) ) {
+			$batch->add_data( array( 'status' => 409 ) );
+			return $batch;
+		}
+
+		$response = $this->prepare_import( $id );
+		if ( ! is_wp_error( $response ) ) {
+			$response['output'] = $batch['log'];
+		}
+		return rest_ensure_response( $response );
+	}
+
+	/**
+	 * Reads the log of an import, with the records filtered and paginated.
+	 *
+	 * @param WP_REST_Request $request
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function get_log( $request ) {
+		$log = WP_Import_Log::get( (int) $request['id'] );
+		if ( ! $log ) {
+			return new WP_Error( 'rest_not_found', __( 'The log of this import no longer exists.', 'wordpress-importer' ), array( 'status' => 404 ) );
+		}
+
+		$filters = array();
+		foreach ( array( 'severity', 'phase', 'type' ) as $key ) {
+			if ( isset( $request[ $key ] ) ) {
+				$filters[ $key ] = $request[ $key ];
+			}
+		}
+		$records = wp_list_filter( $log->get_records(), $filters );
+		$total   = count( $records );
+
+		$response = rest_ensure_response( array_slice( $records, ( $request['page'] - 1 ) * $request['per_page'], $request['per_page'] ) );
+		$response->header( 'X-WP-Total', $total );
+		$response->header( 'X-WP-TotalPages', (int) ceil( $total / $request['per_page'] ) );
+		return $response;
+	}
+
+	/**
+	 * @param int $id WXR attachment ID.
+	 * @return string|WP_Error 'uploaded', 'running' or 'done'. WP_Error if the
+	 *                         current user has no such import. Running imports
+	 *                         are only the business of the user who started them.
+	 */
+	protected function get_status( $id ) {
+		$session = WP_Import_Session::get( $id );
+		if ( $session ) {
+			return $session->started_by_current_user() ? 'running' : new WP_Error( 'rest_not_found', __( 'This import no longer exists.', 'wordpress-importer' ), array( 'status' => 404 ) );
+		}
+
+		$file = ( new WP_Import_Upload() )->get_uploaded_file( $id );
+		if ( ! isset( $file['error'] ) && get_post_meta( $id, self::SUMMARY_META, true ) ) {
+			return 'uploaded';
+		}
+
+		if ( WP_Import_Log::get( $id ) ) {
+			return 'done';
+		}
+
+		return new WP_Error( 'rest_not_found', __( 'This import no longer exists.', 'wordpress-importer' ), array( 'status' => 404 ) );
+	}
+
+	/**
+	 * @param int $id WXR attachment ID.
+	 * @return array The options set with update_options(), with defaults for
+	 *               the ones that weren't. URLs are rewritten by default, as on
+	 *               the import options screen.
+	 */
+	protected function get_options( $id ) {
+		$options = get_post_meta( $id, self::OPTIONS_META, true );
+		return wp_parse_args(
+			is_array( $options ) ? $options : array(),
+			array(
+				'authors'           => array(),
+				'fetch_attachments' => false,
+				'rewrite_urls'      => true,
+				'update'            => false,
+				'parser'            => '',
+			)
+		);
+	}
+
+	/**
+	 * @param int $id WXR attachment ID.
+	 * @return array|WP_Error The import as the endpoints return it, see get_item_schema().
+	 */
+	protected function prepare_import( $id ) {
+		$status = $this->get_status( $id );
+		if ( is_wp_error( $status ) ) {
+			return $status;
+		}
+
+		$importer = new WP_Import();
+		$import   = array(
+			'id'       => $id,
+			'status'   => $status,
+			'file'     => '',
+			'version'  => null,
+			'base_url' => null,
+			'authors'  => null,
+			'summary'  => null,
+			'options'  => null,
+			'progress' => null,
+			'log'      => null,
+		);
+
+		if ( 'done' !== $status ) {
+			$summary           = get_post_meta( $id, self::SUMMARY_META, true );
+			$import['file']    = wp_basename( get_attached_file( $id ) );
+			$import['version'] = $summary['version'];
+			$import['summary'] = $summary['summary'];
+			$import['options'] = $this->get_options( $id );
+
+			$import['base_url'] = $summary['base_url'];
+			$import['authors']  = array();
+			foreach ( $summary['authors'] as $author ) {
+				$suggestion          = $importer->suggest_user( $author );
+				$import['authors'][] = array(
+					'login'          => $author['author_login'],
+					'display_name'   => $author['author_display_name'],
+					'email'          => isset( $author['author_email'] ) ? $author['author_email'] : '',
+					'suggested_user' => $suggestion ? array(
+						'id'     => $suggestion['user']->ID,
+						'login'  => $suggestion['user']->user_login,
+						'reason' => $suggestion['reason'],
+					) : null,
+				);
+			}
+		}
+
+		if ( 'running' === $status ) {
+			$import['progress'] = $importer->get_batch_progress( WP_Import_Session::get( $id ) );
+		}
+
+		$log = WP_Import_Log::get( $id );
+		if ( $log ) {
+			if ( 'done' === $status ) {
+				$import['file'] = $log->file;
+			}
+			$import['log'] = array_fill_keys( array_keys( $importer->get_log_severities() ), 0 );
+			foreach ( $log->get_records() as $record ) {
+				if ( isset( $import['log'][ $record['severity'] ] ) ) {
+					++$import['log'][ $record['severity'] ];
+				}
+			}
+		}
+
+		return $import;
+	}
+
+	/**
+	 * @return array The schema of an import.
+	 */
+	public function get_item_schema() {
+		if ( $this->schema ) {
+			return $this->add_additional_fields_schema( $this->schema );
+		}
+
+		$this->schema = array(
+			'$schema'    => 'http://json-schema.org/draft-04/schema#',
+			'title'      => 'wordpress-import',
+			'type'       => 'object',
+			'properties' => array(
+				'id'       => array(
+					'description' => __( 'Attachment ID of the WXR file.', 'wordpress-importer' ),
+					'type'        => 'integer',
+					'readonly'    => true,
+				),
+				'status'   => array(
+					'description' => __( 'Where the import has got to.', 'wordpress-importer' ),
+					'type'        => 'string',
+					'enum'        => array( 'uploaded', 'running', 'done' ),
+					'readonly'    => true,
+				),
+				'file'     => array(
+					'description' => __( 'Name of the WXR file.', 'wordpress-importer' ),
+					'type'        => 'string',
+					'readonly'    => true,
+				),
+				'version'  => array(
+					'description' => __( 'WXR version of the file, until it is imported.', 'wordpress-importer' ),
+					'type'        => array( 'string', 'null' ),
+					'readonly'    => true,
+				),
+				'base_url' => array(
+					'description' => __( 'URL of the site the file was exported from, until it is imported.', 'wordpress-importer' ),
+					'type'        => array( 'string', 'null' ),
+					'readonly'    => true,
+				),
+				'authors'  => array(
+					'description' => __( 'Authors in the file, with the user of this site they most likely are, until it is imported.', 'wordpress-importer' ),
+					'type'        => array( 'array', 'null' ),
+					'readonly'    => true,
+				),
+				'summary'  => array(
+					'description' => __( 'Number of authors, terms, posts of each type and comments in the file, until it is imported.', 'wordpress-importer' ),
+					'type'        => array( 'object', 'null' ),
+					'readonly'    => true,
+				),
+				'options'  => array(
+					'description' => __( 'Options of the import, see POST /imports/<id>/options.', 'wordpress-importer' ),
+					'type'        => array( 'object', 'null' ),
+					'readonly'    => true,
+				),
+				'progress' => array(
+					'description' => __( 'Progress of each phase while the import runs.', 'wordpress-importer' ),
+					'type'        => array( 'object', 'null' ),
+					'readonly'    => true,
+				),
+				'log'      => array(
+					'description' => __( 'Number of log records of each severity, once the import has started.', 'wordpress-importer' ),
+					'type'        => array( 'object', 'null' ),
+					'readonly'    => true,
+				),
+			),
+		);
+
+		return $this->add_additional_fields_schema( $this->schema );
+	}
+}
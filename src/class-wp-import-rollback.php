@@ -0,0 +1,205 @@
+<?php
+/**
+ * What an import created, to roll it back
+ *
+ * @package WordPress
+ * @subpackage Importer
+ */
+
+/**
+ * The IDs of the posts, comments, terms and users an import created, so that
+ * the import can be rolled back from the past imports screen.
+ *
+ * Only what the import created is recorded. Posts, terms and users that were
+ * on the site before and that the import only assigned content to are not,
+ * so rolling back leaves them alone. Each import's record is stored in an
+ * option named after the WXR attachment ID.
+ */
+class WP_Import_Rollback {
+	const OPTION_PREFIX = 'wordpress_importer_rollback_';
+
+	/**
+	 * How long a rollback batch may hold the lock before another request may
+	 * take over, in seconds. Only matters when a request dies without releasing it.
+	 */
+	const LOCK_TIMEOUT = 300;
+
+	public $id; // WXR attachment ID
+
+	public $user_id = 0;
+	public $started = 0;
+
+	// name of the WXR file, which is deleted once the import is done
+	public $file = '';
+
+	// '' while the import's content is there, 'rolling_back' or 'rolled_back'
+	public $status = '';
+
+	/**
+	 * What the import created and hasn't been removed yet, by type: lists of
+	 * post, comment and user IDs in 'posts', 'comments' and 'users', and of
+	 * array( term ID, taxonomy ) in 'terms'.
+	 *
+	 * @var array[]
+	 */
+	public $created = array(
+		'posts'    => array(),
+		'comments' => array(),
+		'terms'    => array(),
+		'users'    => array(),
+	);
+
+	/**
+	 * Type => number of items the rollback has removed.
+	 *
+	 * @var int[]
+	 */
+	public $removed = array(
+		'posts'    => 0,
+		'comments' => 0,
+		'terms'    => 0,
+		'users'    => 0,
+	);
+
+	/**
+	 * @param int $id WXR attachment ID.
+	 */
+	public function __construct( $id ) {
+		$this->id      = (int) $id;
+		$this->user_id = get_current_user_id();
+		$this->started = time();
+	}
+
+	/**
+	 * Loads a stored record.
+	 *
+	 * @param int $id WXR attachment ID.
+	 * @return WP_Import_Rollback|null Null if there is no record of that import.
+	 */
+	public static function get( $id ) {
+		$data = get_option( self::OPTION_PREFIX . (int) $id );
+		if ( ! is_array( $data ) ) {
+			return null;
+		}
+
+		$rollback = new self( $id );
+		foreach ( array( 'user_id', 'started', 'file', 'status' ) as $key ) {
+			if ( isset( $data[ $key ] ) ) {
+				$rollback->$key = $data[ $key ];
+			}
+		}
+		foreach ( array( 'created', 'removed' ) as $key ) {
+			if ( isset( $data[ $key ] ) ) {
+				$rollback->$key = array_merge( $rollback->$key, $data[ $key ] );
+			}
+		}
+		return $rollback;
+	}
+
+	/**
+	 * Lists the stored records, the latest import first.
+	 *
+	 * @return WP_Import_Rollback[]
+	 */
+	public static function get_all() {
+		global $wpdb;
+
+		$names = $wpdb->get_col(
+			$wpdb->prepare(
+				"SELECT option_name FROM {$wpdb->options} WHERE option_name LIKE %s ORDER BY option_id DESC",
+				$wpdb->esc_like( self::OPTION_PREFIX ) . '%'
+			)
+		);
+
+		$rollbacks = array();
+		foreach ( $names as $name ) {
+			// Locks are named after the record, followed by an underscore.
+			$id = substr( $name, strlen( self::OPTION_PREFIX ) );
+			if ( ctype_digit( $id ) ) {
+				$rollback = self::get( $id );
+				if ( $rollback ) {
+					$rollbacks[] = $rollback;
+				}
+			}
+		}
+		return $rollbacks;
+	}
+
+	/**
+	 * Stores the record.
+	 */
+	public function save() {
+		update_option(
+			self::OPTION_PREFIX . $this->id,
+			array(
+				'user_id' => $this->user_id,
+				'started' => $this->started,
+				'file'    => $this->file,
+				'status'  => $this->status,
+				'created' => $this->created,
+				'removed' => $this->removed,
+			),
+			false
+		);
+	}
+
+	/**
+	 * Removes the stored record and its lock.
+	 */
+	public function delete() {
+		delete_option( self::OPTION_PREFIX . $this->id );
+		$this->unlock();
+	}
+
+	/**
+	 * Records an item the import created. It's stored by the next save().
+	 *
+	 * @param string $type     'posts', 'comments', 'terms' or 'users'.
+	 * @param int    $id
+	 * @param string $taxonomy Taxonomy of a term.
+	 */
+	public function add( $type, $id, $taxonomy = '' ) {
+		$this->created[ $type ][] = 'terms' === $type ? array( (int) $id, $taxonomy ) : (int) $id;
+	}
+
+	/**
+	 * @return int[] Type => number of items the import created, including the
+	 *               ones the rollback has removed.
+	 */
+	public function get_counts() {
+		$counts = array();
+		foreach ( $this->created as $type => $ids ) {
+			$counts[ $type ] = count( $ids ) + $this->removed[ $type ];
+		}
+		return $counts;
+	}
+
+	/**
+	 * Makes sure only one request rolls the import back at a time.
+	 *
+	 * @return bool False if another request is already running a batch.
+	 */
+	public function lock() {
+		$name = self::OPTION_PREFIX . $this->id . '_lock';
+
+		// add_option() fails when the option exists, so only one request can get the lock.
+		if ( add_option( $name, time(), '', false ) ) {
+			return true;
+		}
+
+		if ( (int) get_option( $name ) > time() - self::LOCK_TIMEOUT ) {
+			return false;
+		}
+
+		// The request that held the lock died.
+		update_option( $name, time(), false );
+		return true;
+	}
+
+	/**
+	 * Lets the next batch run.
+	 */
+	public function unlock() {
+		delete_option( self::OPTION_PREFIX . $this->id . '_lock' );
+	}
+}
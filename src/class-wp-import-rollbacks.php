@@ -0,0 +1,322 @@
+<?php
+/**
+ * Rolling imports back
+ *
+ * @package WordPress
+ * @subpackage Importer
+ */
+
+/**
+ * The past imports screen, and rolling an import back: deleting what it
+ * created, as recorded in its WP_Import_Rollback, in batches that the
+ * progress screen runs over admin-ajax.php.
+ */
+class WP_Import_Rollbacks {
+	/**
+	 * The importer, with the time limit of a batch and the URLs of the log screen.
+	 *
+	 * @var WP_Import
+	 */
+	protected $importer;
+
+	/**
+	 * @param WP_Import $importer
+	 */
+	public function __construct( $importer ) {
+		$this->importer = $importer;
+	}
+
+	/**
+	 * Types of items a rollback deletes, in the order it deletes them, with
+	 * their labels for the progress screen.
+	 *
+	 * @return string[] Type, see WP_Import_Rollback::$created, => label.
+	 */
+	public function get_rollback_types() {
+		return array(
+			'comments' => __( 'Comments', 'wordpress-importer' ),
+			'posts'    => __( 'Posts, pages, media and menu items', 'wordpress-importer' ),
+			'terms'    => __( 'Categories, tags and terms', 'wordpress-importer' ),
+			'users'    => __( 'Users', 'wordpress-importer' ),
+		);
+	}
+
+	/**
+	 * Starts rolling an import back. An import that hasn't finished is
+	 * stopped for good: its session and WXR file are deleted, and so are the
+	 * attachment downloads it left.
+	 *
+	 * @param WP_Import_Rollback $rollback
+	 * @return true|WP_Error
+	 */
+	public function start_rolling_back( $rollback ) {
+		if ( 'rolled_back' === $rollback->status ) {
+			return new WP_Error( 'import_rolled_back', __( 'This import has already been rolled back.', 'wordpress-importer' ) );
+		}
+
+		$session = WP_Import_Session::get( $rollback->id );
+		if ( $session ) {
+			if ( ! $session->lock() ) {
+				return new WP_Error( 'import_running', __( 'This import is still running, e.g. in another browser window.', 'wordpress-importer' ) );
+			}
+			$session->delete();
+			wp_import_cleanup( $rollback->id );
+		}
+
+		$queue = WP_Import_Download_Queue::get( $rollback->id );
+		if ( $queue ) {
+			$queue->delete();
+		}
+
+		$rollback->status = 'rolling_back';
+		$rollback->save();
+		return true;
+	}
+
+	/**
+	 * Deletes what an import created until the time limit is reached, the
+	 * latest first within each type, e.g. replies before the comments they
+	 * reply to. The record is saved after each batch.
+	 *
+	 * The caller should hold the record's lock.
+	 *
+	 * @param WP_Import_Rollback $rollback
+	 * @param float              $time_limit Seconds after which no new item is deleted.
+	 *                                       At least one item is deleted regardless.
+	 * @return bool True if the import has been rolled back.
+	 */
+	public function rollback_batch( $rollback, $time_limit ) {
+		$deadline = microtime( true ) + $time_limit;
+
+		foreach ( array_keys( $this->get_rollback_types() ) as $type ) {
+			while ( $rollback->created[ $type ] ) {
+				$this->delete_created_item( $type, array_pop( $rollback->created[ $type ] ) );
+				++$rollback->removed[ $type ];
+
+				if ( microtime( true ) >= $deadline ) {
+					$rollback->save();
+					return false;
+				}
+			}
+		}
+
+		$rollback->status = 'rolled_back';
+		$rollback->save();
+		return true;
+	}
+
+	/**
+	 * Deletes an item an import created. Items that are already gone are skipped.
+	 *
+	 * @param string    $type See get_rollback_types().
+	 * @param int|array $item ID, or array( term ID, taxonomy ) for terms.
+	 */
+	protected function delete_created_item( $type, $item ) {
+		switch ( $type ) {
+			case 'comments':
+				wp_delete_comment( $item, true );
+				break;
+			case 'posts':
+				// Deletes the files of attachments too.
+				wp_delete_post( $item, true );
+				break;
+			case 'terms':
+				wp_delete_term( $item[0], $item[1] );
+				break;
+			case 'users':
+				// Never the user rolling back, who is given what the deleted users wrote since.
+				if ( get_current_user_id() !== $item && get_userdata( $item ) ) {
+					require_once ABSPATH . 'wp-admin/includes/user.php';
+					wp_delete_user( $item, get_current_user_id() );
+				}
+				break;
+		}
+	}
+
+	/**
+	 * How far rolling an import back has got.
+	 *
+	 * @param WP_Import_Rollback $rollback
+	 * @return array[] Type => array( 'label', 'done', 'total' ).
+	 */
+	public function get_rollback_progress( $rollback ) {
+		$counts   = $rollback->get_counts();
+		$progress = array();
+		foreach ( $this->get_rollback_types() as $type => $label ) {
+			$progress[ $type ] = array(
+				'label' => $label,
+				'done'  => (int) $rollback->removed[ $type ],
+				'total' => $counts[ $type ],
+			);
+		}
+		return $progress;
+	}
+
+	/**
+	 * Runs one batch of a rollback for the progress screen, over admin-ajax.php.
+	 *
+	 * Responds with whether the import has been rolled back and the progress
+	 * of each type of item.
+	 */
+	public function ajax_rollback() {
+		check_ajax_referer( 'import-wordpress-rollback-batch' );
+
+		if ( ! current_user_can( 'import' ) ) {
+			wp_send_json_error( array( 'message' => __( 'Sorry, you are not allowed to import content into this site.', 'wordpress-importer' ) ), 403 );
+		}
+
+		$rollback = WP_Import_Rollback::get( isset( $_POST['import_id'] ) ? (int) $_POST['import_id'] : 0 );
+		if ( ! $rollback || 'rolling_back' !== $rollback->status ) {
+			wp_send_json_error( array( 'message' => __( 'This import is not being rolled back.', 'wordpress-importer' ) ), 404 );
+		}
+
+		if ( ! $rollback->lock() ) {
+			wp_send_json_error( array( 'message' => __( 'This import is already being rolled back, e.g. in another browser window.', 'wordpress-importer' ) ), 409 );
+		}
+		$done = $this->rollback_batch( $rollback, $this->importer->batch_time_limit() );
+		$rollback->unlock();
+
+		wp_send_json_success(
+			array(
+				'done'     => $done,
+				'progress' => $this->get_rollback_progress( $rollback ),
+			)
+		);
+	}
+
+	/**
+	 * Lists the imports that were recorded, the latest first, with what each
+	 * created and a link to roll it back. See rollback_confirm_screen().
+	 */
+	public function past_imports_screen() {
+		$rollbacks = WP_Import_Rollback::get_all();
+		$statuses  = array(
+			''             => __( 'Imported', 'wordpress-importer' ),
+			'rolling_back' => __( 'Rolling back', 'wordpress-importer' ),
+			'rolled_back'  => __( 'Rolled back', 'wordpress-importer' ),
+		);
+
+		echo '<h3>' . __( 'Past Imports', 'wordpress-importer' ) . '</h3>';
+		if ( ! $rollbacks ) {
+			echo '<p>' . __( 'No imports have been recorded yet.', 'wordpress-importer' ) . '</p>';
+			return;
+		}
+
+		echo '<table class="widefat striped" id="past-imports"><thead><tr>';
+		echo '<th scope="col">' . __( 'File', 'wordpress-importer' ) . '</th>';
+		echo '<th scope="col">' . __( 'Started', 'wordpress-importer' ) . '</th>';
+		echo '<th scope="col">' . __( 'Created', 'wordpress-importer' ) . '</th>';
+		echo '<th scope="col">' . __( 'Status', 'wordpress-importer' ) . '</th>';
+		echo '<td></td>';
+		echo '</tr></thead><tbody>';
+		foreach ( $rollbacks as $rollback ) {
+			$user = get_userdata( $rollback->user_id );
+			echo '<tr data-import-id="' . $rollback->id . '" data-status="' . esc_attr( $rollback->status ) . '">';
+			echo '<td><code>' . esc_html( $rollback->file ? $rollback->file : '#' . $rollback->id ) . '</code></td>';
+			echo '<td>';
+			printf(
+				/* translators: 1: Time since the import started, e.g. "2 hours". 2: User's display name. */
+				__( '%1$s ago by %2$s', 'wordpress-importer' ),
+				esc_html( human_time_diff( $rollback->started ) ),
+				esc_html( $user ? $user->display_name : __( 'a deleted user', 'wordpress-importer' ) )
+			);
+			echo '</td>';
+			echo '<td>' . $this->get_created_summary( $rollback ) . '</td>';
+			echo '<td>' . esc_html( isset( $statuses[ $rollback->status ] ) ? $statuses[ $rollback->status ] : $rollback->status ) . '</td>';
+			echo '<td>';
+			if ( WP_Import_Log::get( $rollback->id ) ) {
+				echo '<a href="' . esc_url( $this->importer->get_log_url( $rollback->id ) ) . '">' . __( 'View log', 'wordpress-importer' ) . '</a> ';
+			}
+			if ( 'rolled_back' !== $rollback->status ) {
+				echo '<a href="' . esc_url( admin_url( 'admin.php?import=wordpress&step=5&import_id=' . $rollback->id ) ) . '">' . __( 'Roll back', 'wordpress-importer' ) . '</a>';
+			}
+			echo '</td>';
+			echo '</tr>';
+		}
+		echo '</tbody></table>';
+	}
+
+	/**
+	 * @param WP_Import_Rollback $rollback
+	 * @return string HTML, e.g. "Comments: 2, Users: 1".
+	 */
+	protected function get_created_summary( $rollback ) {
+		$counts  = $rollback->get_counts();
+		$summary = array();
+		foreach ( $this->get_rollback_types() as $type => $label ) {
+			if ( $counts[ $type ] ) {
+				/* translators: 1: Type of item, e.g. "Comments". 2: Number of items. */
+				$summary[] = sprintf( __( '%1$s: %2$s', 'wordpress-importer' ), esc_html( $label ), number_format_i18n( $counts[ $type ] ) );
+			}
+		}
+		return $summary ? implode( ', ', $summary ) : __( 'Nothing', 'wordpress-importer' );
+	}
+
+	/**
+	 * Says what rolling an import back deletes, and asks to go ahead.
+	 *
+	 * @param WP_Import_Rollback $rollback
+	 */
+	public function rollback_confirm_screen( $rollback ) {
+		$back = '<a href="' . esc_url( admin_url( 'admin.php?import=wordpress&step=5' ) ) . '">' . __( 'Back to past imports', 'wordpress-importer' ) . '</a>';
+
+		/* translators: %s: WXR file name. */
+		echo '<h3>' . sprintf( __( 'Roll Back the Import of %s', 'wordpress-importer' ), '<code>' . esc_html( $rollback->file ? $rollback->file : '#' . $rollback->id ) . '</code>' ) . '</h3>';
+		if ( 'rolled_back' === $rollback->status ) {
+			echo '<p>' . __( 'This import has already been rolled back.', 'wordpress-importer' ) . '</p>';
+			echo '<p>' . $back . '</p>';
+			return;
+		}
+
+		echo '<p>' . __( 'Rolling back deletes everything this import created, along with any changes made to it since: the posts, pages, menu items and comments, the attachments and their files, the categories, tags and other terms, and the users.', 'wordpress-importer' ) . '</p>';
+		echo '<p>' . __( 'Content that was on this site before the import is left as it is, apart from the comments the import added to it. Anything the deleted users have written since is assigned to you.', 'wordpress-importer' ) . '</p>';
+		echo '<p id="rollback-summary">' . $this->get_created_summary( $rollback ) . '</p>';
+		if ( WP_Import_Session::get( $rollback->id ) ) {
+			echo '<div class="notice notice-warning inline"><p>' . __( 'This import has not finished. Rolling it back stops it for good.', 'wordpress-importer' ) . '</p></div>';
+		}
+
+		echo '<form action="' . esc_url( admin_url( 'admin.php?import=wordpress&step=6' ) ) . '" method="post">';
+		wp_nonce_field( 'import-wordpress-rollback' );
+		echo '<input type="hidden" name="import_id" value="' . $rollback->id . '" />';
+		echo '<p class="submit"><input type="submit" class="button button-primary" value="' . esc_attr__( 'Roll back import', 'wordpress-importer' ) . '" /> ' . $back . '</p>';
+		echo '</form>';
+	}
+
+	/**
+	 * Shows how far rolling an import back has got, and rolls it back in
+	 * batches from the browser. See js/import-rollback.js.
+	 *
+	 * @param WP_Import_Rollback $rollback
+	 */
+	public function rollback_progress_screen( $rollback ) {
+		wp_enqueue_script( 'wordpress-importer-rollback', plugins_url( 'js/import-rollback.js', __FILE__ ), array( 'jquery' ), filemtime( __DIR__ . '/js/import-rollback.js' ), true );
+		wp_localize_script(
+			'wordpress-importer-rollback',
+			'wordpressImporterRollback',
+			array(
+				'ajaxUrl'  => admin_url( 'admin-ajax.php' ),
+				'importId' => $rollback->id,
+				'nonce'    => wp_create_nonce( 'import-wordpress-rollback-batch' ),
+				'stopped'  => __( 'The rollback stopped before it finished. Resuming continues where it stopped.', 'wordpress-importer' ),
+			)
+		);
+
+		echo '<div id="rollback-progress" data-status="running">';
+		echo '<table class="widefat striped"><tbody>';
+		foreach ( $this->get_rollback_progress( $rollback ) as $type => $progress ) {
+			echo '<tr data-type="' . esc_attr( $type ) . '">';
+			echo '<th scope="row">' . esc_html( $progress['label'] ) . '</th>';
+			echo '<td><progress max="' . max( 1, $progress['total'] ) . '" value="' . $progress['done'] . '"></progress></td>';
+			echo '<td class="import-progress-count">' . $progress['done'] . ' / ' . $progress['total'] . '</td>';
+			echo '</tr>';
+		}
+		echo '</tbody></table>';
+		echo '<p id="rollback-done" hidden>' . __( 'The import has been rolled back.', 'wordpress-importer' ) . ' <a href="' . esc_url( admin_url( 'admin.php?import=wordpress&step=5' ) ) . '">' . __( 'Back to past imports', 'wordpress-importer' ) . '</a></p>';
+		echo '<div id="rollback-error" class="notice notice-error inline" hidden>';
+		echo '<p class="import-error-message"></p>';
+		echo '<p><button type="button" class="button" id="rollback-resume">' . __( 'Resume rollback', 'wordpress-importer' ) . '</button></p>';
+		echo '</div>';
+		echo '<noscript><p>' . __( 'The rollback runs in your browser. Turn on JavaScript and reload this page to continue.', 'wordpress-importer' ) . '</p></noscript>';
+		echo '</div>';
+	}
+}
@@ -0,0 +1,259 @@
+<?php
+/**
+ * Stored state of a batched import
+ *
+ * @package WordPress
+ * @subpackage Importer
+ */
+
+/**
+ * An import that runs over several requests.
+ *
+ * Holds where the import has got to and the importer's mappings from old to
+ * new IDs, so that each batch, or a resumed import, carries on from there.
+ * Sessions are stored in an option named after the WXR attachment ID. The
+ * items the batches work through are parsed from the file once, and stored
+ * in options of their own, a slice of each phase's items per option, so that
+ * a batch only loads the items it imports, see save_items().
+ */
+class WP_Import_Session {
+	const OPTION_PREFIX = 'wordpress_importer_session_';
+
+	/**
+	 * How long a batch may hold the lock before another request may take over,
+	 * in seconds. Only matters when a request dies without releasing it.
+	 */
+	const LOCK_TIMEOUT = 300;
+
+	/**
+	 * How many items save_items() stores in each option.
+	 */
+	const ITEMS_PER_OPTION = 50;
+
+	public $id; // WXR attachment ID
+
+	public $user_id = 0;
+	public $started = 0;
+	public $updated = 0;
+
+	// the phase being imported and how many of its items are done
+	public $phase  = '';
+	public $offset = 0;
+
+	// whether a batch died while importing the item at $offset
+	public $interrupted = false;
+
+	/**
+	 * Phase => number of items in it.
+	 *
+	 * @var array
+	 */
+	public $totals = array();
+
+	/**
+	 * WP_Import state, see WP_Import::get_import_state().
+	 *
+	 * @var array
+	 */
+	public $state = array();
+
+	/**
+	 * The option get_item() loaded last, as array( option name, items ).
+	 *
+	 * @var array
+	 */
+	protected $loaded_items = array( '', array() );
+
+	/**
+	 * @param int $id WXR attachment ID.
+	 */
+	public function __construct( $id ) {
+		$this->id      = (int) $id;
+		$this->user_id = get_current_user_id();
+		$this->started = time();
+	}
+
+	/**
+	 * Loads a stored session.
+	 *
+	 * @param int $id WXR attachment ID.
+	 * @return WP_Import_Session|null Null if no import of that file is in progress.
+	 */
+	public static function get( $id ) {
+		$data = get_option( self::OPTION_PREFIX . (int) $id );
+		if ( ! is_array( $data ) ) {
+			return null;
+		}
+
+		$session = new self( $id );
+		foreach ( array( 'user_id', 'started', 'updated', 'phase', 'offset', 'interrupted', 'totals', 'state' ) as $key ) {
+			if ( isset( $data[ $key ] ) ) {
+				$session->$key = $data[ $key ];
+			}
+		}
+		return $session;
+	}
+
+	/**
+	 * Whether the current user started the import. Only they may run or resume
+	 * it, as only they may import the file they uploaded.
+	 *
+	 * @return bool
+	 */
+	public function started_by_current_user() {
+		return get_current_user_id() === (int) $this->user_id;
+	}
+
+	/**
+	 * Lists the imports that were started but haven't finished.
+	 *
+	 * @return WP_Import_Session[]
+	 */
+	public static function get_unfinished() {
+		global $wpdb;
+
+		$names = $wpdb->get_col(
+			$wpdb->prepare(
+				"SELECT option_name FROM {$wpdb->options} WHERE option_name LIKE %s ORDER BY option_id",
+				$wpdb->esc_like( self::OPTION_PREFIX ) . '%'
+			)
+		);
+
+		$sessions = array();
+		foreach ( $names as $name ) {
+			$id = substr( $name, strlen( self::OPTION_PREFIX ) );
+			if ( ctype_digit( $id ) ) {
+				$session = self::get( $id );
+				if ( $session ) {
+					$sessions[] = $session;
+				}
+			}
+		}
+		return $sessions;
+	}
+
+	/**
+	 * Stores the session.
+	 */
+	public function save() {
+		$this->updated = time();
+		update_option(
+			self::OPTION_PREFIX . $this->id,
+			array(
+				'user_id'     => $this->user_id,
+				'started'     => $this->started,
+				'updated'     => $this->updated,
+				'phase'       => $this->phase,
+				'offset'      => $this->offset,
+				'interrupted' => $this->interrupted,
+				'totals'      => $this->totals,
+				'state'       => $this->state,
+			),
+			false
+		);
+	}
+
+	/**
+	 * Stores the items the batches import, apart from the session, which is
+	 * saved after every batch. Each option holds ITEMS_PER_OPTION items of a
+	 * phase, and is named after the phase and the offset of its first item.
+	 *
+	 * @param array[] $items Phase => list of items, see WP_Import::get_batch_items().
+	 */
+	public function save_items( $items ) {
+		foreach ( $items as $phase => $list ) {
+			// A phase without items still gets an option, for has_items().
+			$slices = $list ? array_chunk( $list, self::ITEMS_PER_OPTION ) : array( array() );
+			foreach ( $slices as $i => $slice ) {
+				update_option( $this->get_items_option( $phase, $i * self::ITEMS_PER_OPTION ), $slice, false );
+			}
+		}
+	}
+
+	/**
+	 * Whether save_items() stored items for the phase, i.e. whether it is
+	 * imported one item at a time.
+	 *
+	 * @param string $phase
+	 * @return bool
+	 */
+	public function has_items( $phase ) {
+		return false !== get_option( $this->get_items_option( $phase, 0 ) );
+	}
+
+	/**
+	 * Loads an item stored by save_items(), along with the other items in its
+	 * option, which the next calls are likely to ask for.
+	 *
+	 * @param string $phase
+	 * @param int    $offset
+	 * @return array|null Null past the phase's last item.
+	 */
+	public function get_item( $phase, $offset ) {
+		$index = $offset % self::ITEMS_PER_OPTION;
+		$name  = $this->get_items_option( $phase, $offset - $index );
+		if ( $name !== $this->loaded_items[0] ) {
+			$this->loaded_items = array( $name, (array) get_option( $name, array() ) );
+		}
+		return isset( $this->loaded_items[1][ $index ] ) ? $this->loaded_items[1][ $index ] : null;
+	}
+
+	/**
+	 * @param string $phase
+	 * @param int    $offset Offset of the first item in the option.
+	 * @return string
+	 */
+	protected function get_items_option( $phase, $offset ) {
+		return self::OPTION_PREFIX . $this->id . '_items_' . $phase . '_' . (int) $offset;
+	}
+
+	/**
+	 * Removes the stored session, its items and its lock.
+	 */
+	public function delete() {
+		global $wpdb;
+
+		delete_option( self::OPTION_PREFIX . $this->id );
+
+		$names = $wpdb->get_col(
+			$wpdb->prepare(
+				"SELECT option_name FROM {$wpdb->options} WHERE option_name LIKE %s",
+				$wpdb->esc_like( self::OPTION_PREFIX . $this->id . '_items_' ) . '%'
+			)
+		);
+		foreach ( $names as $name ) {
+			delete_option( $name );
+		}
+		$this->loaded_items = array( '', array() );
+		$this->unlock();
+	}
+
+	/**
+	 * Makes sure only one request works on the import at a time.
+	 *
+	 * @return bool False if another request is already running a batch.
+	 */
+	public function lock() {
+		$name = self::OPTION_PREFIX . $this->id . '_lock';
+
+		// add_option() fails when the option exists, so only one request can get the lock.
+		if ( add_option( $name, time(), '', false ) ) {
+			return true;
+		}
+
+		if ( (int) get_option( $name ) > time() - self::LOCK_TIMEOUT ) {
+			return false;
+		}
+
+		// The request that held the lock died.
+		update_option( $name, time(), false );
+		return true;
+	}
+
+	/**
+	 * Lets the next batch run.
+	 */
+	public function unlock() {
+		delete_option( self::OPTION_PREFIX . $this->id . '_lock' );
+	}
+}
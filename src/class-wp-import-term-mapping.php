@@ -0,0 +1,386 @@
+<?php
+/**
+ * Term mapping on the import options screen
+ *
+ * @package WordPress
+ * @subpackage Importer
+ */
+
+/**
+ * The term mapping on the import options screen, where each term from the WXR
+ * file can be imported, mapped to an existing term, imported with another name
+ * or left out. The choices become the 'term_mapping' import option, which
+ * WP_Import::get_term_mapping() follows during the import.
+ */
+class WP_Import_Term_Mapping {
+	/**
+	 * The importer, with the terms and posts of the parsed file.
+	 *
+	 * @var WP_Import
+	 */
+	protected $importer;
+
+	/**
+	 * @param WP_Import $importer
+	 */
+	public function __construct( $importer ) {
+		$this->importer = $importer;
+	}
+
+	/**
+	 * Lists the terms from the file on the import options screen, by taxonomy
+	 * and in hierarchy order, with a choice to import each one, map it to an
+	 * existing term, import it with another name or leave it out. See
+	 * js/import-terms.js, which sends the choices as a JSON object in
+	 * term_mapping.
+	 */
+	public function term_mapping_fields() {
+		$taxonomies = $this->get_terms_to_map();
+		if ( ! $taxonomies ) {
+			return;
+		}
+
+		wp_enqueue_script( 'wordpress-importer-terms', plugins_url( 'js/import-terms.js', __FILE__ ), array( 'jquery' ), filemtime( __DIR__ . '/js/import-terms.js' ), true );
+		wp_localize_script(
+			'wordpress-importer-terms',
+			'wordpressImporterTerms',
+			array(
+				'ajaxUrl' => admin_url( 'admin-ajax.php' ),
+				'nonce'   => wp_create_nonce( 'import-wordpress-terms' ),
+				'l10n'    => array(
+					'select'    => __( '- Select -', 'wordpress-importer' ),
+					'noResults' => __( 'No terms found.', 'wordpress-importer' ),
+				),
+			)
+		);
+
+		$actions = array(
+			'import' => __( 'Import', 'wordpress-importer' ),
+			'map'    => __( 'Map to an existing term', 'wordpress-importer' ),
+			'rename' => __( 'Import with another name', 'wordpress-importer' ),
+			'drop'   => __( 'Leave out', 'wordpress-importer' ),
+		);
+
+		echo '<h3>' . __( 'Map Terms', 'wordpress-importer' ) . '</h3>';
+		echo '<div id="import-terms">';
+		echo '<p>' . __( 'A term is imported unless this site has a term with the same slug, which the imported posts are then assigned to. Map a term to another existing term to merge the two, import it with another name, or leave it out so no imported post is assigned to it.', 'wordpress-importer' ) . '</p>';
+		echo '<input type="hidden" name="term_mapping" id="import-term-mapping" value="" />';
+
+		foreach ( $taxonomies as $taxonomy => $terms ) {
+			$taxonomy_object = get_taxonomy( $taxonomy );
+			$search          = $this->has_too_many_terms( $taxonomy );
+
+			echo '<table class="widefat import-terms" data-taxonomy="' . esc_attr( $taxonomy ) . '"' . ( $search ? ' data-search="1"' : '' ) . '>';
+			echo '<thead><tr>';
+			echo '<th scope="col">' . esc_html( $taxonomy_object->labels->name ) . '</th>';
+			echo '<th scope="col">' . __( 'Action', 'wordpress-importer' ) . '</th>';
+			echo '<th scope="col">' . __( 'Existing term or new name', 'wordpress-importer' ) . '</th>';
+			echo '</tr></thead><tbody>';
+
+			foreach ( $terms as $term ) {
+				$suggestion = $term['suggestion'];
+				// A term with the same name may well be another term, so it's only
+				// preselected for when "Map to an existing term" is chosen.
+				$action = 'import';
+
+				echo '<tr class="import-term" data-key="' . esc_attr( $term['key'] ) . '" data-action="' . $action . '"' . ( $suggestion ? ' data-suggested-by="' . $suggestion['reason'] . '"' : '' ) . '>';
+				echo '<td style="padding-left:' . ( 10 + 20 * $term['depth'] ) . 'px"><strong>' . esc_html( $term['name'] ) . '</strong> <code>' . esc_html( $term['slug'] ) . '</code></td>';
+
+				/* translators: %s: Term name. */
+				echo '<td><select class="import-term-action" aria-label="' . esc_attr( sprintf( __( 'What to do with %s', 'wordpress-importer' ), $term['name'] ) ) . '">';
+				foreach ( $actions as $value => $label ) {
+					echo '<option value="' . $value . '"' . selected( $action, $value, false ) . '>' . esc_html( $label ) . '</option>';
+				}
+				echo '</select></td>';
+
+				echo '<td><span class="import-term-map">';
+				if ( $search ) {
+					/* translators: %s: Term name. */
+					echo '<input type="search" class="import-term-search" autocomplete="off" aria-label="' . esc_attr( sprintf( __( 'Search existing terms for %s', 'wordpress-importer' ), $term['name'] ) ) . '" placeholder="' . esc_attr__( 'Search terms', 'wordpress-importer' ) . '" /> ';
+				}
+				// js/import-terms.js adds the other terms from the template below.
+				/* translators: %s: Term name. */
+				echo '<select class="import-term-existing" aria-label="' . esc_attr( sprintf( __( 'Existing term for %s', 'wordpress-importer' ), $term['name'] ) ) . '">';
+				echo '<option value="0">' . __( '- Select -', 'wordpress-importer' ) . '</option>';
+				if ( $suggestion ) {
+					echo '<option value="' . (int) $suggestion['term']->term_id . '" selected="selected">' . esc_html( $suggestion['term']->name ) . '</option>';
+				}
+				echo '</select></span>';
+				/* translators: %s: Term name. */
+				echo '<input type="text" class="regular-text import-term-name" value="' . esc_attr( $term['name'] ) . '" aria-label="' . esc_attr( sprintf( __( 'New name for %s', 'wordpress-importer' ), $term['name'] ) ) . '" />';
+
+				if ( $suggestion ) {
+					echo '<p class="description import-term-suggestion">';
+					if ( 'slug' === $suggestion['reason'] ) {
+						/* translators: %s: Name of the existing term. */
+						printf( __( 'This site has a term with the same slug, %s. Imported posts are assigned to it.', 'wordpress-importer' ), '<strong>' . esc_html( $suggestion['term']->name ) . '</strong>' );
+					} else {
+						/* translators: %s: Name of the existing term. */
+						printf( __( 'Suggested: %s, the term with the same name.', 'wordpress-importer' ), '<strong>' . esc_html( $suggestion['term']->name ) . '</strong>' );
+					}
+					echo '</p>';
+				}
+				echo '</td></tr>';
+			}
+			echo '</tbody></table>';
+
+			if ( ! $search ) {
+				$existing = array();
+				foreach ( get_terms( array( 'taxonomy' => $taxonomy, 'hide_empty' => false ) ) as $existing_term ) {
+					$existing[ $existing_term->term_id ] = array(
+						'name'   => $existing_term->name,
+						'parent' => $existing_term->parent,
+					);
+				}
+
+				// Listed once per taxonomy rather than in each row's dropdown.
+				echo '<template class="import-terms-existing" data-taxonomy="' . esc_attr( $taxonomy ) . '">';
+				foreach ( $this->sort_terms_by_hierarchy( $existing ) as $term_id => $existing_term ) {
+					echo '<option value="' . $term_id . '">' . str_repeat( '&#8212; ', $existing_term['depth'] ) . esc_html( $existing_term['name'] ) . '</option>';
+				}
+				echo '</template>';
+			}
+		}
+		echo '</div>';
+	}
+
+	/**
+	 * Terms from the file for the term mapping on the import options screen,
+	 * by taxonomy. That includes terms only listed on the posts that have
+	 * them. Taxonomies this site doesn't have or doesn't show in the admin,
+	 * such as menus and post formats, are left out.
+	 *
+	 * @return array[] Taxonomy => list of terms in hierarchy order, each with
+	 *                 'key' (see WP_Import::get_term_key()), 'slug', 'name',
+	 *                 'depth' and 'suggestion' (see suggest_term()).
+	 */
+	public function get_terms_to_map() {
+		// Taxonomy => slug => array( 'name', 'parent' ).
+		$terms = array();
+		foreach ( (array) $this->importer->categories as $category ) {
+			$terms['category'][ $category['category_nicename'] ] = array(
+				'name'   => $category['cat_name'],
+				'parent' => isset( $category['category_parent'] ) ? $category['category_parent'] : '',
+			);
+		}
+		foreach ( (array) $this->importer->tags as $tag ) {
+			$terms['post_tag'][ $tag['tag_slug'] ] = array(
+				'name'   => $tag['tag_name'],
+				'parent' => '',
+			);
+		}
+		foreach ( (array) $this->importer->terms as $term ) {
+			$terms[ $term['term_taxonomy'] ][ $term['slug'] ] = array(
+				'name'   => $term['term_name'],
+				'parent' => isset( $term['term_parent'] ) ? $term['term_parent'] : '',
+			);
+		}
+		foreach ( (array) $this->importer->posts as $post ) {
+			if ( empty( $post['terms'] ) ) {
+				continue;
+			}
+			foreach ( $post['terms'] as $term ) {
+				$taxonomy = ( 'tag' == $term['domain'] ) ? 'post_tag' : $term['domain'];
+				if ( ! isset( $terms[ $taxonomy ][ $term['slug'] ] ) ) {
+					$terms[ $taxonomy ][ $term['slug'] ] = array(
+						'name'   => $term['name'],
+						'parent' => '',
+					);
+				}
+			}
+		}
+
+		$to_map = array();
+		foreach ( $terms as $taxonomy => $list ) {
+			$taxonomy_object = get_taxonomy( $taxonomy );
+			if ( ! $taxonomy_object || ! $taxonomy_object->show_ui ) {
+				continue;
+			}
+
+			foreach ( $this->sort_terms_by_hierarchy( $list ) as $slug => $term ) {
+				$slug                  = (string) $slug;
+				$to_map[ $taxonomy ][] = array(
+					'key'        => $this->importer->get_term_key( $taxonomy, $slug ),
+					'slug'       => $slug,
+					'name'       => $term['name'],
+					'depth'      => $term['depth'],
+					'suggestion' => $this->suggest_term( $taxonomy, $slug, $term['name'] ),
+				);
+			}
+		}
+		return $to_map;
+	}
+
+	/**
+	 * Sorts terms so each one comes right after its parent, or its parent's
+	 * earlier children. Terms whose parents lead back to them come last.
+	 *
+	 * @param array[] $terms Key => term, with the key of its parent in 'parent'.
+	 * @return array[] The terms, each with its 'depth' in the hierarchy.
+	 */
+	protected function sort_terms_by_hierarchy( $terms ) {
+		$children = array();
+		foreach ( $terms as $key => $term ) {
+			$parent                = isset( $terms[ $term['parent'] ] ) && (string) $term['parent'] !== (string) $key ? $term['parent'] : '';
+			$children[ $parent ][] = $key;
+		}
+
+		$sorted = array();
+		$stack  = array();
+		foreach ( array_reverse( isset( $children[''] ) ? $children[''] : array() ) as $key ) {
+			$stack[] = array( $key, 0 );
+		}
+		while ( $stack ) {
+			list( $key, $depth ) = array_pop( $stack );
+			if ( isset( $sorted[ $key ] ) ) {
+				continue;
+			}
+
+			$sorted[ $key ] = $terms[ $key ] + array( 'depth' => $depth );
+			if ( isset( $children[ $key ] ) ) {
+				foreach ( array_reverse( $children[ $key ] ) as $child ) {
+					$stack[] = array( $child, $depth + 1 );
+				}
+			}
+		}
+
+		foreach ( $terms as $key => $term ) {
+			if ( ! isset( $sorted[ $key ] ) ) {
+				$sorted[ $key ] = $term + array( 'depth' => 0 );
+			}
+		}
+		return $sorted;
+	}
+
+	/**
+	 * Finds the existing term a term from the file most likely is: the one with
+	 * the same slug, which the import uses anyway, or else the one with the
+	 * same name.
+	 *
+	 * @param string $taxonomy
+	 * @param string $slug     Term slug from the WXR file.
+	 * @param string $name     Term name from the WXR file.
+	 * @return array|null array( 'term' => WP_Term, 'reason' => 'slug' or 'name' ), or null
+	 *                    if no term matches.
+	 */
+	public function suggest_term( $taxonomy, $slug, $name ) {
+		$term = get_term_by( 'slug', $slug, $taxonomy );
+		if ( $term ) {
+			return array(
+				'term'   => $term,
+				'reason' => 'slug',
+			);
+		}
+
+		$term = '' === $name ? false : get_term_by( 'name', $name, $taxonomy );
+		if ( $term ) {
+			return array(
+				'term'   => $term,
+				'reason' => 'name',
+			);
+		}
+
+		return null;
+	}
+
+	/**
+	 * Whether the site has too many terms in a taxonomy to list them all for
+	 * each imported term.
+	 *
+	 * The limit can be changed with the wp_import_term_dropdown_limit filter.
+	 *
+	 * @param string $taxonomy
+	 * @return bool
+	 */
+	protected function has_too_many_terms( $taxonomy ) {
+		$limit = (int) apply_filters( 'wp_import_term_dropdown_limit', 200, $taxonomy );
+		$ids   = get_terms(
+			array(
+				'taxonomy'   => $taxonomy,
+				'hide_empty' => false,
+				'number'     => $limit + 1,
+				'fields'     => 'ids',
+			)
+		);
+		return ! is_wp_error( $ids ) && count( $ids ) > $limit;
+	}
+
+	/**
+	 * Searches the site's terms for the term mapping on the import options screen, over admin-ajax.php.
+	 *
+	 * Responds with up to 20 terms of the taxonomy whose name or slug contains
+	 * the search term, as array( 'id', 'label' ).
+	 */
+	public function ajax_search_terms() {
+		check_ajax_referer( 'import-wordpress-terms' );
+
+		if ( ! current_user_can( 'import' ) ) {
+			wp_send_json_error( array( 'message' => __( 'Sorry, you are not allowed to import content into this site.', 'wordpress-importer' ) ), 403 );
+		}
+
+		$taxonomy = isset( $_GET['taxonomy'] ) ? sanitize_key( $_GET['taxonomy'] ) : '';
+		$term     = isset( $_GET['term'] ) ? trim( wp_unslash( $_GET['term'] ) ) : '';
+		if ( '' === $term || ! taxonomy_exists( $taxonomy ) ) {
+			wp_send_json_success( array() );
+		}
+
+		$found = get_terms(
+			array(
+				'taxonomy'   => $taxonomy,
+				'hide_empty' => false,
+				'search'     => $term,
+				'number'     => 20,
+				'orderby'    => 'name',
+			)
+		);
+
+		$terms = array();
+		foreach ( is_wp_error( $found ) ? array() : $found as $existing_term ) {
+			$terms[] = array(
+				'id'    => $existing_term->term_id,
+				/* translators: 1: Term name, 2: Term slug. */
+				'label' => sprintf( _x( '%1$s (%2$s)', 'term search', 'wordpress-importer' ), $existing_term->name, $existing_term->slug ),
+			);
+		}
+		wp_send_json_success( $terms );
+	}
+
+	/**
+	 * The choices made in the term mapping on the import options screen, for
+	 * the 'term_mapping' import option. Terms to import as they are are left out.
+	 *
+	 * @return array[]
+	 */
+	public function get_posted_term_mapping() {
+		if ( empty( $_POST['term_mapping'] ) ) {
+			return array();
+		}
+
+		$choices = json_decode( wp_unslash( $_POST['term_mapping'] ), true );
+		if ( ! is_array( $choices ) ) {
+			return array();
+		}
+
+		$mapping = array();
+		foreach ( $choices as $key => $choice ) {
+			if ( ! is_array( $choice ) || ! isset( $choice['action'] ) ) {
+				continue;
+			}
+
+			if ( 'map' === $choice['action'] && ! empty( $choice['term_id'] ) ) {
+				$mapping[ $key ] = array(
+					'action'  => 'map',
+					'term_id' => (int) $choice['term_id'],
+				);
+			} elseif ( 'rename' === $choice['action'] && isset( $choice['name'] ) && is_string( $choice['name'] ) ) {
+				$mapping[ $key ] = array(
+					'action' => 'rename',
+					'name'   => sanitize_text_field( $choice['name'] ),
+				);
+			} elseif ( 'drop' === $choice['action'] ) {
+				$mapping[ $key ] = array( 'action' => 'drop' );
+			}
+		}
+		return $mapping;
+	}
+}
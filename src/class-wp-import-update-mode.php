@@ -0,0 +1,316 @@
+<?php
+/**
+ * Update mode of the importer
+ *
+ * @package WordPress
+ * @subpackage Importer
+ */
+
+/**
+ * The 'update' import option, which imports the posts of a WXR file again
+ * into the posts an earlier import created from them. Posts that changed
+ * in the file are updated, unless they were also edited on this site since,
+ * as told by their WP_Import_Provenance.
+ */
+class WP_Import_Update_Mode {
+	/**
+	 * The importer, with the posts of the parsed file and the import options.
+	 *
+	 * @var WP_Import
+	 */
+	protected $importer;
+
+	/**
+	 * @param WP_Import $importer
+	 */
+	public function __construct( $importer ) {
+		$this->importer = $importer;
+	}
+
+	/**
+	 * Finds the post an earlier import created from a post in the WXR file:
+	 * by the GUID or the ID on the exporting site recorded in its provenance,
+	 * or else by its GUID, which posts imported before that was recorded kept.
+	 *
+	 * @param array $post Post data from the WXR file.
+	 * @return int Post ID, or 0 if there is none. The post may be of another type.
+	 */
+	public function find_imported_post( $post ) {
+		global $wpdb;
+
+		$post_id = WP_Import_Provenance::find_post( $post['guid'], $this->importer->base_url, $post['post_id'] );
+		if ( ! $post_id && '' !== $post['guid'] ) {
+			$post_id = (int) $wpdb->get_var( $wpdb->prepare( "SELECT ID FROM {$wpdb->posts} WHERE guid = %s AND post_type = %s LIMIT 1", $post['guid'], $post['post_type'] ) );
+		}
+		return $post_id;
+	}
+
+	/**
+	 * Hash of a post in the WXR file: its fields, terms and meta. When the
+	 * hash of a post in a later export differs, the post changed.
+	 *
+	 * @param array $post Post data from the WXR file.
+	 * @return string
+	 */
+	public function get_source_hash( $post ) {
+		$fields = array();
+		foreach ( array( 'post_title', 'post_content', 'post_excerpt', 'status', 'post_name', 'post_date', 'post_date_gmt', 'comment_status', 'ping_status', 'menu_order', 'post_password', 'post_parent', 'is_sticky' ) as $key ) {
+			$fields[] = isset( $post[ $key ] ) ? (string) $post[ $key ] : '';
+		}
+
+		$terms = array();
+		foreach ( isset( $post['terms'] ) ? $post['terms'] : array() as $term ) {
+			$terms[] = $term['domain'] . ':' . $term['slug'];
+		}
+		sort( $terms );
+
+		$meta = array();
+		foreach ( isset( $post['postmeta'] ) ? $post['postmeta'] : array() as $entry ) {
+			if ( $this->importer->is_valid_meta_key( $entry['key'] ) ) {
+				$meta[] = array( $entry['key'], $entry['value'] );
+			}
+		}
+
+		return md5( wp_json_encode( array( $fields, $terms, $meta ) ) );
+	}
+
+	/**
+	 * Compares a post from the WXR file with the post an earlier import
+	 * created from it.
+	 *
+	 * @param array $post    Post data from the WXR file.
+	 * @param int   $post_id The post that was imported from it.
+	 * @return string 'unchanged' if the file has the post as it was imported, 'update' if it
+	 *                changed in the file only, 'conflict' if it was also edited on this site
+	 *                since. Posts imported before edits were tracked count as edited.
+	 */
+	public function get_update_status( $post, $post_id ) {
+		$provenance = WP_Import_Provenance::get( $post_id );
+		if ( $provenance && $provenance->source_hash === $this->get_source_hash( $post ) ) {
+			return 'unchanged';
+		}
+
+		$edited = ! $provenance || ! $provenance->modified || get_post_field( 'post_modified_gmt', $post_id ) !== $provenance->modified;
+		return $edited ? 'conflict' : 'update';
+	}
+
+	/**
+	 * Fields of a post from the WXR file that an update changes, with the
+	 * URLs in them changed as for a new post. The author, parent and type of
+	 * the post stay as they are.
+	 *
+	 * @param array    $post           Post data from the WXR file.
+	 * @param string[] $rewritten_urls Filled with the URLs that were changed, see WP_Import::rewrite_content().
+	 * @return array See wp_update_post().
+	 */
+	protected function get_update_fields( $post, &$rewritten_urls ) {
+		$fields = array(
+			'post_date'      => $post['post_date'],
+			'post_date_gmt'  => $post['post_date_gmt'],
+			'post_content'   => $post['post_content'],
+			'post_excerpt'   => $post['post_excerpt'],
+			'post_title'     => $post['post_title'],
+			'post_status'    => $post['status'],
+			'post_name'      => $post['post_name'],
+			'comment_status' => $post['comment_status'],
+			'ping_status'    => $post['ping_status'],
+			'menu_order'     => $post['menu_order'],
+			'post_password'  => $post['post_password'],
+		);
+
+		$url_mapping = $this->importer->get_url_mapping();
+		if ( $url_mapping ) {
+			$fields['post_content'] = $this->importer->rewrite_content( $fields['post_content'], $url_mapping, $rewritten_urls );
+			$fields['post_excerpt'] = $this->importer->rewrite_content( $fields['post_excerpt'], $url_mapping, $rewritten_urls );
+		}
+		return $fields;
+	}
+
+	/**
+	 * Updates a post that an earlier import created, for the 'update' import
+	 * option. Posts the file has as they were imported are left alone, and so
+	 * are posts edited on this site since, unless the 'update_conflicts'
+	 * import option lists them.
+	 *
+	 * @param array        $post             Post data from the WXR file.
+	 * @param int          $post_id          The post that was imported from it.
+	 * @param WP_Post_Type $post_type_object Post type object for the post.
+	 * @return array|null See WP_Import::process_post(), with 'updated' set to whether the post was updated.
+	 */
+	public function update_post( $post, $post_id, $post_type_object ) {
+		$importer = $this->importer;
+
+		$importer->processed_posts[ intval( $post['post_id'] ) ] = $post_id;
+
+		$label  = $post_type_object->labels->singular_name;
+		$title  = esc_html( $post['post_title'] );
+		$status = $this->get_update_status( $post, $post_id );
+		if ( 'conflict' === $status && in_array( $importer->get_post_key( $post ), (array) $importer->options['update_conflicts'], true ) ) {
+			$status = 'overwrite';
+		}
+
+		if ( 'unchanged' === $status ) {
+			++$importer->update_summary['unchanged'];
+			/* translators: 1: Post type name, e.g. "Page". 2: Post title. */
+			$importer->log( 'info', sprintf( __( '%1$s &#8220;%2$s&#8221; is unchanged.', 'wordpress-importer' ), $label, $title ), $importer->get_log_item( $post, $post_id ) );
+		} elseif ( 'conflict' === $status ) {
+			++$importer->update_summary['conflicts'];
+			$importer->log(
+				'warning',
+				/* translators: 1: Post type name, e.g. "Page". 2: Post title. */
+				sprintf( __( '%1$s &#8220;%2$s&#8221; was edited on this site since it was imported, so it was not updated.', 'wordpress-importer' ), $label, $title ),
+				$importer->get_log_item( $post, $post_id )
+			);
+		} else {
+			$rewritten_urls = array();
+			$postdata       = $this->get_update_fields( $post, $rewritten_urls );
+			$postdata['ID'] = $post_id;
+
+			$updated = wp_update_post( wp_slash( $postdata ), true );
+			if ( is_wp_error( $updated ) ) {
+				$importer->log(
+					'error',
+					/* translators: 1: Post type name, e.g. "Page". 2: Post title. */
+					sprintf( __( 'Failed to update %1$s &#8220;%2$s&#8221;', 'wordpress-importer' ), $label, $title ),
+					$importer->get_log_item( $post, $post_id ),
+					$updated
+				);
+				return null;
+			}
+
+			if ( 1 == $post['is_sticky'] ) {
+				stick_post( $post_id );
+			} else {
+				unstick_post( $post_id );
+			}
+			$importer->save_provenance( $post_id, $post, $rewritten_urls );
+
+			++$importer->update_summary['updated'];
+			if ( 'overwrite' === $status ) {
+				/* translators: 1: Post type name, e.g. "Page". 2: Post title. */
+				$message = sprintf( __( 'Updated %1$s &#8220;%2$s&#8221;, replacing the edits made to it on this site.', 'wordpress-importer' ), $label, $title );
+			} else {
+				/* translators: 1: Post type name, e.g. "Page". 2: Post title. */
+				$message = sprintf( __( 'Updated %1$s &#8220;%2$s&#8221;.', 'wordpress-importer' ), $label, $title );
+			}
+			$importer->log( 'info', $message, $importer->get_log_item( $post, $post_id ) );
+		}
+
+		return array(
+			'post_id'         => $post_id,
+			'comment_post_id' => $post_id,
+			'post_exists'     => $post_id,
+			'updated'         => ! in_array( $status, array( 'unchanged', 'conflict' ), true ),
+		);
+	}
+
+	/**
+	 * Lists the posts in the file that an earlier import created and that
+	 * were edited both on this site and in the file since, for the import
+	 * options screen. Nothing is written.
+	 *
+	 * @return array[] List of items, each with the 'key' of the post (see WP_Import::get_post_key()),
+	 *                 its 'title', its post 'type' and the 'post_id' of the post on this site.
+	 */
+	public function get_update_conflicts() {
+		$conflicts = array();
+		foreach ( (array) $this->importer->posts as $post ) {
+			if ( 'auto-draft' == $post['status'] || in_array( $post['post_type'], array( 'attachment', 'nav_menu_item' ), true ) || ! post_type_exists( $post['post_type'] ) ) {
+				continue;
+			}
+
+			$post_id = $this->find_imported_post( $post );
+			if ( ! $post_id || get_post_type( $post_id ) !== $post['post_type'] || 'conflict' !== $this->get_update_status( $post, $post_id ) ) {
+				continue;
+			}
+
+			$conflicts[] = array(
+				'key'     => $this->importer->get_post_key( $post ),
+				'title'   => $post['post_title'],
+				'type'    => $post['post_type'],
+				'post_id' => $post_id,
+			);
+		}
+		return $conflicts;
+	}
+
+	/**
+	 * Asks which version to keep of the posts edited both on this site and in
+	 * the file, for the 'update_conflicts' import option. Shown while updating
+	 * is ticked, see js/import-update.js.
+	 */
+	public function update_conflict_fields() {
+		$conflicts = $this->get_update_conflicts();
+		if ( ! $conflicts ) {
+			return;
+		}
+
+		wp_enqueue_script( 'wordpress-importer-update', plugins_url( 'js/import-update.js', __FILE__ ), array( 'jquery' ), filemtime( __DIR__ . '/js/import-update.js' ), true );
+
+		echo '<div id="import-update-conflicts" hidden>';
+		echo '<p>' . __( 'These items were edited on this site since they were imported, or imported before edits were tracked, and the file has another version of them. Choose which version to keep.', 'wordpress-importer' ) . '</p>';
+		echo '<table class="widefat striped"><tbody>';
+		foreach ( $conflicts as $i => $conflict ) {
+			$id     = 'import-update-conflict-' . $i;
+			$title  = '' === $conflict['title'] ? __( '(no title)', 'wordpress-importer' ) : $conflict['title'];
+			$object = get_post_type_object( $conflict['type'] );
+			$link   = get_edit_post_link( $conflict['post_id'] );
+
+			echo '<tr class="import-update-conflict" data-key="' . esc_attr( $conflict['key'] ) . '">';
+			echo '<td>' . ( $link ? '<a href="' . esc_url( $link ) . '">' . esc_html( $title ) . '</a>' : esc_html( $title ) );
+			echo ' <span class="description">' . esc_html( $object ? $object->labels->singular_name : $conflict['type'] ) . '</span></td>';
+			/* translators: %s: Post title. */
+			echo '<td><label class="screen-reader-text" for="' . $id . '">' . esc_html( sprintf( __( 'Version of %s to keep', 'wordpress-importer' ), $title ) ) . '</label>';
+			echo '<select name="update_conflicts[' . esc_attr( $conflict['key'] ) . ']" id="' . $id . '">';
+			echo '<option value="keep">' . __( 'Keep the version on this site', 'wordpress-importer' ) . '</option>';
+			echo '<option value="overwrite">' . __( 'Use the version in the file', 'wordpress-importer' ) . '</option>';
+			echo '</select></td>';
+			echo '</tr>';
+		}
+		echo '</tbody></table>';
+		echo '</div>';
+	}
+
+	/**
+	 * Keys of the posts to update whatever was edited on this site, as chosen
+	 * on the import options screen, for the 'update_conflicts' import option.
+	 *
+	 * @return string[]
+	 */
+	public function get_posted_update_conflicts() {
+		if ( empty( $_POST['update_conflicts'] ) || ! is_array( $_POST['update_conflicts'] ) ) {
+			return array();
+		}
+
+		$keys = array();
+		foreach ( wp_unslash( $_POST['update_conflicts'] ) as $key => $choice ) {
+			if ( 'overwrite' === $choice ) {
+				$keys[] = (string) $key;
+			}
+		}
+		return $keys;
+	}
+
+	/**
+	 * Says what the 'update' import option did with the posts in the file.
+	 */
+	public function update_summary_list() {
+		$counts = $this->importer->update_summary;
+		$lines  = array(
+			/* translators: %s: Number of items. */
+			'created'   => _n( '%s item was new and has been imported.', '%s items were new and have been imported.', $counts['created'], 'wordpress-importer' ),
+			/* translators: %s: Number of items. */
+			'updated'   => _n( '%s item has been updated.', '%s items have been updated.', $counts['updated'], 'wordpress-importer' ),
+			/* translators: %s: Number of items. */
+			'unchanged' => _n( '%s item was unchanged.', '%s items were unchanged.', $counts['unchanged'], 'wordpress-importer' ),
+			/* translators: %s: Number of items. */
+			'conflicts' => _n( '%s item was edited on this site since it was imported and has been left as it is.', '%s items were edited on this site since they were imported and have been left as they are.', $counts['conflicts'], 'wordpress-importer' ),
+		);
+
+		echo '<ul id="import-update-summary">';
+		foreach ( $lines as $result => $line ) {
+			echo '<li data-result="' . $result . '" data-count="' . (int) $counts[ $result ] . '">' . sprintf( $line, number_format_i18n( $counts[ $result ] ) ) . '</li>';
+		}
+		echo '</ul>';
+	}
+}
@@ -6,8 +6,9 @@
  * @subpackage Importer
  */
 
+use WordPress\DataLiberation\BlockMarkup\BlockMarkupUrlProcessor;
 use WordPress\DataLiberation\URL\WPURL;
-use function WordPress\DataLiberation\URL\wp_rewrite_urls;
+use function WordPress\DataLiberation\URL\is_child_url_of;
 
 /**
  * WordPress importer class.
@@ -42,6 +43,19 @@ class WP_Import extends WP_Importer {
 	public $url_remap         = array();
 	public $featured_images   = array();
 
+	/**
+	 * What the 'update' import option did with the posts so far, see
+	 * WP_Import_Update_Mode::update_post().
+	 *
+	 * @var int[] 'created', 'updated', 'unchanged' and 'conflicts' => number of posts.
+	 */
+	public $update_summary = array(
+		'created'   => 0,
+		'updated'   => 0,
+		'unchanged' => 0,
+		'conflicts' => 0,
+	);
+
 	/**
 	 * Import options.
 	 *
@@ -50,6 +64,77 @@ class WP_Import extends WP_Importer {
 	 */
 	public $options = array();
 
+	/**
+	 * Batched import the current request is working on, see import_batch().
+	 *
+	 * @var WP_Import_Session|null
+	 */
+	public $batch_session = null;
+
+	/**
+	 * Session phase, offset and state after the last fully imported item.
+	 *
+	 * @var array|null
+	 */
+	protected $batch_checkpoint = null;
+
+	/**
+	 * Whether the item being imported is one that an earlier batch died on,
+	 * and may have partly imported already.
+	 *
+	 * @var bool
+	 */
+	protected $retrying_item = false;
+
+	/**
+	 * Whether the site has more users than the author dropdowns list, see has_too_many_users().
+	 *
+	 * @var bool|null
+	 */
+	protected $too_many_users = null;
+
+	/**
+	 * Lookup of the keys in the 'exclude' import option, see is_excluded().
+	 *
+	 * @var array|null
+	 */
+	protected $excluded_items = null;
+
+	/**
+	 * Log of the import the current request is working on, see log().
+	 *
+	 * @var WP_Import_Log|null
+	 */
+	protected $import_log = null;
+
+	/**
+	 * What the import the current request is working on created, see record_created().
+	 *
+	 * @var WP_Import_Rollback|null
+	 */
+	protected $import_rollback = null;
+
+	/**
+	 * The WXR_Parser that read the file last, which tells which parser it used.
+	 *
+	 * @var WXR_Parser|null
+	 */
+	protected $wxr_parser = null;
+
+	/**
+	 * Phase the log() records are about, see get_log_phases().
+	 *
+	 * @var string
+	 */
+	protected $log_phase = '';
+
+	/**
+	 * Whether log() only adds the messages to the import log, without printing them.
+	 *
+	 * @var bool
+	 */
+	protected $log_quietly = false;
+
 	/**
 	 * Registered callback function for the WordPress Importer
 	 *
@@ -64,18 +149,118 @@ class WP_Import extends WP_Importer {
 				$this->greet();
 				break;
 			case 1:
-				check_admin_referer( 'import-upload' );
+				// the import options screen posts back here to read the file with another parser
+				check_admin_referer( empty( $_POST['reread'] ) ? 'import-upload' : 'import-wordpress' );
 				if ( $this->handle_upload() ) {
 					$this->import_options();
 				}
 				break;
 			case 2:
-				check_admin_referer( 'import-wordpress' );
-				$this->fetch_attachments = ( ! empty( $_POST['fetch_attachments'] ) && $this->allow_fetch_attachments() );
-				$this->id                = (int) $_POST['import_id'];
-				$file                    = get_attached_file( $this->id );
-				set_time_limit( 0 );
-				$this->import( $file, array( 'rewrite_urls' => '1' === $_POST['rewrite_urls'] ) );
+				$batch = null;
+				if ( isset( $_GET['import_id'] ) ) {
+					// without JavaScript, the progress screen reloads itself with batch=1 to run each batch
+					$run_batch = ! empty( $_GET['batch'] );
+					check_admin_referer( $run_batch ? 'import-wordpress-batch' : 'import-wordpress-resume' );
+					$session = WP_Import_Session::get( (int) $_GET['import_id'] );
+					if ( ! $session ) {
+						echo '<p><strong>' . __( 'Sorry, there has been an error.', 'wordpress-importer' ) . '</strong><br />';
+						echo __( 'This import has already finished or no longer exists.', 'wordpress-importer' ) . '</p>';
+						break;
+					}
+					if ( ! $session->started_by_current_user() ) {
+						echo '<p><strong>' . __( 'Sorry, there has been an error.', 'wordpress-importer' ) . '</strong><br />';
+						echo __( 'Only the user who started this import can run it.', 'wordpress-importer' ) . '</p>';
+						break;
+					}
+
+					if ( $run_batch ) {
+						// the progress screen lists the messages of every batch from the log once the import is done
+						$this->log_quietly = true;
+						$batch             = $this->run_batch( $session );
+						if ( is_wp_error( $batch ) ) {
+							echo '<p><strong>' . __( 'Sorry, there has been an error.', 'wordpress-importer' ) . '</strong><br />';
+							echo esc_html( $batch->get_error_message() ) . '</p>';
+							break;
+						}
+					}
+				} else {
+					check_admin_referer( 'import-wordpress' );
+					$this->fetch_attachments = ( ! empty( $_POST['fetch_attachments'] ) && $this->allow_fetch_attachments() );
+					$this->id                = (int) $_POST['import_id'];
+
+					// Reloading the page must not start the same import again.
+					$session = WP_Import_Session::get( $this->id );
+					if ( ! $session ) {
+						$file    = get_attached_file( $this->id );
+						$options = array(
+							'rewrite_urls'     => '1' === $_POST['rewrite_urls'],
+							'url_mapping'      => $this->get_posted_url_mapping(),
+							'exclude'          => $this->get_posted_exclusions(),
+							'queue_downloads'  => true,
+							'parser'           => $this->get_posted_parser(),
+							'term_mapping'     => ( new WP_Import_Term_Mapping( $this ) )->get_posted_term_mapping(),
+							'update'           => ! empty( $_POST['update_existing'] ),
+							'update_conflicts' => ( new WP_Import_Update_Mode( $this ) )->get_posted_update_conflicts(),
+						);
+						$session = $this->start_batched_import( $file, $options );
+						if ( is_wp_error( $session ) ) {
+							echo '<p><strong>' . __( 'Sorry, there has been an error.', 'wordpress-importer' ) . '</strong><br />';
+							echo esc_html( $session->get_error_message() ) . '</p>';
+							break;
+						}
+					}
+				}
+				$this->batch_progress_screen( $session, $batch );
+				break;
+			case 3:
+				check_admin_referer( 'import-wordpress-downloads' );
+				$queue = WP_Import_Download_Queue::get( isset( $_GET['import_id'] ) ? (int) $_GET['import_id'] : 0 );
+				if ( ! $queue ) {
+					echo '<p><strong>' . __( 'Sorry, there has been an error.', 'wordpress-importer' ) . '</strong><br />';
+					echo __( 'The files of this import have already been downloaded or skipped.', 'wordpress-importer' ) . '</p>';
+					break;
+				}
+				( new WP_Import_Downloads( $this ) )->download_queue_screen( $queue->id, $queue->get_downloads() );
+				break;
+			case 4:
+				check_admin_referer( 'import-wordpress-log' );
+				$log = WP_Import_Log::get( isset( $_GET['import_id'] ) ? (int) $_GET['import_id'] : 0 );
+				if ( ! $log ) {
+					echo '<p><strong>' . __( 'Sorry, there has been an error.', 'wordpress-importer' ) . '</strong><br />';
+					echo __( 'The log of this import no longer exists.', 'wordpress-importer' ) . '</p>';
+					break;
+				}
+				( new WP_Import_Log_Screen( $this ) )->import_log_screen( $log );
+				break;
+			case 5:
+				if ( empty( $_GET['import_id'] ) ) {
+					( new WP_Import_Rollbacks( $this ) )->past_imports_screen();
+					break;
+				}
+				$rollback = WP_Import_Rollback::get( (int) $_GET['import_id'] );
+				if ( ! $rollback ) {
+					echo '<p><strong>' . __( 'Sorry, there has been an error.', 'wordpress-importer' ) . '</strong><br />';
+					echo __( 'There is no record of what this import created.', 'wordpress-importer' ) . '</p>';
+					break;
+				}
+				( new WP_Import_Rollbacks( $this ) )->rollback_confirm_screen( $rollback );
+				break;
+			case 6:
+				check_admin_referer( 'import-wordpress-rollback' );
+				$rollback = WP_Import_Rollback::get( isset( $_POST['import_id'] ) ? (int) $_POST['import_id'] : 0 );
+				if ( ! $rollback ) {
+					echo '<p><strong>' . __( 'Sorry, there has been an error.', 'wordpress-importer' ) . '</strong><br />';
+					echo __( 'There is no record of what this import created.', 'wordpress-importer' ) . '</p>';
+					break;
+				}
+				$rollbacks = new WP_Import_Rollbacks( $this );
+				$started   = $rollbacks->start_rolling_back( $rollback );
+				if ( is_wp_error( $started ) ) {
+					echo '<p><strong>' . __( 'Sorry, there has been an error.', 'wordpress-importer' ) . '</strong><br />';
+					echo esc_html( $started->get_error_message() ) . '</p>';
+					break;
+				}
+				$rollbacks->rollback_progress_screen( $rollback );
 				break;
 		}
 
@@ -88,22 +273,105 @@ class WP_Import extends WP_Importer {
 	 * @param string $file    Path to the WXR file for importing
 	 * @param array  $options Options to control import behavior. Supported:
 	 *                       - 'rewrite_urls' (bool) Enable rewriting URLs in post content/excerpt.
+	 *                       - 'url_mapping' (string[]) More URL changes, old URL => new URL.
+	 *                         Applied whether or not 'rewrite_urls' is on, see get_url_mapping().
+	 *                       - 'exclude' (string[]) Keys of the posts and terms to leave out,
+	 *                         see get_import_preview().
+	 *                       - 'queue_downloads' (bool) Import attachments without their files
+	 *                         and leave those to the download queue, see queue_attachment().
+	 *                       - 'parser' (string) WXR parser to use, see WXR_Parser::get_parsers().
+	 *                         'auto' to try one after the other until one reads the file, or
+	 *                         empty for the PREFERRED_WXR_PARSER constant or else 'auto'.
+	 *                       - 'term_mapping' (array[]) What to do with terms from the file instead of
+	 *                         importing them, by key (see get_term_key()): array( 'action' => 'map',
+	 *                         'term_id' ) to use an existing term, array( 'action' => 'rename', 'name' )
+	 *                         to import it under another name, or array( 'action' => 'drop' ).
+	 *                       - 'update' (bool) Update the posts an earlier import created from the
+	 *                         same posts, found by their GUID or ID in the file, instead of looking
+	 *                         for posts with the same title and date. See
+	 *                         WP_Import_Update_Mode::update_post().
+	 *                       - 'update_conflicts' (string[]) Keys of the posts (see get_post_key())
+	 *                         to update although they were edited on this site since they were
+	 *                         imported. Those are left as they are otherwise.
 	 */
 	public function import( $file, $options = array() ) {
+		$this->set_import_options( $options );
+		$this->add_import_filters();
+
+		// Only imports of an uploaded file are logged, and can be rolled back.
+		if ( $this->id ) {
+			$this->start_log( $file );
+			$this->start_rollback( $file );
+		}
+		$this->log_phase = 'authors';
+
+		$this->import_start( $file );
+		$this->check_import_options();
+
+		$this->get_author_mapping();
+
+		wp_suspend_cache_invalidation( true );
+		foreach ( array( 'process_categories', 'process_tags', 'process_terms', 'process_posts' ) as $phase ) {
+			$this->log_phase = $phase;
+			$this->$phase();
+		}
+		wp_suspend_cache_invalidation( false );
+
+		// update incorrect/missing information in the DB
+		foreach ( array( 'backfill_parents', 'backfill_attachment_urls', 'remap_featured_images' ) as $phase ) {
+			$this->log_phase = $phase;
+			$this->$phase();
+		}
+
+		$this->import_end();
+
+		if ( $this->import_log ) {
+			$this->import_log->flush();
+		}
+		if ( $this->import_rollback ) {
+			$this->import_rollback->save();
+		}
+	}
+
+	/**
+	 * Fills in the defaults of the import options and lets plugins filter them.
+	 *
+	 * @param array $options See import().
+	 */
+	protected function set_import_options( $options ) {
 		$options = wp_parse_args(
 			$options,
 			array(
-				'rewrite_urls' => false,
+				'rewrite_urls'     => false,
+				'url_mapping'      => array(),
+				'exclude'          => array(),
+				'queue_downloads'  => false,
+				'parser'           => '',
+				'term_mapping'     => array(),
+				'update'           => false,
+				'update_conflicts' => array(),
 			)
 		);
 
-		$this->options = apply_filters( 'wp_import_options', $options );
+		$this->options        = apply_filters( 'wp_import_options', $options );
+		$this->excluded_items = null;
+	}
 
+	/**
+	 * Adds the filters that are in effect while importing.
+	 */
+	public function add_import_filters() {
 		add_filter( 'import_post_meta_key', array( $this, 'is_valid_meta_key' ) );
 		add_filter( 'http_request_timeout', array( &$this, 'bump_request_timeout' ) );
+		add_action( 'wp_import_insert_post', array( $this, 'record_created_post' ) );
+		add_action( 'wp_import_insert_comment', array( $this, 'record_created_comment' ) );
+		add_action( 'wp_import_insert_term', array( $this, 'record_created_term' ), 10, 2 );
+	}
 
-		$this->import_start( $file );
-
+	/**
+	 * Turns off the options the parsed file or this site can't support.
+	 */
+	protected function check_import_options() {
 		/**
 		 * If URL rewriting was requested but the WP version is too old, report
 		 * an error and disable it.
@@ -118,320 +386,1688 @@ class WP_Import extends WP_Importer {
 		 * polyfill shipped with this plugin and make URL rewriting work in any
 		 * WordPress version.
 		 */
-		if ( $this->options['rewrite_urls'] && version_compare( get_bloginfo( 'version' ), '6.7', '<' ) ) {
+		if ( ( $this->options['rewrite_urls'] || $this->options['url_mapping'] ) && version_compare( get_bloginfo( 'version' ), '6.7', '<' ) ) {
 			echo '<div class="error"><p><strong>' . __( 'URL rewriting requires WordPress 6.7 or newer. The import will continue without rewriting URLs.', 'wordpress-importer' ) . '</strong></p></div>';
 			$this->options['rewrite_urls'] = false;
+			$this->options['url_mapping']  = array();
 		}
 		// URL rewriting is only possible when we have the previous site base URL
 		if ( $this->options['rewrite_urls'] && ! $this->base_url_parsed ) {
 			$this->options['rewrite_urls'] = false;
 		}
+	}
 
-		$this->get_author_mapping();
-
-		wp_suspend_cache_invalidation( true );
-		$this->process_categories();
-		$this->process_tags();
-		$this->process_terms();
-		$this->process_posts();
-		wp_suspend_cache_invalidation( false );
+	/**
+	 * The URL changes the 'url_mapping' import option asks for, with the ones
+	 * that aren't valid http(s) URLs left out. Longer URLs come first, so a
+	 * path prefix change wins over a change of its whole host.
+	 *
+	 * @return string[] Old URL => new URL, both with a trailing slash.
+	 */
+	protected function get_custom_url_mapping() {
+		$mapping = array();
+		if ( empty( $this->options['url_mapping'] ) ) {
+			return $mapping;
+		}
 
-		// update incorrect/missing information in the DB
-		$this->backfill_parents();
-		$this->backfill_attachment_urls();
-		$this->remap_featured_images();
+		foreach ( $this->options['url_mapping'] as $from => $to ) {
+			$from_url = WPURL::parse( rtrim( $from, '/' ) . '/' );
+			$to_url   = WPURL::parse( rtrim( $to, '/' ) . '/' );
+			if ( ! $from_url || ! $to_url || ! in_array( $from_url->protocol, array( 'http:', 'https:' ), true ) || ! in_array( $to_url->protocol, array( 'http:', 'https:' ), true ) ) {
+				continue;
+			}
+			$mapping[ $from_url->toString() ] = $to_url->toString();
+		}
 
-		$this->import_end();
+		uksort(
+			$mapping,
+			function ( $a, $b ) {
+				return strlen( $b ) - strlen( $a );
+			}
+		);
+		return $mapping;
 	}
 
 	/**
-	 * Parses the WXR file and prepares us for the task of processing parsed data
+	 * The URL changes made to imported post content: those of the 'url_mapping'
+	 * import option, then the previous site's base URL to this site's if
+	 * 'rewrite_urls' is on. wp_rewrite_urls() applies the first one a URL matches.
 	 *
-	 * @param string $file Path to the WXR file for importing
+	 * @return string[] Old URL => new URL. Empty if no URLs are rewritten.
 	 */
-	public function import_start( $file ) {
-		if ( ! is_file( $file ) ) {
-			echo '<p><strong>' . __( 'Sorry, there has been an error.', 'wordpress-importer' ) . '</strong><br />';
-			echo __( 'The file does not exist, please try again.', 'wordpress-importer' ) . '</p>';
-			$this->footer();
-			die();
+	public function get_url_mapping() {
+		$mapping = $this->get_custom_url_mapping();
+		if ( $this->options['rewrite_urls'] && ! isset( $mapping[ $this->base_url_parsed->toString() ] ) ) {
+			$mapping[ $this->base_url_parsed->toString() ] = $this->site_url_parsed->toString();
 		}
+		return $mapping;
+	}
 
-		$import_data = $this->parse( $file );
-
-		if ( is_wp_error( $import_data ) ) {
-			/** @var WP_Error $import_error */
-			$import_error = $import_data;
-			echo '<p><strong>' . __( 'Sorry, there has been an error.', 'wordpress-importer' ) . '</strong><br />';
-			echo esc_html( $import_error->get_error_message() ) . '</p>';
-			$this->footer();
-			die();
+	/**
+	 * Rewrites the URLs in post content or an excerpt. Works like
+	 * wp_rewrite_urls(), but also tells which URLs it changed.
+	 *
+	 * @param string   $markup         Block markup.
+	 * @param string[] $url_mapping    See get_url_mapping().
+	 * @param string[] $rewritten_urls Gets the URLs that were changed: old URL => new URL,
+	 *                                 as they're written in the markup.
+	 * @return string
+	 */
+	public function rewrite_content( $markup, $url_mapping, &$rewritten_urls = array() ) {
+		$mapping = array();
+		foreach ( $url_mapping as $from => $to ) {
+			$mapping[] = array( WPURL::parse( $from ), WPURL::parse( $to ) );
 		}
 
-		$this->version = $import_data['version'];
-		$this->get_authors_from_import( $import_data );
-		$this->posts      = $import_data['posts'];
-		$this->terms      = $import_data['terms'];
-		$this->categories = $import_data['categories'];
-		$this->tags       = $import_data['tags'];
-		$this->base_url   = esc_url( $import_data['base_url'] );
-
-		/**
-		 * Add trailing slash to base URL and site URL. Without the trailing slashes,
-		 * the WHATWG URL spec tells us compare the parent pathname. For example:
-		 *
-		 * > is_child_url_of("https://example.com/path", "https://example.com/path-2")
-		 * true
-		 *
-		 * The example above actually ignores the `/path` and `/path-2` parts and only
-		 * compares the `example.com` parts.
-		 *
-		 * With the trailing slashes, the result is false:
-		 *
-		 * > is_child_url_of("https://example.com/path/", "https://example.com/path-2/")
-		 * false
-		 *
-		 * In this scenario, `/path/` and `/path-2/` are considered in the comparison.
-		 */
-		$base_url_with_trailing_slash = rtrim( $import_data['base_url'], '/' ) . '/';
-		$this->base_url_parsed        = WPURL::parse( $base_url_with_trailing_slash );
-
-		$site_url_with_trailing_slash = rtrim( get_site_url(), '/' ) . '/';
-		$this->site_url_parsed        = WPURL::parse( $site_url_with_trailing_slash );
+		// relative URLs in the content are relative to the previous site
+		$base_url = $this->base_url_parsed ? $this->base_url_parsed->toString() : key( $url_mapping );
 
-		wp_defer_term_counting( true );
-		wp_defer_comment_counting( true );
+		$processor = new BlockMarkupUrlProcessor( $markup, $base_url );
+		while ( $processor->next_url() ) {
+			foreach ( $mapping as list( $from_url, $to_url ) ) {
+				if ( is_child_url_of( $processor->get_parsed_url(), $from_url ) ) {
+					$old_url = $processor->get_raw_url();
+					if ( $processor->replace_base_url( $to_url ) && $old_url !== $processor->get_raw_url() ) {
+						$rewritten_urls[ $old_url ] = $processor->get_raw_url();
+					}
+					break;
+				}
+			}
+		}
+		return $processor->get_updated_html();
+	}
 
-		do_action( 'import_start' );
+	/**
+	 * Starts the log of the import of the uploaded file $this->id, and removes
+	 * the oldest logs beyond the number the wp_import_log_limit filter keeps.
+	 *
+	 * @param string $file Path to the WXR file.
+	 */
+	protected function start_log( $file ) {
+		$this->import_log       = new WP_Import_Log( $this->id );
+		$this->import_log->file = wp_basename( $file );
+		$this->import_log->delete();
+		$this->import_log->save();
+
+		$limit = max( 1, (int) apply_filters( 'wp_import_log_limit', 10 ) );
+		foreach ( array_slice( WP_Import_Log::get_all(), $limit ) as $log ) {
+			$log->delete();
+		}
 	}
 
 	/**
-	 * Performs post-import cleanup of files and the cache
+	 * Starts recording what the import creates, so it can be rolled back.
+	 *
+	 * @param string $file Path to the WXR file.
 	 */
-	public function import_end() {
-		wp_import_cleanup( $this->id );
+	protected function start_rollback( $file ) {
+		$this->import_rollback       = new WP_Import_Rollback( $this->id );
+		$this->import_rollback->file = wp_basename( $file );
+		$this->import_rollback->save();
+	}
 
-		wp_cache_flush();
-		foreach ( get_taxonomies() as $tax ) {
-			delete_option( "{$tax}_children" );
-			_get_term_hierarchy( $tax );
+	/**
+	 * Records an item the import created, see WP_Import_Rollback.
+	 *
+	 * @param string $type     'posts', 'comments', 'terms' or 'users'.
+	 * @param int    $id
+	 * @param string $taxonomy Taxonomy of a term.
+	 */
+	protected function record_created( $type, $id, $taxonomy = '' ) {
+		if ( $this->import_rollback ) {
+			$this->import_rollback->add( $type, $id, $taxonomy );
 		}
+	}
 
-		wp_defer_term_counting( false );
-		wp_defer_comment_counting( false );
-
-		echo '<p>' . __( 'All done.', 'wordpress-importer' ) . ' <a href="' . admin_url() . '">' . __( 'Have fun!', 'wordpress-importer' ) . '</a>' . '</p>';
-		echo '<p>' . __( 'Remember to update the passwords and roles of imported users.', 'wordpress-importer' ) . '</p>';
+	/**
+	 * Records a post the import created. Hooked to wp_import_insert_post.
+	 *
+	 * @param int|WP_Error $post_id
+	 */
+	public function record_created_post( $post_id ) {
+		if ( ! is_wp_error( $post_id ) && $post_id ) {
+			$this->record_created( 'posts', $post_id );
+		}
+	}
 
-		do_action( 'import_end' );
+	/**
+	 * Records a comment the import created. Hooked to wp_import_insert_comment.
+	 *
+	 * @param int $comment_id
+	 */
+	public function record_created_comment( $comment_id ) {
+		if ( $comment_id ) {
+			$this->record_created( 'comments', $comment_id );
+		}
 	}
 
 	/**
-	 * Handles the WXR upload and initial parsing of the file to prepare for
-	 * displaying author import options
+	 * Records a term the import created for a post. Hooked to wp_import_insert_term.
 	 *
-	 * @return bool False if error uploading or invalid file, true otherwise
+	 * @param array $t    Term and term taxonomy IDs, see wp_insert_term().
+	 * @param array $term Term data from the WXR file.
 	 */
-	public function handle_upload() {
-		$file = wp_import_handle_upload();
+	public function record_created_term( $t, $term ) {
+		$this->record_created( 'terms', $t['term_id'], ( 'tag' == $term['domain'] ) ? 'post_tag' : $term['domain'] );
+	}
 
-		if ( isset( $file['error'] ) ) {
-			echo '<p><strong>' . __( 'Sorry, there has been an error.', 'wordpress-importer' ) . '</strong><br />';
-			echo esc_html( $file['error'] ) . '</p>';
-			return false;
-		} elseif ( ! file_exists( $file['file'] ) ) {
-			echo '<p><strong>' . __( 'Sorry, there has been an error.', 'wordpress-importer' ) . '</strong><br />';
-			printf( __( 'The export file could not be found at <code>%s</code>. It is likely that this was caused by a permissions problem.', 'wordpress-importer' ), esc_html( $file['file'] ) );
-			echo '</p>';
-			return false;
+	/**
+	 * Prints a message about an item of the import and adds it to the import log.
+	 *
+	 * @param string        $severity 'error', 'warning', 'notice' or 'info'. Info is only logged.
+	 * @param string        $message  HTML.
+	 * @param array         $item     What the message is about: 'type', 'original_id', 'guid'
+	 *                                and 'new_id', see WP_Import_Log::add().
+	 * @param WP_Error|null $error    Why something failed. Always logged, but only printed
+	 *                                with IMPORT_DEBUG on.
+	 */
+	public function log( $severity, $message, $item = array(), $error = null ) {
+		if ( 'info' !== $severity && ! $this->log_quietly ) {
+			echo $message;
+			if ( $error && defined( 'IMPORT_DEBUG' ) && IMPORT_DEBUG ) {
+				echo ': ' . $error->get_error_message();
+			}
+			echo '<br />';
 		}
 
-		$this->id    = (int) $file['id'];
-		$import_data = $this->parse( $file['file'] );
-		if ( is_wp_error( $import_data ) ) {
-			/** @var WP_Error $import_error */
-			$import_error = $import_data;
-			echo '<p><strong>' . __( 'Sorry, there has been an error.', 'wordpress-importer' ) . '</strong><br />';
-			echo esc_html( $import_error->get_error_message() ) . '</p>';
-			return false;
+		if ( ! $this->import_log ) {
+			return;
 		}
 
-		$this->version = $import_data['version'];
-		if ( $this->version > $this->max_wxr_version ) {
-			echo '<div class="error"><p><strong>';
-			printf( __( 'This WXR file (version %s) may not be supported by this version of the importer. Please consider updating.', 'wordpress-importer' ), esc_html( $import_data['version'] ) );
-			echo '</strong></p></div>';
+		if ( $error ) {
+			$message .= ': ' . $error->get_error_message();
 		}
-
-		$this->get_authors_from_import( $import_data );
-
-		return true;
+		$this->import_log->add(
+			array_merge(
+				$item,
+				array(
+					'severity' => $severity,
+					'phase'    => $this->log_phase,
+					'message'  => $message,
+				)
+			)
+		);
 	}
 
 	/**
-	 * Retrieve authors from parsed WXR data
-	 *
-	 * Uses the provided author information from WXR 1.1 files
-	 * or extracts info from each post for WXR 1.0 files
+	 * Logs a term that was imported or found to exist.
 	 *
-	 * @param array $import_data Data returned by a WXR parser
+	 * @param string     $taxonomy
+	 * @param string     $name        Term name or slug from the WXR file.
+	 * @param int|string $original_id Term ID in the WXR file.
+	 * @param array      $processed   See process_term(), with 'mapped' if the term
+	 *                                was mapped to an existing one.
 	 */
-	public function get_authors_from_import( $import_data ) {
-		if ( ! empty( $import_data['authors'] ) ) {
-			$this->authors = $import_data['authors'];
-			// no author information, grab it from the posts
+	protected function log_term( $taxonomy, $name, $original_id, $processed ) {
+		$taxonomy_object = get_taxonomy( $taxonomy );
+		$label           = $taxonomy_object ? $taxonomy_object->labels->singular_name : $taxonomy;
+		if ( $processed['created'] ) {
+			/* translators: 1: Taxonomy name, e.g. "Category". 2: Term name. */
+			$message = sprintf( __( 'Imported %1$s &#8220;%2$s&#8221;.', 'wordpress-importer' ), $label, esc_html( $name ) );
+		} elseif ( ! empty( $processed['mapped'] ) ) {
+			$term = get_term( $processed['term_id'], $taxonomy );
+			/* translators: 1: Taxonomy name, e.g. "Category". 2: Term name from the file. 3: Name of the existing term. */
+			$message = sprintf( __( '%1$s &#8220;%2$s&#8221; was mapped to &#8220;%3$s&#8221;.', 'wordpress-importer' ), $label, esc_html( $name ), esc_html( $term && ! is_wp_error( $term ) ? $term->name : $processed['term_id'] ) );
 		} else {
-			foreach ( $import_data['posts'] as $post ) {
+			/* translators: 1: Taxonomy name, e.g. "Category". 2: Term name. */
+			$message = sprintf( __( '%1$s &#8220;%2$s&#8221; already exists.', 'wordpress-importer' ), $label, esc_html( $name ) );
+		}
+
+		$this->log(
+			'info',
+			$message,
+			array(
+				'type'        => $taxonomy,
+				'original_id' => $original_id,
+				'new_id'      => $processed['term_id'],
+			)
+		);
+	}
+
+	/**
+	 * @param array $post   Post data from the WXR file.
+	 * @param int   $new_id ID of the post on this site, if it's there.
+	 * @return array What a log record about the post is about, see log().
+	 */
+	public function get_log_item( $post, $new_id = 0 ) {
+		return array(
+			'type'        => $post['post_type'],
+			'original_id' => $post['post_id'],
+			'guid'        => $post['guid'],
+			'new_id'      => $new_id,
+		);
+	}
+
+	/**
+	 * Phases the log records are about, with their labels for the log screen.
+	 *
+	 * @return string[] Phase => label.
+	 */
+	public function get_log_phases() {
+		return array_merge(
+			array( 'authors' => __( 'Authors', 'wordpress-importer' ) ),
+			$this->get_batch_phases(),
+			array( 'downloads' => __( 'Attachment files', 'wordpress-importer' ) )
+		);
+	}
+
+	/**
+	 * @return string[] Severity => label, the most severe first.
+	 */
+	public function get_log_severities() {
+		return array(
+			'error'   => __( 'Error', 'wordpress-importer' ),
+			'warning' => __( 'Warning', 'wordpress-importer' ),
+			'notice'  => __( 'Notice', 'wordpress-importer' ),
+			'info'    => __( 'Info', 'wordpress-importer' ),
+		);
+	}
+
+	/**
+	 * @param int $import_id WXR attachment ID.
+	 * @return string URL of the log screen of the import.
+	 */
+	public function get_log_url( $import_id ) {
+		return wp_nonce_url( admin_url( 'admin.php?import=wordpress&step=4&import_id=' . (int) $import_id ), 'import-wordpress-log' );
+	}
+
+	/**
+	 * Import phases in the order they run, with their labels for the progress screen.
+	 *
+	 * Each phase is the name of the method that runs it.
+	 *
+	 * @return string[] Method name => label.
+	 */
+	public function get_batch_phases() {
+		return array(
+			'process_categories'       => __( 'Categories', 'wordpress-importer' ),
+			'process_tags'             => __( 'Tags', 'wordpress-importer' ),
+			'process_terms'            => __( 'Terms', 'wordpress-importer' ),
+			'process_posts'            => __( 'Posts, pages, media and menu items', 'wordpress-importer' ),
+			'backfill_parents'         => __( 'Parent posts and menu items', 'wordpress-importer' ),
+			'backfill_attachment_urls' => __( 'Attachment URLs', 'wordpress-importer' ),
+			'remap_featured_images'    => __( 'Featured images', 'wordpress-importer' ),
+		);
+	}
+
+	/**
+	 * The parsed items each phase works through, one at a time. Phases that
+	 * aren't listed run in a single step.
+	 *
+	 * Each list is passed through its filter, e.g. wp_import_posts, here
+	 * rather than when its phase imports an item.
+	 *
+	 * @return array[] Method name => list of items.
+	 */
+	protected function get_batch_items() {
+		return array(
+			'process_categories' => array_values( (array) apply_filters( 'wp_import_categories', $this->categories ) ),
+			'process_tags'       => array_values( (array) apply_filters( 'wp_import_tags', $this->tags ) ),
+			'process_terms'      => array_values( (array) apply_filters( 'wp_import_terms', $this->terms ) ),
+			'process_posts'      => array_values( (array) apply_filters( 'wp_import_posts', $this->posts ) ),
+		);
+	}
+
+	/**
+	 * Everything the importer has learned so far that later batches need,
+	 * i.e. the options and the mappings from old to new IDs.
+	 *
+	 * @return array
+	 */
+	public function get_import_state() {
+		$state = array();
+		foreach ( array( 'options', 'base_url', 'fetch_attachments', 'processed_authors', 'author_mapping', 'processed_terms', 'processed_posts', 'post_orphans', 'processed_menu_items', 'menu_item_orphans', 'missing_menu_items', 'url_remap', 'featured_images', 'update_summary' ) as $key ) {
+			$state[ $key ] = $this->$key;
+		}
+		return $state;
+	}
+
+	/**
+	 * Restores what get_import_state() returned.
+	 *
+	 * @param array $state
+	 */
+	public function set_import_state( $state ) {
+		foreach ( $state as $key => $value ) {
+			if ( property_exists( $this, $key ) ) {
+				$this->$key = $value;
+			}
+		}
+	}
+
+	/**
+	 * Starts an import that runs over several requests, see import_batch().
+	 *
+	 * Parses the file and maps or creates the authors, like the start of
+	 * import() does, then stores a session for the batches to work from,
+	 * with the items they import.
+	 *
+	 * @param string       $file    Path to the WXR file for importing. $this->id must be its attachment ID.
+	 * @param array        $options See import().
+	 * @param array[]|null $authors See get_author_mapping().
+	 * @return WP_Import_Session|WP_Error WP_Error if the file can't be read.
+	 */
+	public function start_batched_import( $file, $options = array(), $authors = null ) {
+		$this->set_import_options( $options );
+		$this->add_import_filters();
+
+		// Read first, so that a file that can't be read leaves no log or rollback behind.
+		$import_data = $this->read_file( $file );
+		if ( is_wp_error( $import_data ) ) {
+			return $import_data;
+		}
+
+		$this->start_log( $file );
+		$this->start_rollback( $file );
+		$this->log_phase = 'authors';
+
+		$this->import_start( $file, $import_data );
+		$this->check_import_options();
+
+		$this->get_author_mapping( $authors );
+		$this->import_log->flush();
+		$this->import_rollback->save();
+
+		$session        = new WP_Import_Session( $this->id );
+		$session->phase = key( $this->get_batch_phases() );
+		$items          = $this->get_batch_items();
+		foreach ( $this->get_batch_phases() as $phase => $label ) {
+			$session->totals[ $phase ] = isset( $items[ $phase ] ) ? count( $items[ $phase ] ) : 1;
+		}
+		$session->state = $this->get_import_state();
+		$session->save_items( $items );
+		$session->save();
+
+		return $session;
+	}
+
+	/**
+	 * Imports items of a batched import until the time limit is reached.
+	 *
+	 * The items come from the session, as parsed and filtered when the import
+	 * started. They are imported one at a time, by calling the phase method
+	 * (e.g. process_posts()) with just that item, and the session is saved
+	 * after the last one. If the request dies partway through,
+	 * save_interrupted_batch() stores the session as it was before the item
+	 * that was being imported, so the next batch starts over with that item.
+	 * The post, terms and comments it had already created are found as
+	 * existing ones, and meta it had already added isn't added again.
+	 *
+	 * The caller should hold the session's lock.
+	 *
+	 * @param WP_Import_Session $session
+	 * @param float             $time_limit Seconds after which no new item is started.
+	 *                                      At least one item is imported regardless.
+	 * @return bool True if the import is done.
+	 */
+	public function import_batch( $session, $time_limit ) {
+		$deadline = microtime( true ) + $time_limit;
+
+		$this->id = $session->id;
+		$this->set_import_state( $session->state );
+
+		$this->batch_session    = $session;
+		$this->batch_checkpoint = array( $session->phase, $session->offset, $session->state );
+		register_shutdown_function( array( $this, 'save_interrupted_batch' ) );
+
+		$this->add_import_filters();
+		$this->set_base_url( $this->base_url );
+		$this->import_log      = WP_Import_Log::get( $session->id );
+		$this->import_rollback = WP_Import_Rollback::get( $session->id );
+
+		// As import_start() does for a whole import.
+		wp_defer_term_counting( true );
+		wp_defer_comment_counting( true );
+		do_action( 'import_start' );
+
+		$phases = array_keys( $this->get_batch_phases() );
+
+		$this->retrying_item  = $session->interrupted;
+		$session->interrupted = false;
+
+		$done = '' === $session->phase;
+		while ( ! $done ) {
+			$phase           = $session->phase;
+			$this->log_phase = $phase;
+			$item            = $session->get_item( $phase, $session->offset );
+			if ( null !== $item ) {
+				// process_posts() imports $this->posts, and so on.
+				$property        = substr( $phase, strlen( 'process_' ) );
+				$this->$property = array( $item );
+				wp_suspend_cache_invalidation( true );
+				$this->$phase();
+				wp_suspend_cache_invalidation( false );
+				++$session->offset;
+			} else {
+				if ( ! $session->has_items( $phase ) ) {
+					$this->$phase();
+				}
+
+				$next = array_search( $phase, $phases, true ) + 1;
+				if ( isset( $phases[ $next ] ) ) {
+					$session->phase  = $phases[ $next ];
+					$session->offset = 0;
+				} else {
+					$session->phase = '';
+					$done           = true;
+				}
+			}
+
+			$this->retrying_item    = false;
+			$session->state         = $this->get_import_state();
+			$this->batch_checkpoint = array( $session->phase, $session->offset, $session->state );
+
+			if ( microtime( true ) >= $deadline ) {
+				break;
+			}
+		}
+
+		$this->batch_session = null;
+
+		if ( $done ) {
+			$this->import_end();
+			$session->delete();
+		} else {
+			$session->save();
+			// import_end() does this for the last batch.
+			wp_defer_term_counting( false );
+			wp_defer_comment_counting( false );
+		}
+
+		if ( $this->import_log ) {
+			$this->import_log->flush();
+		}
+		if ( $this->import_rollback ) {
+			$this->import_rollback->save();
+		}
+
+		return $done;
+	}
+
+	/**
+	 * Saves the session of a batch that ended early, e.g. on a fatal error or
+	 * when the server ran out of time, as it was after the last fully imported
+	 * item. Registered as a shutdown function by import_batch().
+	 */
+	public function save_interrupted_batch() {
+		if ( ! $this->batch_session ) {
+			return;
+		}
+
+		list( $this->batch_session->phase, $this->batch_session->offset, $this->batch_session->state ) = $this->batch_checkpoint;
+		$this->batch_session->interrupted = true;
+		$this->batch_session->save();
+		$this->batch_session->unlock();
+		$this->batch_session = null;
+
+		if ( $this->import_log ) {
+			$this->import_log->flush();
+		}
+		// Whatever the item had created before the request died is found as existing on the next try.
+		if ( $this->import_rollback ) {
+			$this->import_rollback->save();
+		}
+	}
+
+	/**
+	 * How far a batched import has got.
+	 *
+	 * @param WP_Import_Session $session
+	 * @return array[] Phase => array( 'label', 'done', 'total', 'status' ), where
+	 *                 status is 'done', 'running' or 'waiting'.
+	 */
+	public function get_batch_progress( $session ) {
+		$progress = array();
+		$status   = 'done';
+		foreach ( $this->get_batch_phases() as $phase => $label ) {
+			$total = isset( $session->totals[ $phase ] ) ? (int) $session->totals[ $phase ] : 0;
+			if ( $phase === $session->phase ) {
+				$status = 'running';
+			} elseif ( 'running' === $status ) {
+				$status = 'waiting';
+			}
+
+			if ( 'done' === $status ) {
+				$done = $total;
+			} elseif ( 'running' === $status ) {
+				$done = min( (int) $session->offset, $total );
+			} else {
+				$done = 0;
+			}
+
+			$progress[ $phase ] = array(
+				'label'  => $label,
+				'done'   => $done,
+				'total'  => $total,
+				'status' => $status,
+			);
+		}
+		return $progress;
+	}
+
+	/**
+	 * Seconds each batch may spend importing, see import_batch().
+	 *
+	 * @return float
+	 */
+	public function batch_time_limit() {
+		return (float) apply_filters( 'wp_import_batch_time_limit', 10 );
+	}
+
+	/**
+	 * Runs one batch for the progress screen, over admin-ajax.php.
+	 *
+	 * Responds with whether the import is done, the progress of each phase and
+	 * the messages the batch printed.
+	 */
+	public function ajax_batch() {
+		check_ajax_referer( 'import-wordpress-batch' );
+
+		if ( ! current_user_can( 'import' ) ) {
+			wp_send_json_error( array( 'message' => __( 'Sorry, you are not allowed to import content into this site.', 'wordpress-importer' ) ), 403 );
+		}
+
+		$session = WP_Import_Session::get( isset( $_POST['import_id'] ) ? (int) $_POST['import_id'] : 0 );
+		if ( ! $session ) {
+			wp_send_json_error( array( 'message' => __( 'This import has already finished or no longer exists.', 'wordpress-importer' ) ), 404 );
+		}
+		if ( ! $session->started_by_current_user() ) {
+			wp_send_json_error( array( 'message' => __( 'Only the user who started this import can run it.', 'wordpress-importer' ) ), 403 );
+		}
+
+		$batch = $this->run_batch( $session );
+		if ( is_wp_error( $batch ) ) {
+			wp_send_json_error( array( 'message' => $batch->get_error_message() ), 409 );
+		}
+
+		$queue = $batch['done'] ? WP_Import_Download_Queue::get( $session->id ) : null;
+
+		wp_send_json_success(
+			array(
+				'done'      => $batch['done'],
+				'progress'  => $this->get_batch_progress( $session ),
+				'log'       => $batch['log'],
+				'downloads' => $queue ? $queue->get_downloads() : array(),
+			)
+		);
+	}
+
+	/**
+	 * Runs one batch of an import, unless another request is running one.
+	 * Callers check that the current user started the import.
+	 *
+	 * @param WP_Import_Session $session
+	 * @return array|WP_Error array( 'done', 'log' ), where log is what the batch printed.
+	 */
+	public function run_batch( $session ) {
+		if ( ! $session->lock() ) {
+			return new WP_Error( 'import_running', __( 'This import is already running, e.g. in another browser window.', 'wordpress-importer' ) );
+		}
+
+		ob_start();
+		$done = $this->import_batch( $session, $this->batch_time_limit() );
+		$log  = ob_get_clean();
+		$session->unlock();
+
+		return array(
+			'done' => $done,
+			'log'  => $log,
+		);
+	}
+
+	/**
+	 * Parses the WXR file and prepares us for the task of processing parsed data
+	 *
+	 * @param string     $file        Path to the WXR file for importing
+	 * @param array|null $import_data The file as read_file() returned it, if it was read already.
+	 */
+	public function import_start( $file, $import_data = null ) {
+		if ( null === $import_data ) {
+			$import_data = $this->read_file( $file );
+		}
+
+		if ( is_wp_error( $import_data ) ) {
+			/** @var WP_Error $import_error */
+			$import_error = $import_data;
+			echo '<p><strong>' . __( 'Sorry, there has been an error.', 'wordpress-importer' ) . '</strong><br />';
+			echo esc_html( $import_error->get_error_message() ) . '</p>';
+			$this->footer();
+			die();
+		}
+
+		// later batches read the file with the same parser, without trying the ones that failed
+		$this->options['parser'] = $this->wxr_parser->parser;
+
+		$this->version = $import_data['version'];
+		$this->get_authors_from_import( $import_data );
+		$this->posts      = $import_data['posts'];
+		$this->terms      = $import_data['terms'];
+		$this->categories = $import_data['categories'];
+		$this->tags       = $import_data['tags'];
+		$this->set_base_url( $import_data['base_url'] );
+
+		wp_defer_term_counting( true );
+		wp_defer_comment_counting( true );
+
+		do_action( 'import_start' );
+	}
+
+	/**
+	 * Parses the WXR file for import_start(), without printing anything.
+	 *
+	 * @param string $file Path to the WXR file for importing
+	 * @return array|WP_Error The parsed file, see parse().
+	 */
+	protected function read_file( $file ) {
+		if ( ! is_file( $file ) ) {
+			return new WP_Error( 'import_file_error', __( 'The file does not exist, please try again.', 'wordpress-importer' ) );
+		}
+		return $this->parse( $file );
+	}
+
+	/**
+	 * Sets the previous site's base URL, which relative URLs and the URLs that
+	 * are rewritten start with, and this site's URL it's rewritten to.
+	 *
+	 * @param string $base_url
+	 */
+	public function set_base_url( $base_url ) {
+		$this->base_url = esc_url( $base_url );
+
+		/**
+		 * Add trailing slash to base URL and site URL. Without the trailing slashes,
+		 * the WHATWG URL spec tells us compare the parent pathname. For example:
+		 *
+		 * > is_child_url_of("https://example.com/path", "https://example.com/path-2")
+		 * true
+		 *
+		 * The example above actually ignores the `/path` and `/path-2` parts and only
+		 * compares the `example.com` parts.
+		 *
+		 * With the trailing slashes, the result is false:
+		 *
+		 * > is_child_url_of("https://example.com/path/", "https://example.com/path-2/")
+		 * false
+		 *
+		 * In this scenario, `/path/` and `/path-2/` are considered in the comparison.
+		 */
+		$base_url_with_trailing_slash = rtrim( $base_url, '/' ) . '/';
+		$this->base_url_parsed        = WPURL::parse( $base_url_with_trailing_slash );
+
+		$site_url_with_trailing_slash = rtrim( get_site_url(), '/' ) . '/';
+		$this->site_url_parsed        = WPURL::parse( $site_url_with_trailing_slash );
+	}
+
+	/**
+	 * Performs post-import cleanup of files and the cache
+	 */
+	public function import_end() {
+		if ( ! empty( $this->options['queue_downloads'] ) ) {
+			$this->save_download_queue();
+		}
+
+		wp_import_cleanup( $this->id );
+
+		wp_cache_flush();
+		foreach ( get_taxonomies() as $tax ) {
+			delete_option( "{$tax}_children" );
+			_get_term_hierarchy( $tax );
+		}
+
+		wp_defer_term_counting( false );
+		wp_defer_comment_counting( false );
+
+		echo '<p>' . __( 'All done.', 'wordpress-importer' ) . ' <a href="' . admin_url() . '">' . __( 'Have fun!', 'wordpress-importer' ) . '</a>' . '</p>';
+		if ( ! empty( $this->options['update'] ) ) {
+			( new WP_Import_Update_Mode( $this ) )->update_summary_list();
+		}
+		echo '<p>' . __( 'Remember to update the passwords and roles of imported users.', 'wordpress-importer' ) . '</p>';
+		if ( $this->import_log ) {
+			echo '<p><a href="' . esc_url( $this->get_log_url( $this->id ) ) . '">' . __( 'View the import log', 'wordpress-importer' ) . '</a></p>';
+		}
+
+		do_action( 'import_end' );
+	}
+
+	/**
+	 * Handles the WXR upload and initial parsing of the file to prepare for
+	 * displaying author import options
+	 *
+	 * @return bool False if error uploading or invalid file, true otherwise
+	 */
+	public function handle_upload() {
+		$upload = new WP_Import_Upload();
+		if ( ! empty( $_POST['import_id'] ) ) {
+			// uploaded in parts by the upload form, see WP_Import_Upload::ajax_upload()
+			$file = $upload->get_uploaded_file( (int) $_POST['import_id'] );
+		} elseif ( isset( $_POST['import_source'] ) ) {
+			// sent by the download form without JavaScript, see WP_Import_Upload::ajax_fetch() for the download in parts
+			if ( ! current_user_can( 'upload_files' ) ) {
+				$file = array( 'error' => __( 'Sorry, you are not allowed to import content into this site.', 'wordpress-importer' ) );
+			} else {
+				$file = $upload->fetch_file( wp_unslash( $_POST['import_source'] ) );
+				if ( is_wp_error( $file ) ) {
+					$file = array( 'error' => $file->get_error_message() );
+				}
+			}
+		} else {
+			$file = wp_import_handle_upload();
+		}
+
+		if ( isset( $file['error'] ) ) {
+			echo '<p><strong>' . __( 'Sorry, there has been an error.', 'wordpress-importer' ) . '</strong><br />';
+			echo esc_html( $file['error'] ) . '</p>';
+			return false;
+		} elseif ( ! file_exists( $file['file'] ) ) {
+			echo '<p><strong>' . __( 'Sorry, there has been an error.', 'wordpress-importer' ) . '</strong><br />';
+			printf( __( 'The export file could not be found at <code>%s</code>. It is likely that this was caused by a permissions problem.', 'wordpress-importer' ), esc_html( $file['file'] ) );
+			echo '</p>';
+			return false;
+		}
+
+		$this->id = (int) $file['id'];
+		$this->set_import_options( array( 'parser' => $this->get_posted_parser() ) );
+		$import_data = $this->parse( $file['file'] );
+		if ( is_wp_error( $import_data ) ) {
+			/** @var WP_Error $import_error */
+			$import_error = $import_data;
+			echo '<p><strong>' . __( 'Sorry, there has been an error.', 'wordpress-importer' ) . '</strong><br />';
+			echo esc_html( $import_error->get_error_message() ) . '</p>';
+			return false;
+		}
+
+		$this->version = $import_data['version'];
+		if ( $this->version > $this->max_wxr_version ) {
+			echo '<div class="error"><p><strong>';
+			printf( __( 'This WXR file (version %s) may not be supported by this version of the importer. Please consider updating.', 'wordpress-importer' ), esc_html( $import_data['version'] ) );
+			echo '</strong></p></div>';
+		}
+
+		$this->get_authors_from_import( $import_data );
+
+		// for the previews on the import options screen
+		$this->base_url   = esc_url( $import_data['base_url'] );
+		$this->posts      = $import_data['posts'];
+		$this->terms      = $import_data['terms'];
+		$this->categories = $import_data['categories'];
+		$this->tags       = $import_data['tags'];
+
+		return true;
+	}
+
+	/**
+	 * Retrieve authors from parsed WXR data
+	 *
+	 * Uses the provided author information from WXR 1.1 files
+	 * or extracts info from each post for WXR 1.0 files
+	 *
+	 * @param array $import_data Data returned by a WXR parser
+	 */
+	public function get_authors_from_import( $import_data ) {
+		if ( ! empty( $import_data['authors'] ) ) {
+			$this->authors = $import_data['authors'];
+			// no author information, grab it from the posts
+		} else {
+			foreach ( $import_data['posts'] as $post ) {
 				$login = sanitize_user( $post['post_author'], true );
 				if ( empty( $login ) ) {
-					printf( __( 'Failed to import author %s. Their posts will be attributed to the current user.', 'wordpress-importer' ), esc_html( $post['post_author'] ) );
-					echo '<br />';
+					$this->log(
+						'error',
+						sprintf( __( 'Failed to import author %s. Their posts will be attributed to the current user.', 'wordpress-importer' ), esc_html( $post['post_author'] ) ),
+						array( 'type' => 'user' )
+					);
 					continue;
 				}
 
-				if ( ! isset( $this->authors[ $login ] ) ) {
-					$this->authors[ $login ] = array(
-						'author_login'        => $login,
-						'author_display_name' => $post['post_author'],
-					);
+				if ( ! isset( $this->authors[ $login ] ) ) {
+					$this->authors[ $login ] = array(
+						'author_login'        => $login,
+						'author_display_name' => $post['post_author'],
+					);
+				}
+			}
+		}
+	}
+
+	/**
+	 * Counts what a parsed WXR file contains. get_authors_from_import() must
+	 * have been called with the same data.
+	 *
+	 * @param array $import_data Data returned by a WXR parser
+	 * @return array Number of 'authors', 'categories', 'tags', 'terms' and 'comments',
+	 *               and 'posts' with the number of each post type.
+	 */
+	public function get_import_summary( $import_data ) {
+		$summary = array(
+			'authors'    => count( $this->authors ),
+			'categories' => count( $import_data['categories'] ),
+			'tags'       => count( $import_data['tags'] ),
+			'terms'      => count( $import_data['terms'] ),
+			'posts'      => array(),
+			'comments'   => 0,
+		);
+		foreach ( $import_data['posts'] as $post ) {
+			$type = $post['post_type'];
+			if ( ! isset( $summary['posts'][ $type ] ) ) {
+				$summary['posts'][ $type ] = 0;
+			}
+			++$summary['posts'][ $type ];
+
+			if ( ! empty( $post['comments'] ) ) {
+				$summary['comments'] += count( $post['comments'] );
+			}
+		}
+		return $summary;
+	}
+
+	/**
+	 * Display pre-import options, author importing/mapping and option to
+	 * fetch attachments
+	 */
+	public function import_options() {
+		$j = 0;
+		if ( ! empty( $this->authors ) ) {
+			$this->author_mapping_script();
+		}
+		// phpcs:disable Generic.WhiteSpace.ScopeIndent.Incorrect
+		?>
+<form action="<?php echo admin_url( 'admin.php?import=wordpress&amp;step=2' ); ?>" method="post">
+	<?php wp_nonce_field( 'import-wordpress' ); ?>
+	<input type="hidden" name="import_id" value="<?php echo $this->id; ?>" />
+
+	<?php $this->parser_fields(); ?>
+
+<?php if ( ! empty( $this->authors ) ) : ?>
+	<h3><?php _e( 'Assign Authors', 'wordpress-importer' ); ?></h3>
+	<p><?php _e( 'To make it simpler for you to edit and save the imported content, you may want to reassign the author of the imported item to an existing user of this site, such as your primary administrator account.', 'wordpress-importer' ); ?></p>
+		<?php if ( $this->allow_create_users() ) : ?>
+	<p><?php printf( __( 'If a new user is created by WordPress, a new password will be randomly generated and the new user&#8217;s role will be set as %s. Manually changing the new user&#8217;s details will be necessary.', 'wordpress-importer' ), esc_html( get_option( 'default_role' ) ) ); ?></p>
+	<?php endif; ?>
+	<ol id="authors">
+		<?php foreach ( $this->authors as $author ) : ?>
+		<li><?php $this->author_select( $j++, $author ); ?></li>
+	<?php endforeach; ?>
+	</ol>
+		<?php endif; ?>
+
+	<?php ( new WP_Import_Term_Mapping( $this ) )->term_mapping_fields(); ?>
+
+<?php if ( $this->allow_fetch_attachments() ) : ?>
+	<h3><?php _e( 'Import Attachments', 'wordpress-importer' ); ?></h3>
+	<p>
+		<input type="checkbox" value="1" name="fetch_attachments" id="import-attachments" />
+		<label for="import-attachments"><?php _e( 'Download and import file attachments', 'wordpress-importer' ); ?></label>
+	</p>
+		<?php endif; ?>
+
+	<h3><?php _e( 'Content Options', 'wordpress-importer' ); ?></h3>
+	<p>
+		<input type="checkbox" value="1" name="rewrite_urls" id="rewrite-urls" checked="checked" />
+		<label for="rewrite-urls"><?php _e( 'Change all imported URLs that currently link to the previous site so that they now link to this site', 'wordpress-importer' ); ?></label>
+	</p>
+	<?php $this->url_mapping_fields(); ?>
+	<p>
+		<input type="checkbox" value="1" name="update_existing" id="import-update" />
+		<label for="import-update"><?php _e( 'Update the posts, pages and other items that an earlier import of this site created, instead of skipping them', 'wordpress-importer' ); ?></label>
+	</p>
+	<?php ( new WP_Import_Update_Mode( $this ) )->update_conflict_fields(); ?>
+
+	<?php $this->import_preview(); ?>
+
+	<p class="submit"><input type="submit" class="button" value="<?php esc_attr_e( 'Submit', 'wordpress-importer' ); ?>" /></p>
+</form>
+		<?php
+		// phpcs:enable Generic.WhiteSpace.ScopeIndent.Incorrect
+	}
+
+	/**
+	 * Names of the parsers, for the import options screen.
+	 *
+	 * @return string[] Parser name => label, see WXR_Parser::get_parsers().
+	 */
+	protected function get_parser_labels() {
+		return array(
+			'simplexml'    => __( 'SimpleXML', 'wordpress-importer' ),
+			'xml'          => __( 'XML Parser', 'wordpress-importer' ),
+			'xmlprocessor' => __( 'XML Processor', 'wordpress-importer' ),
+			'regex'        => __( 'Regular expressions (deprecated)', 'wordpress-importer' ),
+		);
+	}
+
+	/**
+	 * @param string $name Parser name, see WXR_Parser::get_parsers().
+	 * @return string The parser's label, or its name if it has none.
+	 */
+	protected function get_parser_label( $name ) {
+		$labels = $this->get_parser_labels();
+		return isset( $labels[ $name ] ) ? $labels[ $name ] : $name;
+	}
+
+	/**
+	 * Says which parser read the file on the import options screen, and lets
+	 * the user read it again with another one. The comparison of what each
+	 * parser reads from the file is loaded once it's opened, see
+	 * js/import-parsers.js.
+	 */
+	public function parser_fields() {
+		$labels = $this->get_parser_labels();
+		$used   = $this->wxr_parser ? $this->wxr_parser->parser : '';
+		$chosen = isset( $this->options['parser'] ) ? $this->options['parser'] : '';
+		if ( ! $chosen ) {
+			$chosen = defined( 'PREFERRED_WXR_PARSER' ) && WXR_Parser::is_available( PREFERRED_WXR_PARSER ) ? PREFERRED_WXR_PARSER : 'auto';
+		}
+
+		wp_enqueue_script( 'wordpress-importer-parsers', plugins_url( 'js/import-parsers.js', __FILE__ ), array( 'jquery' ), filemtime( __DIR__ . '/js/import-parsers.js' ), true );
+		wp_localize_script(
+			'wordpress-importer-parsers',
+			'wordpressImporterParsers',
+			array(
+				'ajaxUrl'  => admin_url( 'admin-ajax.php' ),
+				'nonce'    => wp_create_nonce( 'import-wordpress-parsers' ),
+				'importId' => $this->id,
+				'parser'   => $used,
+				'labels'   => $labels,
+				'l10n'     => array(
+					'parser'   => __( 'Parser', 'wordpress-importer' ),
+					'authors'  => __( 'Authors', 'wordpress-importer' ),
+					'posts'    => __( 'Posts', 'wordpress-importer' ),
+					'terms'    => __( 'Terms', 'wordpress-importer' ),
+					'comments' => __( 'Comments', 'wordpress-importer' ),
+					'meta'     => __( 'Custom fields', 'wordpress-importer' ),
+					'used'     => __( '(used)', 'wordpress-importer' ),
+					'loading'  => __( 'Reading the file with each parser…', 'wordpress-importer' ),
+					'failed'   => __( 'The comparison could not be loaded.', 'wordpress-importer' ),
+				),
+			)
+		);
+
+		$automatic = array();
+		foreach ( WXR_Parser::get_automatic_order() as $name ) {
+			$automatic[] = $this->get_parser_label( $name );
+		}
+
+		echo '<h3>' . __( 'Parser', 'wordpress-importer' ) . '</h3>';
+		echo '<div id="import-parser">';
+		/* translators: %s: Parser name. */
+		echo '<p id="import-parser-used" data-parser="' . esc_attr( $used ) . '">' . sprintf( __( 'This file was read with the %s parser.', 'wordpress-importer' ), '<strong>' . esc_html( $this->get_parser_label( $used ) ) . '</strong>' ) . '</p>';
+		if ( $this->wxr_parser && $this->wxr_parser->errors ) {
+			echo '<ul class="import-parser-errors">';
+			foreach ( $this->wxr_parser->errors as $name => $error ) {
+				/* translators: 1: Parser name, 2: Error message. */
+				echo '<li>' . sprintf( __( 'The %1$s parser could not read it: %2$s', 'wordpress-importer' ), esc_html( $this->get_parser_label( $name ) ), esc_html( $error->get_error_message() ) ) . '</li>';
+			}
+			echo '</ul>';
+		}
+
+		echo '<p><label for="import-parser-choice">' . __( 'Read the file with', 'wordpress-importer' ) . '</label> <select name="parser" id="import-parser-choice">';
+		/* translators: %s: Parser names, in the order they're tried. */
+		echo '<option value="auto"' . selected( $chosen, 'auto', false ) . '>' . esc_html( sprintf( __( 'Automatic: %s', 'wordpress-importer' ), implode( ', ', $automatic ) ) ) . '</option>';
+		foreach ( $labels as $name => $label ) {
+			if ( WXR_Parser::is_available( $name ) ) {
+				echo '<option value="' . esc_attr( $name ) . '"' . selected( $chosen, $name, false ) . '>' . esc_html( $label ) . '</option>';
+			}
+		}
+		echo '</select> ';
+		echo '<button type="submit" class="button" name="reread" value="1" formaction="' . esc_url( admin_url( 'admin.php?import=wordpress&step=1' ) ) . '">' . __( 'Read the file again', 'wordpress-importer' ) . '</button></p>';
+		echo '<p class="description">' . __( 'If the authors or the content below look wrong, read the file with another parser. Automatic tries the parsers in turn until one can read the file.', 'wordpress-importer' ) . '</p>';
+
+		echo '<details id="import-parser-comparison"><summary>' . __( 'Compare what each parser reads from the file', 'wordpress-importer' ) . '</summary>';
+		echo '<div class="import-parser-comparison-result" aria-live="polite"></div>';
+		echo '</details>';
+		echo '</div>';
+	}
+
+	/**
+	 * The parser picked on the import options screen, for the 'parser' import option.
+	 *
+	 * @return string Parser name, 'auto', or empty if none was picked.
+	 */
+	protected function get_posted_parser() {
+		$parser = isset( $_POST['parser'] ) && is_string( $_POST['parser'] ) ? sanitize_key( $_POST['parser'] ) : '';
+		return 'auto' === $parser || WXR_Parser::is_available( $parser ) ? $parser : '';
+	}
+
+	/**
+	 * Reads a file with every parser, to compare what they find.
+	 *
+	 * @param string $file Path to the WXR file.
+	 * @return array[] Parser name => array( 'error' ) if it couldn't read the
+	 *                 file, or else the number of 'authors', 'posts', 'terms',
+	 *                 'comments' and 'meta' it found.
+	 */
+	public function get_parser_comparison( $file ) {
+		$comparison = array();
+		foreach ( WXR_Parser::get_parsers() as $name => $class ) {
+			if ( ! WXR_Parser::is_available( $name ) ) {
+				continue;
+			}
+
+			$parser = new $class();
+			$data   = $parser->parse( $file );
+			if ( is_wp_error( $data ) ) {
+				$comparison[ $name ] = array( 'error' => $data->get_error_message() );
+				continue;
+			}
+
+			$counts = array(
+				'authors'  => count( $data['authors'] ),
+				'posts'    => count( $data['posts'] ),
+				'terms'    => count( $data['categories'] ) + count( $data['tags'] ) + count( $data['terms'] ),
+				'comments' => 0,
+				'meta'     => 0,
+			);
+			foreach ( $data['posts'] as $post ) {
+				$counts['comments'] += isset( $post['comments'] ) ? count( $post['comments'] ) : 0;
+				$counts['meta']     += isset( $post['postmeta'] ) ? count( $post['postmeta'] ) : 0;
+			}
+			$comparison[ $name ] = $counts;
+		}
+		return $comparison;
+	}
+
+	/**
+	 * Compares the parsers on the uploaded file for the import options
+	 * screen, over admin-ajax.php. Responds with get_parser_comparison().
+	 */
+	public function ajax_compare_parsers() {
+		check_ajax_referer( 'import-wordpress-parsers' );
+
+		if ( ! current_user_can( 'import' ) ) {
+			wp_send_json_error( array( 'message' => __( 'Sorry, you are not allowed to import content into this site.', 'wordpress-importer' ) ), 403 );
+		}
+
+		$file = ( new WP_Import_Upload() )->get_uploaded_file( isset( $_POST['import_id'] ) ? (int) $_POST['import_id'] : 0 );
+		if ( isset( $file['error'] ) ) {
+			wp_send_json_error( array( 'message' => $file['error'] ) );
+		}
+
+		wp_send_json_success( $this->get_parser_comparison( $file['file'] ) );
+	}
+
+	/**
+	 * Display import options for an individual author. That is, either create
+	 * a new user based on import info or map to an existing user
+	 *
+	 * @param int $n Index for each author in the form
+	 * @param array $author Author information, e.g. login, display name, email
+	 */
+	public function author_select( $n, $author ) {
+		_e( 'Import author:', 'wordpress-importer' );
+		echo ' <strong>' . esc_html( $author['author_display_name'] );
+		if ( '1.0' != $this->version ) {
+			echo ' (' . esc_html( $author['author_login'] ) . ')';
+		}
+		echo '</strong><br />';
+
+		if ( '1.0' != $this->version ) {
+			echo '<div style="margin-left:18px">';
+		}
+
+		$create_users = $this->allow_create_users();
+		if ( $create_users ) {
+			echo '<label for="user_new_' . $n . '">';
+			if ( '1.0' != $this->version ) {
+				_e( 'or create new user with login name:', 'wordpress-importer' );
+				$value = '';
+			} else {
+				_e( 'as a new user:', 'wordpress-importer' );
+				$value = esc_attr( sanitize_user( $author['author_login'], true ) );
+			}
+			echo '</label>';
+
+			echo ' <input type="text" id="user_new_' . $n . '" name="user_new[' . $n . ']" value="' . $value . '" /><br />';
+		}
+
+		echo '<label for="imported_authors_' . $n . '">';
+		if ( ! $create_users && '1.0' == $this->version ) {
+			_e( 'assign posts to an existing user:', 'wordpress-importer' );
+		} else {
+			_e( 'or assign posts to an existing user:', 'wordpress-importer' );
+		}
+		echo '</label>';
+
+		$suggestion = $this->suggest_user( $author );
+		$dropdown   = array(
+			'name'            => "user_map[$n]",
+			'id'              => 'imported_authors_' . $n,
+			'multi'           => true,
+			'show_option_all' => __( '- Select -', 'wordpress-importer' ),
+			'show'            => 'display_name_with_login',
+			'selected'        => $suggestion ? $suggestion['user']->ID : 0,
+			'echo'            => 0,
+		);
+		if ( $this->has_too_many_users() ) {
+			// js/import-authors.js searches for the others.
+			$dropdown['include'] = array_filter( array( get_current_user_id(), $dropdown['selected'] ) );
+		}
+
+		$select = wp_dropdown_users( $dropdown );
+		if ( $suggestion ) {
+			$select = str_replace( '<select ', '<select data-suggested-by="' . esc_attr( $suggestion['reason'] ) . '" ', $select );
+		}
+		echo ' ' . $select;
+
+		echo '<input type="hidden" name="imported_authors[' . $n . ']" value="' . esc_attr( $author['author_login'] ) . '" />';
+
+		if ( '1.0' != $this->version ) {
+			echo '</div>';
+		}
+	}
+
+	/**
+	 * Turns the author mapping fields on the import options screen into a
+	 * user search, see js/import-authors.js.
+	 */
+	public function author_mapping_script() {
+		wp_enqueue_script( 'wordpress-importer-authors', plugins_url( 'js/import-authors.js', __FILE__ ), array( 'jquery' ), filemtime( __DIR__ . '/js/import-authors.js' ), true );
+		wp_localize_script(
+			'wordpress-importer-authors',
+			'wordpressImporterAuthors',
+			array(
+				'ajaxUrl'     => admin_url( 'admin-ajax.php' ),
+				'nonce'       => wp_create_nonce( 'import-wordpress-users' ),
+				'createUsers' => $this->allow_create_users(),
+				'l10n'        => array(
+					'create'          => __( 'Create a new user', 'wordpress-importer' ),
+					'createAs'        => __( 'with login name:', 'wordpress-importer' ),
+					'assign'          => __( 'Assign posts to an existing user', 'wordpress-importer' ),
+					'search'          => __( 'Search users by name, login or email', 'wordpress-importer' ),
+					'noResults'       => __( 'No users found.', 'wordpress-importer' ),
+					'suggestedEmail'  => __( 'Suggested: the user with the same email address.', 'wordpress-importer' ),
+					'suggestedLogin'  => __( 'Suggested: the user with the same login name.', 'wordpress-importer' ),
+					'mapAll'          => __( 'Assign all remaining authors to', 'wordpress-importer' ),
+					'mapAllButton'    => __( 'Assign', 'wordpress-importer' ),
+					'mapAllRemaining' => __( 'Authors that are not assigned to an existing user yet are remaining.', 'wordpress-importer' ),
+				),
+			)
+		);
+	}
+
+	/**
+	 * Finds the site user an imported author most likely is: the one with the
+	 * same email address, or else the one with the same login.
+	 *
+	 * @param array $author Author details from the WXR file.
+	 * @return array|null array( 'user' => WP_User, 'reason' => 'email' or 'login' ), or null
+	 *                    if no user matches.
+	 */
+	public function suggest_user( $author ) {
+		if ( ! empty( $author['author_email'] ) ) {
+			$user = get_user_by( 'email', $author['author_email'] );
+			if ( $user ) {
+				return array(
+					'user'   => $user,
+					'reason' => 'email',
+				);
+			}
+		}
+
+		$user = get_user_by( 'login', sanitize_user( $author['author_login'], true ) );
+		if ( $user ) {
+			return array(
+				'user'   => $user,
+				'reason' => 'login',
+			);
+		}
+
+		return null;
+	}
+
+	/**
+	 * Whether the site has too many users to list them all for each imported author.
+	 *
+	 * The limit can be changed with the wp_import_author_dropdown_limit filter.
+	 *
+	 * @return bool
+	 */
+	protected function has_too_many_users() {
+		if ( null === $this->too_many_users ) {
+			$limit = (int) apply_filters( 'wp_import_author_dropdown_limit', 200 );
+			$args  = array(
+				'number' => $limit + 1,
+				'fields' => 'ID',
+			);
+
+			$this->too_many_users = count( get_users( $args ) ) > $limit;
+		}
+		return $this->too_many_users;
+	}
+
+	/**
+	 * Searches the site's users for the author mapping on the import options screen, over admin-ajax.php.
+	 *
+	 * Responds with up to 20 users whose login, email address or display name
+	 * contains the search term, as array( 'id', 'label' ).
+	 */
+	public function ajax_search_users() {
+		check_ajax_referer( 'import-wordpress-users' );
+
+		if ( ! current_user_can( 'import' ) ) {
+			wp_send_json_error( array( 'message' => __( 'Sorry, you are not allowed to import content into this site.', 'wordpress-importer' ) ), 403 );
+		}
+
+		$term = isset( $_GET['term'] ) ? trim( wp_unslash( $_GET['term'] ) ) : '';
+		if ( '' === $term ) {
+			wp_send_json_success( array() );
+		}
+
+		$query = new WP_User_Query(
+			array(
+				'search'         => '*' . $term . '*',
+				'search_columns' => array( 'user_login', 'user_email', 'user_nicename', 'display_name' ),
+				'number'         => 20,
+				'orderby'        => 'display_name',
+				'count_total'    => false,
+			)
+		);
+
+		$users = array();
+		foreach ( $query->get_results() as $user ) {
+			$users[] = array(
+				'id'    => $user->ID,
+				/* translators: 1: User's display name, 2: User login. */
+				'label' => sprintf( _x( '%1$s (%2$s)', 'user dropdown', 'wordpress-importer' ), $user->display_name, $user->user_login ),
+			);
+		}
+		wp_send_json_success( $users );
+	}
+
+	/**
+	 * Lists what the parsed file would import, and what of it is already on
+	 * this site. Nothing is written: posts are looked up the way process_post()
+	 * does before inserting them, terms by their slug.
+	 *
+	 * Menu items aren't listed, they go with their menu.
+	 *
+	 * @return array[] List of items, each with:
+	 *                 - 'key'    (string) Key of the item in the 'exclude' import option.
+	 *                 - 'kind'   (string) 'post', 'attachment', 'term' or 'menu'.
+	 *                 - 'type'   (string) Post type or taxonomy.
+	 *                 - 'status' (string) Post status, '' for terms.
+	 *                 - 'title'  (string) Post title or term name.
+	 *                 - 'exists' (int)    ID of the existing post or term, or 0.
+	 *                 - 'items'  (int)    Number of menu items, for menus only.
+	 */
+	public function get_import_preview() {
+		$items      = array();
+		$menu_items = array();
+		foreach ( (array) $this->posts as $post ) {
+			if ( 'auto-draft' == $post['status'] ) {
+				continue;
+			}
+
+			if ( 'nav_menu_item' == $post['post_type'] ) {
+				$menu = $this->get_menu_slug( $post );
+				if ( $menu ) {
+					$menu_items[ $menu ] = isset( $menu_items[ $menu ] ) ? $menu_items[ $menu ] + 1 : 1;
+				}
+				continue;
+			}
+
+			$exists = 0;
+			if ( post_type_exists( $post['post_type'] ) ) {
+				$post_exists = $this->find_existing_post( $post );
+				if ( $post_exists && get_post_type( $post_exists ) == $post['post_type'] ) {
+					$exists = (int) $post_exists;
+				}
+			}
+
+			$items[] = array(
+				'key'    => $this->get_post_key( $post ),
+				'kind'   => 'attachment' == $post['post_type'] ? 'attachment' : 'post',
+				'type'   => $post['post_type'],
+				'status' => $post['status'],
+				'title'  => $post['post_title'],
+				'exists' => $exists,
+			);
+		}
+
+		$terms = array();
+		foreach ( (array) $this->categories as $category ) {
+			$terms[] = array( 'category', $category['category_nicename'], $category['cat_name'] );
+		}
+		foreach ( (array) $this->tags as $tag ) {
+			$terms[] = array( 'post_tag', $tag['tag_slug'], $tag['tag_name'] );
+		}
+		foreach ( (array) $this->terms as $term ) {
+			$terms[] = array( $term['term_taxonomy'], $term['slug'], $term['term_name'] );
+		}
+
+		foreach ( $terms as list( $taxonomy, $slug, $name ) ) {
+			$term_id = term_exists( $slug, $taxonomy );
+			$item    = array(
+				'key'    => $this->get_term_key( $taxonomy, $slug ),
+				'kind'   => 'nav_menu' == $taxonomy ? 'menu' : 'term',
+				'type'   => $taxonomy,
+				'status' => '',
+				'title'  => $name,
+				'exists' => (int) ( is_array( $term_id ) ? $term_id['term_id'] : $term_id ),
+			);
+			if ( 'menu' === $item['kind'] ) {
+				$item['items'] = isset( $menu_items[ $slug ] ) ? $menu_items[ $slug ] : 0;
+			}
+			$items[] = $item;
+		}
+
+		return $items;
+	}
+
+	/**
+	 * Lists the content of the file on the import options screen, grouped by
+	 * type and status, with a checkbox for each item and each group. See
+	 * js/import-preview.js, which sends the unticked items as import_exclude.
+	 */
+	public function import_preview() {
+		$items = $this->get_import_preview();
+		if ( ! $items ) {
+			return;
+		}
+
+		wp_enqueue_script( 'wordpress-importer-preview', plugins_url( 'js/import-preview.js', __FILE__ ), array( 'jquery' ), filemtime( __DIR__ . '/js/import-preview.js' ), true );
+
+		// Kind => type => status => items.
+		$groups = array_fill_keys( array( 'post', 'attachment', 'term', 'menu' ), array() );
+		foreach ( $items as $item ) {
+			$groups[ $item['kind'] ][ $item['type'] ][ $item['status'] ][] = $item;
+		}
+
+		echo '<h3>' . __( 'Choose What to Import', 'wordpress-importer' ) . '</h3>';
+		echo '<div id="import-preview">';
+		echo '<p>' . __( 'Untick the items you don&#8217;t want to import. Items that already exist on this site are not imported again.', 'wordpress-importer' ) . '</p>';
+		echo '<p class="import-preview-filters">';
+		echo '<label for="import-preview-search">' . __( 'Search items', 'wordpress-importer' ) . '</label> <input type="search" id="import-preview-search" /> ';
+		echo '<label for="import-preview-filter">' . __( 'Show', 'wordpress-importer' ) . '</label> <select id="import-preview-filter">';
+		echo '<option value="">' . __( 'All items', 'wordpress-importer' ) . '</option>';
+		echo '<option value="new">' . __( 'New items', 'wordpress-importer' ) . '</option>';
+		echo '<option value="exists">' . __( 'Items that already exist', 'wordpress-importer' ) . '</option>';
+		echo '</select></p>';
+		echo '<input type="hidden" name="import_exclude" id="import-exclude" value="" />';
+
+		$n = 0;
+		foreach ( $groups as $kind => $types ) {
+			foreach ( $types as $type => $statuses ) {
+				if ( 'post' === $kind || 'attachment' === $kind ) {
+					$object = get_post_type_object( $type );
+				} else {
+					$object = get_taxonomy( $type );
+				}
+				$label = $object ? $object->labels->name : $type;
+
+				$count  = 0;
+				$exists = 0;
+				foreach ( $statuses as $list ) {
+					$count += count( $list );
+					foreach ( $list as $item ) {
+						$exists += $item['exists'] ? 1 : 0;
+					}
+				}
+
+				$id = 'import-preview-' . sanitize_html_class( $kind . '-' . $type );
+				echo '<table class="widefat import-preview-type" data-type="' . esc_attr( $kind . ':' . $type ) . '">';
+				echo '<thead><tr><td class="check-column"><input type="checkbox" class="import-preview-toggle" id="' . $id . '" checked="checked" /></td>';
+				echo '<th scope="col" colspan="2"><label for="' . $id . '">' . esc_html( $label ) . '</label> <span class="import-preview-count">';
+				/* translators: %s: Number of items. */
+				printf( _n( '%s item', '%s items', $count, 'wordpress-importer' ), number_format_i18n( $count ) );
+				if ( $exists ) {
+					echo ', ';
+					/* translators: %s: Number of items. */
+					printf( _n( '%s already exists', '%s already exist', $exists, 'wordpress-importer' ), number_format_i18n( $exists ) );
+				}
+				echo '</span></th></tr></thead>';
+
+				foreach ( $statuses as $status => $list ) {
+					echo '<tbody data-status="' . esc_attr( $status ) . '">';
+					if ( 'post' === $kind ) {
+						$status_object = get_post_status_object( $status );
+						echo '<tr class="import-preview-status"><td class="check-column"><input type="checkbox" class="import-preview-toggle" id="' . $id . '-' . sanitize_html_class( $status ) . '" checked="checked" /></td>';
+						echo '<th scope="rowgroup" colspan="2"><label for="' . $id . '-' . sanitize_html_class( $status ) . '">' . esc_html( $status_object ? $status_object->label : $status ) . '</label></th></tr>';
+					}
+
+					foreach ( $list as $item ) {
+						$item_id = 'import-preview-item-' . $n++;
+						$title   = '' === $item['title'] ? __( '(no title)', 'wordpress-importer' ) : $item['title'];
+						echo '<tr class="import-preview-item" data-exists="' . ( $item['exists'] ? '1' : '0' ) . '">';
+						echo '<td class="check-column"><input type="checkbox" id="' . $item_id . '" value="' . esc_attr( $item['key'] ) . '" checked="checked" /></td>';
+						echo '<td><label for="' . $item_id . '">' . esc_html( $title ) . '</label>';
+						if ( isset( $item['items'] ) ) {
+							echo ' <span class="description">';
+							/* translators: %s: Number of menu items. */
+							printf( _n( '%s menu item', '%s menu items', $item['items'], 'wordpress-importer' ), number_format_i18n( $item['items'] ) );
+							echo '</span>';
+						}
+						echo '</td>';
+						echo '<td class="import-preview-state">' . ( $item['exists'] ? __( 'Already exists', 'wordpress-importer' ) : __( 'New', 'wordpress-importer' ) ) . '</td>';
+						echo '</tr>';
+					}
+					echo '</tbody>';
 				}
+				echo '</table>';
 			}
 		}
+		echo '</div>';
 	}
 
 	/**
-	 * Display pre-import options, author importing/mapping and option to
-	 * fetch attachments
+	 * Keys of the items that were unticked in the preview on the import options
+	 * screen, for the 'exclude' import option.
+	 *
+	 * @return string[]
 	 */
-	public function import_options() {
-		$j = 0;
-		// phpcs:disable Generic.WhiteSpace.ScopeIndent.Incorrect
-		?>
-<form action="<?php echo admin_url( 'admin.php?import=wordpress&amp;step=2' ); ?>" method="post">
-	<?php wp_nonce_field( 'import-wordpress' ); ?>
-	<input type="hidden" name="import_id" value="<?php echo $this->id; ?>" />
-
-<?php if ( ! empty( $this->authors ) ) : ?>
-	<h3><?php _e( 'Assign Authors', 'wordpress-importer' ); ?></h3>
-	<p><?php _e( 'To make it simpler for you to edit and save the imported content, you may want to reassign the author of the imported item to an existing user of this site, such as your primary administrator account.', 'wordpress-importer' ); ?></p>
-		<?php if ( $this->allow_create_users() ) : ?>
-	<p><?php printf( __( 'If a new user is created by WordPress, a new password will be randomly generated and the new user&#8217;s role will be set as %s. Manually changing the new user&#8217;s details will be necessary.', 'wordpress-importer' ), esc_html( get_option( 'default_role' ) ) ); ?></p>
-	<?php endif; ?>
-	<ol id="authors">
-		<?php foreach ( $this->authors as $author ) : ?>
-		<li><?php $this->author_select( $j++, $author ); ?></li>
-	<?php endforeach; ?>
-	</ol>
-		<?php endif; ?>
+	protected function get_posted_exclusions() {
+		if ( empty( $_POST['import_exclude'] ) ) {
+			return array();
+		}
 
-<?php if ( $this->allow_fetch_attachments() ) : ?>
-	<h3><?php _e( 'Import Attachments', 'wordpress-importer' ); ?></h3>
-	<p>
-		<input type="checkbox" value="1" name="fetch_attachments" id="import-attachments" />
-		<label for="import-attachments"><?php _e( 'Download and import file attachments', 'wordpress-importer' ); ?></label>
-	</p>
-		<?php endif; ?>
+		$keys = json_decode( wp_unslash( $_POST['import_exclude'] ), true );
+		if ( ! is_array( $keys ) ) {
+			return array();
+		}
+		return array_values( array_filter( $keys, 'is_string' ) );
+	}
 
-	<h3><?php _e( 'Content Options', 'wordpress-importer' ); ?></h3>
-	<p>
-		<input type="checkbox" value="1" name="rewrite_urls" id="rewrite-urls" checked="checked" />
-		<label for="rewrite-urls"><?php _e( 'Change all imported URLs that currently link to the previous site so that they now link to this site', 'wordpress-importer' ); ?></label>
-	</p>
+	/**
+	 * Shows the fields for more URL changes on the import options screen, and
+	 * a preview of how the URLs in some of the imported posts would change.
+	 * See js/import-rewrite.js.
+	 */
+	public function url_mapping_fields() {
+		wp_enqueue_script( 'wordpress-importer-rewrite', plugins_url( 'js/import-rewrite.js', __FILE__ ), array( 'jquery' ), filemtime( __DIR__ . '/js/import-rewrite.js' ), true );
+		wp_localize_script(
+			'wordpress-importer-rewrite',
+			'wordpressImporterRewrite',
+			array(
+				'ajaxUrl' => admin_url( 'admin-ajax.php' ),
+				'nonce'   => wp_create_nonce( 'import-wordpress-rewrite' ),
+				'baseUrl' => $this->base_url,
+				'samples' => $this->get_rewrite_samples(),
+				'l10n'    => array(
+					'noChanges' => __( 'No URLs in this post change.', 'wordpress-importer' ),
+					'before'    => __( 'Before', 'wordpress-importer' ),
+					'after'     => __( 'After', 'wordpress-importer' ),
+					'failed'    => __( 'The preview could not be loaded.', 'wordpress-importer' ),
+				),
+			)
+		);
 
-	<p class="submit"><input type="submit" class="button" value="<?php esc_attr_e( 'Submit', 'wordpress-importer' ); ?>" /></p>
-</form>
-		<?php
-		// phpcs:enable Generic.WhiteSpace.ScopeIndent.Incorrect
+		echo '<div id="import-url-mapping">';
+		echo '<p>' . __( 'Also change imported URLs that start with one of these addresses, e.g. an old CDN host, a staging domain, <code>http://</code> instead of <code>https://</code>, or a path that has moved. These changes are made first.', 'wordpress-importer' ) . '</p>';
+		echo '<table class="widefat"><thead><tr>';
+		echo '<th scope="col">' . __( 'Old URL', 'wordpress-importer' ) . '</th>';
+		echo '<th scope="col">' . __( 'New URL', 'wordpress-importer' ) . '</th>';
+		echo '<td></td>';
+		echo '</tr></thead><tbody id="import-url-mapping-rules">';
+		echo '<tr class="import-url-mapping-rule">';
+		echo '<td><input type="url" class="regular-text" name="url_mapping[0][from]" aria-label="' . esc_attr__( 'Old URL', 'wordpress-importer' ) . '" placeholder="https://cdn.example.com/" /></td>';
+		echo '<td><input type="url" class="regular-text" name="url_mapping[0][to]" aria-label="' . esc_attr__( 'New URL', 'wordpress-importer' ) . '" placeholder="https://media.example.org/" /></td>';
+		echo '<td><button type="button" class="button-link import-url-mapping-remove">' . __( 'Remove', 'wordpress-importer' ) . '</button></td>';
+		echo '</tr>';
+		echo '</tbody></table>';
+		echo '<p><button type="button" class="button" id="import-url-mapping-add">' . __( 'Add URL change', 'wordpress-importer' ) . '</button></p>';
+		echo '<div id="import-rewrite-preview" aria-live="polite"></div>';
+		echo '</div>';
 	}
 
 	/**
-	 * Display import options for an individual author. That is, either create
-	 * a new user based on import info or map to an existing user
+	 * Posts from the file to preview the URL rewriting with: the first few
+	 * that link to anything.
 	 *
-	 * @param int $n Index for each author in the form
-	 * @param array $author Author information, e.g. login, display name, email
+	 * @return array[] List of array( 'title', 'content' ).
 	 */
-	public function author_select( $n, $author ) {
-		_e( 'Import author:', 'wordpress-importer' );
-		echo ' <strong>' . esc_html( $author['author_display_name'] );
-		if ( '1.0' != $this->version ) {
-			echo ' (' . esc_html( $author['author_login'] ) . ')';
+	protected function get_rewrite_samples() {
+		/**
+		 * Filters how many posts the URL rewrite preview shows.
+		 *
+		 * @param int $count Number of posts. Default 3.
+		 */
+		$count   = (int) apply_filters( 'wp_import_rewrite_preview_posts', 3 );
+		$samples = array();
+		foreach ( (array) $this->posts as $post ) {
+			if ( count( $samples ) >= $count ) {
+				break;
+			}
+			if ( in_array( $post['post_type'], array( 'attachment', 'nav_menu_item' ), true ) || false === strpos( $post['post_content'], '//' ) ) {
+				continue;
+			}
+			$samples[] = array(
+				'title'   => $post['post_title'],
+				'content' => $post['post_content'],
+			);
 		}
-		echo '</strong><br />';
+		return $samples;
+	}
 
-		if ( '1.0' != $this->version ) {
-			echo '<div style="margin-left:18px">';
-		}
+	/**
+	 * Rewrites the URLs in some content the way the import would, for the
+	 * preview on the import options screen.
+	 *
+	 * @param string[] $samples Post content.
+	 * @return array[] For each sample, the lines that change, as array( 'before', 'after' ).
+	 */
+	public function get_rewrite_preview( $samples ) {
+		$url_mapping = $this->get_url_mapping();
+
+		$previews = array();
+		foreach ( $samples as $content ) {
+			$rewritten = $url_mapping ? $this->rewrite_content( $content, $url_mapping ) : $content;
+			$before    = explode( "\n", $content );
+			$after     = explode( "\n", $rewritten );
+			if ( count( $before ) !== count( $after ) ) {
+				$before = array( $content );
+				$after  = array( $rewritten );
+			}
 
-		$create_users = $this->allow_create_users();
-		if ( $create_users ) {
-			echo '<label for="user_new_' . $n . '">';
-			if ( '1.0' != $this->version ) {
-				_e( 'or create new user with login name:', 'wordpress-importer' );
-				$value = '';
-			} else {
-				_e( 'as a new user:', 'wordpress-importer' );
-				$value = esc_attr( sanitize_user( $author['author_login'], true ) );
+			$changes = array();
+			foreach ( $before as $i => $line ) {
+				if ( $line !== $after[ $i ] ) {
+					$changes[] = array(
+						'before' => $line,
+						'after'  => $after[ $i ],
+					);
+				}
 			}
-			echo '</label>';
+			$previews[] = $changes;
+		}
+		return $previews;
+	}
 
-			echo ' <input type="text" id="user_new_' . $n . '" name="user_new[' . $n . ']" value="' . $value . '" /><br />';
+	/**
+	 * Previews the URL rewriting for the import options screen, over admin-ajax.php.
+	 *
+	 * Takes the sample content, the previous site's base URL and the URL options
+	 * as they are on the screen, and responds with get_rewrite_preview().
+	 */
+	public function ajax_rewrite_preview() {
+		check_ajax_referer( 'import-wordpress-rewrite' );
+
+		if ( ! current_user_can( 'import' ) ) {
+			wp_send_json_error( array( 'message' => __( 'Sorry, you are not allowed to import content into this site.', 'wordpress-importer' ) ), 403 );
 		}
 
-		echo '<label for="imported_authors_' . $n . '">';
-		if ( ! $create_users && '1.0' == $this->version ) {
-			_e( 'assign posts to an existing user:', 'wordpress-importer' );
-		} else {
-			_e( 'or assign posts to an existing user:', 'wordpress-importer' );
+		if ( version_compare( get_bloginfo( 'version' ), '6.7', '<' ) ) {
+			wp_send_json_error( array( 'message' => __( 'URL rewriting requires WordPress 6.7 or newer.', 'wordpress-importer' ) ) );
 		}
-		echo '</label>';
 
-		echo ' ' . wp_dropdown_users(
+		$base_url              = isset( $_POST['base_url'] ) ? esc_url_raw( wp_unslash( $_POST['base_url'] ) ) : '';
+		$this->base_url_parsed = $base_url ? WPURL::parse( rtrim( $base_url, '/' ) . '/' ) : false;
+		$this->site_url_parsed = WPURL::parse( rtrim( get_site_url(), '/' ) . '/' );
+		$this->set_import_options(
 			array(
-				'name'            => "user_map[$n]",
-				'id'              => 'imported_authors_' . $n,
-				'multi'           => true,
-				'show_option_all' => __( '- Select -', 'wordpress-importer' ),
-				'show'            => 'display_name_with_login',
-				'echo'            => 0,
+				'rewrite_urls' => ! empty( $_POST['rewrite_urls'] ) && $this->base_url_parsed,
+				'url_mapping'  => $this->get_posted_url_mapping(),
 			)
 		);
 
-		echo '<input type="hidden" name="imported_authors[' . $n . ']" value="' . esc_attr( $author['author_login'] ) . '" />';
+		$samples = isset( $_POST['samples'] ) ? array_map( 'strval', (array) wp_unslash( $_POST['samples'] ) ) : array();
+		wp_send_json_success( $this->get_rewrite_preview( $samples ) );
+	}
 
-		if ( '1.0' != $this->version ) {
-			echo '</div>';
+	/**
+	 * The URL changes entered on the import options screen, for the
+	 * 'url_mapping' import option. Rows without both URLs are left out.
+	 *
+	 * @return string[] Old URL => new URL.
+	 */
+	protected function get_posted_url_mapping() {
+		$mapping = array();
+		if ( empty( $_POST['url_mapping'] ) || ! is_array( $_POST['url_mapping'] ) ) {
+			return $mapping;
+		}
+
+		foreach ( wp_unslash( $_POST['url_mapping'] ) as $rule ) {
+			if ( ! empty( $rule['from'] ) && ! empty( $rule['to'] ) && is_string( $rule['from'] ) && is_string( $rule['to'] ) ) {
+				$mapping[ trim( $rule['from'] ) ] = trim( $rule['to'] );
+			}
 		}
+		return $mapping;
 	}
 
 	/**
 	 * Map old author logins to local user IDs based on decisions made
 	 * in import options form. Can map to an existing user, create a new user
 	 * or falls back to the current user in case of error with either of the previous
+	 *
+	 * @param array[]|null $choices What to do with each author: array( 'login', 'user_id', 'new_login' ),
+	 *                              where 'user_id' maps to an existing user, 'new_login' creates a
+	 *                              user with that login, and neither imports the author as is.
+	 *                              Read from the import options form by default.
 	 */
-	public function get_author_mapping() {
-		if ( ! isset( $_POST['imported_authors'] ) ) {
+	public function get_author_mapping( $choices = null ) {
+		if ( null === $choices ) {
+			$choices = $this->get_posted_author_choices();
+		}
+		if ( null === $choices ) {
 			return;
 		}
 
 		$create_users = $this->allow_create_users();
 
-		foreach ( (array) $_POST['imported_authors'] as $i => $old_login ) {
+		foreach ( $choices as $choice ) {
+			$old_login = $choice['login'];
 			// Multisite adds strtolower to sanitize_user. Need to sanitize here to stop breakage in process_posts.
 			$santized_old_login = sanitize_user( $old_login, true );
 			$old_id             = isset( $this->authors[ $old_login ]['author_id'] ) ? intval( $this->authors[ $old_login ]['author_id'] ) : false;
 
-			if ( ! empty( $_POST['user_map'][ $i ] ) ) {
-				$user = get_userdata( intval( $_POST['user_map'][ $i ] ) );
+			if ( ! empty( $choice['user_id'] ) ) {
+				$user = get_userdata( intval( $choice['user_id'] ) );
 				if ( isset( $user->ID ) ) {
 					if ( $old_id ) {
 						$this->processed_authors[ $old_id ] = $user->ID;
 					}
 					$this->author_mapping[ $santized_old_login ] = $user->ID;
+					$this->log(
+						'info',
+						/* translators: 1: Author login in the WXR file. 2: User login on this site. */
+						sprintf( __( 'Assigned the posts of %1$s to %2$s.', 'wordpress-importer' ), esc_html( $old_login ), esc_html( $user->user_login ) ),
+						array(
+							'type'        => 'user',
+							'original_id' => $old_id,
+							'new_id'      => $user->ID,
+						)
+					);
 				}
 			} elseif ( $create_users ) {
-				if ( ! empty( $_POST['user_new'][ $i ] ) ) {
-					$user_id = wp_create_user( $_POST['user_new'][ $i ], wp_generate_password() );
+				if ( ! empty( $choice['new_login'] ) ) {
+					$user_id = wp_create_user( $choice['new_login'], wp_generate_password() );
 				} elseif ( '1.0' != $this->version ) {
 					$user_data = array(
 						'user_login'   => $old_login,
@@ -445,16 +2081,30 @@ class WP_Import extends WP_Importer {
 				}
 
 				if ( ! is_wp_error( $user_id ) ) {
+					$this->record_created( 'users', $user_id );
 					if ( $old_id ) {
 						$this->processed_authors[ $old_id ] = $user_id;
 					}
 					$this->author_mapping[ $santized_old_login ] = $user_id;
+					$this->log(
+						'info',
+						sprintf( __( 'Created user %s.', 'wordpress-importer' ), esc_html( get_userdata( $user_id )->user_login ) ),
+						array(
+							'type'        => 'user',
+							'original_id' => $old_id,
+							'new_id'      => $user_id,
+						)
+					);
 				} else {
-					printf( __( 'Failed to create new user for %s. Their posts will be attributed to the current user.', 'wordpress-importer' ), esc_html( $this->authors[ $old_login ]['author_display_name'] ) );
-					if ( defined( 'IMPORT_DEBUG' ) && IMPORT_DEBUG ) {
-						echo ' ' . $user_id->get_error_message();
-					}
-					echo '<br />';
+					$this->log(
+						'error',
+						sprintf( __( 'Failed to create new user for %s. Their posts will be attributed to the current user.', 'wordpress-importer' ), esc_html( $this->authors[ $old_login ]['author_display_name'] ) ),
+						array(
+							'type'        => 'user',
+							'original_id' => $old_id,
+						),
+						$user_id
+					);
 				}
 			}
 
@@ -468,26 +2118,204 @@ class WP_Import extends WP_Importer {
 		}
 	}
 
+	/**
+	 * The author mapping the import options form posted.
+	 *
+	 * @return array[]|null See get_author_mapping(), or null if the form had no authors.
+	 */
+	protected function get_posted_author_choices() {
+		if ( ! isset( $_POST['imported_authors'] ) ) {
+			return null;
+		}
+
+		$choices = array();
+		foreach ( (array) $_POST['imported_authors'] as $i => $old_login ) {
+			$choices[] = array(
+				'login'     => $old_login,
+				'user_id'   => empty( $_POST['user_map'][ $i ] ) ? 0 : (int) $_POST['user_map'][ $i ],
+				'new_login' => empty( $_POST['user_new'][ $i ] ) ? '' : $_POST['user_new'][ $i ],
+			);
+		}
+		return $choices;
+	}
+
+	/**
+	 * Key of a post from the WXR file in the 'exclude' import option.
+	 *
+	 * @param array $post Post data from the WXR file.
+	 * @return string
+	 */
+	public function get_post_key( $post ) {
+		return 'post:' . (int) $post['post_id'];
+	}
+
+	/**
+	 * Key of a term from the WXR file in the 'exclude' import option.
+	 *
+	 * @param string $taxonomy
+	 * @param string $slug
+	 * @return string
+	 */
+	public function get_term_key( $taxonomy, $slug ) {
+		return 'term:' . $taxonomy . ':' . $slug;
+	}
+
+	/**
+	 * Whether the 'exclude' import option leaves out an item.
+	 *
+	 * @param string $key See get_post_key() and get_term_key().
+	 * @return bool
+	 */
+	protected function is_excluded( $key ) {
+		if ( null === $this->excluded_items ) {
+			$this->excluded_items = empty( $this->options['exclude'] ) ? array() : array_flip( $this->options['exclude'] );
+		}
+		return isset( $this->excluded_items[ $key ] );
+	}
+
+	/**
+	 * Whether the 'exclude' import option leaves out a post. Menu items are
+	 * left out along with their menu.
+	 *
+	 * @param array $post Post data from the WXR file.
+	 * @return bool
+	 */
+	protected function is_excluded_post( $post ) {
+		if ( $this->is_excluded( $this->get_post_key( $post ) ) ) {
+			return true;
+		}
+
+		$menu = 'nav_menu_item' == $post['post_type'] ? $this->get_menu_slug( $post ) : false;
+		return $menu && $this->is_excluded( $this->get_term_key( 'nav_menu', $menu ) );
+	}
+
+	/**
+	 * Slug of the menu a menu item from the WXR file belongs to.
+	 *
+	 * @param array $item Menu item details from the WXR file.
+	 * @return string|false False if the item has no nav_menu term.
+	 */
+	protected function get_menu_slug( $item ) {
+		if ( isset( $item['terms'] ) ) {
+			// assume first nav_menu term is correct menu
+			foreach ( $item['terms'] as $term ) {
+				if ( 'nav_menu' == $term['domain'] ) {
+					return $term['slug'];
+				}
+			}
+		}
+		return false;
+	}
+
+	/**
+	 * What the 'term_mapping' and 'exclude' import options do with a term from
+	 * the WXR file. A mapping to a term that no longer exists is ignored.
+	 *
+	 * @param string $taxonomy
+	 * @param string $slug     Term slug from the WXR file.
+	 * @return array 'action' => 'import', 'drop', 'map' with the 'term_id' to use
+	 *               instead, or 'rename' with the new 'name' and 'slug'.
+	 */
+	protected function get_term_mapping( $taxonomy, $slug ) {
+		$key = $this->get_term_key( $taxonomy, $slug );
+		if ( $this->is_excluded( $key ) ) {
+			return array( 'action' => 'drop' );
+		}
+
+		$mapping = isset( $this->options['term_mapping'][ $key ] ) ? (array) $this->options['term_mapping'][ $key ] : array();
+		$action  = isset( $mapping['action'] ) ? $mapping['action'] : 'import';
+		if ( 'drop' === $action ) {
+			return array( 'action' => 'drop' );
+		}
+
+		if ( 'map' === $action && ! empty( $mapping['term_id'] ) ) {
+			$term = get_term( (int) $mapping['term_id'], $taxonomy );
+			if ( $term && ! is_wp_error( $term ) ) {
+				return array(
+					'action'  => 'map',
+					'term_id' => (int) $term->term_id,
+				);
+			}
+		}
+
+		if ( 'rename' === $action && isset( $mapping['name'] ) && '' !== trim( $mapping['name'] ) ) {
+			$name = trim( $mapping['name'] );
+			return array(
+				'action' => 'rename',
+				'name'   => $name,
+				'slug'   => sanitize_title( $name ),
+			);
+		}
+
+		return array( 'action' => 'import' );
+	}
+
+	/**
+	 * ID of the parent of a term from the WXR file on this site, following the
+	 * 'term_mapping' import option.
+	 *
+	 * @param string $taxonomy
+	 * @param string $parent   Slug of the parent in the WXR file.
+	 * @return int 0 if the parent isn't on this site.
+	 */
+	protected function get_parent_term_id( $taxonomy, $parent ) {
+		if ( empty( $parent ) ) {
+			return 0;
+		}
+
+		$mapping = $this->get_term_mapping( $taxonomy, $parent );
+		if ( 'map' === $mapping['action'] ) {
+			return $mapping['term_id'];
+		}
+		if ( 'rename' === $mapping['action'] ) {
+			$parent = $mapping['slug'];
+		}
+
+		$term_id = term_exists( $parent, $taxonomy );
+		return (int) ( is_array( $term_id ) ? $term_id['term_id'] : $term_id );
+	}
+
 	/**
 	 * Create new categories based on import information
 	 *
 	 * Doesn't create a new category if its slug already exists
 	 */
 	public function process_categories() {
-		$this->categories = apply_filters( 'wp_import_categories', $this->categories );
+		if ( ! $this->batch_session ) {
+			$this->categories = apply_filters( 'wp_import_categories', $this->categories );
+		}
 
 		if ( empty( $this->categories ) ) {
 			return;
 		}
 
 		foreach ( $this->categories as $cat ) {
-			$processed_category = $this->process_category( $cat );
+			$mapping = $this->get_term_mapping( 'category', $cat['category_nicename'] );
+			if ( 'drop' === $mapping['action'] ) {
+				continue;
+			}
+
+			if ( 'map' === $mapping['action'] ) {
+				$processed_category = array(
+					'created' => false,
+					'mapped'  => true,
+					'term_id' => $mapping['term_id'],
+				);
+			} else {
+				if ( 'rename' === $mapping['action'] ) {
+					$cat['cat_name']          = $mapping['name'];
+					$cat['category_nicename'] = $mapping['slug'];
+				}
+				$processed_category = $this->process_category( $cat );
+			}
 			if ( false === $processed_category ) {
 				continue;
 			}
 
 			$this->processed_terms[ intval( $cat['term_id'] ) ] = $processed_category['term_id'];
+			$this->log_term( 'category', $cat['cat_name'], $cat['term_id'], $processed_category );
 			if ( $processed_category['created'] ) {
+				$this->record_created( 'terms', $processed_category['term_id'], 'category' );
 				$this->process_termmeta( $cat, $processed_category['term_id'] );
 			}
 		}
@@ -507,7 +2335,7 @@ class WP_Import extends WP_Importer {
 			);
 		}
 
-		$parent      = empty( $category['category_parent'] ) ? 0 : category_exists( $category['category_parent'] );
+		$parent      = $this->get_parent_term_id( 'category', isset( $category['category_parent'] ) ? $category['category_parent'] : '' );
 		$description = isset( $category['category_description'] ) ? $category['category_description'] : '';
 
 		$data = array(
@@ -519,11 +2347,15 @@ class WP_Import extends WP_Importer {
 
 		$id = wp_insert_category( $data, true );
 		if ( is_wp_error( $id ) || $id <= 0 ) {
-			printf( __( 'Failed to import category %s', 'wordpress-importer' ), esc_html( $category['category_nicename'] ) );
-			if ( defined( 'IMPORT_DEBUG' ) && IMPORT_DEBUG ) {
-				echo ': ' . $id->get_error_message();
-			}
-			echo '<br />';
+			$this->log(
+				'error',
+				sprintf( __( 'Failed to import category %s', 'wordpress-importer' ), esc_html( $category['category_nicename'] ) ),
+				array(
+					'type'        => 'category',
+					'original_id' => isset( $category['term_id'] ) ? $category['term_id'] : '',
+				),
+				is_wp_error( $id ) ? $id : null
+			);
 			return false;
 		}
 
@@ -543,14 +2375,33 @@ class WP_Import extends WP_Importer {
 	 * Doesn't create a tag if its slug already exists
 	 */
 	public function process_tags() {
-		$this->tags = apply_filters( 'wp_import_tags', $this->tags );
+		if ( ! $this->batch_session ) {
+			$this->tags = apply_filters( 'wp_import_tags', $this->tags );
+		}
 
 		if ( empty( $this->tags ) ) {
 			return;
 		}
 
 		foreach ( $this->tags as $tag ) {
-			$processed_tag = $this->process_tag( $tag );
+			$mapping = $this->get_term_mapping( 'post_tag', $tag['tag_slug'] );
+			if ( 'drop' === $mapping['action'] ) {
+				continue;
+			}
+
+			if ( 'map' === $mapping['action'] ) {
+				$processed_tag = array(
+					'created' => false,
+					'mapped'  => true,
+					'term_id' => $mapping['term_id'],
+				);
+			} else {
+				if ( 'rename' === $mapping['action'] ) {
+					$tag['tag_name'] = $mapping['name'];
+					$tag['tag_slug'] = $mapping['slug'];
+				}
+				$processed_tag = $this->process_tag( $tag );
+			}
 			if ( false === $processed_tag ) {
 				continue;
 			}
@@ -558,8 +2409,10 @@ class WP_Import extends WP_Importer {
 			if ( isset( $tag['term_id'] ) ) {
 				$this->processed_terms[ intval( $tag['term_id'] ) ] = $processed_tag['term_id'];
 			}
+			$this->log_term( 'post_tag', $tag['tag_name'], isset( $tag['term_id'] ) ? $tag['term_id'] : '', $processed_tag );
 
 			if ( $processed_tag['created'] ) {
+				$this->record_created( 'terms', $processed_tag['term_id'], 'post_tag' );
 				$this->process_termmeta( $tag, $processed_tag['term_id'] );
 			}
 		}
@@ -592,11 +2445,15 @@ class WP_Import extends WP_Importer {
 
 		$id = wp_insert_term( wp_slash( $tag['tag_name'] ), 'post_tag', $args );
 		if ( is_wp_error( $id ) ) {
-			printf( __( 'Failed to import post tag %s', 'wordpress-importer' ), esc_html( $tag['tag_name'] ) );
-			if ( defined( 'IMPORT_DEBUG' ) && IMPORT_DEBUG ) {
-				echo ': ' . $id->get_error_message();
-			}
-			echo '<br />';
+			$this->log(
+				'error',
+				sprintf( __( 'Failed to import post tag %s', 'wordpress-importer' ), esc_html( $tag['tag_name'] ) ),
+				array(
+					'type'        => 'post_tag',
+					'original_id' => isset( $tag['term_id'] ) ? $tag['term_id'] : '',
+				),
+				$id
+			);
 			return false;
 		}
 
@@ -616,14 +2473,33 @@ class WP_Import extends WP_Importer {
 	 * Doesn't create a term its slug already exists
 	 */
 	public function process_terms() {
-		$this->terms = apply_filters( 'wp_import_terms', $this->terms );
+		if ( ! $this->batch_session ) {
+			$this->terms = apply_filters( 'wp_import_terms', $this->terms );
+		}
 
 		if ( empty( $this->terms ) ) {
 			return;
 		}
 
 		foreach ( $this->terms as $term ) {
-			$processed_term = $this->process_term( $term );
+			$mapping = $this->get_term_mapping( $term['term_taxonomy'], $term['slug'] );
+			if ( 'drop' === $mapping['action'] ) {
+				continue;
+			}
+
+			if ( 'map' === $mapping['action'] ) {
+				$processed_term = array(
+					'created' => false,
+					'mapped'  => true,
+					'term_id' => $mapping['term_id'],
+				);
+			} else {
+				if ( 'rename' === $mapping['action'] ) {
+					$term['term_name'] = $mapping['name'];
+					$term['slug']      = $mapping['slug'];
+				}
+				$processed_term = $this->process_term( $term );
+			}
 			if ( false === $processed_term ) {
 				continue;
 			}
@@ -631,8 +2507,10 @@ class WP_Import extends WP_Importer {
 			if ( isset( $term['term_id'] ) ) {
 				$this->processed_terms[ intval( $term['term_id'] ) ] = $processed_term['term_id'];
 			}
+			$this->log_term( $term['term_taxonomy'], $term['term_name'], isset( $term['term_id'] ) ? $term['term_id'] : '', $processed_term );
 
 			if ( $processed_term['created'] ) {
+				$this->record_created( 'terms', $processed_term['term_id'], $term['term_taxonomy'] );
 				$this->process_termmeta( $term, $processed_term['term_id'] );
 			}
 		}
@@ -653,29 +2531,24 @@ class WP_Import extends WP_Importer {
 			);
 		}
 
-		if ( empty( $term['term_parent'] ) ) {
-			$parent = 0;
-		} else {
-			$parent = term_exists( $term['term_parent'], $term['term_taxonomy'] );
-			if ( is_array( $parent ) ) {
-				$parent = $parent['term_id'];
-			}
-		}
-
 		$description = isset( $term['term_description'] ) ? $term['term_description'] : '';
 		$args        = array(
 			'slug'        => $term['slug'],
 			'description' => wp_slash( $description ),
-			'parent'      => (int) $parent,
+			'parent'      => $this->get_parent_term_id( $term['term_taxonomy'], isset( $term['term_parent'] ) ? $term['term_parent'] : '' ),
 		);
 
 		$id = wp_insert_term( wp_slash( $term['term_name'] ), $term['term_taxonomy'], $args );
 		if ( is_wp_error( $id ) ) {
-			printf( __( 'Failed to import %1$s %2$s', 'wordpress-importer' ), esc_html( $term['term_taxonomy'] ), esc_html( $term['term_name'] ) );
-			if ( defined( 'IMPORT_DEBUG' ) && IMPORT_DEBUG ) {
-				echo ': ' . $id->get_error_message();
-			}
-			echo '<br />';
+			$this->log(
+				'error',
+				sprintf( __( 'Failed to import %1$s %2$s', 'wordpress-importer' ), esc_html( $term['term_taxonomy'] ), esc_html( $term['term_name'] ) ),
+				array(
+					'type'        => $term['term_taxonomy'],
+					'original_id' => isset( $term['term_id'] ) ? $term['term_id'] : '',
+				),
+				$id
+			);
 			return false;
 		}
 
@@ -755,18 +2628,27 @@ class WP_Import extends WP_Importer {
 	 * Note that new/updated terms, comments and meta are imported for the last of the above.
 	 */
 	public function process_posts() {
-		$this->posts = apply_filters( 'wp_import_posts', $this->posts );
+		if ( ! $this->batch_session ) {
+			$this->posts = apply_filters( 'wp_import_posts', $this->posts );
+		}
 
 		foreach ( $this->posts as $post ) {
+			if ( $this->is_excluded_post( $post ) ) {
+				continue;
+			}
+
 			$post = apply_filters( 'wp_import_post_data_raw', $post );
 
 			if ( ! post_type_exists( $post['post_type'] ) ) {
-				printf(
-					__( 'Failed to import &#8220;%1$s&#8221;: Invalid post type %2$s', 'wordpress-importer' ),
-					esc_html( $post['post_title'] ),
-					esc_html( $post['post_type'] )
+				$this->log(
+					'error',
+					sprintf(
+						__( 'Failed to import &#8220;%1$s&#8221;: Invalid post type %2$s', 'wordpress-importer' ),
+						esc_html( $post['post_title'] ),
+						esc_html( $post['post_type'] )
+					),
+					$this->get_log_item( $post )
 				);
-				echo '<br />';
 				do_action( 'wp_import_post_exists', $post );
 				continue;
 			}
@@ -796,6 +2678,10 @@ class WP_Import extends WP_Importer {
 			$comment_post_id = $processed_post['comment_post_id'];
 			$post_exists     = $processed_post['post_exists'];
 
+			// The 'update' import option replaces the terms and meta of the posts it updates, and leaves the others alone.
+			$updated    = ! empty( $processed_post['updated'] );
+			$left_alone = isset( $processed_post['updated'] ) && ! $updated;
+
 			if ( ! isset( $post['terms'] ) ) {
 				$post['terms'] = array();
 			}
@@ -803,7 +2689,7 @@ class WP_Import extends WP_Importer {
 			$post['terms'] = apply_filters( 'wp_import_post_terms', $post['terms'], $post_id, $post );
 
 			// add categories, tags and other terms
-			if ( ! empty( $post['terms'] ) ) {
+			if ( ! empty( $post['terms'] ) && ! $left_alone ) {
 				$this->process_post_terms( $post['terms'], $post_id, $post );
 				unset( $post['terms'] );
 			}
@@ -816,10 +2702,14 @@ class WP_Import extends WP_Importer {
 
 			// add/update comments
 			if ( ! empty( $post['comments'] ) ) {
-				$this->process_post_comments( $post['comments'], (bool) $post_exists, $comment_post_id, $post );
+				$this->process_post_comments( $post['comments'], (bool) $post_exists, $comment_post_id, $post, $updated );
 				unset( $post['comments'] );
 			}
 
+			if ( $left_alone ) {
+				continue;
+			}
+
 			if ( ! isset( $post['postmeta'] ) ) {
 				$post['postmeta'] = array();
 			}
@@ -827,6 +2717,9 @@ class WP_Import extends WP_Importer {
 			$post['postmeta'] = apply_filters( 'wp_import_post_meta', $post['postmeta'], $post_id, $post );
 
 			// add/update post meta
+			if ( $updated ) {
+				$this->delete_post_metas( $post['postmeta'], $post_id, $post );
+			}
 			$this->process_post_metas( $post['postmeta'], $post_id, $post );
 		}
 
@@ -834,18 +2727,19 @@ class WP_Import extends WP_Importer {
 	}
 
 	/**
-	 * Process a single post imported from WXR data.
+	 * Finds the post on this site that a post from the WXR file was already
+	 * imported as, by its title, date and type, or with the 'update' import
+	 * option by what it was imported from, see WP_Import_Update_Mode::find_imported_post().
 	 *
-	 * @param array        $post             Post data from the import file.
-	 * @param WP_Post_Type $post_type_object Post type object for the post.
-	 * @return array|null {
-	 *     @type int $post_id         The local post ID.
-	 *     @type int $comment_post_id Post ID to associate imported comments with.
-	 *     @type int $post_exists     Existing post ID, or 0 if post did not exist.
-	 * }
+	 * @param array $post Post data from the WXR file.
+	 * @return int Post ID, or 0 if there is none. The post may be of another type.
 	 */
-	protected function process_post( $post, $post_type_object ) {
-		$post_exists = post_exists( $post['post_title'], '', $post['post_date'], $post['post_type'] );
+	protected function find_existing_post( $post ) {
+		if ( ! empty( $this->options['update'] ) ) {
+			$post_exists = ( new WP_Import_Update_Mode( $this ) )->find_imported_post( $post );
+		} else {
+			$post_exists = post_exists( $post['post_title'], '', $post['post_date'], $post['post_type'] );
+		}
 
 		/**
 		 * Filter ID of the existing post corresponding to post currently importing.
@@ -859,11 +2753,60 @@ class WP_Import extends WP_Importer {
 		 * @param int   $post_exists  Post ID, or 0 if post did not exist.
 		 * @param array $post         The post array to be inserted.
 		 */
-		$post_exists = apply_filters( 'wp_import_existing_post', $post_exists, $post );
+		return apply_filters( 'wp_import_existing_post', $post_exists, $post );
+	}
+
+	/**
+	 * Records where an imported or updated post came from, see WP_Import_Provenance.
+	 *
+	 * @param int      $post_id
+	 * @param array    $post           Post data from the WXR file.
+	 * @param string[] $rewritten_urls URLs in the post that the import changed.
+	 */
+	public function save_provenance( $post_id, $post, $rewritten_urls ) {
+		$provenance = WP_Import_Provenance::get( $post_id );
+		if ( ! $provenance ) {
+			$provenance = new WP_Import_Provenance( $post_id );
+		}
+		$provenance->imported       = time();
+		$provenance->import_id      = (int) $this->id;
+		$provenance->file           = $this->import_log ? $this->import_log->file : '';
+		$provenance->site           = $this->base_url;
+		$provenance->original_id    = (int) $post['post_id'];
+		$provenance->guid           = $post['guid'];
+		$provenance->link           = isset( $post['link'] ) ? $post['link'] : '';
+		$provenance->author         = $post['post_author'];
+		$provenance->rewritten_urls = $rewritten_urls;
+		$provenance->modified       = get_post_field( 'post_modified_gmt', $post_id );
+		$provenance->source_hash    = ( new WP_Import_Update_Mode( $this ) )->get_source_hash( $post );
+		$provenance->save();
+	}
+
+	/**
+	 * Process a single post imported from WXR data.
+	 *
+	 * @param array        $post             Post data from the import file.
+	 * @param WP_Post_Type $post_type_object Post type object for the post.
+	 * @return array|null {
+	 *     @type int $post_id         The local post ID.
+	 *     @type int $comment_post_id Post ID to associate imported comments with.
+	 *     @type int $post_exists     Existing post ID, or 0 if post did not exist.
+	 * }
+	 */
+	protected function process_post( $post, $post_type_object ) {
+		$post_exists = $this->find_existing_post( $post );
 
 		if ( $post_exists && get_post_type( $post_exists ) == $post['post_type'] ) {
-			printf( __( '%1$s &#8220;%2$s&#8221; already exists.', 'wordpress-importer' ), $post_type_object->labels->singular_name, esc_html( $post['post_title'] ) );
-			echo '<br />';
+			// Attachments are left as they are, their files aren't downloaded again.
+			if ( ! empty( $this->options['update'] ) && 'attachment' !== $post['post_type'] ) {
+				return ( new WP_Import_Update_Mode( $this ) )->update_post( $post, (int) $post_exists, $post_type_object );
+			}
+
+			$this->log(
+				'notice',
+				sprintf( __( '%1$s &#8220;%2$s&#8221; already exists.', 'wordpress-importer' ), $post_type_object->labels->singular_name, esc_html( $post['post_title'] ) ),
+				$this->get_log_item( $post, $post_exists )
+			);
 			$this->processed_posts[ intval( $post['post_id'] ) ] = intval( $post_exists );
 
 			return array(
@@ -912,22 +2855,11 @@ class WP_Import extends WP_Importer {
 			'post_password'  => $post['post_password'],
 		);
 
-		if ( $this->options['rewrite_urls'] ) {
-			$url_mapping              = array(
-				$this->base_url_parsed->toString() => $this->site_url_parsed,
-			);
-			$postdata['post_content'] = wp_rewrite_urls(
-				array(
-					'block_markup' => $postdata['post_content'],
-					'url-mapping'  => $url_mapping,
-				)
-			);
-			$postdata['post_excerpt'] = wp_rewrite_urls(
-				array(
-					'block_markup' => $postdata['post_excerpt'],
-					'url-mapping'  => $url_mapping,
-				)
-			);
+		$url_mapping    = $this->get_url_mapping();
+		$rewritten_urls = array();
+		if ( $url_mapping ) {
+			$postdata['post_content'] = $this->rewrite_content( $postdata['post_content'], $url_mapping, $rewritten_urls );
+			$postdata['post_excerpt'] = $this->rewrite_content( $postdata['post_excerpt'], $url_mapping, $rewritten_urls );
 		}
 
 		$original_post_id = $post['post_id'];
@@ -954,6 +2886,7 @@ class WP_Import extends WP_Importer {
 
 			$comment_post_id = $this->process_attachment( $postdata, $remote_url );
 			$post_id         = $comment_post_id;
+			$this->record_created_post( $post_id );
 		} else {
 			$comment_post_id = wp_insert_post( $postdata, true );
 			$post_id         = $comment_post_id;
@@ -961,15 +2894,28 @@ class WP_Import extends WP_Importer {
 		}
 
 		if ( is_wp_error( $post_id ) ) {
-			printf(
-				__( 'Failed to import %1$s &#8220;%2$s&#8221;', 'wordpress-importer' ),
-				$post_type_object->labels->singular_name,
-				esc_html( $post['post_title'] )
+			$this->log(
+				'error',
+				sprintf(
+					__( 'Failed to import %1$s &#8220;%2$s&#8221;', 'wordpress-importer' ),
+					$post_type_object->labels->singular_name,
+					esc_html( $post['post_title'] )
+				),
+				$this->get_log_item( $post ),
+				$post_id
 			);
-			if ( defined( 'IMPORT_DEBUG' ) && IMPORT_DEBUG ) {
-				echo ': ' . $post_id->get_error_message();
+
+			if ( 'attachment' === $postdata['post_type'] && $postdata['post_parent'] ) {
+				$this->set_failed_attachment(
+					$postdata['post_parent'],
+					$post['post_id'],
+					array(
+						'title' => $post['post_title'],
+						'url'   => $remote_url,
+						'error' => $post_id->get_error_message(),
+					)
+				);
 			}
-			echo '<br />';
 
 			return null;
 		}
@@ -978,7 +2924,18 @@ class WP_Import extends WP_Importer {
 			stick_post( $post_id );
 		}
 
+		$this->save_provenance( $post_id, $post, $rewritten_urls );
+
 		$this->processed_posts[ intval( $post['post_id'] ) ] = (int) $post_id;
+		if ( 'attachment' !== $postdata['post_type'] ) {
+			++$this->update_summary['created'];
+		}
+		$this->log(
+			'info',
+			/* translators: 1: Post type name, e.g. "Page". 2: Post title. */
+			sprintf( __( 'Imported %1$s &#8220;%2$s&#8221;.', 'wordpress-importer' ), $post_type_object->labels->singular_name, esc_html( $post['post_title'] ) ),
+			$this->get_log_item( $post, $post_id )
+		);
 
 		return array(
 			'post_id'         => (int) $post_id,
@@ -1004,6 +2961,24 @@ class WP_Import extends WP_Importer {
 		}
 	}
 
+	/**
+	 * Deletes the values an updated post has for the meta keys the WXR file
+	 * has for it, so that the file's values replace them. Meta keys that are
+	 * only on this site stay.
+	 *
+	 * @param array $post_metas Post meta entries from the WXR file.
+	 * @param int   $post_id    ID of the updated post.
+	 * @param array $post       Raw post data from the WXR file.
+	 */
+	protected function delete_post_metas( $post_metas, $post_id, $post ) {
+		foreach ( $post_metas as $meta ) {
+			$key = apply_filters( 'import_post_meta_key', $meta['key'], $post_id, $post );
+			if ( $key ) {
+				delete_post_meta( $post_id, wp_slash( $key ) );
+			}
+		}
+	}
+
 	/**
 	 * Process a single post meta entry.
 	 *
@@ -1032,6 +3007,12 @@ class WP_Import extends WP_Importer {
 			$value = $this->maybe_unserialize( $meta['value'] );
 		}
 
+		// the batch that died on this post may have added this meta already,
+		// compared as stored, so that e.g. "1" and "01" aren't taken for the same value
+		if ( $this->retrying_item && in_array( (string) maybe_serialize( $value ), array_map( 'maybe_serialize', get_post_meta( $post_id, $key ) ), true ) ) {
+			return;
+		}
+
 		add_post_meta( $post_id, wp_slash( $key ), wp_slash_strings_only( $value ) );
 
 		do_action( 'import_post_meta', $post_id, $key, $value );
@@ -1049,8 +3030,10 @@ class WP_Import extends WP_Importer {
 	 * @param bool  $post_exists     Whether the post already exists.
 	 * @param int   $comment_post_id Local post ID for the imported comments.
 	 * @param array $post            Original post array from the WXR file.
+	 * @param bool  $update          Whether to update the comments that already exist, for
+	 *                               posts updated by the 'update' import option.
 	 */
-	protected function process_post_comments( $comments, $post_exists, $comment_post_id, $post ) {
+	protected function process_post_comments( $comments, $post_exists, $comment_post_id, $post, $update = false ) {
 		$num_comments      = 0;
 		$newcomments       = array();
 		$inserted_comments = array();
@@ -1089,7 +3072,7 @@ class WP_Import extends WP_Importer {
 				$comment['comment_parent'] = $inserted_comments[ $comment['comment_parent'] ];
 			}
 
-			$inserted_comment_id = $this->process_post_comment( $comment, $post_exists, $comment_post_id );
+			$inserted_comment_id = $this->process_post_comment( $comment, $post_exists, $comment_post_id, $update );
 
 			if ( $inserted_comment_id ) {
 				do_action( 'wp_import_insert_comment', $inserted_comment_id, $comment, $comment_post_id, $post );
@@ -1106,11 +3089,14 @@ class WP_Import extends WP_Importer {
 	 * @param array $comment         Comment data to insert.
 	 * @param bool  $post_exists     Whether the post already exists.
 	 * @param int   $comment_post_id Local post ID for the imported comment.
-	 * @param array $post            Original post array from the WXR file.
+	 * @param bool  $update          Whether to update the comment's content if it already exists.
 	 * @return int|false Inserted comment ID on success, false otherwise.
 	 */
-	protected function process_post_comment( $comment, $post_exists, $comment_post_id ) {
+	protected function process_post_comment( $comment, $post_exists, $comment_post_id, $update = false ) {
 		if ( $post_exists && comment_exists( $comment['comment_author'], $comment['comment_date'] ) ) {
+			if ( $update ) {
+				$this->update_post_comment( $comment, $comment_post_id );
+			}
 			return false;
 		}
 
@@ -1123,6 +3109,29 @@ class WP_Import extends WP_Importer {
 		return wp_insert_comment( $comment_data );
 	}
 
+	/**
+	 * Updates the content of a comment an updated post already has. Whether
+	 * it's approved is up to this site.
+	 *
+	 * @param array $comment         Comment data from the WXR file.
+	 * @param int   $comment_post_id ID of the updated post.
+	 */
+	protected function update_post_comment( $comment, $comment_post_id ) {
+		global $wpdb;
+
+		$existing = $wpdb->get_row( $wpdb->prepare( "SELECT comment_ID, comment_content FROM {$wpdb->comments} WHERE comment_post_ID = %d AND comment_author = %s AND comment_date = %s LIMIT 1", $comment_post_id, $comment['comment_author'], $comment['comment_date'] ) );
+		if ( $existing && $existing->comment_content !== $comment['comment_content'] ) {
+			wp_update_comment(
+				wp_slash(
+					array(
+						'comment_ID'      => (int) $existing->comment_ID,
+						'comment_content' => $comment['comment_content'],
+					)
+				)
+			);
+		}
+	}
+
 	/**
 	 * Process comment meta for an imported comment.
 	 *
@@ -1170,6 +3179,21 @@ class WP_Import extends WP_Importer {
 		$terms_to_set = array();
 
 		foreach ( $terms as $term ) {
+			// Back compat with WXR 1.0 map 'tag' to 'post_tag'.
+			$taxonomy = ( 'tag' == $term['domain'] ) ? 'post_tag' : $term['domain'];
+			$mapping  = $this->get_term_mapping( $taxonomy, $term['slug'] );
+			if ( 'drop' === $mapping['action'] ) {
+				continue;
+			}
+			if ( 'map' === $mapping['action'] ) {
+				$terms_to_set[ $taxonomy ][] = $mapping['term_id'];
+				continue;
+			}
+			if ( 'rename' === $mapping['action'] ) {
+				$term['name'] = $mapping['name'];
+				$term['slug'] = $mapping['slug'];
+			}
+
 			$processed_term = $this->process_post_term( $term, $post_id, $post );
 
 			if ( $processed_term ) {
@@ -1207,11 +3231,12 @@ class WP_Import extends WP_Importer {
 			$t = wp_insert_term( $term['name'], $taxonomy, array( 'slug' => $term['slug'] ) );
 
 			if ( is_wp_error( $t ) ) {
-				printf( __( 'Failed to import %1$s %2$s', 'wordpress-importer' ), esc_html( $taxonomy ), esc_html( $term['name'] ) );
-				if ( defined( 'IMPORT_DEBUG' ) && IMPORT_DEBUG ) {
-					echo ': ' . $t->get_error_message();
-				}
-				echo '<br />';
+				$this->log(
+					'error',
+					sprintf( __( 'Failed to import %1$s %2$s', 'wordpress-importer' ), esc_html( $taxonomy ), esc_html( $term['name'] ) ),
+					array( 'type' => $taxonomy ),
+					$t
+				);
 				do_action( 'wp_import_insert_term_failed', $t, $term, $post_id, $post );
 				return false;
 			}
@@ -1242,28 +3267,21 @@ class WP_Import extends WP_Importer {
 			return;
 		}
 
-		$menu_slug = false;
-		if ( isset( $item['terms'] ) ) {
-			// loop through terms, assume first nav_menu term is correct menu
-			foreach ( $item['terms'] as $term ) {
-				if ( 'nav_menu' == $term['domain'] ) {
-					$menu_slug = $term['slug'];
-					break;
-				}
-			}
-		}
+		$menu_slug = $this->get_menu_slug( $item );
 
 		// no nav_menu term associated with this menu item
 		if ( ! $menu_slug ) {
-			_e( 'Menu item skipped due to missing menu slug', 'wordpress-importer' );
-			echo '<br />';
+			$this->log( 'warning', __( 'Menu item skipped due to missing menu slug', 'wordpress-importer' ), $this->get_log_item( $item ) );
 			return;
 		}
 
 		$menu_id = term_exists( $menu_slug, 'nav_menu' );
 		if ( ! $menu_id ) {
-			printf( __( 'Menu item skipped due to invalid menu slug: %s', 'wordpress-importer' ), esc_html( $menu_slug ) );
-			echo '<br />';
+			$this->log(
+				'warning',
+				sprintf( __( 'Menu item skipped due to invalid menu slug: %s', 'wordpress-importer' ), esc_html( $menu_slug ) ),
+				$this->get_log_item( $item )
+			);
 			return;
 		} else {
 			$menu_id = is_array( $menu_id ) ? $menu_id['term_id'] : $menu_id;
@@ -1315,7 +3333,47 @@ class WP_Import extends WP_Importer {
 		$id = wp_update_nav_menu_item( $menu_id, 0, $args );
 		if ( $id && ! is_wp_error( $id ) ) {
 			$this->processed_menu_items[ intval( $item['post_id'] ) ] = (int) $id;
+			$this->record_created( 'posts', $id );
+		}
+	}
+
+	/**
+	 * Rewrites the URL of an imported attachment like the URLs in post content,
+	 * so that backfill_attachment_urls() finds it there. See process_attachment().
+	 *
+	 * @param string $url
+	 * @return string
+	 */
+	protected function rewrite_attachment_url( $url ) {
+		$parsed = WPURL::parse( $url, $this->base_url_parsed ? $this->base_url_parsed->toString() : null );
+		if ( $parsed ) {
+			foreach ( $this->get_custom_url_mapping() as $from => $to ) {
+				if ( is_child_url_of( $parsed, $from ) ) {
+					$candidate = WPURL::replace_base_url(
+						$url,
+						array(
+							'old_base_url' => $from,
+							'new_base_url' => $to,
+						)
+					);
+					return false === $candidate ? $url : (string) $candidate;
+				}
+			}
+		}
+
+		if ( $this->options['rewrite_urls'] ) {
+			$candidate = WPURL::replace_base_url(
+				$url,
+				array(
+					'old_base_url' => $this->base_url_parsed,
+					'new_base_url' => $this->site_url_parsed,
+				)
+			);
+			if ( false !== $candidate ) {
+				return (string) $candidate;
+			}
 		}
+		return $url;
 	}
 
 	/**
@@ -1338,11 +3396,28 @@ class WP_Import extends WP_Importer {
 			$url = rtrim( $this->base_url, '/' ) . $url;
 		}
 
+		if ( ! empty( $this->options['queue_downloads'] ) ) {
+			return $this->queue_attachment( $post, $url );
+		}
+
 		$upload = $this->fetch_remote_file( $url, $post );
 		if ( is_wp_error( $upload ) ) {
 			return $upload;
 		}
 
+		return $this->insert_attachment( $post, $url, $upload );
+	}
+
+	/**
+	 * Creates an attachment for a downloaded file, or adds the file to an
+	 * attachment created by queue_attachment().
+	 *
+	 * @param array  $post   Attachment post details, with its ID if it exists.
+	 * @param string $url    URL the file was fetched from.
+	 * @param array  $upload The downloaded file, see fetch_remote_file().
+	 * @return int|WP_Error Post ID on success, WP_Error otherwise
+	 */
+	public function insert_attachment( $post, $url, $upload ) {
 		$info = wp_check_filetype( $upload['file'] );
 		if ( $info ) {
 			$post['post_mime_type'] = $info['type'];
@@ -1370,6 +3445,71 @@ class WP_Import extends WP_Importer {
 		return $post_id;
 	}
 
+	/**
+	 * Creates an attachment without its file and leaves downloading the file to
+	 * the download queue, so that a slow or unreachable server doesn't hold up
+	 * the import. Until then, the attachment's URL is the one it's downloaded from.
+	 *
+	 * @param array  $post Attachment post details from WXR
+	 * @param string $url  URL to fetch the attachment from
+	 * @return int|WP_Error Post ID on success, WP_Error otherwise
+	 */
+	protected function queue_attachment( $post, $url ) {
+		$info                   = wp_check_filetype( wp_basename( (string) parse_url( $url, PHP_URL_PATH ) ) );
+		$post['post_mime_type'] = $info['type'] ? $info['type'] : '';
+
+		$post_id = wp_insert_attachment( $post, false, 0, true );
+		if ( is_wp_error( $post_id ) ) {
+			return $post_id;
+		}
+
+		$queue = new WP_Import_Download_Queue( $this->id );
+		$queue->add(
+			$post_id,
+			array(
+				'url'         => $url,
+				'upload_date' => $post['upload_date'],
+			)
+		);
+
+		return $post_id;
+	}
+
+	/**
+	 * Stores what WP_Import_Downloads::download_attachment() needs to know about the import, if any
+	 * attachment files were queued.
+	 */
+	protected function save_download_queue() {
+		$queue = new WP_Import_Download_Queue( $this->id );
+		if ( ! $queue->get_attachment_ids() ) {
+			return;
+		}
+
+		$file        = get_attached_file( $this->id );
+		$queue->file = $file ? wp_basename( $file ) : '';
+		foreach ( array( 'options', 'base_url', 'processed_posts', 'featured_images' ) as $key ) {
+			$queue->state[ $key ] = $this->$key;
+		}
+		$queue->save();
+	}
+
+	/**
+	 * Notes on the provenance of a post that the file of one of its
+	 * attachments couldn't be imported, or that it's there now. Attachments
+	 * imported before their post are left out.
+	 *
+	 * @param int        $parent_id   ID of the post the attachment is attached to.
+	 * @param int|string $original_id Attachment ID in the WXR file.
+	 * @param array|null $failure     See WP_Import_Provenance::set_failed_attachment().
+	 */
+	public function set_failed_attachment( $parent_id, $original_id, $failure ) {
+		$provenance = $parent_id ? WP_Import_Provenance::get( $parent_id ) : null;
+		if ( ! $provenance || ( ! $failure && ! isset( $provenance->failed_attachments[ $original_id ] ) ) ) {
+			return;
+		}
+		$provenance->set_failed_attachment( $original_id, $failure );
+	}
+
 	/**
 	 * Attempt to download a remote file attachment
 	 *
@@ -1545,39 +3685,10 @@ class WP_Import extends WP_Importer {
 		 *     https://example.org/wp-content/uploads/canola2.jpg"
 		 *                                            ^ there may be no 2008/06 on the target site.
 		 */
-		if ( $this->options['rewrite_urls'] ) {
-			$url_candidate = WPURL::replace_base_url(
-				$url,
-				array(
-					'old_base_url' => $this->base_url_parsed,
-					'new_base_url' => $this->site_url_parsed,
-				)
-			);
-			if ( false !== $url_candidate ) {
-				$url = (string) $url_candidate;
-			}
-			$guid_candidate = WPURL::replace_base_url(
-				$post['guid'],
-				array(
-					'old_base_url' => $this->base_url_parsed,
-					'new_base_url' => $this->site_url_parsed,
-				)
-			);
-			if ( false !== $guid_candidate ) {
-				$post['guid'] = (string) $guid_candidate;
-			}
-			if ( isset( $headers['x-final-location'] ) ) {
-				$final_location_candidate = WPURL::replace_base_url(
-					$headers['x-final-location'],
-					array(
-						'old_base_url' => $this->base_url_parsed,
-						'new_base_url' => $this->site_url_parsed,
-					)
-				);
-				if ( false !== $final_location_candidate ) {
-					$headers['x-final-location'] = (string) $final_location_candidate;
-				}
-			}
+		$url          = $this->rewrite_attachment_url( $url );
+		$post['guid'] = $this->rewrite_attachment_url( $post['guid'] );
+		if ( isset( $headers['x-final-location'] ) ) {
+			$headers['x-final-location'] = $this->rewrite_attachment_url( $headers['x-final-location'] );
 		}
 
 		$this->url_remap[ $url ]          = $upload['url'];
@@ -1679,8 +3790,8 @@ class WP_Import extends WP_Importer {
 	 * @return array Information gathered from the WXR file
 	 */
 	public function parse( $file ) {
-		$parser = new WXR_Parser();
-		return $parser->parse( $file );
+		$this->wxr_parser = new WXR_Parser();
+		return $this->wxr_parser->parse( $file, empty( $this->options['parser'] ) ? null : $this->options['parser'] );
 	}
 
 	// Display import page title
@@ -1703,15 +3814,245 @@ class WP_Import extends WP_Importer {
 		echo '</div>';
 	}
 
+	/**
+	 * Shows the progress of a batched import, and runs its batches from the browser.
+	 *
+	 * Without JavaScript, the screen reloads itself to run the next batch, which
+	 * dispatch() runs before showing the screen again. The messages of all the
+	 * batches are shown from the import log once the last one is done.
+	 *
+	 * @param WP_Import_Session $session
+	 * @param array|null        $batch   The batch this request ran, see run_batch().
+	 */
+	public function batch_progress_screen( $session, $batch = null ) {
+		$done = $batch && $batch['done'];
+		if ( ! $done ) {
+			wp_enqueue_script( 'wordpress-importer-batch', plugins_url( 'js/import-batch.js', __FILE__ ), array( 'jquery' ), filemtime( __DIR__ . '/js/import-batch.js' ), true );
+			wp_localize_script(
+				'wordpress-importer-batch',
+				'wordpressImporterBatch',
+				array(
+					'ajaxUrl'  => admin_url( 'admin-ajax.php' ),
+					'importId' => $session->id,
+					'nonce'    => wp_create_nonce( 'import-wordpress-batch' ),
+					'stopped'  => __( 'The import stopped before it finished. Everything imported so far has been kept, and resuming continues where it stopped.', 'wordpress-importer' ),
+				)
+			);
+		}
+
+		echo '<div id="import-progress" data-status="' . ( $done ? 'done' : 'running' ) . '">';
+		echo '<table class="widefat striped"><tbody>';
+		foreach ( $this->get_batch_progress( $session ) as $phase => $progress ) {
+			echo '<tr data-phase="' . esc_attr( $phase ) . '">';
+			echo '<th scope="row">' . esc_html( $progress['label'] ) . '</th>';
+			echo '<td><progress max="' . max( 1, $progress['total'] ) . '" value="' . ( 'done' === $progress['status'] ? max( 1, $progress['total'] ) : $progress['done'] ) . '"></progress></td>';
+			echo '<td class="import-progress-count">' . $progress['done'] . ' / ' . $progress['total'] . '</td>';
+			echo '</tr>';
+		}
+		echo '</tbody></table>';
+		echo '<div id="import-log">';
+		if ( $done ) {
+			$this->print_logged_messages( $session->id );
+		}
+		echo $batch ? $batch['log'] : '';
+		echo '</div>';
+		echo '<div id="import-error" class="notice notice-error inline" hidden>';
+		echo '<p class="import-error-message"></p>';
+		echo '<p><button type="button" class="button" id="import-resume">' . __( 'Resume import', 'wordpress-importer' ) . '</button></p>';
+		echo '</div>';
+		if ( ! $done ) {
+			$next = wp_nonce_url( admin_url( 'admin.php?import=wordpress&step=2&import_id=' . $session->id . '&batch=1' ), 'import-wordpress-batch' );
+			echo '<noscript>';
+			echo '<meta http-equiv="refresh" content="0;url=' . esc_url( $next ) . '" />';
+			/* translators: %s: URL of the next batch. */
+			echo '<p>' . sprintf( __( 'This page reloads itself for each part of the import. If it stops, <a href="%s">continue the import</a>.', 'wordpress-importer' ), esc_url( $next ) ) . '</p>';
+			echo '</noscript>';
+		}
+		echo '</div>';
+
+		$downloads = null;
+		if ( $done ) {
+			$queue     = WP_Import_Download_Queue::get( $session->id );
+			$downloads = $queue ? $queue->get_downloads() : array();
+		}
+		( new WP_Import_Downloads( $this ) )->download_queue_screen( $session->id, $downloads );
+	}
+
+	/**
+	 * Prints the messages of an import from its log, as log() printed them
+	 * while the import ran.
+	 *
+	 * @param int $import_id WXR attachment ID.
+	 */
+	protected function print_logged_messages( $import_id ) {
+		$log = WP_Import_Log::get( $import_id );
+		if ( ! $log ) {
+			return;
+		}
+
+		foreach ( $log->get_records() as $record ) {
+			if ( 'info' !== $record['severity'] ) {
+				echo $record['message'] . '<br />';
+			}
+		}
+	}
+
+	/**
+	 * Lists the batched imports the current user started that haven't finished,
+	 * with links to resume them, and the imports with attachment files left to
+	 * download.
+	 */
+	public function unfinished_imports() {
+		$sessions = wp_list_filter( WP_Import_Session::get_unfinished(), array( 'user_id' => get_current_user_id() ) );
+		$queues   = WP_Import_Download_Queue::get_unfinished();
+		if ( ! $sessions && ! $queues ) {
+			return;
+		}
+
+		echo '<div class="notice notice-warning inline">';
+		foreach ( $sessions as $session ) {
+			$file = get_attached_file( $session->id );
+			$url  = wp_nonce_url( admin_url( 'admin.php?import=wordpress&step=2&import_id=' . $session->id ), 'import-wordpress-resume' );
+			echo '<p>';
+			printf(
+				/* translators: 1: WXR file name, 2: Time since the import started, e.g. "2 hours". */
+				__( 'The import of %1$s started %2$s ago has not finished.', 'wordpress-importer' ),
+				'<code>' . esc_html( $file ? wp_basename( $file ) : '#' . $session->id ) . '</code>',
+				esc_html( human_time_diff( $session->started ) )
+			);
+			echo ' <a href="' . esc_url( $url ) . '">' . __( 'Resume import', 'wordpress-importer' ) . '</a>';
+			echo '</p>';
+		}
+		foreach ( $queues as $queue ) {
+			$url = wp_nonce_url( admin_url( 'admin.php?import=wordpress&step=3&import_id=' . $queue->id ), 'import-wordpress-downloads' );
+			echo '<p>';
+			printf(
+				/* translators: %s: WXR file name. */
+				__( 'Some attachment files of the import of %s have not been downloaded.', 'wordpress-importer' ),
+				'<code>' . esc_html( $queue->file ? $queue->file : '#' . $queue->id ) . '</code>'
+			);
+			echo ' <a href="' . esc_url( $url ) . '">' . __( 'Download files', 'wordpress-importer' ) . '</a>';
+			echo '</p>';
+		}
+		echo '</div>';
+	}
+
 	/**
 	 * Display introductory text and file upload form
 	 */
 	public function greet() {
 		echo '<div class="narrow">';
+		$this->unfinished_imports();
 		echo '<p>' . __( 'Howdy! Upload your WordPress eXtended RSS (WXR) file and we&#8217;ll import the posts, pages, comments, custom fields, categories, and tags into this site.', 'wordpress-importer' ) . '</p>';
 		echo '<p>' . __( 'Choose a WXR (.xml) file to upload, then click Upload file and import.', 'wordpress-importer' ) . '</p>';
 		wp_import_upload_form( 'admin.php?import=wordpress&amp;step=1' );
+		$this->upload_preflight();
+		$this->fetch_form();
+		( new WP_Import_Log_Screen( $this ) )->import_logs();
+		if ( WP_Import_Rollback::get_all() ) {
+			echo '<p><a id="import-past-imports" href="' . esc_url( admin_url( 'admin.php?import=wordpress&step=5' ) ) . '">' . __( 'Past imports, and rolling them back', 'wordpress-importer' ) . '</a></p>';
+		}
+		echo '</div>';
+	}
+
+	/**
+	 * Adds the browser-side check of the chosen file, and the upload in parts,
+	 * to the upload form. See js/import-upload.js.
+	 */
+	public function upload_preflight() {
+		wp_enqueue_script( 'wordpress-importer-preflight', plugins_url( 'js/wxr-preflight.js', __FILE__ ), array(), filemtime( __DIR__ . '/js/wxr-preflight.js' ), true );
+		wp_enqueue_script( 'wordpress-importer-upload', plugins_url( 'js/import-upload.js', __FILE__ ), array( 'jquery', 'wordpress-importer-preflight' ), filemtime( __DIR__ . '/js/import-upload.js' ), true );
+		wp_localize_script(
+			'wordpress-importer-upload',
+			'wordpressImporterUpload',
+			array(
+				'ajaxUrl'    => admin_url( 'admin-ajax.php' ),
+				'nonce'      => wp_create_nonce( 'import-wordpress-upload' ),
+				'chunkSize'  => ( new WP_Import_Upload() )->upload_chunk_size(),
+				'maxVersion' => (string) $this->max_wxr_version,
+				'l10n'       => array(
+					'checking'     => __( 'Checking the file…', 'wordpress-importer' ),
+					'uploading'    => __( 'Uploading…', 'wordpress-importer' ),
+					'readFailed'   => __( 'The file could not be read.', 'wordpress-importer' ),
+					'uploadFailed' => __( 'The upload stopped before it finished. Resuming it continues where it stopped.', 'wordpress-importer' ),
+					'version'      => __( 'WXR version', 'wordpress-importer' ),
+					'baseSiteUrl'  => __( 'Site URL', 'wordpress-importer' ),
+					'baseBlogUrl'  => __( 'Blog URL', 'wordpress-importer' ),
+					'authors'      => __( 'Authors', 'wordpress-importer' ),
+					'categories'   => __( 'Categories', 'wordpress-importer' ),
+					'tags'         => __( 'Tags', 'wordpress-importer' ),
+					'terms'        => __( 'Terms', 'wordpress-importer' ),
+					/* translators: %s: Post type, e.g. "page". */
+					'postType'     => __( 'Items of type %s', 'wordpress-importer' ),
+					'attachments'  => __( 'Attachments', 'wordpress-importer' ),
+					'comments'     => __( 'Comments', 'wordpress-importer' ),
+					'problems'     => array(
+						'not-xml'             => __( 'This does not look like an XML file.', 'wordpress-importer' ),
+						'not-wxr'             => __( 'This does not appear to be a WXR file: it has no <rss> or <channel> element.', 'wordpress-importer' ),
+						'truncated'           => __( 'The file ends before its closing </rss> tag. It may have been cut off, e.g. by an interrupted download.', 'wordpress-importer' ),
+						'missing-version'     => __( 'This does not appear to be a WXR file, missing/invalid WXR version number', 'wordpress-importer' ),
+						/* translators: %s: WXR version of the file. */
+						'unsupported-version' => __( 'This WXR file (version %s) may not be supported by this version of the importer. Please consider updating.', 'wordpress-importer' ),
+						'empty'               => __( 'The file contains no authors, terms or posts.', 'wordpress-importer' ),
+					),
+				),
+			)
+		);
+
+		echo '<div id="import-preflight" hidden>';
+		echo '<table class="widefat striped"><tbody class="import-preflight-summary"></tbody></table>';
+		echo '<ul class="import-preflight-problems"></ul>';
+		echo '<p class="import-upload-progress" hidden><span class="import-upload-label"></span> <progress max="1" value="0"></progress></p>';
+		echo '<p><button type="button" class="button" id="import-upload-anyway" hidden>' . __( 'Upload anyway', 'wordpress-importer' ) . '</button></p>';
+		echo '<div id="import-upload-error" class="notice notice-error inline" hidden>';
+		echo '<p class="import-error-message"></p>';
+		echo '<p><button type="button" class="button" id="import-upload-resume">' . __( 'Resume upload', 'wordpress-importer' ) . '</button></p>';
+		echo '</div>';
+		echo '</div>';
+	}
+
+	/**
+	 * Display the form that imports a file from a URL, or from a directory on the
+	 * server, instead of an upload. See js/import-fetch.js.
+	 */
+	public function fetch_form() {
+		if ( ! current_user_can( 'upload_files' ) ) {
+			return;
+		}
+
+		wp_enqueue_script( 'wordpress-importer-fetch', plugins_url( 'js/import-fetch.js', __FILE__ ), array( 'jquery' ), filemtime( __DIR__ . '/js/import-fetch.js' ), true );
+		wp_localize_script(
+			'wordpress-importer-fetch',
+			'wordpressImporterFetch',
+			array(
+				'ajaxUrl' => admin_url( 'admin-ajax.php' ),
+				'nonce'   => wp_create_nonce( 'import-wordpress-fetch' ),
+				'l10n'    => array(
+					'downloading' => __( 'Downloading…', 'wordpress-importer' ),
+					'fetchFailed' => __( 'The download stopped before it finished. Resuming it continues where it stopped.', 'wordpress-importer' ),
+				),
+			)
+		);
+
+		$directories = ( new WP_Import_Upload() )->get_fetch_directories();
+		echo '<form id="import-fetch-form" method="post" action="' . esc_url( admin_url( 'admin.php?import=wordpress&step=1' ) ) . '">';
+		wp_nonce_field( 'import-upload' );
+		echo '<p><label for="import-source">';
+		if ( $directories ) {
+			/* translators: %s: List of directories. */
+			printf( __( 'Or enter the URL of a WXR file, or its path if it is in one of these directories on the server: %s', 'wordpress-importer' ), '<code>' . implode( '</code>, <code>', array_map( 'esc_html', $directories ) ) . '</code>' );
+		} else {
+			_e( 'Or enter the URL of a WXR file:', 'wordpress-importer' );
+		}
+		echo '</label><br />';
+		echo '<input type="text" class="large-text code" id="import-source" name="import_source" placeholder="https://" /></p>';
+		echo '<p class="import-fetch-progress" hidden><span class="import-fetch-label"></span> <progress max="1" value="0"></progress></p>';
+		echo '<div id="import-fetch-error" class="notice notice-error inline" hidden>';
+		echo '<p class="import-error-message"></p>';
+		echo '<p><button type="button" class="button" id="import-fetch-resume">' . __( 'Resume download', 'wordpress-importer' ) . '</button></p>';
 		echo '</div>';
+		submit_button( __( 'Download file and import', 'wordpress-importer' ), 'secondary', 'submit', true, array( 'id' => 'import-fetch-submit' ) );
+		echo '</form>';
 	}
 
 	/**
@@ -1723,7 +4064,8 @@ class WP_Import extends WP_Importer {
 	public function is_valid_meta_key( $key ) {
 		// skip attachment metadata since we'll regenerate it from scratch
 		// skip _edit_lock as not relevant for import
-		if ( in_array( $key, array( '_wp_attached_file', '_wp_attachment_metadata', '_edit_lock' ), true ) ) {
+		// skip the provenance of posts the exporting site had imported, it's recorded anew
+		if ( in_array( $key, array_merge( array( '_wp_attached_file', '_wp_attachment_metadata', '_edit_lock' ), WP_Import_Provenance::get_meta_keys() ), true ) ) {
 			return false;
 		}
 		return $key;
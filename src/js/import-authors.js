@@ -0,0 +1,276 @@
+/* global jQuery, wordpressImporterAuthors */
+/**
+ * Replaces the user dropdown of each imported author on the import options
+ * screen with a choice between creating a new user and assigning the posts to
+ * an existing one, found by searching as you type.
+ *
+ * The dropdowns stay in the form, hidden, and hold the chosen user, so the
+ * form sends the same user_map and user_new fields as without JavaScript.
+ * Users the importer matched by email address or login are preselected.
+ */
+(function ($, settings) {
+	var l10n = settings.l10n;
+	var $authors = $('#authors');
+	var rows = [];
+
+	/**
+	 * A search field that lists matching users while typing.
+	 *
+	 * @param {string}   id       ID of the field.
+	 * @param {Function} onSelect Called with { id, label } of the chosen user.
+	 * @return {jQuery} The field and its list of results.
+	 */
+	function userSearch(id, onSelect) {
+		var $input = $('<input type="search" class="regular-text" autocomplete="off">').attr({
+			id: id,
+			role: 'combobox',
+			'aria-autocomplete': 'list',
+			'aria-expanded': 'false',
+			'aria-controls': id + '-results',
+			placeholder: l10n.search,
+		});
+		var $results = $('<ul role="listbox" class="import-user-results" hidden>').attr(
+			'id',
+			id + '-results'
+		);
+		var users = [];
+		var active = -1;
+		var chosen = '';
+		var timer;
+		var request;
+
+		function close() {
+			$results.prop('hidden', true).empty();
+			$input.attr('aria-expanded', 'false').removeAttr('aria-activedescendant');
+			users = [];
+			active = -1;
+		}
+
+		function choose(user) {
+			chosen = user.label;
+			$input.val(user.label);
+			close();
+			onSelect(user);
+		}
+
+		function highlight(index) {
+			active = index;
+			$results.children().attr('aria-selected', 'false');
+			var $option = $results.children().eq(index).attr('aria-selected', 'true');
+			$input.attr('aria-activedescendant', $option.attr('id'));
+		}
+
+		function show(found) {
+			users = found;
+			active = -1;
+			$results.empty();
+			if (!found.length) {
+				$results.append($('<li class="import-user-none">').text(l10n.noResults));
+			}
+			$.each(found, function (i, user) {
+				$('<li role="option" aria-selected="false">')
+					.attr('id', id + '-result-' + i)
+					.text(user.label)
+					.on('mousedown', function (event) {
+						// Keep the focus in the field until the user is chosen.
+						event.preventDefault();
+						choose(user);
+					})
+					.appendTo($results);
+			});
+			$results.prop('hidden', false);
+			$input.attr('aria-expanded', 'true');
+		}
+
+		$input.on('input', function () {
+			var term = $.trim($input.val());
+			clearTimeout(timer);
+			if (request) {
+				request.abort();
+			}
+			if (!term) {
+				close();
+				return;
+			}
+			timer = setTimeout(function () {
+				request = $.get(settings.ajaxUrl, {
+					action: 'wordpress_importer_search_users',
+					_ajax_nonce: settings.nonce,
+					term: term,
+				}).done(function (response) {
+					if (response && response.success) {
+						show(response.data);
+					}
+				});
+			}, 250);
+		});
+
+		$input.on('keydown', function (event) {
+			if ('ArrowDown' === event.key && users.length) {
+				event.preventDefault();
+				highlight(Math.min(users.length - 1, active + 1));
+			} else if ('ArrowUp' === event.key && users.length) {
+				event.preventDefault();
+				highlight(Math.max(0, active - 1));
+			} else if ('Enter' === event.key) {
+				// Never submit the form from here.
+				event.preventDefault();
+				if (users[active]) {
+					choose(users[active]);
+				}
+			} else if ('Escape' === event.key) {
+				close();
+			}
+		});
+
+		$input.on('blur', function () {
+			close();
+			$input.val(chosen);
+		});
+
+		$input.data('setChosen', function (label) {
+			chosen = label;
+			$input.val(label);
+		});
+
+		return $input.add($results);
+	}
+
+	/**
+	 * The mapping of one imported author.
+	 *
+	 * @param {jQuery} $li
+	 * @param {number} index
+	 */
+	function AuthorRow($li, index) {
+		var row = this;
+		var $select = $li.find('select[name^="user_map"]');
+		var $newLogin = $li.find('input[name^="user_new"]');
+		var login = $li.find('input[name^="imported_authors"]').val();
+		var suggestedBy = $select.attr('data-suggested-by');
+		var name = 'import-author-mode-' + index;
+
+		var $choice = $('<fieldset class="import-author-choice">');
+		var $search = userSearch('import-author-search-' + index, function (user) {
+			row.assign(user);
+		});
+		var $assign = $('<input type="radio" value="assign">').attr({
+			name: name,
+			id: name + '-assign',
+		});
+
+		if (settings.createUsers && $newLogin.length) {
+			var $create = $('<input type="radio" value="create">').attr({
+				name: name,
+				id: name + '-create',
+			});
+			$newLogin.attr('placeholder', login);
+			$('<p>')
+				.append(
+					$create,
+					' ',
+					$('<label>').attr('for', $create.attr('id')).text(l10n.create),
+					' ',
+					$('<label>').attr('for', $newLogin.attr('id')).text(l10n.createAs),
+					' ',
+					$newLogin
+				)
+				.appendTo($choice);
+			$create.on('change', function () {
+				row.setMode('create');
+			});
+		}
+
+		$('<p>')
+			.append(
+				$assign,
+				' ',
+				$('<label>').attr('for', $assign.attr('id')).text(l10n.assign),
+				' ',
+				$search
+			)
+			.appendTo($choice);
+		$assign.on('change', function () {
+			row.setMode('assign');
+		});
+		$search.filter('input').on('focus', function () {
+			row.setMode('assign');
+		});
+
+		if (suggestedBy) {
+			$('<p class="description import-author-suggestion">')
+				.text('email' === suggestedBy ? l10n.suggestedEmail : l10n.suggestedLogin)
+				.appendTo($choice);
+		}
+
+		// Hide the fields this replaces, but keep the dropdown in the form.
+		$li.children('div, label').hide();
+		$li.children('br').slice(1).hide();
+		$select.hide();
+		$li.children('br').first().after($choice);
+
+		this.setMode = function (mode) {
+			$choice.find('input[type="radio"][value="' + mode + '"]').prop('checked', true);
+			$li.attr('data-mode', mode);
+			$newLogin.prop('disabled', 'create' !== mode);
+			if ('create' === mode) {
+				$select.val('0');
+				$search.filter('input').data('setChosen')('');
+			}
+		};
+
+		this.assign = function (user) {
+			if (!$select.find('option[value="' + user.id + '"]').length) {
+				$select.append(new Option(user.label, user.id));
+			}
+			$select.val(String(user.id));
+			$search.filter('input').data('setChosen')(user.label);
+			row.setMode('assign');
+		};
+
+		this.isAssigned = function () {
+			return 'assign' === $li.attr('data-mode') && '0' !== $select.val();
+		};
+
+		if ('0' !== $select.val()) {
+			this.assign({ id: $select.val(), label: $select.find('option:selected').text() });
+		} else {
+			this.setMode(settings.createUsers && $newLogin.length ? 'create' : 'assign');
+		}
+	}
+
+	function mapAll() {
+		var chosen = null;
+		var $button = $('<button type="button" class="button" disabled>').text(l10n.mapAllButton);
+		var $search = userSearch('import-authors-map-all-search', function (user) {
+			chosen = user;
+			$button.prop('disabled', false);
+		});
+
+		$button.on('click', function () {
+			$.each(rows, function (i, row) {
+				if (!row.isAssigned()) {
+					row.assign(chosen);
+				}
+			});
+		});
+
+		return $('<div id="import-authors-map-all">').append(
+			$('<p>').append(
+				$('<label>').attr('for', 'import-authors-map-all-search').text(l10n.mapAll),
+				' ',
+				$search,
+				' ',
+				$button
+			),
+			$('<p class="description">').text(l10n.mapAllRemaining)
+		);
+	}
+
+	$authors.children('li').each(function (index) {
+		rows.push(new AuthorRow($(this), index));
+	});
+	if (rows.length > 1) {
+		$authors.before(mapAll());
+	}
+})(jQuery, wordpressImporterAuthors);
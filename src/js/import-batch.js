@@ -0,0 +1,68 @@
+/* global jQuery, wordpressImporterBatch */
+/**
+ * Runs a batched import from the progress screen, one admin-ajax.php request
+ * per batch, until the importer reports that it is done.
+ *
+ * When a batch fails, e.g. because the request timed out, the import stops
+ * and can be resumed with the button in #import-error.
+ */
+(function ($, settings) {
+	var $progress = $('#import-progress');
+	var $log = $('#import-log');
+	var $error = $('#import-error');
+
+	function updateProgress(progress) {
+		$.each(progress, function (phase, counts) {
+			var $row = $progress.find('[data-phase="' + phase + '"]');
+			var max = Math.max(1, counts.total);
+
+			$row.find('progress').attr({
+				max: max,
+				value: 'done' === counts.status ? max : counts.done,
+			});
+			$row.find('.import-progress-count').text(counts.done + ' / ' + counts.total);
+		});
+	}
+
+	function stop(message) {
+		$progress.attr('data-status', 'failed');
+		$error.find('.import-error-message').text(message);
+		$error.prop('hidden', false);
+	}
+
+	function runBatch() {
+		$progress.attr('data-status', 'running');
+		$error.prop('hidden', true);
+
+		$.post(settings.ajaxUrl, {
+			action: 'wordpress_importer_batch',
+			import_id: settings.importId,
+			_ajax_nonce: settings.nonce,
+		})
+			.done(function (response) {
+				// A request that dies partway through answers with whatever it printed.
+				if (!response || !response.success) {
+					stop(settings.stopped);
+					return;
+				}
+
+				$log.append(response.data.log);
+				updateProgress(response.data.progress);
+
+				if (response.data.done) {
+					$progress.attr('data-status', 'done');
+					// import-downloads.js takes over with the attachment files left to download.
+					$(document).trigger('wordpress-importer-done', [response.data.downloads]);
+				} else {
+					runBatch();
+				}
+			})
+			.fail(function (xhr) {
+				var data = xhr.responseJSON && xhr.responseJSON.data;
+				stop((data && data.message) || settings.stopped);
+			});
+	}
+
+	$('#import-resume').on('click', runBatch);
+	runBatch();
+})(jQuery, wordpressImporterBatch);
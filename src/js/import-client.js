@@ -0,0 +1,194 @@
+/* global fetch */
+/**
+ * Client for the importer's REST API, see WP_Import_REST_Controller.
+ *
+ * Every method returns a promise of the decoded response. Failed requests
+ * reject with an Error that has the REST API's error `code`, the HTTP `status`
+ * and the error `data`.
+ *
+ *     var client = wordpressImporter.createImportClient({
+ *         root: wpApiSettings.root,
+ *         nonce: wpApiSettings.nonce,
+ *     });
+ *     client.importFile(file, file.name, { rewrite_urls: false }).then(...);
+ *
+ * Loaded as a script it adds wordpressImporter.createImportClient(); in Node
+ * it exports { createImportClient }.
+ */
+(function (root) {
+	/**
+	 * @param {Object}   settings
+	 * @param {string}   settings.root    URL of the REST API, e.g. https://example.com/wp-json/.
+	 * @param {string}   [settings.nonce] A 'wp_rest' nonce, for cookie authentication.
+	 * @param {Object}   [settings.headers] More headers to send, e.g. an Authorization header.
+	 * @param {Function} [settings.fetch] Replaces the global fetch(). It's called with a URL and
+	 *                                    { method, headers, body }, and must resolve to an object
+	 *                                    with `ok`, `status` and `json()`.
+	 * @return {Object} The client.
+	 */
+	function createImportClient(settings) {
+		var base = settings.root.replace(/\/?$/, '/') + 'wordpress-importer/v1/imports';
+		var send =
+			settings.fetch ||
+			function (url, init) {
+				init.credentials = 'same-origin';
+				return fetch(url, init);
+			};
+
+		/**
+		 * @param {string} method
+		 * @param {string} path    Under /imports, e.g. '/12/start'.
+		 * @param {*}      [body]  Sent as JSON, unless headers give another Content-Type.
+		 * @param {Object} [headers]
+		 * @return {Promise<*>}
+		 */
+		function request(method, path, body, headers) {
+			var init = { method: method, headers: {} };
+			var name;
+
+			for (name in settings.headers || {}) {
+				init.headers[name] = settings.headers[name];
+			}
+			if (settings.nonce) {
+				init.headers['X-WP-Nonce'] = settings.nonce;
+			}
+			for (name in headers || {}) {
+				init.headers[name] = headers[name];
+			}
+			if (undefined !== body) {
+				if (init.headers['Content-Type']) {
+					init.body = body;
+				} else {
+					init.headers['Content-Type'] = 'application/json';
+					init.body = JSON.stringify(body);
+				}
+			}
+
+			return send(base + path, init).then(function (response) {
+				return response.json().then(function (data) {
+					var error;
+					if (response.ok) {
+						return data;
+					}
+					error = new Error((data && data.message) || 'HTTP ' + response.status);
+					error.code = data && data.code;
+					error.status = response.status;
+					error.data = data && data.data;
+					throw error;
+				});
+			});
+		}
+
+		var client = {
+			/**
+			 * Uploads and parses a WXR file.
+			 *
+			 * @param {Blob|ArrayBuffer|string} file
+			 * @param {string} name File name.
+			 * @return {Promise<Object>} The import, status 'uploaded'.
+			 */
+			upload: function (file, name) {
+				return request('POST', '', file, {
+					'Content-Type': 'application/xml',
+					'Content-Disposition': 'attachment; filename="' + name.replace(/"/g, '') + '"',
+				});
+			},
+
+			/**
+			 * @param {number} id
+			 * @return {Promise<Object>} The import, with its status, and the authors and summary
+			 *                           of the file or the progress of the batches.
+			 */
+			get: function (id) {
+				return request('GET', '/' + id);
+			},
+
+			/**
+			 * @param {number} id
+			 * @param {Object} options { authors: [{ login, user_id, new_login }], fetch_attachments,
+			 *                         rewrite_urls, update, parser }. Options left out keep their values.
+			 * @return {Promise<Object>} The import.
+			 */
+			setOptions: function (id, options) {
+				return request('POST', '/' + id + '/options', options);
+			},
+
+			/**
+			 * @param {number} id
+			 * @return {Promise<Object>} The import, status 'running'.
+			 */
+			start: function (id) {
+				return request('POST', '/' + id + '/start');
+			},
+
+			/**
+			 * Imports the next batch.
+			 *
+			 * @param {number} id
+			 * @return {Promise<Object>} The import, status 'done' after the last batch.
+			 */
+			runBatch: function (id) {
+				return request('POST', '/' + id + '/batch');
+			},
+
+			/**
+			 * @param {number} id
+			 * @param {Object} [query] { severity, phase, type, page, per_page }
+			 * @return {Promise<Array>} Log records.
+			 */
+			getLog: function (id, query) {
+				var params = [];
+				var name;
+				for (name in query || {}) {
+					params.push(encodeURIComponent(name) + '=' + encodeURIComponent(query[name]));
+				}
+				return request(
+					'GET',
+					'/' + id + '/log' + (params.length ? '?' + params.join('&') : '')
+				);
+			},
+
+			/**
+			 * Uploads a file, sets the options, starts the import and runs its
+			 * batches until it's done.
+			 *
+			 * @param {Blob|ArrayBuffer|string} file
+			 * @param {string}   name       File name.
+			 * @param {Object}   [options]  See setOptions().
+			 * @param {Function} [progress] Called with the import after each step.
+			 * @return {Promise<Object>} The import, status 'done'.
+			 */
+			importFile: function (file, name, options, progress) {
+				var report = progress || function () {};
+
+				function runBatches(importData) {
+					report(importData);
+					if ('done' === importData.status) {
+						return importData;
+					}
+					return client.runBatch(importData.id).then(runBatches);
+				}
+
+				return client
+					.upload(file, name)
+					.then(function (importData) {
+						report(importData);
+						return options ? client.setOptions(importData.id, options) : importData;
+					})
+					.then(function (importData) {
+						return client.start(importData.id);
+					})
+					.then(runBatches);
+			},
+		};
+
+		return client;
+	}
+
+	if ('undefined' !== typeof module && module.exports) {
+		module.exports = { createImportClient: createImportClient };
+	} else {
+		root.wordpressImporter = root.wordpressImporter || {};
+		root.wordpressImporter.createImportClient = createImportClient;
+	}
+})(this);
@@ -0,0 +1,205 @@
+/* global jQuery, wordpressImporterDownloads */
+/**
+ * Downloads the attachment files an import left in its download queue, a few
+ * at a time, one admin-ajax.php request per file.
+ *
+ * A failed download is tried again after a delay that doubles with every
+ * attempt. Files that still fail are listed with the reason, and can be
+ * retried or skipped with the buttons in #import-downloads-actions.
+ */
+(function ($, settings) {
+	var l10n = settings.l10n;
+	var $downloads = $('#import-downloads');
+	var $list = $('#import-downloads-list');
+	var $summary = $('#import-downloads-summary');
+	var $actions = $('#import-downloads-actions');
+	var rows = {};
+	var queue = [];
+	var running = 0;
+	var delayed = 0;
+
+	function setStatus(id, status, error) {
+		rows[id].attr('data-status', status);
+		rows[id].find('.import-download-status').text(l10n[status]);
+		rows[id].find('.import-download-error').text(error || '');
+	}
+
+	/**
+	 * @param {string} status
+	 * @return {jQuery} The rows with that status.
+	 */
+	function withStatus(status) {
+		return $list.children('[data-status="' + status + '"]');
+	}
+
+	function updateSummary() {
+		var summary = l10n.summary
+			.replace('%1$s', withStatus('done').length)
+			.replace('%2$s', $list.children().length);
+		var failed = withStatus('failed').length;
+		if (failed) {
+			summary += ' ' + l10n.failedCount.replace('%s', failed);
+		}
+		$summary.text(summary);
+	}
+
+	/**
+	 * @param {Object} download { id, title, url, error } as the server sent it.
+	 * @return {jQuery}
+	 */
+	function renderDownload(download) {
+		return $('<tr class="import-download">')
+			.attr('data-id', download.id)
+			.append(
+				$('<td class="import-download-title">').text(download.title),
+				$('<td class="import-download-url">').append($('<code>').text(download.url)),
+				$('<td>').append(
+					$('<span class="import-download-status">'),
+					' ',
+					$('<span class="import-download-error description">')
+				)
+			);
+	}
+
+	function finish() {
+		updateSummary();
+		$actions.prop('hidden', !withStatus('failed').length);
+		$downloads.attr('data-status', 'done');
+	}
+
+	function next() {
+		while (running < settings.concurrency && queue.length) {
+			download(queue.shift());
+		}
+		if (!running && !delayed && !queue.length) {
+			finish();
+		}
+	}
+
+	/**
+	 * Tries a failed download again later, or reports it as failed once it has
+	 * been tried settings.attempts times.
+	 *
+	 * @param {Object} item    { id, attempt }
+	 * @param {string} message Why it failed.
+	 */
+	function retry(item, message) {
+		if (item.attempt >= settings.attempts) {
+			setStatus(item.id, 'failed', message);
+			return;
+		}
+
+		setStatus(item.id, 'retrying', message);
+		delayed++;
+		setTimeout(
+			function () {
+				delayed--;
+				queue.push({ id: item.id, attempt: item.attempt + 1 });
+				next();
+			},
+			settings.retryDelay * 1000 * Math.pow(2, item.attempt - 1)
+		);
+	}
+
+	/**
+	 * @param {Object} item { id, attempt }
+	 */
+	function download(item) {
+		running++;
+		setStatus(item.id, 'downloading');
+
+		$.post(settings.ajaxUrl, {
+			action: 'wordpress_importer_download',
+			import_id: settings.importId,
+			attachment_id: item.id,
+			_ajax_nonce: settings.nonce,
+		})
+			.done(function (response) {
+				if (response && response.success) {
+					setStatus(item.id, 'done');
+				} else {
+					retry(item, (response && response.data && response.data.message) || l10n.error);
+				}
+			})
+			.fail(function (xhr) {
+				var data = xhr.responseJSON && xhr.responseJSON.data;
+				retry(item, (data && data.message) || l10n.error);
+			})
+			.always(function () {
+				running--;
+				updateSummary();
+				next();
+			});
+	}
+
+	/**
+	 * @param {jQuery} $rows The rows of the files to download.
+	 */
+	function downloadAll($rows) {
+		$actions.prop('hidden', true);
+		$downloads.attr('data-status', 'running');
+		$rows.each(function () {
+			var id = $(this).attr('data-id');
+			setStatus(id, 'queued');
+			queue.push({ id: id, attempt: 1 });
+		});
+		updateSummary();
+		next();
+	}
+
+	function skipFailed() {
+		var $failed = withStatus('failed');
+		var pending = $failed.length;
+
+		$actions.prop('hidden', true);
+		$downloads.attr('data-status', 'running');
+		$failed.each(function () {
+			var id = $(this).attr('data-id');
+			$.post(settings.ajaxUrl, {
+				action: 'wordpress_importer_skip_download',
+				import_id: settings.importId,
+				attachment_id: id,
+				_ajax_nonce: settings.nonce,
+			})
+				.done(function (response) {
+					if (response && response.success) {
+						setStatus(id, 'skipped');
+					}
+				})
+				.always(function () {
+					if (!--pending) {
+						finish();
+					}
+				});
+		});
+	}
+
+	/**
+	 * @param {Array} downloads See renderDownload().
+	 */
+	function start(downloads) {
+		if (!downloads || !downloads.length) {
+			$downloads.attr('data-status', 'done');
+			return;
+		}
+
+		$.each(downloads, function (i, item) {
+			rows[item.id] = renderDownload(item).appendTo($list);
+		});
+		$downloads.prop('hidden', false);
+		downloadAll($list.children());
+	}
+
+	$('#import-downloads-retry').on('click', function () {
+		downloadAll(withStatus('failed'));
+	});
+	$('#import-downloads-skip').on('click', skipFailed);
+
+	if (settings.downloads) {
+		start(settings.downloads);
+	} else {
+		$(document).on('wordpress-importer-done', function (event, downloads) {
+			start(downloads);
+		});
+	}
+})(jQuery, wordpressImporterDownloads);
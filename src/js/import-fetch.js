@@ -0,0 +1,114 @@
+/* global jQuery, wordpressImporterFetch */
+/**
+ * Has the importer download a WXR file from a URL, or copy one from a
+ * directory on the server, in parts over admin-ajax.php, and shows how far
+ * it got.
+ *
+ * Once every part has arrived, the form is sent with the ID of the file
+ * instead of its URL. A download that fails partway through can be resumed,
+ * also after reloading the page and entering the same URL again.
+ */
+(function ($, settings) {
+	var RETRIES = 3;
+
+	var $form = $('#import-fetch-form');
+	var $input = $('#import-source');
+	var $progress = $form.find('.import-fetch-progress');
+	var $error = $('#import-fetch-error');
+	var source = '';
+
+	function setStatus(status) {
+		$form.attr('data-status', status);
+	}
+
+	function showProgress(received, size) {
+		var $bar = $progress.find('progress');
+		$progress.prop('hidden', false);
+		$progress.find('.import-fetch-label').text(settings.l10n.downloading);
+		// Without a size the bar only shows that something is happening.
+		if (size) {
+			$bar.attr({ max: size, value: received });
+		} else {
+			$bar.removeAttr('value');
+		}
+	}
+
+	function fail(message) {
+		setStatus('failed');
+		$error.find('.import-error-message').text(message);
+		$error.prop('hidden', false);
+	}
+
+	// Asks for the next part, which the importer appends to what has arrived so far.
+	function send(attempt) {
+		$.ajax({
+			url: settings.ajaxUrl,
+			type: 'POST',
+			data: {
+				action: 'wordpress_importer_fetch',
+				_ajax_nonce: settings.nonce,
+				source: source,
+			},
+		})
+			.done(function (response) {
+				if (!response || !response.success) {
+					fail(settings.l10n.fetchFailed);
+					return;
+				}
+				received(response.data);
+			})
+			.fail(function (xhr) {
+				var data = xhr.responseJSON && xhr.responseJSON.data;
+				if (data && data.message) {
+					fail(data.message);
+				} else if (attempt < RETRIES) {
+					setTimeout(function () {
+						send(attempt + 1);
+					}, 1000 * attempt);
+				} else {
+					fail(settings.l10n.fetchFailed);
+				}
+			});
+	}
+
+	function received(data) {
+		showProgress(data.received, data.size);
+
+		if (data.id) {
+			setStatus('downloaded');
+			$input.prop('readonly', true);
+			$('<input type="hidden" name="import_id">').val(data.id).appendTo($form);
+			// The form's submit button is named "submit", which hides form.submit().
+			HTMLFormElement.prototype.submit.call($form[0]);
+		} else {
+			send(1);
+		}
+	}
+
+	function download() {
+		setStatus('downloading');
+		$error.prop('hidden', true);
+		showProgress(0, 0);
+		send(1);
+	}
+
+	$form.on('submit', function (event) {
+		// Without a URL, let the importer say so.
+		if (!$.trim($input.val())) {
+			return;
+		}
+		event.preventDefault();
+		if (-1 === $.inArray($form.attr('data-status'), ['downloading', 'downloaded'])) {
+			source = $.trim($input.val());
+			download();
+		}
+	});
+
+	$input.on('input', function () {
+		$progress.prop('hidden', true);
+		$error.prop('hidden', true).find('.import-error-message').empty();
+		$form.removeAttr('data-status');
+	});
+
+	$('#import-fetch-resume').on('click', download);
+})(jQuery, wordpressImporterFetch);
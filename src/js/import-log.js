@@ -0,0 +1,143 @@
+/* global jQuery, wordpressImporterLog */
+/**
+ * Loads the records of an import log, a page per admin-ajax.php request, and
+ * shows those that match the severity, phase, item type and search filters.
+ *
+ * Only the first settings.limit matching records are rendered, so that a large
+ * log doesn't hang the page. The export links have all of them.
+ */
+(function ($, settings) {
+	var l10n = settings.l10n;
+	var $report = $('#import-log-report');
+	var $records = $('#import-log-records');
+	var $summary = $('#import-log-summary');
+	var $severity = $('#import-log-severity');
+	var $phase = $('#import-log-phase');
+	var $type = $('#import-log-type');
+	var $search = $('#import-log-search');
+	var records = [];
+
+	/**
+	 * @param {Object} record As WP_Import_Log::add() stored it.
+	 * @return {jQuery}
+	 */
+	function renderRecord(record) {
+		var item = settings.types[record.type] || record.type;
+		if (record.original_id) {
+			item += ' #' + record.original_id;
+		}
+		if (record.new_id) {
+			item += ' → #' + record.new_id;
+		}
+
+		return $('<tr class="import-log-record">')
+			.attr('data-severity', record.severity)
+			.append(
+				$('<td class="import-log-severity">').text(
+					settings.severities[record.severity] || record.severity
+				),
+				$('<td class="import-log-phase">').text(
+					settings.phases[record.phase] || record.phase
+				),
+				$('<td class="import-log-item">').text(item),
+				$('<td class="import-log-message">').text(record.message)
+			);
+	}
+
+	/**
+	 * @param {Object} record
+	 * @return {boolean} Whether the record matches the filters.
+	 */
+	function matches(record) {
+		var search = $.trim($search.val()).toLowerCase();
+
+		if ($severity.val() && record.severity !== $severity.val()) {
+			return false;
+		}
+		if ($phase.val() && record.phase !== $phase.val()) {
+			return false;
+		}
+		if ($type.val() && record.type !== $type.val()) {
+			return false;
+		}
+		if (!search) {
+			return true;
+		}
+		return (
+			[record.message, record.guid, String(record.original_id), String(record.new_id)]
+				.join('\n')
+				.toLowerCase()
+				.indexOf(search) !== -1
+		);
+	}
+
+	function render() {
+		var matching = $.grep(records, matches);
+		var summary = l10n.summary.replace('%1$s', matching.length).replace('%2$s', records.length);
+
+		$records.empty().append($.map(matching.slice(0, settings.limit), renderRecord));
+		if (matching.length > settings.limit) {
+			summary += ' ' + l10n.limited.replace('%s', settings.limit);
+		}
+		$summary.text(summary);
+	}
+
+	/**
+	 * Offers the item types that are in the log.
+	 */
+	function addTypes() {
+		var seen = {};
+		$.each(records, function (i, record) {
+			if (record.type && !seen[record.type]) {
+				seen[record.type] = true;
+				$type.append(
+					$('<option>')
+						.val(record.type)
+						.text(settings.types[record.type] || record.type)
+				);
+			}
+		});
+	}
+
+	/**
+	 * @param {number} offset Of the first record to load.
+	 */
+	function load(offset) {
+		$.post(settings.ajaxUrl, {
+			action: 'wordpress_importer_log',
+			import_id: settings.importId,
+			offset: offset,
+			_ajax_nonce: settings.nonce,
+		})
+			.done(function (response) {
+				if (!response || !response.success) {
+					$summary.text(
+						(response && response.data && response.data.message) || l10n.error
+					);
+					$report.attr('data-status', 'error');
+					return;
+				}
+
+				records = records.concat(response.data.records);
+				if (null !== response.data.next) {
+					load(response.data.next);
+					return;
+				}
+
+				addTypes();
+				render();
+				$report.attr('data-status', 'ready');
+			})
+			.fail(function (xhr) {
+				var data = xhr.responseJSON && xhr.responseJSON.data;
+				$summary.text((data && data.message) || l10n.error);
+				$report.attr('data-status', 'error');
+			});
+	}
+
+	$severity.add($phase).add($type).on('change', render);
+	$search.on('input', render);
+
+	$summary.text(l10n.loading);
+	load(0);
+})(jQuery, wordpressImporterLog);
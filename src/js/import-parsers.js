@@ -0,0 +1,95 @@
+/* global jQuery, wordpressImporterParsers */
+/**
+ * Compares what each parser reads from the uploaded file on the import
+ * options screen. The file is read with every parser over admin-ajax.php the
+ * first time the comparison is opened, and the numbers that differ from the
+ * parser that was used are highlighted.
+ */
+(function ($, settings) {
+	var l10n = settings.l10n;
+	var COLUMNS = ['authors', 'posts', 'terms', 'comments', 'meta'];
+	var $comparison = $('#import-parser-comparison');
+	var $result = $comparison.find('.import-parser-comparison-result');
+	var loaded = false;
+
+	/**
+	 * @param {Object} parsers Parser name => { error } or the number of each of COLUMNS.
+	 */
+	function render(parsers) {
+		var used = parsers[settings.parser];
+		var $head = $('<tr>').append($('<th scope="col">').text(l10n.parser));
+		$.each(COLUMNS, function (i, column) {
+			$head.append($('<th scope="col">').text(l10n[column]));
+		});
+
+		var $body = $('<tbody>');
+		$.each(parsers, function (name, result) {
+			var label = settings.labels[name] || name;
+			var $row = $('<tr>')
+				.attr('data-parser', name)
+				.append(
+					$('<th scope="row">').text(
+						name === settings.parser ? label + ' ' + l10n.used : label
+					)
+				);
+
+			if (result.error) {
+				$row.append(
+					$('<td class="import-parser-error">')
+						.attr('colspan', COLUMNS.length)
+						.text(result.error)
+				);
+			} else {
+				$.each(COLUMNS, function (i, column) {
+					var $cell = $('<td>').attr('data-column', column);
+					if (used && !used.error && used[column] !== result[column]) {
+						$cell
+							.addClass('import-parser-differs')
+							.append($('<strong>').text(result[column]));
+					} else {
+						$cell.text(result[column]);
+					}
+					$row.append($cell);
+				});
+			}
+			$body.append($row);
+		});
+
+		$result
+			.empty()
+			.append(
+				$('<table class="widefat fixed striped">').append($('<thead>').append($head), $body)
+			);
+	}
+
+	function fail(message) {
+		$result.empty().append($('<p class="description">').text(message || l10n.failed));
+		$comparison.attr('data-status', 'error');
+	}
+
+	$comparison.on('toggle', function () {
+		if (!this.open || loaded) {
+			return;
+		}
+		loaded = true;
+
+		$comparison.attr('data-status', 'loading');
+		$result.empty().append($('<p class="description">').text(l10n.loading));
+		$.post(settings.ajaxUrl, {
+			action: 'wordpress_importer_compare_parsers',
+			_ajax_nonce: settings.nonce,
+			import_id: settings.importId,
+		})
+			.done(function (response) {
+				if (!response || !response.success) {
+					fail(response && response.data && response.data.message);
+					return;
+				}
+				render(response.data);
+				$comparison.attr('data-status', 'ready');
+			})
+			.fail(function () {
+				fail();
+			});
+	});
+})(jQuery, wordpressImporterParsers);
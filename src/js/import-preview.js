@@ -0,0 +1,82 @@
+/* global jQuery */
+/**
+ * Lets the preview on the import options screen pick what to import: whole
+ * types and statuses can be ticked or unticked at once, and the items can be
+ * searched and filtered by whether they already exist.
+ *
+ * The item checkboxes have no name. When the form is sent, the unticked ones
+ * are sent as a JSON list in import_exclude instead, which keeps the request
+ * small for files with thousands of items.
+ */
+(function ($) {
+	var $preview = $('#import-preview');
+	var $items = $preview.find('.import-preview-item input[type="checkbox"]');
+
+	/**
+	 * The rows a group checkbox ticks: its status, or its whole table.
+	 *
+	 * @param {jQuery} $toggle
+	 * @return {jQuery}
+	 */
+	function scopeOf($toggle) {
+		var $status = $toggle.closest('.import-preview-status');
+		return ($status.length ? $status.closest('tbody') : $toggle.closest('table')).find(
+			'.import-preview-item'
+		);
+	}
+
+	function updateToggles() {
+		$preview.find('.import-preview-toggle').each(function () {
+			var $boxes = scopeOf($(this)).find('input[type="checkbox"]');
+			var checked = $boxes.filter(':checked').length;
+			$(this).prop({
+				checked: checked === $boxes.length,
+				indeterminate: checked > 0 && checked < $boxes.length,
+			});
+		});
+	}
+
+	function filter() {
+		var term = $.trim($('#import-preview-search').val()).toLowerCase();
+		var show = $('#import-preview-filter').val();
+
+		$preview.find('.import-preview-item').each(function () {
+			var $row = $(this);
+			var state = '1' === $row.attr('data-exists') ? 'exists' : 'new';
+			$row.toggle(
+				(!term || -1 !== $row.find('label').text().toLowerCase().indexOf(term)) &&
+					(!show || show === state)
+			);
+		});
+
+		// Hide the statuses and types nothing is shown of.
+		$preview.find('tbody, table').each(function () {
+			$(this).toggle(!!$(this).find('.import-preview-item').filter(isShown).length);
+		});
+	}
+
+	function isShown() {
+		return 'none' !== this.style.display;
+	}
+
+	$preview.on('change', '.import-preview-toggle', function () {
+		scopeOf($(this)).find('input[type="checkbox"]').prop('checked', this.checked);
+		updateToggles();
+	});
+	$items.on('change', updateToggles);
+	$('#import-preview-search').on('input', filter);
+	$('#import-preview-filter').on('change', filter);
+
+	$preview.closest('form').on('submit', function () {
+		$('#import-exclude').val(
+			JSON.stringify(
+				$items
+					.not(':checked')
+					.map(function () {
+						return this.value;
+					})
+					.get()
+			)
+		);
+	});
+})(jQuery);
@@ -0,0 +1,169 @@
+/* global wp, wordpressImporterProvenance */
+/**
+ * The import panel of the block editor, for posts that were imported: where
+ * the post came from, which URLs in its content the import changed and which
+ * of its attachments failed to import.
+ *
+ * "Show rewritten URLs" lists the changed URLs and outlines the links and
+ * images that use them in the editor canvas.
+ */
+(function (wp, settings) {
+	var el = wp.element.createElement;
+	var useState = wp.element.useState;
+	var useEffect = wp.element.useEffect;
+	var Button = wp.components.Button;
+	var PluginDocumentSettingPanel =
+		(wp.editor && wp.editor.PluginDocumentSettingPanel) ||
+		wp.editPost.PluginDocumentSettingPanel;
+	var provenance = settings.provenance;
+	var l10n = settings.l10n;
+	var STYLE_ID = 'wordpress-importer-rewritten-urls';
+
+	// Old URL => new URL. PHP encodes an empty list as [].
+	var rewritten = Object.keys(provenance.rewrittenUrls || {}).map(function (from) {
+		return { from: from, to: provenance.rewrittenUrls[from] };
+	});
+
+	/**
+	 * @param {boolean} on Whether to outline the links to rewritten URLs.
+	 */
+	function highlight(on) {
+		var documents = [document];
+		var canvas = document.querySelector('iframe[name="editor-canvas"]');
+		if (canvas && canvas.contentDocument) {
+			documents.push(canvas.contentDocument);
+		}
+
+		documents.forEach(function (doc) {
+			var style = doc.getElementById(STYLE_ID);
+			if (style) {
+				style.parentNode.removeChild(style);
+			}
+			if (!on || !rewritten.length) {
+				return;
+			}
+
+			style = doc.createElement('style');
+			style.id = STYLE_ID;
+			style.textContent =
+				rewritten
+					.map(function (url) {
+						var value = url.to.replace(/["\\]/g, '\\$&');
+						return (
+							'.editor-styles-wrapper a[href="' +
+							value +
+							'"], .editor-styles-wrapper [src="' +
+							value +
+							'"]'
+						);
+					})
+					.join(',\n') +
+				' { outline: 2px dashed #d63638; outline-offset: 1px; background-color: #fcf0f1; }';
+			doc.head.appendChild(style);
+		});
+	}
+
+	/**
+	 * @param {string} label
+	 * @param {*}      value
+	 * @return {Array} A term and its description.
+	 */
+	function field(label, value) {
+		return [el('dt', { key: label + '-label' }, label), el('dd', { key: label }, value)];
+	}
+
+	function ProvenancePanel() {
+		var state = useState(false);
+		var showUrls = state[0];
+		var setShowUrls = state[1];
+
+		useEffect(
+			function () {
+				highlight(showUrls);
+				return function () {
+					highlight(false);
+				};
+			},
+			[showUrls]
+		);
+
+		return el(
+			PluginDocumentSettingPanel,
+			{
+				name: 'wordpress-importer-provenance',
+				title: l10n.title,
+				className: 'wordpress-importer-provenance',
+			},
+			provenance.file &&
+				el(
+					'p',
+					null,
+					l10n.importedFrom
+						.replace('%1$s', provenance.file)
+						.replace('%2$s', provenance.imported)
+				),
+			el(
+				'dl',
+				null,
+				field(l10n.originalId, String(provenance.originalId)),
+				field(l10n.guid, provenance.guid),
+				provenance.link &&
+					field(
+						l10n.link,
+						el(
+							'a',
+							{ href: provenance.link, target: '_blank', rel: 'noreferrer' },
+							provenance.link
+						)
+					),
+				field(l10n.author, provenance.author)
+			),
+			el('p', { className: 'wordpress-importer-rewriting' }, l10n.rewriting),
+			rewritten.length > 0 &&
+				el(
+					Button,
+					{
+						variant: 'secondary',
+						'aria-expanded': showUrls,
+						onClick: function () {
+							setShowUrls(!showUrls);
+						},
+					},
+					showUrls ? l10n.hideUrls : l10n.showUrls
+				),
+			showUrls &&
+				el(
+					'ul',
+					{ className: 'wordpress-importer-rewritten-urls' },
+					rewritten.map(function (url) {
+						return el(
+							'li',
+							{ key: url.from },
+							el('code', null, url.from),
+							' → ',
+							el('code', null, url.to)
+						);
+					})
+				),
+			provenance.failedAttachments.length > 0 && el('h3', null, l10n.failedAttachments),
+			provenance.failedAttachments.length > 0 &&
+				el(
+					'ul',
+					{ className: 'wordpress-importer-failed-attachments' },
+					provenance.failedAttachments.map(function (attachment) {
+						return el(
+							'li',
+							{ key: attachment.url },
+							el('strong', null, attachment.title),
+							el('br'),
+							el('code', null, attachment.url),
+							el('br'),
+							attachment.error
+						);
+					})
+				)
+		);
+	}
+
+	wp.plugins.registerPlugin('wordpress-importer-provenance', { render: ProvenancePanel });
+})(wp, wordpressImporterProvenance);
@@ -0,0 +1,146 @@
+/* global jQuery, wordpressImporterRewrite */
+/**
+ * Adds and removes the URL changes on the import options screen, and shows
+ * how the URLs in some of the imported posts change with the options as they
+ * are, asking admin-ajax.php to rewrite them whenever an option changes.
+ */
+(function ($, settings) {
+	var l10n = settings.l10n;
+	var $rules = $('#import-url-mapping-rules');
+	var $preview = $('#import-rewrite-preview');
+	var next = $rules.children().length;
+	var timer;
+	var request;
+
+	function addRule() {
+		var $rule = $rules.children().first().clone();
+		$rule.find('input').each(function () {
+			this.name = this.name.replace(/\[\d+\]/, '[' + next + ']');
+			this.value = '';
+		});
+		next++;
+		$rules.append($rule);
+		$rule.find('input').first().trigger('focus');
+	}
+
+	function removeRule($rule) {
+		if ($rules.children().length > 1) {
+			$rule.remove();
+		} else {
+			$rule.find('input').val('');
+		}
+		schedulePreview();
+	}
+
+	/**
+	 * The URL changes that are filled in, in the format the form sends them.
+	 *
+	 * @return {Object} Field name => value.
+	 */
+	function mappingFields() {
+		var fields = {};
+		$rules.find('input').each(function () {
+			if (this.value && this.checkValidity()) {
+				fields[this.name] = this.value;
+			}
+		});
+		return fields;
+	}
+
+	/**
+	 * @param {Object} sample  { title, content }
+	 * @param {Array}  changes [ { before, after } ] as the server sent them.
+	 * @return {jQuery}
+	 */
+	function renderSample(sample, changes) {
+		var $sample = $('<div class="import-rewrite-sample">').append($('<h4>').text(sample.title));
+		if (!changes.length) {
+			return $sample.append($('<p class="description">').text(l10n.noChanges));
+		}
+
+		var $body = $('<tbody>');
+		$.each(changes, function (i, change) {
+			$('<tr>')
+				.append(
+					$('<td class="import-rewrite-before">').append($('<del>').text(change.before)),
+					$('<td class="import-rewrite-after">').append($('<ins>').text(change.after))
+				)
+				.appendTo($body);
+		});
+		return $sample.append(
+			$('<table class="widefat fixed striped">').append(
+				$('<thead>').append(
+					$('<tr>').append(
+						$('<th scope="col">').text(l10n.before),
+						$('<th scope="col">').text(l10n.after)
+					)
+				),
+				$body
+			)
+		);
+	}
+
+	function loadPreview() {
+		if (request) {
+			request.abort();
+		}
+
+		var data = $.extend(
+			{
+				action: 'wordpress_importer_rewrite_preview',
+				_ajax_nonce: settings.nonce,
+				base_url: settings.baseUrl,
+				rewrite_urls: $('#rewrite-urls').prop('checked') ? 1 : 0,
+				samples: $.map(settings.samples, function (sample) {
+					return sample.content;
+				}),
+			},
+			mappingFields()
+		);
+
+		$preview.attr('data-status', 'loading');
+		request = $.post(settings.ajaxUrl, data)
+			.done(function (response) {
+				if (!response || !response.success) {
+					$preview
+						.attr('data-status', 'failed')
+						.empty()
+						.append(
+							$('<p>').text(
+								(response && response.data && response.data.message) || l10n.failed
+							)
+						);
+					return;
+				}
+				$preview.attr('data-status', 'ready').empty();
+				$.each(settings.samples, function (i, sample) {
+					$preview.append(renderSample(sample, response.data[i] || []));
+				});
+			})
+			.fail(function (xhr, status) {
+				if ('abort' !== status) {
+					$preview
+						.attr('data-status', 'failed')
+						.empty()
+						.append($('<p>').text(l10n.failed));
+				}
+			});
+	}
+
+	function schedulePreview() {
+		if (!settings.samples.length) {
+			return;
+		}
+		clearTimeout(timer);
+		timer = setTimeout(loadPreview, 400);
+	}
+
+	$('#import-url-mapping-add').on('click', addRule);
+	$rules.on('click', '.import-url-mapping-remove', function () {
+		removeRule($(this).closest('tr'));
+	});
+	$rules.on('input', 'input', schedulePreview);
+	$('#rewrite-urls').on('change', schedulePreview);
+
+	schedulePreview();
+})(jQuery, wordpressImporterRewrite);
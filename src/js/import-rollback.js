@@ -0,0 +1,63 @@
+/* global jQuery, wordpressImporterRollback */
+/**
+ * Rolls an import back from the progress screen, one admin-ajax.php request
+ * per batch, until everything the import created has been deleted.
+ *
+ * When a batch fails the rollback stops and can be resumed with the button
+ * in #rollback-error.
+ */
+(function ($, settings) {
+	var $progress = $('#rollback-progress');
+	var $error = $('#rollback-error');
+
+	function updateProgress(progress) {
+		$.each(progress, function (type, counts) {
+			var $row = $progress.find('[data-type="' + type + '"]');
+
+			$row.find('progress').attr({
+				max: Math.max(1, counts.total),
+				value: counts.done,
+			});
+			$row.find('.import-progress-count').text(counts.done + ' / ' + counts.total);
+		});
+	}
+
+	function stop(message) {
+		$progress.attr('data-status', 'failed');
+		$error.find('.import-error-message').text(message);
+		$error.prop('hidden', false);
+	}
+
+	function runBatch() {
+		$progress.attr('data-status', 'running');
+		$error.prop('hidden', true);
+
+		$.post(settings.ajaxUrl, {
+			action: 'wordpress_importer_rollback',
+			import_id: settings.importId,
+			_ajax_nonce: settings.nonce,
+		})
+			.done(function (response) {
+				if (!response || !response.success) {
+					stop(settings.stopped);
+					return;
+				}
+
+				updateProgress(response.data.progress);
+
+				if (response.data.done) {
+					$progress.attr('data-status', 'done');
+					$('#rollback-done').prop('hidden', false);
+				} else {
+					runBatch();
+				}
+			})
+			.fail(function (xhr) {
+				var data = xhr.responseJSON && xhr.responseJSON.data;
+				stop((data && data.message) || settings.stopped);
+			});
+	}
+
+	$('#rollback-resume').on('click', runBatch);
+	runBatch();
+})(jQuery, wordpressImporterRollback);
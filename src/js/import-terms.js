@@ -0,0 +1,133 @@
+/* global jQuery, wordpressImporterTerms */
+/**
+ * The term mapping on the import options screen: shows the dropdown of
+ * existing terms or the new name field for what is chosen for each term,
+ * and searches for existing terms on sites with too many to list.
+ *
+ * The fields have no name. When the form is sent, the terms that are not
+ * imported as they are go in term_mapping as a JSON object instead, which
+ * keeps the request small for files with thousands of terms.
+ */
+(function ($, settings) {
+	var l10n = settings.l10n;
+	var $terms = $('#import-terms');
+
+	/**
+	 * Fills a dropdown of existing terms from its taxonomy's template, keeping
+	 * the chosen term.
+	 *
+	 * @param {jQuery} $select
+	 */
+	function fill($select) {
+		var $template = $select.closest('table').next('template.import-terms-existing');
+		if (!$template.length || $select.data('filled')) {
+			return;
+		}
+		var value = $select.val();
+		$select
+			.empty()
+			.append($('<option value="0">').text(l10n.select), $($template.html()))
+			.val(value)
+			.data('filled', true);
+	}
+
+	/**
+	 * Replaces the dropdown of existing terms with the ones matching a search.
+	 *
+	 * @param {jQuery} $select
+	 * @param {Array}  found   List of { id, label }.
+	 */
+	function showResults($select, found) {
+		$select
+			.empty()
+			.append($('<option value="0">').text(found.length ? l10n.select : l10n.noResults));
+		$.each(found, function (i, term) {
+			$select.append(new Option(term.label, term.id));
+		});
+		if (found.length) {
+			$select.val(String(found[0].id));
+		}
+	}
+
+	function update($row) {
+		var action = $row.find('.import-term-action').val();
+		$row.attr('data-action', action);
+		$row.find('.import-term-map').toggle('map' === action);
+		$row.find('.import-term-name').toggle('rename' === action);
+		if ('map' === action) {
+			fill($row.find('.import-term-existing'));
+		}
+	}
+
+	$terms.find('.import-term').each(function () {
+		update($(this));
+	});
+
+	$terms.on('change', '.import-term-action', function () {
+		var $row = $(this).closest('.import-term');
+		update($row);
+		if ('rename' === $row.attr('data-action')) {
+			$row.find('.import-term-name').trigger('focus').trigger('select');
+		}
+	});
+
+	$terms.find('.import-term-search').each(function () {
+		var $input = $(this);
+		var $select = $input.closest('.import-term').find('.import-term-existing');
+		var taxonomy = $input.closest('table').attr('data-taxonomy');
+		var timer;
+		var request;
+
+		$input.on('input', function () {
+			var term = $.trim($input.val());
+			clearTimeout(timer);
+			if (request) {
+				request.abort();
+			}
+			if (!term) {
+				return;
+			}
+			timer = setTimeout(function () {
+				request = $.get(settings.ajaxUrl, {
+					action: 'wordpress_importer_search_terms',
+					_ajax_nonce: settings.nonce,
+					taxonomy: taxonomy,
+					term: term,
+				}).done(function (response) {
+					if (response && response.success) {
+						showResults($select, response.data);
+					}
+				});
+			}, 250);
+		});
+
+		$input.on('keydown', function (event) {
+			// Never submit the form from here.
+			if ('Enter' === event.key) {
+				event.preventDefault();
+			}
+		});
+	});
+
+	$terms.closest('form').on('submit', function () {
+		var mapping = {};
+		$terms.find('.import-term').each(function () {
+			var $row = $(this);
+			var action = $row.find('.import-term-action').val();
+			if ('map' === action) {
+				mapping[$row.attr('data-key')] = {
+					action: action,
+					term_id: parseInt($row.find('.import-term-existing').val(), 10),
+				};
+			} else if ('rename' === action) {
+				mapping[$row.attr('data-key')] = {
+					action: action,
+					name: $row.find('.import-term-name').val(),
+				};
+			} else if ('drop' === action) {
+				mapping[$row.attr('data-key')] = { action: action };
+			}
+		});
+		$('#import-term-mapping').val(JSON.stringify(mapping));
+	});
+})(jQuery, wordpressImporterTerms);
@@ -0,0 +1,14 @@
+/* global jQuery */
+/**
+ * Shows the items edited both on this site and in the file on the import
+ * options screen while updating earlier imports is ticked.
+ */
+(function ($) {
+	var $conflicts = $('#import-update-conflicts');
+
+	$('#import-update')
+		.on('change', function () {
+			$conflicts.prop('hidden', !this.checked);
+		})
+		.trigger('change');
+})(jQuery);
@@ -0,0 +1,197 @@
+/* global jQuery, wordpressImporter, wordpressImporterUpload */
+/**
+ * Checks the chosen WXR file before it is uploaded, then uploads it in parts
+ * over admin-ajax.php, so that the PHP upload limits don't apply to it.
+ *
+ * Once every part has arrived, the form is sent with the ID of the uploaded
+ * file instead of the file. An upload that fails partway through can be
+ * resumed, also after reloading the page and choosing the same file again.
+ */
+(function ($, settings, preflightWxr) {
+	var RETRIES = 3;
+
+	var $form = $('#import-upload-form');
+	var $input = $form.find('input[type="file"]');
+	var $preflight = $('#import-preflight');
+	var $summary = $preflight.find('.import-preflight-summary');
+	var $problems = $preflight.find('.import-preflight-problems');
+	var $progress = $preflight.find('.import-upload-progress');
+	var $error = $('#import-upload-error');
+	var file = null;
+
+	function setStatus(status) {
+		$preflight.attr('data-status', status);
+	}
+
+	function showProgress(label, done, total) {
+		$progress.prop('hidden', false);
+		$progress.find('.import-upload-label').text(label);
+		$progress.find('progress').attr({ max: Math.max(1, total), value: done });
+	}
+
+	function showSummary(report) {
+		var rows = [
+			[settings.l10n.version, report.version || '—'],
+			[settings.l10n.baseSiteUrl, report.baseSiteUrl || '—'],
+			[settings.l10n.baseBlogUrl, report.baseBlogUrl || '—'],
+			[settings.l10n.authors, report.authors],
+			[settings.l10n.categories, report.categories],
+			[settings.l10n.tags, report.tags],
+			[settings.l10n.terms, report.terms],
+		];
+		$.each(report.posts, function (type, count) {
+			if ('attachment' !== type) {
+				rows.push([settings.l10n.postType.replace('%s', type), count]);
+			}
+		});
+		rows.push([settings.l10n.attachments, report.attachments]);
+		rows.push([settings.l10n.comments, report.comments]);
+
+		$summary.empty();
+		$.each(rows, function (i, row) {
+			$summary.append(
+				$('<tr>').append($('<th scope="row">').text(row[0]), $('<td>').text(row[1]))
+			);
+		});
+
+		$problems.empty();
+		$.each(report.problems, function (i, problem) {
+			$problems.append(
+				$('<li>')
+					.attr('data-code', problem.code)
+					.addClass(
+						'error' === problem.severity
+							? 'import-problem-error'
+							: 'import-problem-warning'
+					)
+					.text(settings.l10n.problems[problem.code].replace('%s', report.version))
+			);
+		});
+	}
+
+	function fail(message) {
+		setStatus('failed');
+		$error.find('.import-error-message').text(message);
+		$error.prop('hidden', false);
+	}
+
+	// Names the upload after the file, so choosing the same file again resumes it.
+	function uploadId(chosen) {
+		var key = chosen.name + '|' + chosen.size + '|' + chosen.lastModified;
+		var hash = 0x811c9dc5;
+		for (var i = 0; i < key.length; i++) {
+			hash = Math.imul(hash ^ key.charCodeAt(i), 0x01000193) >>> 0;
+		}
+		return chosen.size.toString(36) + hash.toString(36);
+	}
+
+	// Sends the part of the file that starts at offset, or nothing to ask how much has arrived.
+	function send(offset, attempt) {
+		var data = new FormData();
+		data.append('action', 'wordpress_importer_upload');
+		data.append('_ajax_nonce', settings.nonce);
+		data.append('upload_id', uploadId(file));
+		data.append('name', file.name);
+		data.append('size', file.size);
+		if (null !== offset) {
+			data.append('offset', offset);
+			data.append('chunk', file.slice(offset, offset + settings.chunkSize), 'chunk');
+		}
+
+		$.ajax({
+			url: settings.ajaxUrl,
+			type: 'POST',
+			data: data,
+			processData: false,
+			contentType: false,
+		})
+			.done(function (response) {
+				if (!response || !response.success) {
+					fail(settings.l10n.uploadFailed);
+					return;
+				}
+				received(response.data);
+			})
+			.fail(function (xhr) {
+				var data = xhr.responseJSON && xhr.responseJSON.data;
+				if (data && data.message) {
+					fail(data.message);
+				} else if (attempt < RETRIES) {
+					setTimeout(function () {
+						send(offset, attempt + 1);
+					}, 1000 * attempt);
+				} else {
+					fail(settings.l10n.uploadFailed);
+				}
+			});
+	}
+
+	function received(data) {
+		showProgress(settings.l10n.uploading, data.received, file.size);
+
+		if (data.id) {
+			setStatus('uploaded');
+			$input.prop('disabled', true);
+			$('<input type="hidden" name="import_id">').val(data.id).appendTo($form);
+			// The form's submit button is named "submit", which hides form.submit().
+			HTMLFormElement.prototype.submit.call($form[0]);
+		} else {
+			send(data.received, 1);
+		}
+	}
+
+	function upload() {
+		setStatus('uploading');
+		$error.prop('hidden', true);
+		$('#import-upload-anyway').prop('hidden', true);
+		send(null, 1);
+	}
+
+	function check() {
+		setStatus('checking');
+		$preflight.prop('hidden', false);
+		$error.prop('hidden', true);
+
+		preflightWxr(file, {
+			maxVersion: settings.maxVersion,
+			onProgress: function (done, total) {
+				showProgress(settings.l10n.checking, done, total);
+			},
+		}).then(
+			function (report) {
+				showSummary(report);
+				if (report.problems.length) {
+					setStatus('problems');
+					$('#import-upload-anyway').prop('hidden', false);
+				} else {
+					upload();
+				}
+			},
+			function () {
+				fail(settings.l10n.readFailed);
+			}
+		);
+	}
+
+	$form.on('submit', function (event) {
+		file = $input[0].files && $input[0].files[0];
+		// Without a file, or with an empty one, let the importer say so.
+		if (!file || !file.size) {
+			return;
+		}
+		event.preventDefault();
+		if (
+			-1 === $.inArray($preflight.attr('data-status'), ['checking', 'uploading', 'uploaded'])
+		) {
+			check();
+		}
+	});
+
+	$input.on('change', function () {
+		$preflight.prop('hidden', true).removeAttr('data-status');
+		$('#import-upload-anyway').prop('hidden', true);
+	});
+
+	$('#import-upload-anyway').on('click', upload);
+	$('#import-upload-resume').on('click', upload);
+})(jQuery, wordpressImporterUpload, wordpressImporter.preflightWxr);
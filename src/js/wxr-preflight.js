@@ -0,0 +1,214 @@
+/* global TextDecoder */
+/**
+ * Checks a WXR file in the browser before it is uploaded: reads its version
+ * and base URLs, counts what it contains, and finds problems that would make
+ * the import fail.
+ *
+ * The file is read in slices, so large exports never sit in memory. Counts
+ * come from a scan for tags rather than a full parse, so they are estimates
+ * for files that aren't well formed.
+ *
+ * Loaded as a script it adds wordpressImporter.preflightWxr(); in Node it
+ * exports { preflightWxr }.
+ */
+(function (root) {
+	var SLICE_SIZE = 1024 * 1024;
+
+	// Longest text a match may span, e.g. a base URL. Text this close to the
+	// end of a slice is scanned again together with the next slice.
+	var OVERLAP = 2048;
+
+	var PATTERN = new RegExp(
+		[
+			'(<!\\[CDATA\\[)',
+			'(\\]\\]>)',
+			'<(rss|channel|item|wp:author|wp:category|wp:tag|wp:term|wp:comment)[\\s>]',
+			'<(wp:wxr_version|wp:base_site_url|wp:base_blog_url|wp:post_type)>\\s*(?:<!\\[CDATA\\[)?\\s*([^<\\]\\s]*)',
+		].join('|'),
+		'g'
+	);
+
+	// Element => report property it is counted in.
+	var COUNTED = {
+		'wp:author': 'authors',
+		'wp:category': 'categories',
+		'wp:tag': 'tags',
+		'wp:term': 'terms',
+		'wp:comment': 'comments',
+	};
+
+	// Element => report property its text is stored in.
+	var VALUES = {
+		'wp:wxr_version': 'version',
+		'wp:base_site_url': 'baseSiteUrl',
+		'wp:base_blog_url': 'baseBlogUrl',
+	};
+
+	/**
+	 * Compares two dotted version numbers.
+	 *
+	 * @param {string} a
+	 * @param {string} b
+	 * @return {number} Negative if a is older than b, positive if newer, 0 if they are the same.
+	 */
+	function compareVersions(a, b) {
+		var left = a.split('.');
+		var right = b.split('.');
+		for (var i = 0; i < Math.max(left.length, right.length); i++) {
+			var diff = (parseInt(left[i], 10) || 0) - (parseInt(right[i], 10) || 0);
+			if (diff) {
+				return diff;
+			}
+		}
+		return 0;
+	}
+
+	/**
+	 * Reads a WXR file and reports what it contains.
+	 *
+	 * Problems are reported by code, for the caller to describe:
+	 *  - not-xml (error):               The file doesn't start with an XML tag.
+	 *  - not-wxr (error):               There is no <rss> or <channel> element.
+	 *  - truncated (error):             The file ends before </rss>, e.g. a download cut short.
+	 *  - missing-version (error):       There is no valid <wp:wxr_version>, which the importer requires.
+	 *  - unsupported-version (warning): The version is newer than options.maxVersion.
+	 *  - empty (warning):               There are no authors, terms or items.
+	 *
+	 * @param {Blob}     file                 The file, e.g. from an <input type="file">.
+	 * @param {Object}   [options]
+	 * @param {string}   [options.maxVersion] Newest WXR version the importer supports.
+	 * @param {Function} [options.onProgress] Called with the bytes read so far and the file size.
+	 * @return {Promise<Object>} { version, baseSiteUrl, baseBlogUrl, authors, categories, tags,
+	 *         terms, items, posts (item count by post type), attachments, comments, problems
+	 *         ([{ code, severity }]) }.
+	 */
+	function preflightWxr(file, options) {
+		options = options || {};
+
+		var decoder = new TextDecoder('utf-8');
+		var report = {
+			version: '',
+			baseSiteUrl: '',
+			baseBlogUrl: '',
+			authors: 0,
+			categories: 0,
+			tags: 0,
+			terms: 0,
+			items: 0,
+			posts: {},
+			attachments: 0,
+			comments: 0,
+			problems: [],
+		};
+		var seen = {};
+		var inCdata = false;
+		var start = '';
+		var pending = '';
+		var end = '';
+		var offset = 0;
+
+		function problem(code, severity) {
+			report.problems.push({ code: code, severity: severity });
+		}
+
+		// Scans text, except for the last OVERLAP characters unless this is the
+		// end of the file, and returns the text left to scan.
+		function scan(text, last) {
+			var cut = last ? text.length : Math.max(0, text.length - OVERLAP);
+			var match;
+
+			PATTERN.lastIndex = 0;
+			while ((match = PATTERN.exec(text)) && match.index < cut) {
+				if (match[1]) {
+					inCdata = true;
+				} else if (match[2]) {
+					inCdata = false;
+				} else if (inCdata) {
+					// Markup inside post content isn't part of the export.
+					continue;
+				} else if (match[3]) {
+					seen[match[3]] = true;
+					if ('item' === match[3]) {
+						report.items++;
+					} else if (COUNTED[match[3]]) {
+						report[COUNTED[match[3]]]++;
+					}
+				} else if ('wp:post_type' === match[4]) {
+					report.posts[match[5]] = (report.posts[match[5]] || 0) + 1;
+				} else if (!report[VALUES[match[4]]]) {
+					report[VALUES[match[4]]] = match[5];
+				}
+			}
+			return text.slice(cut);
+		}
+
+		function finish() {
+			scan(pending + decoder.decode(), true);
+			report.attachments = report.posts.attachment || 0;
+
+			if (!/^\s*</.test(start.replace(/^\uFEFF/, ''))) {
+				problem('not-xml', 'error');
+				return report;
+			}
+			if (!seen.rss || !seen.channel) {
+				problem('not-wxr', 'error');
+				return report;
+			}
+			if (!/<\/rss>\s*$/.test(end)) {
+				problem('truncated', 'error');
+			}
+			if (!/^\d+(\.\d+)*$/.test(report.version)) {
+				problem('missing-version', 'error');
+			} else if (
+				options.maxVersion &&
+				compareVersions(report.version, options.maxVersion) > 0
+			) {
+				problem('unsupported-version', 'warning');
+			}
+			if (
+				!report.authors &&
+				!report.categories &&
+				!report.tags &&
+				!report.terms &&
+				!report.items
+			) {
+				problem('empty', 'warning');
+			}
+			return report;
+		}
+
+		function readSlice() {
+			if (offset >= file.size) {
+				return Promise.resolve(finish());
+			}
+
+			var sliceEnd = Math.min(file.size, offset + SLICE_SIZE);
+			return file
+				.slice(offset, sliceEnd)
+				.arrayBuffer()
+				.then(function (buffer) {
+					var text = decoder.decode(buffer, { stream: true });
+					if (start.length < 64) {
+						start += text.slice(0, 64);
+					}
+					end = (end + text).slice(-64);
+					pending = scan(pending + text, false);
+
+					offset = sliceEnd;
+					if (options.onProgress) {
+						options.onProgress(offset, file.size);
+					}
+					return readSlice();
+				});
+		}
+
+		return readSlice();
+	}
+
+	if ('undefined' !== typeof module && module.exports) {
+		module.exports = { preflightWxr: preflightWxr };
+	} else {
+		root.wordpressImporter = root.wordpressImporter || {};
+		root.wordpressImporter.preflightWxr = preflightWxr;
+	}
+})(this);
@@ -239,6 +239,7 @@ class WXR_Parser_Regex {
 		$post_password  = $this->get_tag( $post, 'wp:post_password' );
 		$is_sticky      = $this->get_tag( $post, 'wp:is_sticky' );
 		$guid           = $this->get_tag( $post, 'guid' );
+		$link           = $this->get_tag( $post, 'link' );
 		$post_author    = $this->get_tag( $post, 'dc:creator' );
 
 		$post_excerpt = $this->get_tag( $post, 'excerpt:encoded' );
@@ -264,6 +265,7 @@ class WXR_Parser_Regex {
 			'comment_status',
 			'ping_status',
 			'guid',
+			'link',
 			'post_parent',
 			'menu_order',
 			'post_type',
@@ -150,6 +150,7 @@ class WXR_Parser_SimpleXML {
 			$post = array(
 				'post_title' => (string) $item->title,
 				'guid'       => (string) $item->guid,
+				'link'       => (string) $item->link,
 			);
 
 			$dc                  = $item->children( 'http://purl.org/dc/elements/1.1/' );
@@ -227,6 +227,7 @@ class WXR_Parser_XML_Processor {
 				'fields' => array(
 					'title'       => 'post_title',
 					'guid'        => 'guid',
+					'link'        => 'link',
 					'description' => 'post_excerpt',
 					'{http://purl.org/dc/elements/1.1/}creator' => 'post_author',
 					'{http://purl.org/rss/1.0/modules/content/}encoded' => 'post_content',
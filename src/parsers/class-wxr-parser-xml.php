@@ -151,6 +151,11 @@ class WXR_Parser_XML {
 			case 'guid':
 				$this->in_tag = 'guid';
 				break;
+			case 'link':
+				if ( $this->in_post ) {
+					$this->in_tag = 'link';
+				}
+				break;
 			case 'dc:creator':
 				$this->in_tag = 'post_author';
 				break;
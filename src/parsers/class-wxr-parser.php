@@ -10,67 +10,156 @@
  * WordPress Importer class for managing parsing of WXR files.
  */
 class WXR_Parser {
-	public function parse( $file ) {
+	/**
+	 * Name of the parser that read the file in the last call of parse(), see
+	 * get_parsers(). Empty if none could.
+	 *
+	 * @var string
+	 */
+	public $parser = '';
+
+	/**
+	 * Errors of the parsers that couldn't read the file in the last call of
+	 * parse(), before one could.
+	 *
+	 * @var WP_Error[] Parser name => error.
+	 */
+	public $errors = array();
+
+	/**
+	 * @return string[] Name => class of the parsers that can be picked.
+	 */
+	public static function get_parsers() {
+		return array(
+			'simplexml'    => 'WXR_Parser_SimpleXML',
+			'xml'          => 'WXR_Parser_XML',
+			'regex'        => 'WXR_Parser_Regex',
+			'xmlprocessor' => 'WXR_Parser_XML_Processor',
+		);
+	}
+
+	/**
+	 * @param string $name Parser name, see get_parsers().
+	 * @return bool Whether the PHP extension the parser needs is loaded.
+	 */
+	public static function is_available( $name ) {
+		if ( 'simplexml' === $name || 'xml' === $name ) {
+			return extension_loaded( $name );
+		}
+		return isset( self::get_parsers()[ $name ] );
+	}
+
+	/**
+	 * The parsers to try in turn when none is picked: the ones built on PHP
+	 * extensions first, then the XML Processor, which copes with malformed XML.
+	 * The deprecated regex parser is only used when it's picked.
+	 *
+	 * @return string[] Parser names.
+	 */
+	public static function get_automatic_order() {
+		return array_values( array_filter( array( 'simplexml', 'xml', 'xmlprocessor' ), array( __CLASS__, 'is_available' ) ) );
+	}
+
+	/**
+	 * @param string      $file             Path to the WXR file.
+	 * @param string|null $preferred_parser Name of the parser to use, see get_parsers(), or
+	 *                                      'auto' or empty to try each of get_automatic_order()
+	 *                                      until one reads the file. Defaults to the
+	 *                                      PREFERRED_WXR_PARSER constant.
+	 * @return array|WP_Error
+	 */
+	public function parse( $file, $preferred_parser = null ) {
+		$this->parser = '';
+		$this->errors = array();
+
 		// Allow forcing a specific parser via WXR_PARSER: simplexml|xml|regex|xmlprocessor
-		$preferred_parser = defined( 'PREFERRED_WXR_PARSER' ) ? constant( 'PREFERRED_WXR_PARSER' ) : null;
-		if ( $preferred_parser ) {
-			$available_parsers = array(
-				'simplexml'    => 'WXR_Parser_SimpleXML',
-				'xml'          => 'WXR_Parser_XML',
-				'regex'        => 'WXR_Parser_Regex',
-				'xmlprocessor' => 'WXR_Parser_XML_Processor',
-			);
-			if ( isset( $available_parsers[ $preferred_parser ] ) ) {
-				$parser = new $available_parsers[ $preferred_parser ]();
-				$result = $parser->parse( $file );
-			} else {
+		if ( null === $preferred_parser ) {
+			$preferred_parser = defined( 'PREFERRED_WXR_PARSER' ) ? constant( 'PREFERRED_WXR_PARSER' ) : null;
+		}
+		if ( $preferred_parser && 'auto' !== $preferred_parser ) {
+			$available_parsers = self::get_parsers();
+			if ( ! isset( $available_parsers[ $preferred_parser ] ) ) {
 				_doing_it_wrong( __FUNCTION__, sprintf( __( 'Invalid parser specified: %s', 'wordpress-importer' ), $preferred_parser ), '0.9.0' );
-				$result = new WP_Error( 'invalid_parser', sprintf( __( 'Invalid parser specified: %s', 'wordpress-importer' ), $preferred_parser ) );
+				return new WP_Error( 'invalid_parser', sprintf( __( 'Invalid parser specified: %s', 'wordpress-importer' ), $preferred_parser ) );
 			}
 
+			$result = $this->parse_with( $preferred_parser, $file );
+
 			// If XMLParser succeeds or this is an invalid WXR file then return the results
 			if ( ! is_wp_error( $result ) || 'XML_parse_error' != $result->get_error_code() ) {
 				return $result;
 			}
-		} else {
-			// Attempt to auto-select the best XML parser based on available extensions
-			if ( extension_loaded( 'simplexml' ) ) {
-				$parser = new WXR_Parser_SimpleXML();
-				$result = $parser->parse( $file );
-
-				// If SimpleXML succeeds or this is an invalid WXR file then return the results
-				if ( ! is_wp_error( $result ) || 'SimpleXML_parse_error' != $result->get_error_code() ) {
-					return $result;
-				}
-			} elseif ( extension_loaded( 'xml' ) ) {
-				$parser = new WXR_Parser_XML();
-				$result = $parser->parse( $file );
-
-				// If XMLParser succeeds or this is an invalid WXR file then return the results
-				if ( ! is_wp_error( $result ) || 'XML_parse_error' != $result->get_error_code() ) {
-					return $result;
-				}
-			}
+
+			// use the XML Processor, which copes with malformed XML
+			$this->debug_error( $result );
+			return $this->parse_with( 'xmlprocessor', $file );
 		}
 
-		// We have a malformed XML file, so display the error and fallthrough to regex
-		if ( isset( $result ) && defined( 'IMPORT_DEBUG' ) && IMPORT_DEBUG ) {
-			echo '<pre>';
-			if ( 'SimpleXML_parse_error' == $result->get_error_code() ) {
-				foreach ( $result->get_error_data() as $error ) {
-					echo $error->line . ':' . $error->column . ' ' . esc_html( $error->message ) . "\n";
-				}
-			} elseif ( 'XML_parse_error' == $result->get_error_code() ) {
-				$error = $result->get_error_data();
-				echo $error[0] . ':' . $error[1] . ' ' . esc_html( $error[2] );
+		$order       = self::get_automatic_order();
+		$first_error = null;
+		foreach ( $order as $i => $name ) {
+			$result = $this->parse_with( $name, $file );
+			if ( ! is_wp_error( $result ) ) {
+				return $result;
+			}
+
+			if ( isset( $order[ $i + 1 ] ) ) {
+				$this->debug_error( $result );
+			}
+			if ( ! $first_error ) {
+				$first_error = $result;
 			}
-			echo '</pre>';
-			echo '<p><strong>' . __( 'There was an error when reading this WXR file', 'wordpress-importer' ) . '</strong><br />';
-			echo __( 'Details are shown above. The importer will now try again with a different parser...', 'wordpress-importer' ) . '</p>';
 		}
 
-		// use regular expressions if nothing else available or this is bad XML
-		$parser = new WXR_Parser_XML_Processor();
-		return $parser->parse( $file );
+		// every parser failed, and the first one says best why
+		return $first_error;
+	}
+
+	/**
+	 * Reads the file with one parser, and notes whether it could.
+	 *
+	 * @param string $name Parser name, see get_parsers().
+	 * @param string $file Path to the WXR file.
+	 * @return array|WP_Error
+	 */
+	protected function parse_with( $name, $file ) {
+		$parsers = self::get_parsers();
+		$parser  = new $parsers[ $name ]();
+		$result  = $parser->parse( $file );
+
+		if ( is_wp_error( $result ) ) {
+			$this->errors[ $name ] = $result;
+		} else {
+			$this->parser = $name;
+		}
+		return $result;
+	}
+
+	/**
+	 * Shows why a parser couldn't read the file before another one is tried,
+	 * if IMPORT_DEBUG is on.
+	 *
+	 * @param WP_Error $result
+	 */
+	protected function debug_error( $result ) {
+		if ( ! defined( 'IMPORT_DEBUG' ) || ! IMPORT_DEBUG ) {
+			return;
+		}
+
+		// We have a malformed XML file, so display the error and fallthrough to the next parser
+		echo '<pre>';
+		if ( 'SimpleXML_parse_error' == $result->get_error_code() ) {
+			foreach ( $result->get_error_data() as $error ) {
+				echo $error->line . ':' . $error->column . ' ' . esc_html( $error->message ) . "\n";
+			}
+		} elseif ( 'XML_parse_error' == $result->get_error_code() ) {
+			$error = $result->get_error_data();
+			echo $error[0] . ':' . $error[1] . ' ' . esc_html( $error[2] );
+		} else {
+			echo esc_html( $result->get_error_message() );
+		}
+		echo '</pre>';
+		echo '<p><strong>' . __( 'There was an error when reading this WXR file', 'wordpress-importer' ) . '</strong><br />';
+		echo __( 'Details are shown above. The importer will now try again with a different parser...', 'wordpress-importer' ) . '</p>';
 	}
 }
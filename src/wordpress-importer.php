@@ -14,7 +14,92 @@
  * License URI:       https://www.gnu.org/licenses/gpl-2.0.html
  */
 
-if ( ! defined( 'WP_LOAD_IMPORTERS' ) ) {
+/**
+ * Whether the request is for the importer's REST API, see WP_Import_REST_Controller.
+ *
+ * @return bool
+ */
+function wordpress_importer_is_rest_request() {
+	if ( isset( $_GET['rest_route'] ) ) {
+		$route = $_GET['rest_route'];
+	} else {
+		$route = isset( $_SERVER['REQUEST_URI'] ) ? $_SERVER['REQUEST_URI'] : '';
+	}
+	return is_string( $route ) && false !== strpos( $route, '/wordpress-importer/v1' );
+}
+
+/** WP_Import_Provenance class */
+require_once __DIR__ . '/class-wp-import-provenance.php';
+
+/**
+ * Adds the import panel to the block editor, for posts that were imported.
+ */
+function wordpress_importer_enqueue_provenance_panel() {
+	$post = get_post();
+	if ( ! $post || ! current_user_can( 'edit_post', $post->ID ) ) {
+		return;
+	}
+
+	$provenance = WP_Import_Provenance::get( $post->ID );
+	if ( ! $provenance ) {
+		return;
+	}
+
+	$count = count( $provenance->rewritten_urls );
+	if ( $count ) {
+		/* translators: %s: Number of URLs. */
+		$rewriting = sprintf( _n( '%s URL in the content was changed.', '%s URLs in the content were changed.', $count, 'wordpress-importer' ), number_format_i18n( $count ) );
+	} else {
+		$rewriting = __( 'No URLs in the content were changed.', 'wordpress-importer' );
+	}
+
+	wp_enqueue_script( 'wordpress-importer-provenance', plugins_url( 'js/import-provenance.js', __FILE__ ), array( 'wp-plugins', 'wp-edit-post', 'wp-element', 'wp-components' ), filemtime( __DIR__ . '/js/import-provenance.js' ), true );
+	wp_localize_script(
+		'wordpress-importer-provenance',
+		'wordpressImporterProvenance',
+		array(
+			'provenance' => array(
+				'file'              => $provenance->file,
+				'imported'          => $provenance->imported ? get_date_from_gmt( gmdate( 'Y-m-d H:i:s', $provenance->imported ), get_option( 'date_format' ) . ' ' . get_option( 'time_format' ) ) : '',
+				'originalId'        => $provenance->original_id,
+				'guid'              => $provenance->guid,
+				'link'              => $provenance->link,
+				'author'            => $provenance->author,
+				'rewrittenUrls'     => $provenance->rewritten_urls,
+				'failedAttachments' => array_values( $provenance->failed_attachments ),
+			),
+			'l10n'       => array(
+				'title'             => __( 'Import', 'wordpress-importer' ),
+				/* translators: 1: WXR file name. 2: Date and time. */
+				'importedFrom'      => __( 'Imported from %1$s on %2$s.', 'wordpress-importer' ),
+				'originalId'        => __( 'Original ID', 'wordpress-importer' ),
+				'guid'              => __( 'GUID', 'wordpress-importer' ),
+				'link'              => __( 'Original permalink', 'wordpress-importer' ),
+				'author'            => __( 'Author in the file', 'wordpress-importer' ),
+				'rewriting'         => $rewriting,
+				'showUrls'          => __( 'Show rewritten URLs', 'wordpress-importer' ),
+				'hideUrls'          => __( 'Hide rewritten URLs', 'wordpress-importer' ),
+				'failedAttachments' => __( 'Attachments that failed to import', 'wordpress-importer' ),
+			),
+		)
+	);
+}
+add_action( 'enqueue_block_editor_assets', 'wordpress_importer_enqueue_provenance_panel' );
+
+/**
+ * Leaves the provenance of imported posts out of WXR exports.
+ *
+ * @param bool   $skip     Whether to skip the meta.
+ * @param string $meta_key
+ * @return bool
+ */
+function wordpress_importer_skip_provenance_meta( $skip, $meta_key ) {
+	return $skip || in_array( $meta_key, WP_Import_Provenance::get_meta_keys(), true );
+}
+add_filter( 'wxr_export_skip_postmeta', 'wordpress_importer_skip_provenance_meta', 10, 2 );
+
+// Uploads in parts, the user and term searches, the URL rewrite preview, the parser comparison, batched imports, attachment downloads, the import log and rollbacks run over admin-ajax.php, and the REST API, neither of which load importers.
+if ( ! defined( 'WP_LOAD_IMPORTERS' ) && ! wordpress_importer_is_rest_request() && ! ( wp_doing_ajax() && isset( $_REQUEST['action'] ) && in_array( $_REQUEST['action'], array( 'wordpress_importer_upload', 'wordpress_importer_fetch', 'wordpress_importer_search_users', 'wordpress_importer_search_terms', 'wordpress_importer_rewrite_preview', 'wordpress_importer_compare_parsers', 'wordpress_importer_batch', 'wordpress_importer_download', 'wordpress_importer_skip_download', 'wordpress_importer_log', 'wordpress_importer_export_log', 'wordpress_importer_rollback' ), true ) ) ) {
 	return;
 }
 
@@ -64,6 +149,39 @@ require_once __DIR__ . '/parsers/class-wxr-parser-xml-processor.php';
 /** WP_Import class */
 require_once __DIR__ . '/class-wp-import.php';
 
+/** WP_Import_Session class */
+require_once __DIR__ . '/class-wp-import-session.php';
+
+/** WP_Import_Download_Queue class */
+require_once __DIR__ . '/class-wp-import-download-queue.php';
+
+/** WP_Import_Downloads class */
+require_once __DIR__ . '/class-wp-import-downloads.php';
+
+/** WP_Import_Log class */
+require_once __DIR__ . '/class-wp-import-log.php';
+
+/** WP_Import_Log_Screen class */
+require_once __DIR__ . '/class-wp-import-log-screen.php';
+
+/** WP_Import_Rollback class */
+require_once __DIR__ . '/class-wp-import-rollback.php';
+
+/** WP_Import_Rollbacks class */
+require_once __DIR__ . '/class-wp-import-rollbacks.php';
+
+/** WP_Import_Term_Mapping class */
+require_once __DIR__ . '/class-wp-import-term-mapping.php';
+
+/** WP_Import_Update_Mode class */
+require_once __DIR__ . '/class-wp-import-update-mode.php';
+
+/** WP_Import_Upload class */
+require_once __DIR__ . '/class-wp-import-upload.php';
+
+/** WP_Import_REST_Controller class */
+require_once __DIR__ . '/class-wp-import-rest-controller.php';
+
 function wordpress_importer_init() {
 	load_plugin_textdomain( 'wordpress-importer' );
 
@@ -76,3 +194,111 @@ function wordpress_importer_init() {
 	register_importer( 'wordpress', 'WordPress', __( 'Import <strong>posts, pages, comments, custom fields, categories, and tags</strong> from a WordPress export file.', 'wordpress-importer' ), array( $GLOBALS['wp_import'], 'dispatch' ) );
 }
 add_action( 'admin_init', 'wordpress_importer_init' );
+
+/**
+ * Registers the REST API routes for driving imports.
+ */
+function wordpress_importer_rest_api_init() {
+	// The importer uses functions of the admin, e.g. post_exists() and wp_generate_attachment_metadata().
+	require_once ABSPATH . 'wp-admin/includes/admin.php';
+
+	$controller = new WP_Import_REST_Controller();
+	$controller->register_routes();
+}
+add_action( 'rest_api_init', 'wordpress_importer_rest_api_init' );
+
+/**
+ * Searches users for the author mapping on the import options screen.
+ */
+function wordpress_importer_ajax_search_users() {
+	$GLOBALS['wp_import']->ajax_search_users();
+}
+add_action( 'wp_ajax_wordpress_importer_search_users', 'wordpress_importer_ajax_search_users' );
+
+/**
+ * Searches terms for the term mapping on the import options screen.
+ */
+function wordpress_importer_ajax_search_terms() {
+	( new WP_Import_Term_Mapping( $GLOBALS['wp_import'] ) )->ajax_search_terms();
+}
+add_action( 'wp_ajax_wordpress_importer_search_terms', 'wordpress_importer_ajax_search_terms' );
+
+/**
+ * Previews the URL rewriting on the import options screen.
+ */
+function wordpress_importer_ajax_rewrite_preview() {
+	$GLOBALS['wp_import']->ajax_rewrite_preview();
+}
+add_action( 'wp_ajax_wordpress_importer_rewrite_preview', 'wordpress_importer_ajax_rewrite_preview' );
+
+/**
+ * Compares what each parser reads from the uploaded file on the import options screen.
+ */
+function wordpress_importer_ajax_compare_parsers() {
+	$GLOBALS['wp_import']->ajax_compare_parsers();
+}
+add_action( 'wp_ajax_wordpress_importer_compare_parsers', 'wordpress_importer_ajax_compare_parsers' );
+
+/**
+ * Runs a batch of the import started on the progress screen.
+ */
+function wordpress_importer_ajax_batch() {
+	$GLOBALS['wp_import']->ajax_batch();
+}
+add_action( 'wp_ajax_wordpress_importer_batch', 'wordpress_importer_ajax_batch' );
+
+/**
+ * Downloads the file of an attachment left in the download queue.
+ */
+function wordpress_importer_ajax_download() {
+	( new WP_Import_Downloads( $GLOBALS['wp_import'] ) )->ajax_download();
+}
+add_action( 'wp_ajax_wordpress_importer_download', 'wordpress_importer_ajax_download' );
+
+/**
+ * Gives up on the file of an attachment left in the download queue.
+ */
+function wordpress_importer_ajax_skip_download() {
+	( new WP_Import_Downloads( $GLOBALS['wp_import'] ) )->ajax_skip_download();
+}
+add_action( 'wp_ajax_wordpress_importer_skip_download', 'wordpress_importer_ajax_skip_download' );
+
+/**
+ * Sends the records of an import log to the log screen.
+ */
+function wordpress_importer_ajax_log() {
+	( new WP_Import_Log_Screen( $GLOBALS['wp_import'] ) )->ajax_log();
+}
+add_action( 'wp_ajax_wordpress_importer_log', 'wordpress_importer_ajax_log' );
+
+/**
+ * Downloads an import log as a CSV or JSON file.
+ */
+function wordpress_importer_ajax_export_log() {
+	( new WP_Import_Log_Screen( $GLOBALS['wp_import'] ) )->ajax_export_log();
+}
+add_action( 'wp_ajax_wordpress_importer_export_log', 'wordpress_importer_ajax_export_log' );
+
+/**
+ * Runs one batch of rolling back an import.
+ */
+function wordpress_importer_ajax_rollback() {
+	( new WP_Import_Rollbacks( $GLOBALS['wp_import'] ) )->ajax_rollback();
+}
+add_action( 'wp_ajax_wordpress_importer_rollback', 'wordpress_importer_ajax_rollback' );
+
+/**
+ * Receives a part of a file uploaded from the upload form.
+ */
+function wordpress_importer_ajax_upload() {
+	( new WP_Import_Upload() )->ajax_upload();
+}
+add_action( 'wp_ajax_wordpress_importer_upload', 'wordpress_importer_ajax_upload' );
+
+/**
+ * Fetches a part of a file that the download form imports from a URL or from the server.
+ */
+function wordpress_importer_ajax_fetch() {
+	( new WP_Import_Upload() )->ajax_fetch();
+}
+add_action( 'wp_ajax_wordpress_importer_fetch', 'wordpress_importer_ajax_fetch' );